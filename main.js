@@ -7,6 +7,7 @@ import { Star } from './src/objects/Star.js';
 import { StarField } from './src/objects/StarField.js';
 import { Spacecraft } from './src/objects/Spacecraft.js';
 import { PlanetDataService } from './src/services/PlanetDataService.js';
+import { SimulationClock } from './src/services/SimulationClock.js';
 import { ExoplanetField } from './src/objects/ExoplanetField.js';
 import { LoadingManager } from './src/utils/LoadingManager.js';
 import { PlanetNavigator } from './src/controls/PlanetNavigator.js';
@@ -18,12 +19,27 @@ import { NarrationService } from './src/services/NarrationService.js';
 import { NarratorDialog } from './src/ui/NarratorDialog.js';
 import OpenAIService from './src/ai/OpenAIService.js';
 import ElevenLabsService from './src/ai/ElevenLabsService.js';
+import { createTextToSpeech } from './src/ai/tts/createTextToSpeech.js';
+import { TextToSpeechProvider } from './src/ai/tts/TextToSpeechProvider.js';
+import { getAudioDuration } from './src/ai/tts/speechPlayback.js';
 import { CONFIG, isAIConfigured, isNarrationConfigured } from './src/config/config.js';
 import { WarpTunnel } from './src/objects/WarpTunnel.js';
 import { MultiplayerManager } from './src/multiplayer/MultiplayerManager.js';
 import { GalaxyField } from './src/objects/GalaxyField.js';
 import { SpaceDust } from './src/objects/SpaceDust.js';
 import { SpaceDebris } from './src/objects/SpaceDebris.js';
+import { TimeControlsHUD } from './src/ui/TimeControlsHUD.js';
+import { FlightRecorder } from './src/services/FlightRecorder.js';
+import { FlightRecorderPanel } from './src/ui/FlightRecorderPanel.js';
+import { TeleportManager } from './src/utils/TeleportManager.js';
+import { TourService } from './src/services/TourService.js';
+import { TourPanel } from './src/ui/TourPanel.js';
+import { PlanetAssistant } from './src/ai/PlanetAssistant.js';
+import { createSpeechToTextProvider } from './src/ai/speech/createSpeechToTextProvider.js';
+import { aiCache } from './src/services/AICache.js';
+import { AICachePanel } from './src/ui/AICachePanel.js';
+import { NetworkDebugOverlay } from './src/ui/NetworkDebugOverlay.js';
+import { MultiplayerChatPanel } from './src/ui/MultiplayerChatPanel.js';
 
 class App {
     constructor() {
@@ -52,6 +68,7 @@ class App {
             this.cameraManager = new CameraManager(this.canvas);
             this.rendererManager = new RendererManager(this.canvas);
             this.clock = new THREE.Clock();
+            this.simulationClock = new SimulationClock(); // Drives orbits, planet spin and clouds
 
             // Add camera to scene so camera light works
             this.sceneManager.add(this.cameraManager.camera);
@@ -72,6 +89,9 @@ class App {
             this.initPlanetSelector();       // UI and navigation
             this.initExplorationDialog();    // Planet info dialog
             this.initTargetingSquare();      // Planet targeting visual
+            this.initFlightRecorder();       // Session recording and replay
+            this.initTours();                // Guided tours
+            this.initPlanetAssistant();      // Tool-calling chat in the planet dialog
             this.loadingManager.completeStep('Universe');
 
             // Step 4: Start animation and finalize
@@ -147,6 +167,83 @@ class App {
                 }
             });
         }
+
+        // Invite links open with the room code filled in (?room=CODE)
+        const roomInput = document.getElementById('multiplayer-room-code');
+        const invitedRoom = MultiplayerManager.getRoomCodeFromUrl();
+        if (roomInput && invitedRoom) {
+            roomInput.value = invitedRoom.toUpperCase();
+        }
+    }
+
+    setupMultiplayerRoomControls() {
+        const roomInput = document.getElementById('multiplayer-room-code');
+        const bind = (id, handler) => {
+            const button = document.getElementById(id);
+            button?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                button.blur();
+                handler();
+            });
+        };
+
+        const runRoomAction = async (action) => {
+            try {
+                await action();
+            } catch (error) {
+                console.warn('⚠️ Room action failed:', error.message);
+                this.multiplayerManager?.showNotification(error.message, 'error');
+            }
+        };
+
+        const joinTypedRoom = () => {
+            const code = roomInput?.value.trim();
+            if (!this.multiplayerEnabled) {
+                this.toggleMultiplayer();
+            } else if (code) {
+                runRoomAction(() => this.multiplayerManager.joinRoom(code));
+            }
+        };
+
+        roomInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                joinTypedRoom();
+            }
+        });
+
+        bind('multiplayer-join-room-btn', joinTypedRoom);
+        bind('multiplayer-create-room-btn', () => runRoomAction(() => this.multiplayerManager.createRoom()));
+        bind('multiplayer-leave-room-btn', () => runRoomAction(() => this.multiplayerManager.leaveRoom()));
+        bind('multiplayer-copy-invite-btn', () => {
+            const link = this.multiplayerManager?.getInviteLink();
+            if (!link) return;
+            navigator.clipboard?.writeText(link)
+                .then(() => this.multiplayerManager.showNotification('Invite link copied', 'info'))
+                .catch(() => window.prompt('Invite link:', link));
+        });
+
+        // Follow and owner's kick buttons (rendered per member)
+        document.getElementById('multiplayer-room-members')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-kick], [data-follow]');
+            if (!button) return;
+            e.stopPropagation();
+            button.blur();
+            if (button.dataset.kick) {
+                runRoomAction(() => this.multiplayerManager.kickPlayer(button.dataset.kick));
+            } else if (this.multiplayerManager.fleet.leaderId === button.dataset.follow) {
+                runRoomAction(() => this.multiplayerManager.unfollow());
+            } else {
+                runRoomAction(() => this.multiplayerManager.followPlayer(button.dataset.follow));
+            }
+        });
+
+        // Formation of the fleet we lead (or will lead)
+        const formationSelect = document.getElementById('multiplayer-formation');
+        formationSelect?.addEventListener('change', () => {
+            formationSelect.blur();
+            runRoomAction(() => this.multiplayerManager.setFormation(formationSelect.value));
+        });
     }
 
     async checkMultiplayerAvailability() {
@@ -186,16 +283,33 @@ class App {
             // Connect
             try {
                 console.log('🔌 Enabling multiplayer...');
-                this.multiplayerManager = new MultiplayerManager(this.sceneManager, this.spacecraft);
-                await this.multiplayerManager.connect(this.multiplayerServerUrl);
+                const roomCode = document.getElementById('multiplayer-room-code')?.value.trim() || null;
+                this.multiplayerManager = new MultiplayerManager(this.sceneManager, this.spacecraft, {
+                    onRoomChange: () => this.updateMultiplayerUI(this.multiplayerEnabled),
+                    onChatHistory: (messages) => this.chatPanel?.setHistory(messages),
+                    onChatMessage: (message) => this.chatPanel?.addMessage(message),
+                    onFleetChange: () => this.updateMultiplayerRoomUI(this.multiplayerManager?.room),
+                    onFleetJump: (planetName) => this.onFleetJump(planetName),
+                    onFleetPlanet: (shared) => this.onFleetPlanet(shared),
+                    onNarration: (narration) => this.playSharedNarration(narration),
+                    onNarrationStopped: (data) => this.onSharedNarrationStopped(data),
+                    getNearestPlanet: (position) => this.proximityDetector?.getClosestPlanet(position)?.planet.pl_name || null
+                });
+                await this.multiplayerManager.connect(this.multiplayerServerUrl, roomCode);
                 this.multiplayerEnabled = true;
                 this.updateMultiplayerUI(true);
                 console.log('✓ Multiplayer enabled');
             } catch (error) {
                 console.error('Failed to connect to multiplayer:', error);
+                this.multiplayerManager?.disconnect();
                 this.multiplayerManager = null;
                 this.multiplayerEnabled = false;
-                alert(`Could not connect to multiplayer server at ${this.multiplayerServerUrl}\nMake sure the server is running.`);
+                if (error.code) {
+                    // Server is up but refused the invite code
+                    alert(`Could not join room: ${error.message}`);
+                } else {
+                    alert(`Could not connect to multiplayer server at ${this.multiplayerServerUrl}\nMake sure the server is running.`);
+                }
             }
         }
     }
@@ -227,6 +341,71 @@ class App {
                 mpStatus.style.color = connected ? '#00FF88' : '#00D9FF';
             }
         }
+
+        this.updateMultiplayerRoomUI(connected ? this.multiplayerManager?.room : null);
+        this.chatPanel?.setConnected(connected);
+    }
+
+    updateMultiplayerRoomUI(room) {
+        const controls = document.getElementById('multiplayer-room-controls');
+        const info = document.getElementById('multiplayer-room-info');
+        const leaveBtn = document.getElementById('multiplayer-leave-room-btn');
+        const nameEl = document.getElementById('multiplayer-room-name');
+        const codeBtn = document.getElementById('multiplayer-copy-invite-btn');
+        const membersEl = document.getElementById('multiplayer-room-members');
+
+        if (controls) controls.style.display = room ? 'flex' : 'none';
+        if (info) info.style.display = room ? 'block' : 'none';
+        if (!room || !membersEl) return;
+
+        const manager = this.multiplayerManager;
+        if (leaveBtn) leaveBtn.style.display = room.isLobby ? 'none' : '';
+        if (nameEl) nameEl.textContent = `${room.name} (${room.members.length}/${room.maxPlayers})`;
+        if (codeBtn) {
+            codeBtn.textContent = room.isLobby ? 'PUBLIC' : room.code;
+            codeBtn.disabled = room.isLobby;
+        }
+
+        const fleet = manager.fleet;
+        const nicknames = new Map(room.members.map(member => [member.id, member.nickname]));
+        membersEl.replaceChildren(...room.members.map(member => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            const isSelf = member.id === manager.playerId;
+            const leaderId = fleet.getLeaderOf(member.id);
+            label.textContent = `${member.id === room.owner ? '👑 ' : ''}${member.nickname}${isSelf ? ' (you)' : ''}`;
+            if (leaderId) label.title = `Flying in ${nicknames.get(leaderId)}'s fleet`;
+            item.appendChild(label);
+            item.classList.toggle('self', isSelf);
+            item.classList.toggle('in-fleet', !!leaderId);
+
+            if (!isSelf) {
+                const following = fleet.leaderId === member.id;
+                const follow = document.createElement('button');
+                follow.className = 'multiplayer-follow-btn';
+                follow.classList.toggle('active', following);
+                follow.dataset.follow = member.id;
+                follow.title = following ? `Stop following ${member.nickname}` : `Follow ${member.nickname} in formation`;
+                follow.textContent = following ? '■' : '🛸';
+                item.appendChild(follow);
+            }
+
+            if (manager.isRoomOwner() && !isSelf) {
+                const kick = document.createElement('button');
+                kick.className = 'multiplayer-kick-btn';
+                kick.dataset.kick = member.id;
+                kick.title = `Send ${member.nickname} back to the lobby`;
+                kick.textContent = '✕';
+                item.appendChild(kick);
+            }
+            return item;
+        }));
+
+        const formationSelect = document.getElementById('multiplayer-formation');
+        if (formationSelect && document.activeElement !== formationSelect) {
+            formationSelect.value = fleet.getOwnFleet()?.formation || formationSelect.value;
+            formationSelect.disabled = fleet.isFollowing();
+        }
     }
 
     setupControls() {
@@ -299,6 +478,25 @@ class App {
             if (e.code === 'KeyT') this.togglePlanetNavigator();
             if (e.code === 'KeyH') this.toggleUI();
             if (e.code === 'KeyN') this.narrateClosestPlanet(); // Narrate closest planet
+            if (e.code === 'KeyG') this.tourPanel?.toggle(); // Guided tours
+            if (e.code === 'KeyC') this.aiCachePanel?.toggle(); // AI cache stats / demo packs
+            if (e.code === 'KeyB') this.networkDebugOverlay?.toggle(); // Multiplayer buffer health
+
+            // Multiplayer chat: start typing (Enter/Escape in the input hand the keys back)
+            if ((e.code === 'Enter' || e.code === 'Slash') && this.chatPanel?.isOpen()) {
+                e.preventDefault();
+                this.chatPanel.focusInput(e.code === 'Slash' ? '/' : '');
+            }
+
+            // Simulation time controls
+            if (this.timeControls) {
+                if (e.code === 'KeyP') this.timeControls.handleAction('pause');
+                if (e.code === 'KeyR') this.timeControls.handleAction('reverse');
+                if (e.code === 'Period') this.timeControls.handleAction('warp-up');
+                if (e.code === 'Comma') this.timeControls.handleAction('warp-down');
+                if (e.code === 'BracketLeft') this.timeControls.handleAction('scrub-back');
+                if (e.code === 'BracketRight') this.timeControls.handleAction('scrub-forward');
+            }
 
             if (e.code === 'Escape') this.closePlanetNavigator();
         });
@@ -409,55 +607,34 @@ class App {
                 const intersects = raycaster.intersectObjects(this.sceneManager.scene.children, true);
 
                 if (intersects.length > 0) {
-                    // Check if we hit a solar system planet
-                    const hit = intersects.find(intersect => {
-                        let obj = intersect.object;
-                        while (obj) {
-                            if (this.planets && this.planets.some(p => p.mesh === obj || p.group === obj)) {
-                                return true;
-                            }
-                            // Check if it's an exoplanet mesh
-                            if (obj.userData && obj.userData.planetData) {
-                                return true;
-                            }
-                            obj = obj.parent;
-                        }
-                        return false;
-                    });
-
-                    if (hit) {
-                        // Traverse up to find the actual object holding planetData (could be parent of hit object)
-                        let targetObj = hit.object;
-                        let planetData = null;
-
-                        while (targetObj) {
-                            if (targetObj.userData && targetObj.userData.planetData) {
-                                planetData = targetObj.userData.planetData;
-                                break;
-                            }
-                            targetObj = targetObj.parent;
+                    // First hit that resolves to a planet (meshes, their children, or instanced exoplanets)
+                    let resolved = null;
+                    for (const intersect of intersects) {
+                        resolved = this.exoplanetField?.resolveIntersection(intersect);
+                        if (resolved) break;
+                    }
+
+                    if (resolved) {
+                        const planetData = resolved.planetData;
+                        console.log('🪐 Planet Selected:', planetData.pl_name, planetData.isSolar ? '(Solar System)' : '(Exoplanet)');
+
+                        // Store for info dialog
+                        this.lastClickedPlanet = planetData;
+                        this.flightRecorder?.recordEvent('select', { planet: planetData.pl_name });
+
+                        // Players with the same target keep getting each other's ship, however far apart
+                        this.multiplayerManager?.shareTarget({ pl_name: planetData.pl_name, hostname: planetData.hostname });
+
+                        // Show targeting square on the planet
+                        if (this.targetingSquare) {
+                            // ALL planets (Solar + Exo) are in meshGroup with x10000 scale
+                            const parentGroup = this.exoplanetField?.meshGroup;
+                            this.targetingSquare.target(resolved.object, planetData, parentGroup);
                         }
 
-                        if (planetData) {
-                            console.log('🪐 Planet Selected:', planetData.pl_name, planetData.isSolar ? '(Solar System)' : '(Exoplanet)');
-
-                            // Store for info dialog
-                            this.lastClickedPlanet = planetData;
-
-                            // Show targeting square on the planet
-                            if (this.targetingSquare) {
-                                // ALL planets (Solar + Exo) are in meshGroup with x10000 scale
-                                const parentGroup = this.exoplanetField?.meshGroup;
-                                this.targetingSquare.target(hit.object, planetData, parentGroup);
-                            }
-
-                            // Show exploration dialog with planet info
-                            if (this.explorationDialog) {
-                                this.explorationDialog.show(planetData);
-                            }
-                        } else {
-                            // Object without planetData (shouldn't happen given the find logic above, but safety first)
-                            console.warn('⚠️ Clicked object has no planetData in hierarchy:', hit.object);
+                        // Show exploration dialog with planet info
+                        if (this.explorationDialog) {
+                            this.explorationDialog.show(planetData);
                         }
                     }
                 }
@@ -540,7 +717,7 @@ class App {
 
         try {
             // Create unified planet field that handles both solar system and exoplanets
-            this.exoplanetField = new ExoplanetField(this.planetDataService);
+            this.exoplanetField = new ExoplanetField(this.planetDataService, this.simulationClock);
 
             // Load solar system first
             console.log('  🌍 Loading solar system...');
@@ -589,7 +766,8 @@ class App {
         this.planetHoverInfo = new PlanetHoverInfo(
             this.cameraManager.camera,
             [], // Empty array since we're using unified system
-            this.planetDataService
+            this.planetDataService,
+            this.exoplanetField
         );
 
         console.log('✓ Planet navigator initialized - loading all planets...');
@@ -613,22 +791,39 @@ class App {
 
         if (isNarrationConfigured()) {
             try {
-                elevenLabsService = new ElevenLabsService(CONFIG.elevenLabs.apiKey);
+                // Without a browser key, speech goes through the AI proxy
+                elevenLabsService = new ElevenLabsService(CONFIG.elevenLabs.apiKey, aiCache, { proxyUrl: CONFIG.aiProxy.url });
                 console.log('✓ Eleven Labs service initialized');
             } catch (error) {
                 console.warn('⚠ Eleven Labs service not initialized:', error.message);
             }
         } else {
-            console.log('ℹ Eleven Labs not configured - Audio narration disabled');
+            console.log('ℹ Eleven Labs not configured - using the fallback voices');
+        }
+
+        // Speech engines in order of preference (ElevenLabs, AI proxy local engine, browser)
+        const textToSpeech = CONFIG.features.enableNarration ? createTextToSpeech({ elevenLabs: elevenLabsService }) : null;
+        if (!textToSpeech) {
+            console.log('ℹ No speech engine available - Audio narration disabled');
         }
 
         // Initialize exploration dialog
-        this.explorationDialog = new PlanetExplorationDialog(openAIService, elevenLabsService, this);
+        this.explorationDialog = new PlanetExplorationDialog(openAIService, textToSpeech, this);
 
         // Initialize proximity-based narration system
         this.proximityDetector = new ProximityDetector(this.planetDataService, this.exoplanetField);
-        this.narrationService = new NarrationService(openAIService, elevenLabsService);
+        this.narrationService = new NarrationService(openAIService, textToSpeech);
         this.narratorDialog = new NarratorDialog(this.narrationService); // Pass service for chat
+        this.narratorDialog.onHide = () => this.onNarratorHidden();
+        this.sharedNarrationId = null; // Shared narration on screen, ours or one we listen to
+
+        // Push-to-talk questions (one listener shared by both chat dialogs)
+        if (openAIService) {
+            const speechInput = createSpeechToTextProvider();
+            this.explorationDialog.setSpeechInput(speechInput);
+            this.narratorDialog.setSpeechInput(speechInput);
+            console.log(`✓ Voice input ready (${speechInput.name}, hold ${CONFIG.speech.pushToTalkKey.replace('Key', '')} to talk)`);
+        }
 
         // Make it globally accessible for debugging
         window.planetExplorationDialog = this.explorationDialog;
@@ -645,6 +840,24 @@ class App {
     }
 
     setupUIControls() {
+        // Simulation clock widget (flight HUD)
+        this.timeControls = new TimeControlsHUD(this.simulationClock);
+
+        // Persistent AI cache stats (shared by all AI services)
+        this.aiCachePanel = new AICachePanel(aiCache);
+
+        // Remote ship snapshot buffers (multiplayer debugging)
+        this.networkDebugOverlay = new NetworkDebugOverlay(() => this.multiplayerManager);
+
+        // Room chat (shown while connected); /goto and planet links use the tours' TeleportManager
+        this.chatPanel = new MultiplayerChatPanel({
+            getManager: () => this.multiplayerManager,
+            planetDataService: this.planetDataService,
+            teleportManager: this.teleportManager,
+            onTeleport: (planet) => this.onTeleportArrival(planet),
+            onNarrate: (planet) => this.narrateToRoom(planet)
+        });
+
         // Toggle UI button
         const toggleBtn = document.getElementById('toggle-ui-btn');
         if (toggleBtn) {
@@ -683,11 +896,152 @@ class App {
         }
     }
 
+    initFlightRecorder() {
+        if (!this.spacecraft) return;
+
+        this.flightRecorder = new FlightRecorder({
+            spacecraft: this.spacecraft,
+            camera: this.cameraManager.camera,
+            simulationClock: this.simulationClock,
+            onEvent: (event) => this.replayFlightEvent(event),
+            onStateChange: () => this.flightRecorderPanel?.render()
+        });
+        this.flightRecorderPanel = new FlightRecorderPanel(this.flightRecorder);
+
+        console.log('✓ Flight recorder initialized');
+    }
+
+    initTours() {
+        if (!this.spacecraft) return;
+
+        // Tours teleport through the TeleportManager so arrivals follow the planet's orbit
+        this.teleportManager = new TeleportManager(this.spacecraft, this.cameraManager.camera, this.exoplanetField);
+        this.teleportManager.onTeleport = (position, name, facing) => this.multiplayerManager?.notifyTeleport(position, name, facing);
+
+        this.tourService = new TourService({
+            planetDataService: this.planetDataService,
+            teleportManager: this.teleportManager,
+            narrationService: this.narrationService,
+            narratorDialog: this.narratorDialog,
+            explorationDialog: this.explorationDialog,
+            spacecraft: this.spacecraft,
+            onStop: (stop) => this.onTourStop(stop),
+            onStateChange: () => this.tourPanel?.render()
+        });
+        this.tourPanel = new TourPanel(this.tourService);
+
+        console.log('✓ Guided tours initialized');
+    }
+
+    initPlanetAssistant() {
+        const openAIService = this.explorationDialog?.openAIService;
+        if (!openAIService?.enabled) return;
+
+        // Shares the dialog's LLM provider; teleports go through the tours' TeleportManager
+        this.planetAssistant = new PlanetAssistant({
+            provider: openAIService.provider,
+            planetDataService: this.planetDataService,
+            teleportManager: this.teleportManager,
+            onTeleport: (planet) => this.onTeleportArrival(planet)
+        });
+        this.explorationDialog.setAssistant(this.planetAssistant);
+
+        console.log('✓ Planet assistant initialized');
+    }
+
+    /**
+     * Sync the rest of the app with a new tour stop
+     */
+    onTourStop(stop) {
+        this.onTeleportArrival(stop.planetData);
+    }
+
+    /**
+     * Sync the rest of the app after a TeleportManager teleport (tours, assistant)
+     */
+    onTeleportArrival(planet) {
+        this.lastClickedPlanet = planet;
+        this.updateViewUI();
+        this.flightRecorder?.recordEvent('teleport', { planet: planet.pl_name });
+
+        // Refresh LOD and target the planet once the teleport has landed
+        setTimeout(() => {
+            this.exoplanetField?.forceRefreshLOD(this.spacecraft.getPosition());
+            const mesh = this.exoplanetField?.getPlanetObject(planet.pl_name);
+            if (this.targetingSquare && mesh) {
+                this.targetingSquare.target(mesh, planet, this.exoplanetField.meshGroup);
+            }
+        }, 250);
+    }
+
+    /**
+     * We jumped along with our fleet leader
+     */
+    onFleetJump(planetName) {
+        this.createTeleportFlash();
+        this.flightRecorder?.recordEvent('teleport', { planet: planetName });
+        setTimeout(() => this.exoplanetField?.forceRefreshLOD(this.spacecraft.getPosition()), 250);
+    }
+
+    /**
+     * Our fleet leader opened a planet for the whole fleet
+     */
+    onFleetPlanet({ nickname, planet: planetName }) {
+        const planet = this.planetDataService?.getPlanetByName(planetName);
+        if (!planet) {
+            console.warn(`⚠️ Shared planet not found: ${planetName}`);
+            return;
+        }
+        this.multiplayerManager?.showNotification(`${nickname} is showing the fleet ${planet.pl_name}`, 'info');
+        this.lastClickedPlanet = planet;
+        this.explorationDialog?.show(planet);
+    }
+
+    /**
+     * Re-trigger a recorded event during flight replay
+     * (the recorded frames already carry the spacecraft position)
+     */
+    replayFlightEvent(event) {
+        const planet = event.data?.planet ? this.planetDataService.getPlanetByName(event.data.planet) : null;
+        console.log(`🎬 Replay event: ${event.type}`, event.data);
+
+        switch (event.type) {
+            case 'teleport':
+                this.createTeleportFlash();
+                setTimeout(() => this.exoplanetField?.forceRefreshLOD(this.spacecraft.getPosition()), 250);
+                break;
+            case 'select':
+                if (!planet) break;
+                this.lastClickedPlanet = planet;
+                if (this.targetingSquare) {
+                    const object = this.exoplanetField?.getPlanetObject(planet.pl_name);
+                    if (object) this.targetingSquare.target(object, planet, this.exoplanetField.meshGroup);
+                }
+                this.explorationDialog?.show(planet);
+                break;
+            case 'dialog':
+                if (planet) this.explorationDialog?.show(planet);
+                break;
+            case 'narrate':
+                if (planet) this.narratePlanet(planet);
+                break;
+            case 'view':
+                if (this.spacecraft.viewMode !== event.data.mode) {
+                    this.spacecraft.toggleView();
+                    this.updateViewUI();
+                }
+                break;
+            default:
+                console.warn(`⚠️ Unknown flight event: ${event.type}`);
+        }
+    }
+
     handleViewToggle() {
         if (this.spacecraft) {
             console.log('🚀 Toggling viewpoint');
             this.spacecraft.toggleView();
             this.updateViewUI();
+            this.flightRecorder?.recordEvent('view', { mode: this.spacecraft.viewMode });
         } else {
             console.warn('⚠️ Spacecraft not ready for view toggle');
         }
@@ -723,6 +1077,7 @@ class App {
 
     showLastClickedPlanetInfo() {
         if (this.lastClickedPlanet && this.explorationDialog) {
+            this.flightRecorder?.recordEvent('dialog', { planet: this.lastClickedPlanet.pl_name });
             this.explorationDialog.show(this.lastClickedPlanet);
         } else {
             console.log('No planet selected yet. Click on a planet first.');
@@ -731,8 +1086,9 @@ class App {
 
     /**
      * Narrate closest planet (triggered by 'N' key)
+     * @param {Object} options - { share } narrates to the multiplayer room too
      */
-    async narrateClosestPlanet() {
+    async narrateClosestPlanet(options = {}) {
         if (!this.spacecraft || !this.proximityDetector || !this.narrationService || !this.narratorDialog) {
             console.warn('⚠️ Narration system not initialized');
             return;
@@ -752,40 +1108,48 @@ class App {
             return;
         }
 
-        const planet = closest.planet;
-        const distance = closest.distance;
+        console.log(`🎙️ Narrating ${closest.planet.pl_name} (${(closest.distance / 10000).toFixed(2)} scaled units away)`);
+        await this.narratePlanet(closest.planet, closest.mesh, closest.worldPosition, options);
+    }
+
+    /**
+     * Show the narrator dialog for a planet and target it
+     * (also used to re-trigger narrations during flight replay)
+     * @param {Object} options
+     * @param {boolean} options.share - Narrate to the multiplayer room (everyone hears it in sync)
+     */
+    async narratePlanet(planet, mesh = null, worldPosition = null, { share = false } = {}) {
+        if (!this.narrationService || !this.narratorDialog || this.narratorDialog.isShowing()) return;
 
-        console.log(`🎙️ Narrating ${planet.pl_name} (${(distance / 10000).toFixed(2)} scaled units away)`);
+        this.flightRecorder?.recordEvent('narrate', { planet: planet.pl_name });
+        mesh = mesh || this.exoplanetField?.getPlanetObject(planet.pl_name);
 
         // Show dialog with loading state first
-        this.narratorDialog.container.classList.add('visible');
-        this.narratorDialog.isVisible = true;
-        this.narratorDialog.elements.planetName.textContent = planet.pl_name || 'Unknown Planet';
-        this.narratorDialog.showLoading();
+        this.narratorDialog.showLoadingFor(planet);
 
         // Target the planet (show targeting square)
-        if (this.targetingSquare && closest.mesh) {
+        if (this.targetingSquare && mesh) {
             // ALL planets (Solar + Exo) are in meshGroup with x10000 scale
             const parentGroup = this.exoplanetField?.meshGroup;
-            this.targetingSquare.target(closest.mesh, planet, parentGroup);
+            this.targetingSquare.target(mesh, planet, parentGroup);
             console.log('🎯 Targeting square shown for', planet.pl_name);
-            console.log('   Mesh:', closest.mesh.type, 'Position:', closest.worldPosition);
+            console.log('   Mesh:', mesh.type, 'Position:', worldPosition);
             console.log('   Parent group scale:', parentGroup ? parentGroup.scale.x : 'none');
         } else {
             console.warn('⚠️ Could not show targeting square');
             console.warn('   targetingSquare exists:', !!this.targetingSquare);
-            console.warn('   closest.mesh exists:', !!closest.mesh);
-            console.warn('   closest object:', closest);
+            console.warn('   mesh exists:', !!mesh);
         }
 
         try {
             console.log('📝 Generating narration...');
             // Generate narration
-            const { text, audio } = await this.narrationService.generateNarration(planet);
+            const { text, audio, segments, clip } = await this.narrationService.generateNarration(planet);
+            const offset = share ? await this.shareNarration(planet, text, audio, segments, clip) : null;
 
             console.log('💬 Showing narrator dialog...');
             // Show narrator dialog with text and audio
-            await this.narratorDialog.show(planet, text, audio);
+            await this.narratorDialog.show(planet, text, audio, segments, { offset });
 
             console.log('✅ Narrator dialog displayed');
 
@@ -796,6 +1160,124 @@ class App {
         }
     }
 
+    /**
+     * /narrate from the chat: narrate a planet (or the closest one) to the room
+     */
+    async narrateToRoom(planet = null) {
+        if (!this.narrationService || !this.narratorDialog) {
+            this.multiplayerManager?.showNotification('Narration is not available', 'warning');
+            return;
+        }
+
+        this.narratorDialog.hide(); // Our own narration makes way
+        if (planet) {
+            await this.narratePlanet(planet, null, null, { share: true });
+        } else {
+            await this.narrateClosestPlanet({ share: true });
+        }
+    }
+
+    /**
+     * Start a narration for the multiplayer room: the others speak the same
+     * text from the server's start time
+     * @param {string|null} clip - Content bundle path of the audio (everyone plays the same recording)
+     * @returns {Promise<number|null>} Seconds into the narration to start at (null: not shared)
+     */
+    async shareNarration(planet, text, audio, segments, clip = null) {
+        const manager = this.multiplayerManager;
+        if (!manager?.connected) return null;
+
+        const duration = (audio && await getAudioDuration(audio)) ||
+            segments?.[segments.length - 1]?.end ||
+            TextToSpeechProvider.estimateDuration(text);
+        if (text.length > CONFIG.multiplayer.narrationMaxLength || duration > CONFIG.multiplayer.narrationMaxDuration) {
+            manager.showNotification('This narration is too long to share', 'warning');
+            return null;
+        }
+
+        try {
+            const narration = await manager.startNarration({
+                planet: planet.pl_name,
+                text,
+                segments,
+                duration,
+                audio: clip ? { clip } : null
+            });
+            this.sharedNarrationId = narration.id;
+            manager.showNotification(`Narrating ${planet.pl_name} to the room`, 'info');
+            return manager.getNarrationOffset(narration);
+        } catch (error) {
+            manager.showNotification(`Narration not shared: ${error.message}`, 'warning');
+            return null;
+        }
+    }
+
+    /**
+     * Someone in the room narrates: speak the same text, in step with them
+     * (their bundled recording, else our own speech engine makes the audio)
+     */
+    async playSharedNarration(narration) {
+        if (!this.narrationService || !this.narratorDialog) return;
+
+        const planet = this.planetDataService?.getPlanetByName(narration.planet) || { pl_name: narration.planet };
+        this.narratorDialog.hide();
+        this.sharedNarrationId = narration.id;
+        this.multiplayerManager.showNotification(`🎙️ ${narration.nickname} is narrating ${planet.pl_name}`, 'info');
+
+        this.narratorDialog.showLoadingFor(planet);
+
+        let speech = { audio: null, segments: null };
+        try {
+            const bundled = narration.audio?.clip && await this.narrationService.loadClip(narration.audio.clip);
+            speech = bundled
+                ? { audio: bundled, segments: null }
+                : await this.narrationService.generateNarration(planet, { text: narration.text });
+        } catch (error) {
+            console.warn('⚠️ Shared narration audio unavailable, showing text only:', error.message);
+        }
+
+        // Audio of another length (another speech engine) is off the narrator's timeline:
+        // it isn't seeked and the narrator's segments follow the clock instead
+        const duration = speech.audio && await getAudioDuration(speech.audio);
+        const seek = !!duration && Math.abs(duration - narration.duration) <= CONFIG.multiplayer.narrationSyncTolerance;
+
+        // Stopped, replaced or closed while the audio was being made
+        const manager = this.multiplayerManager;
+        if (this.sharedNarrationId !== narration.id || !manager) return;
+        const offset = manager.getNarrationOffset(narration);
+        if (offset >= narration.duration) {
+            this.narratorDialog.hide();
+            return;
+        }
+
+        // Our own segments match our audio; otherwise the narrator's segments pace the text
+        const segments = seek ? speech.segments : narration.segments;
+        await this.narratorDialog.show(planet, narration.text, speech.audio, segments, {
+            offset,
+            duration: narration.duration,
+            seek
+        });
+    }
+
+    /**
+     * The room's narration (ours or one we listen to) was stopped early, or its narrator left
+     */
+    onSharedNarrationStopped({ id, reason }) {
+        if (this.sharedNarrationId !== id) return;
+        this.narratorDialog.hide();
+        this.multiplayerManager?.showNotification(reason, 'info');
+    }
+
+    /**
+     * The narrator dialog closed: a narration we share ends for the room too
+     */
+    onNarratorHidden() {
+        this.sharedNarrationId = null;
+        if (this.multiplayerManager?.isNarrating()) {
+            this.multiplayerManager.stopNarration().catch(() => {});
+        }
+    }
+
     closeModal() {
         const modal = document.getElementById('planet-modal');
         const overlay = document.getElementById('modal-overlay');
@@ -853,23 +1335,33 @@ class App {
 
         const deltaTime = this.clock.getDelta();
 
+        // Advance simulated time (orbits, spin, clouds)
+        this.simulationClock.update(deltaTime);
 
+        // Flight replay drives the spacecraft, camera and simulated time from the recording
+        const replaying = this.flightRecorder?.isReplaying();
+        if (replaying) {
+            this.flightRecorder.updateReplay(deltaTime);
+        }
 
         // Update all solar system planets
         if (this.planets) {
-            this.planets.forEach(planet => planet.update(deltaTime));
+            this.planets.forEach(planet => planet.update(deltaTime, this.simulationClock));
         }
 
         // Update exoplanet field with spacecraft position for LOD
         if (this.exoplanetField) {
             const spacecraftPos = this.spacecraft ? this.spacecraft.getPosition() : null;
-            this.exoplanetField.update(deltaTime, spacecraftPos);
+            this.exoplanetField.update(deltaTime, spacecraftPos, this.cameraManager.camera);
         }
 
         // Control spacecraft
         if (this.spacecraft) {
             // Steer spacecraft with keyboard and mouse
-            this.spacecraft.steer(this.keys, deltaTime, this.mouse);
+            if (!replaying) {
+                this.teleportManager?.update(); // Autopilot target follows the orbiting planet
+                this.spacecraft.steer(this.keys, deltaTime, this.mouse);
+            }
 
             // Collect potential obstacles/planets for proximity check
             // Filter scene children for objects that look like planets (have planetData)
@@ -879,12 +1371,31 @@ class App {
             this.spacecraft.update(deltaTime, nearbyObjects);
 
             // Update camera to follow spacecraft
-            this.spacecraft.updateCamera(this.cameraManager.camera);
+            if (!replaying) this.spacecraft.updateCamera(this.cameraManager.camera);
+
+            // Capture the frame for the flight recorder
+            this.flightRecorder?.recordFrame(deltaTime);
 
             // Update HUD display
             this.updateHUD();
         }
 
+        // Update simulation time widget
+        if (this.timeControls) {
+            this.timeControls.update();
+        }
+
+        // Update flight recorder controls
+        if (this.flightRecorderPanel) {
+            this.flightRecorderPanel.update();
+        }
+
+        // Advance the guided tour (dwell countdown)
+        if (this.tourService) {
+            this.tourService.update(deltaTime);
+            this.tourPanel.update();
+        }
+
         // Update planet hover info
         if (this.planetHoverInfo) {
             this.planetHoverInfo.update();
@@ -951,14 +1462,17 @@ class App {
 
         console.log(`🚀 Teleporting to ${planet.pl_name}`);
 
-        let targetPosition;
+        // Live position on the planet's orbit (falls back to catalogue coordinates below)
+        let targetPosition = this.exoplanetField?.getPlanetWorldPosition(planet) || null;
 
         // IMPORTANTE: Los planetas ahora están escalados x10000
         const globalScale = 10000;
 
         // Solar system planets use position field
         const isSolarPlanet = planet.hostname === 'Sun';
-        if (isSolarPlanet && planet.position) {
+        if (targetPosition) {
+            console.log('📍 Using live orbital position');
+        } else if (isSolarPlanet && planet.position) {
             targetPosition = new THREE.Vector3(
                 planet.position.x * 10 * globalScale, // sceneScale * globalScale
                 planet.position.y * 10 * globalScale,
@@ -980,19 +1494,24 @@ class App {
             return;
         }
 
+        this.flightRecorder?.recordEvent('teleport', { planet: planet.pl_name });
+
         // Create flash effect overlay
         this.createTeleportFlash();
 
         // Calculate approach position - cerca del planeta pero no dentro
         const planetRadius = (planet.pl_rade || 1.0) * 0.5 * globalScale; // Radio del planeta escalado
         const offset = planetRadius * 1.5; // 1.5x el radio -> Closer arrival per user request
-        const direction = targetPosition.clone().normalize();
-        const approachPosition = targetPosition.clone().sub(direction.multiplyScalar(offset));
-
         // Perform teleport during flash peak (200ms)
         setTimeout(() => {
+            // The planet kept orbiting during the flash - aim at where it is now
+            this.exoplanetField?.getPlanetWorldPosition(planet, targetPosition);
+            const direction = targetPosition.clone().normalize();
+            const approachPosition = targetPosition.clone().sub(direction.multiplyScalar(offset));
+
             // Move spacecraft
             this.spacecraft.group.position.copy(approachPosition);
+            this.multiplayerManager?.notifyTeleport(approachPosition, planet.pl_name, targetPosition.clone().sub(approachPosition).normalize());
 
             // Reset velocity and set safe arrival speed
             if (this.spacecraft.velocity) {
@@ -1156,6 +1675,7 @@ class App {
             });
             console.log('✅ Multiplayer button initialized');
         }
+        this.setupMultiplayerRoomControls();
     }
 
     dispose() {
@@ -1163,6 +1683,13 @@ class App {
         this.rendererManager.dispose();
         this.exoplanetField?.dispose();
         this.dynamicStarField?.dispose();
+        this.timeControls?.dispose();
+        this.flightRecorderPanel?.dispose();
+        this.tourService?.stop();
+        this.tourPanel?.dispose();
+        this.aiCachePanel?.dispose();
+        this.networkDebugOverlay?.dispose();
+        this.chatPanel?.dispose();
     }
 }
 
@@ -0,0 +1,208 @@
+"""
+NASA Exoplanet Binary Cluster Packer
+Converts the enriched cluster JSON files into the compact, streamable
+EXOC columnar format read by src/utils/ClusterStreamDecoder.js.
+
+Drops the per-column NASA metadata the renderer never reads
+(*_reflink, *err1/*err2, *symerr, *str, *lim, *format, *_solnid) -
+except for the columns the AI fact sheet cites (src/ai/PlanetFactSheet.js) -
+and writes planets in fixed-size chunks so the browser can decode and
+render the first planets before the whole file has downloaded.
+
+File layout (all integers little-endian):
+    magic        4 bytes  b'EXOC'
+    version      uint16
+    reserved     uint16
+    header_len   uint32
+    header       header_len bytes of UTF-8 JSON:
+                 { cluster, planet_count, chunk_size, columns: [[name, type], ...] }
+    chunks       repeated until a chunk with row_count == 0:
+        row_count    uint32
+        byte_length  uint32  (payload bytes that follow)
+        payload      one block per column, in header order:
+            'f64'          row_count float64 values (NaN = null)
+            'str' / 'json' row_count uint32 byte lengths, then the UTF-8 bytes
+                           (0xFFFFFFFF = null, 0xFFFFFFFE = key absent)
+
+Updates cluster_index.json with `binary_filename` / `binary_size_mb` so the
+frontend prefers the binary file and falls back to JSON when it is missing.
+"""
+
+import json
+import math
+import os
+import re
+import struct
+import sys
+
+print("📦 NASA Exoplanet Binary Cluster Packer")
+print("=" * 70)
+
+CLUSTERS_DIR = 'nasa_data/clusters'
+INDEX_FILE = os.path.join(CLUSTERS_DIR, 'cluster_index.json')
+
+MAGIC = b'EXOC'
+FORMAT_VERSION = 1
+CHUNK_SIZE = 128
+
+NULL_LENGTH = 0xFFFFFFFF
+ABSENT_LENGTH = 0xFFFFFFFE
+
+# NASA metadata columns that are never read by the frontend
+DROPPED_COLUMN = re.compile(r'(_reflink|err1|err2|symerr|str|lim|format|_solnid)$')
+
+# Uncertainties, limit flags and references kept for grounded AI descriptions
+# (mirrors FACT_FIELDS in src/ai/PlanetFactSheet.js)
+FACT_COLUMNS = ['sy_dist', 'pl_rade', 'pl_bmasse', 'pl_dens', 'pl_orbper', 'pl_orbsmax', 'pl_orbeccen',
+                'pl_insol', 'pl_eqt', 'st_teff', 'st_rad', 'st_mass', 'st_age']
+KEPT_COLUMNS = {f'{column}{suffix}' for column in FACT_COLUMNS for suffix in ('err1', 'err2', 'lim', '_reflink')}
+
+_ABSENT = object()
+
+
+def is_number(value):
+    """True for real numbers (bools are excluded on purpose)."""
+    return isinstance(value, (int, float)) and not isinstance(value, bool)
+
+
+def infer_columns(planets):
+    """
+    Build the ordered column schema for a cluster.
+    A column is 'f64' or 'str' only when every planet carries the key with a
+    matching (or null) value; anything else is stored as 'json'.
+    """
+    order = []
+    seen = {}
+    for planet in planets:
+        for key, value in planet.items():
+            if DROPPED_COLUMN.search(key) and key not in KEPT_COLUMNS:
+                continue
+            if key not in seen:
+                seen[key] = {'count': 0, 'number': True, 'string': True}
+                order.append(key)
+            info = seen[key]
+            info['count'] += 1
+            if value is None:
+                continue
+            if not is_number(value) or (isinstance(value, float) and math.isinf(value)):
+                info['number'] = False
+            if not isinstance(value, str):
+                info['string'] = False
+
+    columns = []
+    for key in order:
+        info = seen[key]
+        complete = info['count'] == len(planets)
+        if complete and info['number']:
+            columns.append([key, 'f64'])
+        elif complete and info['string']:
+            columns.append([key, 'str'])
+        else:
+            columns.append([key, 'json'])
+    return columns
+
+
+def encode_column(rows, name, col_type):
+    """Encode one column of a chunk."""
+    values = [row.get(name, _ABSENT) for row in rows]
+
+    if col_type == 'f64':
+        return b''.join(
+            struct.pack('<d', float('nan') if v is None or (isinstance(v, float) and math.isnan(v)) else float(v))
+            for v in values
+        )
+
+    lengths = []
+    blobs = []
+    for v in values:
+        if v is _ABSENT:
+            lengths.append(ABSENT_LENGTH)
+        elif v is None:
+            lengths.append(NULL_LENGTH)
+        else:
+            text = v if col_type == 'str' else json.dumps(v, separators=(',', ':'), allow_nan=False)
+            data = text.encode('utf-8')
+            lengths.append(len(data))
+            blobs.append(data)
+    return struct.pack(f'<{len(lengths)}I', *lengths) + b''.join(blobs)
+
+
+def clean_value(value):
+    """Replace NaN floats (from pandas) with None so JSON and binary agree."""
+    if isinstance(value, float) and math.isnan(value):
+        return None
+    if isinstance(value, dict):
+        return {k: clean_value(v) for k, v in value.items()}
+    if isinstance(value, list):
+        return [clean_value(v) for v in value]
+    return value
+
+
+def pack_cluster(cluster_name, planets):
+    """Pack a list of planets into EXOC bytes."""
+    planets = [clean_value(p) for p in planets]
+    columns = infer_columns(planets)
+    header = json.dumps({
+        'cluster': cluster_name,
+        'planet_count': len(planets),
+        'chunk_size': CHUNK_SIZE,
+        'columns': columns
+    }, separators=(',', ':')).encode('utf-8')
+
+    parts = [MAGIC, struct.pack('<HHI', FORMAT_VERSION, 0, len(header)), header]
+
+    for start in range(0, len(planets), CHUNK_SIZE):
+        rows = planets[start:start + CHUNK_SIZE]
+        payload = b''.join(encode_column(rows, name, col_type) for name, col_type in columns)
+        parts.append(struct.pack('<II', len(rows), len(payload)))
+        parts.append(payload)
+
+    # End-of-stream marker
+    parts.append(struct.pack('<II', 0, 0))
+    return b''.join(parts)
+
+
+def main():
+    if not os.path.exists(INDEX_FILE):
+        print(f"❌ Cluster index not found: {INDEX_FILE}")
+        sys.exit(1)
+
+    with open(INDEX_FILE, 'r') as f:
+        index = json.load(f)
+
+    packed = 0
+    for cluster_name, entry in index['clusters'].items():
+        json_path = os.path.join(CLUSTERS_DIR, entry.get('filename', f'{cluster_name}.json'))
+        if not os.path.exists(json_path):
+            print(f"  ⚠️  {cluster_name}: {json_path} not found - skipping")
+            continue
+
+        with open(json_path, 'r') as f:
+            planets = json.load(f)
+
+        if not isinstance(planets, list):
+            print(f"  ⚠️  {cluster_name}: unexpected format - skipping")
+            continue
+
+        binary_filename = f'{cluster_name}.bin'
+        data = pack_cluster(cluster_name, planets)
+        with open(os.path.join(CLUSTERS_DIR, binary_filename), 'wb') as f:
+            f.write(data)
+
+        json_size = os.path.getsize(json_path)
+        entry['binary_filename'] = binary_filename
+        entry['binary_size_mb'] = round(len(data) / (1024 * 1024), 2)
+        packed += 1
+
+        ratio = (len(data) / json_size * 100) if json_size else 0
+        print(f"  ✅ {cluster_name}: {len(planets)} planets, "
+              f"{json_size / 1024 / 1024:.2f} MB → {len(data) / 1024 / 1024:.2f} MB ({ratio:.0f}%)")
+
+    with open(INDEX_FILE, 'w') as f:
+        json.dump(index, f, indent=2)
+
+    print(f"\n✨ Packed {packed} clusters, updated {INDEX_FILE}")
+
+
+if __name__ == "__main__":
+    main()
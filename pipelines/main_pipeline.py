@@ -84,6 +84,11 @@ class PipelineOrchestrator:
                 'name': 'Step 3: Enrich Characteristics',
                 'script': 'pipelines/data_processing/03_enrich_characteristics.py',
                 'description': 'Add planet characteristics and coordinate systems'
+            },
+            {
+                'name': 'Step 6: Pack Binary Clusters',
+                'script': 'pipelines/data_processing/06_pack_binary_clusters.py',
+                'description': 'Write compact streamable .bin clusters for the frontend'
             }
         ]
         
@@ -106,6 +111,7 @@ class PipelineOrchestrator:
             self.log("\n📁 Output files:")
             self.log(f"   • nasa_data/nasa_exoplanets_frontend.json")
             self.log(f"   • nasa_data/clusters/*.json (17 cluster files)")
+            self.log(f"   • nasa_data/clusters/*.bin (binary clusters)")
             self.log(f"   • nasa_data/clusters/cluster_index.json")
             return True
         else:
@@ -113,7 +119,7 @@ class PipelineOrchestrator:
             return False
     
     def run_single_step(self, step_number):
-        """Run a single pipeline step by number (0-3)."""
+        """Run a single pipeline step by number (0-3, 6)."""
         steps = {
             0: {
                 'name': 'Download NASA Data',
@@ -134,12 +140,17 @@ class PipelineOrchestrator:
                 'name': 'Enrich Characteristics',
                 'script': 'pipelines/data_processing/03_enrich_characteristics.py',
                 'description': 'Add planet characteristics and coordinate systems'
+            },
+            6: {
+                'name': 'Pack Binary Clusters',
+                'script': 'pipelines/data_processing/06_pack_binary_clusters.py',
+                'description': 'Write compact streamable .bin clusters for the frontend'
             }
         }
         
         if step_number not in steps:
             self.log(f"❌ Invalid step number: {step_number}")
-            self.log(f"Valid steps: 0, 1, 2, 3")
+            self.log(f"Valid steps: 0, 1, 2, 3, 6")
             return False
         
         step = steps[step_number]
@@ -165,6 +176,7 @@ Examples:
   python main_pipeline.py --step 1  # Convert data
   python main_pipeline.py --step 2  # Cluster planets
   python main_pipeline.py --step 3  # Enrich data
+  python main_pipeline.py --step 6  # Pack binary clusters
   
   # Show pipeline info
   python main_pipeline.py --info
@@ -173,8 +185,8 @@ Examples:
     
     parser.add_argument('--full', action='store_true', 
                        help='Run the complete pipeline')
-    parser.add_argument('--step', type=int, choices=[0, 1, 2, 3],
-                       help='Run a specific step (0-3)')
+    parser.add_argument('--step', type=int, choices=[0, 1, 2, 3, 6],
+                       help='Run a specific step (0-3, 6)')
     parser.add_argument('--info', action='store_true',
                        help='Show pipeline information')
     parser.add_argument('--data-dir', default='../nasa_data',
@@ -214,6 +226,12 @@ Examples:
    • Purpose: Add planet characteristics and coordinate systems
    • Duration: ~1-2 minutes
 
+6️⃣  Pack Binary Clusters (06_pack_binary_clusters.py)
+   • Reads: nasa_data/clusters/*.json
+   • Outputs: nasa_data/clusters/*.bin + binary_filename in cluster_index.json
+   • Purpose: ~10x smaller columnar files, streamed chunk by chunk in the browser
+   • Duration: ~10-30 seconds
+
 📊 Total Pipeline Time: ~4-7 minutes
 📁 Total Planets Processed: Latest from NASA
 
@@ -0,0 +1,63 @@
+/**
+ * AI Proxy Server
+ * Standalone HTTP server for the AI proxy (see ai-proxy.js)
+ * Keys come from the server environment (.env: OPENAI_API_KEY, ELEVENLABS_API_KEY),
+ * never from VITE_* variables, so they stay out of the browser bundle.
+ */
+
+import 'dotenv/config'; // Load .env before CONFIG reads the environment
+import express from 'express';
+import { createAIProxy } from './ai-proxy.js';
+import { createLLMProvider } from '../src/ai/providers/createLLMProvider.js';
+import { createTranscriber } from '../src/ai/speech/createSpeechToTextProvider.js';
+import { createLocalTTSEngine } from './local-tts-engine.js';
+import { CONFIG } from '../src/config/config.js';
+
+const PORT = CONFIG.aiProxy.port;
+
+// Upstream override, e.g. AI_PROXY_LLM_PROVIDER=mock for demos without a key
+const provider = createLLMProvider({ provider: process.env.AI_PROXY_LLM_PROVIDER || undefined });
+
+const app = express();
+app.set('trust proxy', process.env.AI_PROXY_TRUST_PROXY === 'true'); // Behind a reverse proxy, rate limit by X-Forwarded-For
+
+app.use('/api/ai', createAIProxy({
+    provider,
+    elevenLabsUrl: process.env.ELEVENLABS_BASE_URL || undefined,
+    // Speech-to-text for push-to-talk: 'openai' (or OPENAI_TRANSCRIBE_URL) | 'mock', mock follows a mock LLM
+    transcriber: createTranscriber({
+        provider: process.env.AI_PROXY_STT_PROVIDER || (provider.name === 'mock' ? 'mock' : 'openai')
+    }),
+    // Offline voice for the browser's fallback chain: espeak-ng (or any compatible command) | mock | off
+    localTTS: createLocalTTSEngine(process.env.AI_PROXY_LOCAL_TTS || (provider.name === 'mock' ? 'mock' : 'espeak-ng')),
+    rateLimit: {
+        text: Number(process.env.AI_PROXY_RATE_LIMIT) || 30,
+        speech: Number(process.env.AI_PROXY_TTS_RATE_LIMIT) || 10
+    },
+    cache: {
+        maxEntries: Number(process.env.AI_PROXY_CACHE_ENTRIES) || 500,
+        ttlMs: (Number(process.env.AI_PROXY_CACHE_TTL_HOURS) || 24) * 3600 * 1000
+    },
+    corsOrigin: process.env.AI_PROXY_CORS_ORIGIN || null,
+    // Public deployments: the app's origins, comma-separated (see the trust model in ai-proxy.js)
+    allowedOrigins: process.env.AI_PROXY_ALLOWED_ORIGINS?.split(',').map(origin => origin.trim()).filter(Boolean) || null
+}));
+
+// Health check
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+});
+
+const httpServer = app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🤖 AI proxy running on port ${PORT}`);
+    console.log(`🌐 Local: http://localhost:${PORT}/api/ai/status`);
+});
+
+// Graceful shutdown
+process.on('SIGINT', () => {
+    console.log('\n🛑 Shutting down AI proxy...');
+    httpServer.close(() => {
+        console.log('✓ Server closed');
+        process.exit(0);
+    });
+});
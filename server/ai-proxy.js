@@ -0,0 +1,445 @@
+/**
+ * AI Proxy
+ * Express router that keeps the OpenAI / ElevenLabs keys on the server.
+ * The browser reaches it through ProxyLLMProvider and ElevenLabsService's
+ * proxy mode (CONFIG.aiProxy.url), so no key is bundled into the client.
+ *
+ *   GET  /status       upstream provider, model, TTS availability, cache stats
+ *   POST /description  { planet } -> { text } grounded description (OpenAIService)
+ *   POST /insights     { planet } -> { text } characteristics questions
+ *   POST /chat         { messages, tools?, temperature?, maxTokens?, stream? }
+ *                      -> { text }, or NDJSON events { type: 'text' | 'tool_call' | 'error' }
+ *   POST /tts          { text, voiceId?, model?, stability?, ... } -> audio/mpeg
+ *   POST /speak        { text, gender?, rate?, pitch? } -> audio/wav from the local engine (no key)
+ *   POST /transcribe   recorded speech (audio/webm, ogg, mp4, ...), ?language=en-US -> { text }
+ *
+ * Each client (by IP) has its own per-minute limit for text and for speech,
+ * identical requests are answered from an in-memory cache, and every request
+ * is logged with its status, duration and cache result.
+ *
+ * Trust model: /chat takes the caller's own messages, system prompts
+ * included, so anyone who can reach the proxy can use the upstream key for
+ * general completions within the rate limit. Keep it on a private network,
+ * or list the app's origins (allowedOrigins): POSTs from any other origin,
+ * or without one, are refused. Origin only holds browsers back - scripts
+ * can send any header, so the rate limits stay the backstop.
+ */
+
+import express from 'express';
+import { createHash } from 'crypto';
+import { CONFIG } from '../src/config/config.js';
+import { createLLMProvider } from '../src/ai/providers/createLLMProvider.js';
+import OpenAIService from '../src/ai/OpenAIService.js';
+import ElevenLabsService from '../src/ai/ElevenLabsService.js';
+import { PlanetFactSheet } from '../src/ai/PlanetFactSheet.js';
+import { createTranscriber } from '../src/ai/speech/createSpeechToTextProvider.js';
+import { RateLimiter } from './rate-limiter.js';
+
+const LIMITS = {
+    body: '200kb',
+    messages: 24,
+    messageChars: 8000,
+    tools: 16,
+    maxTokens: 600,
+    ttsChars: 1500,
+    audio: '5mb' // About a minute of compressed speech
+};
+
+const ROLES = new Set(['system', 'user', 'assistant', 'tool']);
+const TTS_MODEL = /^[\w.-]{1,64}$/;
+const VOICE_ID = /^[A-Za-z0-9]{8,40}$/;
+const LANGUAGE = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+
+export { RateLimiter }; // Moved to rate-limiter.js (shared with the multiplayer server)
+
+/**
+ * Error with the HTTP status to answer with
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * In-memory LRU cache with a time to live
+ */
+export class ResponseCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxEntries - Oldest entries are dropped above this (0 = no cache)
+     * @param {number} options.ttlMs - Entry lifetime
+     */
+    constructor({ maxEntries = 500, ttlMs = 24 * 3600 * 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.ttlMs = ttlMs;
+        this.entries = new Map(); // key -> { value, expires }, in recency order
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    static key(kind, value) {
+        return `${kind}:${createHash('sha256').update(JSON.stringify(value)).digest('hex')}`;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || Date.now() > entry.expires) {
+            if (entry) this.entries.delete(key);
+            this.misses++;
+            return undefined;
+        }
+
+        // Move to the back (most recently used)
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry.value;
+    }
+
+    set(key, value) {
+        if (!this.maxEntries) return;
+        this.entries.delete(key);
+        this.entries.set(key, { value, expires: Date.now() + this.ttlMs });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    getStats() {
+        return { entries: this.entries.size, hits: this.hits, misses: this.misses };
+    }
+}
+
+// ==================== VALIDATION ====================
+
+function validatePlanet(planet) {
+    if (!planet || typeof planet !== 'object' || Array.isArray(planet)) {
+        throw new HttpError(400, 'Expected { planet: { pl_name, ... } }');
+    }
+    if (typeof (planet.pl_name || planet.name) !== 'string') {
+        throw new HttpError(400, 'Planet needs a pl_name or name');
+    }
+    return planet;
+}
+
+function validateChat(body) {
+    const { messages, tools = [], stream = false } = body || {};
+
+    if (!Array.isArray(messages) || messages.length === 0 || messages.length > LIMITS.messages) {
+        throw new HttpError(400, `Expected 1-${LIMITS.messages} messages`);
+    }
+    for (const message of messages) {
+        if (!ROLES.has(message?.role)) {
+            throw new HttpError(400, 'Unknown message role');
+        }
+        if (message.content !== null && message.content !== undefined && typeof message.content !== 'string') {
+            throw new HttpError(400, 'Message content must be text');
+        }
+        if ((message.content?.length || 0) > LIMITS.messageChars) {
+            throw new HttpError(413, `Messages are limited to ${LIMITS.messageChars} characters`);
+        }
+    }
+    if (!Array.isArray(tools) || tools.length > LIMITS.tools || tools.some(tool => typeof tool?.name !== 'string')) {
+        throw new HttpError(400, `Expected up to ${LIMITS.tools} tools with names`);
+    }
+
+    return {
+        messages,
+        tools: stream ? tools : [], // Tool calls only come back as stream events
+        stream: !!stream,
+        temperature: clamp(body.temperature, 0, 1.5),
+        maxTokens: Math.round(clamp(body.maxTokens, 1, LIMITS.maxTokens) ?? LIMITS.maxTokens)
+    };
+}
+
+function validateSpeech(body) {
+    const { text, voiceId, model, stability, similarityBoost, style, useSpeakerBoost } = body || {};
+
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new HttpError(400, 'Expected { text }');
+    }
+    if (text.length > LIMITS.ttsChars) {
+        throw new HttpError(413, `Speech is limited to ${LIMITS.ttsChars} characters per request`);
+    }
+
+    const settings = {};
+    if (VOICE_ID.test(voiceId || '')) settings.voiceId = voiceId;
+    if (TTS_MODEL.test(model || '')) settings.model = model;
+    for (const [key, value] of Object.entries({ stability, similarityBoost, style })) {
+        const number = clamp(value, 0, 1);
+        if (number !== undefined) settings[key] = number;
+    }
+    if (typeof useSpeakerBoost === 'boolean') settings.useSpeakerBoost = useSpeakerBoost;
+
+    return { text, settings };
+}
+
+function validateLocalSpeech(body) {
+    const { text, gender, rate, pitch } = body || {};
+
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new HttpError(400, 'Expected { text }');
+    }
+    if (text.length > LIMITS.ttsChars) {
+        throw new HttpError(413, `Speech is limited to ${LIMITS.ttsChars} characters per request`);
+    }
+
+    return {
+        text,
+        voice: {
+            gender: gender === 'male' ? 'male' : 'female',
+            rate: clamp(rate, 0.5, 2) ?? 1,
+            pitch: clamp(pitch, 0.5, 2) ?? 1
+        }
+    };
+}
+
+function validateRecording(req) {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw new HttpError(400, 'Expected recorded audio (Content-Type: audio/*)');
+    }
+
+    const language = typeof req.query.language === 'string' && LANGUAGE.test(req.query.language)
+        ? req.query.language
+        : undefined;
+    return { audio: req.body, mimeType: req.get('Content-Type'), language };
+}
+
+function clamp(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : undefined;
+}
+
+/**
+ * Status and message for an upstream failure (keys and upstream details stay in the log)
+ */
+function describeUpstreamError(error) {
+    if (error instanceof HttpError) return error;
+    if (error.status === 429 || /\b429\b|rate limit/i.test(error.message)) {
+        return new HttpError(429, 'Upstream rate limit reached, try again shortly');
+    }
+    if (error.status === 401 || error.status === 403 || /\b40[13]\b/.test(error.message)) {
+        return new HttpError(502, 'The AI proxy is misconfigured (upstream rejected its credentials)');
+    }
+    return new HttpError(502, 'Upstream request failed');
+}
+
+// ==================== ROUTER ====================
+
+/**
+ * Build the proxy router (mount it with app.use('/api/ai', createAIProxy()))
+ * @param {Object} options
+ * @param {LLMProvider} options.provider - Upstream text backend (default: CONFIG.llm provider)
+ * @param {string|null} options.elevenLabsKey - Upstream TTS key (default: CONFIG.elevenLabs.apiKey)
+ * @param {string} options.elevenLabsUrl - ElevenLabs API root (tests point it at a fake)
+ * @param {Object|null} options.transcriber - Speech-to-text backend with transcribe(audio, { mimeType, language })
+ *                                            (default: OpenAI audio transcriptions, see createTranscriber)
+ * @param {Object|null} options.localTTS - Offline speech engine with synthesize(text, voice) -> WAV Buffer
+ *                                         (see local-tts-engine.js, default: none)
+ * @param {Object} options.rateLimit - { text, speech } requests per client per minute
+ * @param {Object} options.cache - { maxEntries, ttlMs }
+ * @param {string|null} options.corsOrigin - Allowed browser origin when not served same-origin
+ * @param {string[]|null} options.allowedOrigins - Origins whose pages may POST (default: any caller)
+ * @param {boolean} options.log - Log each request (default: true)
+ */
+export function createAIProxy(options = {}) {
+    const provider = options.provider || createLLMProvider();
+    if (provider.name === 'proxy') {
+        throw new Error('The AI proxy needs a real upstream provider (LLM_PROVIDER=openai|local|mock)');
+    }
+
+    const openAI = new OpenAIService(null, provider, null, null); // Prompts only - caching happens here
+    const elevenLabsKey = options.elevenLabsKey !== undefined ? options.elevenLabsKey : CONFIG.elevenLabs.apiKey;
+    const transcriber = options.transcriber !== undefined ? options.transcriber : createTranscriber();
+    const canTranscribe = !!transcriber && (transcriber.isConfigured?.() ?? true);
+    const localTTS = options.localTTS || null;
+    const limiters = {
+        text: new RateLimiter({ max: options.rateLimit?.text ?? 30 }),
+        speech: new RateLimiter({ max: options.rateLimit?.speech ?? 10 })
+    };
+    const cache = new ResponseCache(options.cache);
+    const log = options.log !== false;
+
+    const router = express.Router();
+    router.use(express.json({ limit: LIMITS.body }));
+
+    // Request log: method, path, status, duration, client and cache result
+    router.use((req, res, next) => {
+        const start = Date.now();
+        res.on('finish', () => {
+            if (!log) return;
+            const cacheState = res.locals.cache ? `, cache ${res.locals.cache}` : '';
+            console.log(`📡 ${req.method} ${req.baseUrl}${req.path} → ${res.statusCode} in ${Date.now() - start}ms (${req.ip}${cacheState})`);
+        });
+        next();
+    });
+
+    if (options.corsOrigin) {
+        router.use((req, res, next) => {
+            res.set('Access-Control-Allow-Origin', options.corsOrigin);
+            res.set('Access-Control-Allow-Headers', 'Content-Type');
+            res.set('Access-Control-Allow-Methods', 'GET, POST');
+            if (req.method === 'OPTIONS') return res.sendStatus(204);
+            next();
+        });
+    }
+
+    // Public deployments: only the app's own pages spend the upstream keys
+    if (options.allowedOrigins?.length) {
+        const allowed = new Set(options.allowedOrigins);
+        router.use((req, res, next) => {
+            if (req.method !== 'POST' || allowed.has(req.get('Origin'))) return next();
+            res.status(403).json({ error: 'This origin may not use the AI proxy' });
+        });
+    }
+
+    const limit = (group) => (req, res, next) => {
+        const { allowed, retryAfter } = limiters[group].take(req.ip);
+        if (allowed) return next();
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({ error: `Too many requests, try again in ${retryAfter}s` });
+    };
+
+    /**
+     * Answer from the cache, or produce, cache and send the value
+     */
+    const cached = async (res, key, produce, send) => {
+        let value = cache.get(key);
+        res.locals.cache = value === undefined ? 'miss' : 'hit';
+        if (value === undefined) {
+            value = await produce();
+            cache.set(key, value);
+        }
+        send(value);
+    };
+
+    router.get('/status', (req, res) => {
+        res.json({
+            llm: { provider: provider.name, model: openAI.config.model, configured: openAI.enabled },
+            tts: !!elevenLabsKey,
+            localTts: localTTS?.name || null,
+            transcription: canTranscribe,
+            cache: cache.getStats()
+        });
+    });
+
+    router.post('/description', limit('text'), async (req, res) => {
+        const planet = validatePlanet(req.body?.planet);
+        const prompt = openAI.buildPrompt(planet, PlanetFactSheet.fromPlanet(planet));
+
+        await cached(res, ResponseCache.key('description', prompt),
+            async () => (await openAI.generateGroundedDescription(planet, false)).text,
+            text => res.json({ text }));
+    });
+
+    router.post('/insights', limit('text'), async (req, res) => {
+        const planet = validatePlanet(req.body?.planet);
+
+        await cached(res, ResponseCache.key('insights', openAI.buildInsightsPrompt(planet)),
+            () => openAI.generateCharacteristicsInsights(planet, false),
+            text => res.json({ text }));
+    });
+
+    router.post('/chat', limit('text'), async (req, res) => {
+        const { messages, tools, stream, temperature, maxTokens } = validateChat(req.body);
+
+        if (!stream) {
+            await cached(res, ResponseCache.key('chat', { messages, temperature, maxTokens }),
+                () => provider.chat(messages, { temperature, maxTokens }),
+                text => res.json({ text }));
+            return;
+        }
+
+        // Stop the upstream request when the browser goes away (cancelled answer)
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        const requestOptions = { temperature, maxTokens, signal: controller.signal };
+        res.type('application/x-ndjson');
+
+        try {
+            if (tools.length > 0) {
+                for await (const event of provider.streamWithTools(messages, tools, requestOptions)) {
+                    res.write(`${JSON.stringify(event)}\n`);
+                }
+            } else {
+                for await (const text of provider.stream(messages, requestOptions)) {
+                    res.write(`${JSON.stringify({ type: 'text', text })}\n`);
+                }
+            }
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error('❌ AI proxy stream failed:', error.message);
+            const { status, message } = describeUpstreamError(error);
+            res.write(`${JSON.stringify({ type: 'error', status, message })}\n`);
+        }
+        res.end();
+    });
+
+    router.post('/tts', limit('speech'), async (req, res) => {
+        if (!elevenLabsKey) {
+            throw new HttpError(503, 'Text-to-speech is not configured on the server');
+        }
+
+        const { text, settings } = validateSpeech(req.body);
+
+        await cached(res, ResponseCache.key('tts', { settings, text }),
+            async () => {
+                // One service per request - configure() would leak settings between clients
+                const elevenLabs = new ElevenLabsService(elevenLabsKey, null, { baseUrl: options.elevenLabsUrl });
+                elevenLabs.configure(settings);
+                const audio = await elevenLabs.textToSpeech(text, false);
+                return Buffer.from(await audio.arrayBuffer());
+            },
+            audio => res.type('audio/mpeg').send(audio));
+    });
+
+    router.post('/speak', limit('speech'), async (req, res) => {
+        if (!localTTS) {
+            throw new HttpError(503, 'No local speech engine on the server');
+        }
+
+        const { text, voice } = validateLocalSpeech(req.body);
+
+        await cached(res, ResponseCache.key('speak', { voice, text }),
+            async () => {
+                try {
+                    return await localTTS.synthesize(text, voice);
+                } catch (error) {
+                    if (error.code === 'unsupported') throw new HttpError(503, 'The local speech engine is not installed on the server');
+                    throw error;
+                }
+            },
+            audio => res.type('audio/wav').send(audio));
+    });
+
+    // Speech shares the TTS limit; recordings are never cached (each one is unique)
+    router.post('/transcribe', limit('speech'),
+        express.raw({ type: ['audio/*', 'application/octet-stream'], limit: LIMITS.audio }),
+        async (req, res) => {
+            if (!canTranscribe) {
+                throw new HttpError(503, 'Speech-to-text is not configured on the server');
+            }
+
+            const { audio, mimeType, language } = validateRecording(req);
+            const text = await transcriber.transcribe(audio, { mimeType, language });
+            res.json({ text });
+        });
+
+    // JSON errors for everything above (validation, upstream failures, bad JSON bodies)
+    router.use((error, req, res, next) => {
+        const known = error instanceof HttpError || error.type === 'entity.parse.failed' || error.type === 'entity.too.large';
+        if (!known) console.error(`❌ AI proxy ${req.path} failed:`, error.message);
+
+        const { status, message } = known ? error : describeUpstreamError(error);
+        if (res.headersSent) return res.end();
+        res.status(status).json({ error: message });
+    });
+
+    return router;
+}
+
+export default createAIProxy;
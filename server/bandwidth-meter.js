@@ -0,0 +1,95 @@
+/**
+ * Bandwidth Meter
+ * Bytes in and out per socket.io connection, counted on the engine.io packets
+ * (so binary attachments, pings and polling all count), with rates over a
+ * fixed window. The multiplayer server shows them on /status.
+ */
+
+/**
+ * Size of an engine.io packet on the wire (type byte + payload)
+ */
+function packetSize(packet) {
+    const data = packet.data;
+    if (typeof data === 'string') return 1 + Buffer.byteLength(data);
+    return 1 + (data?.byteLength || 0);
+}
+
+export class BandwidthMeter {
+    /**
+     * @param {Object} options
+     * @param {number} options.windowMs - Window the per-second rates are measured over
+     */
+    constructor({ windowMs = 5000 } = {}) {
+        this.windowMs = windowMs;
+        this.sockets = new Map(); // socket id -> counter
+    }
+
+    /**
+     * Start counting a socket's traffic
+     */
+    track(socket, now = Date.now()) {
+        const counter = {
+            bytesIn: 0,
+            bytesOut: 0,
+            packetsIn: 0,
+            packetsOut: 0,
+            window: { start: now, bytesIn: 0, bytesOut: 0 },
+            inPerSecond: 0,
+            outPerSecond: 0
+        };
+        this.sockets.set(socket.id, counter);
+
+        socket.conn.on('packet', (packet) => this.count(counter, 'In', packetSize(packet)));
+        socket.conn.on('packetCreate', (packet) => this.count(counter, 'Out', packetSize(packet)));
+    }
+
+    count(counter, direction, bytes, now = Date.now()) {
+        this.roll(counter, now);
+        counter[`bytes${direction}`] += bytes;
+        counter[`packets${direction}`]++;
+        counter.window[`bytes${direction}`] += bytes;
+    }
+
+    /**
+     * Close the window once it's over: its totals become the rates
+     */
+    roll(counter, now) {
+        const elapsed = now - counter.window.start;
+        if (elapsed < this.windowMs) return;
+
+        const seconds = elapsed / 1000; // Longer than the window after idle time
+        counter.inPerSecond = Math.round(counter.window.bytesIn / seconds);
+        counter.outPerSecond = Math.round(counter.window.bytesOut / seconds);
+        counter.window = { start: now, bytesIn: 0, bytesOut: 0 };
+    }
+
+    /**
+     * @returns {{ bytesIn, bytesOut, packetsIn, packetsOut, inPerSecond, outPerSecond }|null}
+     */
+    get(socketId, now = Date.now()) {
+        const counter = this.sockets.get(socketId);
+        if (!counter) return null;
+
+        this.roll(counter, now);
+        const { window, ...totals } = counter;
+        return totals;
+    }
+
+    /**
+     * Sums over all sockets
+     */
+    totals(now = Date.now()) {
+        const sum = { bytesIn: 0, bytesOut: 0, inPerSecond: 0, outPerSecond: 0 };
+        this.sockets.forEach((counter, socketId) => {
+            const current = this.get(socketId, now);
+            Object.keys(sum).forEach(key => { sum[key] += current[key]; });
+        });
+        return sum;
+    }
+
+    forget(socketId) {
+        this.sockets.delete(socketId);
+    }
+}
+
+export default BandwidthMeter;
@@ -0,0 +1,114 @@
+/**
+ * Local TTS Engine
+ * Offline speech for the AI proxy's /speak route, so narration keeps a voice
+ * without an ElevenLabs key. Runs espeak-ng (or espeak) once per request:
+ * the text goes in on stdin - never on the command line - and a WAV comes
+ * back on stdout.
+ *
+ * Voice mapping matches the browser engine (TextToSpeechProvider.voiceProfile):
+ *   gender -> voice variant (+f3 / +m3)
+ *   rate   -> words per minute, 1 = 175
+ *   pitch  -> 0-99, 1 = 50
+ */
+
+import { spawn } from 'child_process';
+import { CONFIG } from '../src/config/config.js';
+import { MockTTSProvider } from '../src/ai/tts/MockTTSProvider.js';
+
+const BASE_WPM = 175;
+const BASE_PITCH = 50;
+const MAX_STDERR = 2000;
+
+export class LocalTTSEngine {
+    /**
+     * @param {Object} options
+     * @param {string} options.command - espeak-ng compatible executable
+     * @param {string} options.language - BCP 47 tag, e.g. 'en-US'
+     * @param {number} options.timeout - ms before a request is killed
+     */
+    constructor({ command = 'espeak-ng', language = CONFIG.speech.language, timeout = 15000 } = {}) {
+        this.name = command;
+        this.command = command;
+        this.language = language.toLowerCase();
+        this.timeout = timeout;
+    }
+
+    /**
+     * Command line for a voice ({ gender, rate, pitch } from the /speak body)
+     */
+    args({ gender = 'female', rate = 1, pitch = 1 } = {}) {
+        return [
+            '--stdin',
+            '--stdout',
+            '-v', `${this.language}+${gender === 'male' ? 'm3' : 'f3'}`,
+            '-s', String(Math.round(BASE_WPM * rate)),
+            '-p', String(Math.min(99, Math.max(0, Math.round(BASE_PITCH * pitch))))
+        ];
+    }
+
+    /**
+     * @param {string} text
+     * @param {Object} voice - { gender, rate, pitch }
+     * @returns {Promise<Buffer>} audio/wav
+     */
+    synthesize(text, voice = {}) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.command, this.args(voice), { stdio: ['pipe', 'pipe', 'pipe'] });
+            const chunks = [];
+            let stderr = '';
+
+            const timer = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new Error(`${this.command} took longer than ${this.timeout}ms`));
+            }, this.timeout);
+
+            child.stdout.on('data', chunk => chunks.push(chunk));
+            child.stderr.on('data', chunk => {
+                stderr = (stderr + chunk).slice(-MAX_STDERR);
+            });
+            child.on('error', error => {
+                clearTimeout(timer);
+                if (error.code === 'ENOENT') {
+                    const missing = new Error(`${this.command} is not installed`);
+                    missing.code = 'unsupported';
+                    reject(missing);
+                } else {
+                    reject(error);
+                }
+            });
+            child.on('close', code => {
+                clearTimeout(timer);
+                const audio = Buffer.concat(chunks);
+                if (code === 0 && audio.length > 44) {
+                    resolve(audio);
+                } else {
+                    reject(new Error(`${this.command} exited with ${code}${stderr ? `: ${stderr.trim()}` : ''}`));
+                }
+            });
+
+            child.stdin.on('error', () => {}); // Reported through 'error' / 'close'
+            child.stdin.end(text);
+        });
+    }
+}
+
+/**
+ * Engine selected by AI_PROXY_LOCAL_TTS
+ * @param {string} name - 'espeak-ng' | 'espeak' | any compatible command, 'mock', or 'off'
+ * @returns {{name: string, synthesize: Function}|null}
+ */
+export function createLocalTTSEngine(name = 'espeak-ng') {
+    if (!name || name === 'off') return null;
+
+    if (name === 'mock') {
+        const mock = new MockTTSProvider();
+        return {
+            name: 'mock',
+            synthesize: async (text, voice) => Buffer.from(await (await mock.synthesize(text, { voice })).arrayBuffer())
+        };
+    }
+
+    return new LocalTTSEngine({ command: name });
+}
+
+export default LocalTTSEngine;
@@ -0,0 +1,48 @@
+/**
+ * Multiplayer Chat History
+ * The last messages of every room, replayed to players when they join it
+ * (init and roomJoined carry chatHistory). A room's history goes when the
+ * room closes; the lobby keeps its own.
+ */
+
+import { CONFIG } from '../src/config/config.js';
+
+export class ChatHistory {
+    /**
+     * @param {Object} options
+     * @param {number} options.size - Messages kept per room
+     */
+    constructor({ size = CONFIG.multiplayer.chatHistorySize } = {}) {
+        this.size = size;
+        this.rooms = new Map(); // room code -> messages, oldest first
+        this.nextId = 1;
+    }
+
+    /**
+     * Store a message
+     * @param {string} roomCode
+     * @param {Object} message - { playerId, nickname, message, timestamp }
+     * @returns {Object} The message with its id
+     */
+    add(roomCode, message) {
+        const entry = { id: this.nextId++, ...message };
+        const messages = this.rooms.get(roomCode) || [];
+        messages.push(entry);
+        if (messages.length > this.size) messages.shift();
+        this.rooms.set(roomCode, messages);
+        return entry;
+    }
+
+    /**
+     * @returns {Array<Object>} Copy of the room's messages, oldest first
+     */
+    get(roomCode) {
+        return [...(this.rooms.get(roomCode) || [])];
+    }
+
+    clear(roomCode) {
+        this.rooms.delete(roomCode);
+    }
+}
+
+export default ChatHistory;
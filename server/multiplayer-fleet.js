@@ -0,0 +1,145 @@
+/**
+ * Multiplayer Fleets
+ * Group flight within a room: players follow a leader and fly in the leader's
+ * formation (CONFIG.multiplayer.fleetFormations). The server only keeps who
+ * follows whom and in which slot - followers place themselves with their own
+ * autopilot (src/multiplayer/FleetController.js).
+ *
+ * Fleets are flat: following a follower joins their leader's fleet, and a
+ * leader who starts following someone brings their followers along. Slots are
+ * the order followers joined in and close up when someone leaves.
+ */
+
+import { RoomError } from './multiplayer-rooms.js';
+import { CONFIG } from '../src/config/config.js';
+
+export class FleetManager {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.formations - Formation names, the first is the default
+     */
+    constructor({ formations = CONFIG.multiplayer.fleetFormations } = {}) {
+        this.formations = formations;
+        this.fleets = new Map(); // leader id -> { leaderId, formation, followers: [ids in slot order] }
+        this.leaders = new Map(); // follower id -> leader id
+        this.chosenFormations = new Map(); // leader id -> formation, kept while they have no followers
+    }
+
+    /**
+     * @returns {string|null} Who the player follows
+     */
+    leaderOf(playerId) {
+        return this.leaders.get(playerId) || null;
+    }
+
+    /**
+     * @returns {string[]} The player's followers in slot order (empty if not a leader)
+     */
+    followersOf(leaderId) {
+        return [...(this.fleets.get(leaderId)?.followers || [])];
+    }
+
+    /**
+     * Join a player's fleet (the room check is the caller's)
+     * @returns {Object} The fleet joined, see describe()
+     */
+    follow(followerId, leaderId) {
+        if (followerId === leaderId) {
+            throw new RoomError('invalid', 'You cannot follow yourself');
+        }
+        const rootId = this.leaderOf(leaderId) || leaderId;
+        if (rootId === followerId) {
+            throw new RoomError('invalid', 'That player is already following you');
+        }
+
+        const ownFollowers = this.followersOf(followerId);
+        this.removeFollower(followerId);
+        this.fleets.delete(followerId);
+
+        let fleet = this.fleets.get(rootId);
+        if (!fleet) {
+            fleet = { leaderId: rootId, formation: this.getFormation(rootId), followers: [] };
+            this.fleets.set(rootId, fleet);
+        }
+        [followerId, ...ownFollowers].forEach(id => {
+            fleet.followers.push(id);
+            this.leaders.set(id, rootId);
+        });
+        return this.describe(fleet);
+    }
+
+    /**
+     * Leave the current fleet
+     * @returns {string|null} The leader that was followed
+     */
+    unfollow(followerId) {
+        return this.removeFollower(followerId);
+    }
+
+    removeFollower(followerId) {
+        const leaderId = this.leaderOf(followerId);
+        if (!leaderId) return null;
+
+        this.leaders.delete(followerId);
+        const fleet = this.fleets.get(leaderId);
+        fleet.followers = fleet.followers.filter(id => id !== followerId);
+        if (fleet.followers.length === 0) this.fleets.delete(leaderId);
+        return leaderId;
+    }
+
+    /**
+     * Change a leader's formation (also before anyone follows them)
+     * @returns {string} The formation
+     */
+    setFormation(leaderId, formation) {
+        if (!this.formations.includes(formation)) {
+            throw new RoomError('invalid', `Formation must be one of: ${this.formations.join(', ')}`);
+        }
+        if (this.leaderOf(leaderId)) {
+            throw new RoomError('not-leader', 'Only the fleet leader picks the formation');
+        }
+
+        this.chosenFormations.set(leaderId, formation);
+        const fleet = this.fleets.get(leaderId);
+        if (fleet) fleet.formation = formation;
+        return formation;
+    }
+
+    getFormation(leaderId) {
+        return this.chosenFormations.get(leaderId) || this.formations[0];
+    }
+
+    /**
+     * Take a player out of every fleet (room move, disconnect): their followers are released
+     * @returns {boolean} Whether any fleet changed
+     */
+    removePlayer(playerId) {
+        const followed = this.removeFollower(playerId);
+        const led = this.fleets.get(playerId);
+        if (led) {
+            led.followers.forEach(id => this.leaders.delete(id));
+            this.fleets.delete(playerId);
+        }
+        this.chosenFormations.delete(playerId);
+        return !!followed || !!led;
+    }
+
+    /**
+     * The fleets led by members of a room
+     * @param {Set<string>} memberIds
+     */
+    list(memberIds) {
+        return [...this.fleets.values()]
+            .filter(fleet => memberIds.has(fleet.leaderId))
+            .map(fleet => this.describe(fleet));
+    }
+
+    /**
+     * What clients get: { leaderId, formation, followers } (slot = index)
+     */
+    describe(fleet) {
+        return { leaderId: fleet.leaderId, formation: fleet.formation, followers: [...fleet.followers] };
+    }
+}
+
+export default FleetManager;
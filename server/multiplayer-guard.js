@@ -0,0 +1,368 @@
+/**
+ * Multiplayer Guard
+ * The server's checks on everything a client sends: payload schemas,
+ * per-socket rate limits, movement within the spacecraft's top speed
+ * (CONFIG.spacecraft.maxSpeed) and sanitized nicknames, room names and chat.
+ *
+ * Offences add strikes; a socket with too many strikes in a short time is
+ * kicked with the reason. Teleports are legitimate jumps only when declared
+ * first (the 'teleport' event to a planet, rate limited) and the next
+ * position update starts from the declared destination.
+ */
+
+import { CONFIG } from '../src/config/config.js';
+import { RateLimiter } from './rate-limiter.js';
+
+const WORLD_LIMIT = 1e10; // Farthest catalogued planets are ~3e9 units out (light years x 10 x 10,000)
+const VIEW_MODES = new Set(['CHASE', 'COCKPIT']);
+const MAX_TARGET_JSON = 4000;
+const MAX_PLANET_NAME = 100;
+const MAX_ROOM_NAME = 32;
+const MAX_SEGMENTS = 100;
+const VOICE_NAME = /^[a-z0-9_-]{1,32}$/i;
+const AUDIO_CLIP = /^audio\/[a-z0-9-]{1,160}\.mp3$/; // Content bundle narration audio
+
+// Control characters, zero-width and bidi overrides (used to fake or hide names)
+const INVISIBLE = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u2064\u2066-\u2069\ufeff]/g;
+
+// Events per socket per window - position updates are sent at 20 Hz
+const RATE_LIMITS = {
+    updatePosition: { max: 40, windowMs: 1000 },
+    teleport: { max: 10, windowMs: 60000 },
+    updateNickname: { max: 5, windowMs: 60000 },
+    chatMessage: { max: 8, windowMs: 10000 },
+    shareTarget: { max: 10, windowMs: 10000 },
+    room: { max: 10, windowMs: 10000 }, // createRoom, joinRoom, leaveRoom, kickPlayer
+    fleet: { max: 10, windowMs: 10000 }, // followPlayer, unfollow, setFormation, fleetPlanet
+    narration: { max: 5, windowMs: 30000 }, // startNarration, stopNarration
+    clockSync: { max: 10, windowMs: 10000 }
+};
+
+/**
+ * Payload that doesn't match its schema (reason is sent back to the client)
+ */
+export class ValidationError extends Error {}
+
+function finiteNumber(value, name, limit = WORLD_LIMIT) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) > limit) {
+        throw new ValidationError(`${name} must be a number within ±${limit}`);
+    }
+    return value;
+}
+
+function vector(value, name, keys = ['x', 'y', 'z'], limit = WORLD_LIMIT) {
+    if (!value || typeof value !== 'object') {
+        throw new ValidationError(`${name} must be an object`);
+    }
+    return Object.fromEntries(keys.map(key => [key, finiteNumber(value[key], `${name}.${key}`, limit)]));
+}
+
+/**
+ * Plain text: no invisible characters, single spaces, at most maxLength characters
+ * @returns {string} Possibly empty
+ */
+function cleanText(value, name, maxLength) {
+    if (typeof value !== 'string') {
+        throw new ValidationError(`${name} must be a string`);
+    }
+    const text = value.replace(/\s+/g, ' ').replace(INVISIBLE, '').trim();
+    return Array.from(text).slice(0, maxLength).join('').trim();
+}
+
+/**
+ * updatePosition payload
+ * @returns {{ position, rotation, quaternion, speed, viewMode }}
+ */
+export function validateMovement(data) {
+    if (!data || typeof data !== 'object') {
+        throw new ValidationError('Position update must be an object');
+    }
+
+    const quaternion = vector(data.quaternion, 'quaternion', ['x', 'y', 'z', 'w'], 2);
+    const length = Math.hypot(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    if (length < 0.5 || length > 1.5) {
+        throw new ValidationError('quaternion must be a unit quaternion');
+    }
+    ['x', 'y', 'z', 'w'].forEach(key => { quaternion[key] /= length; });
+
+    const speed = data.speed;
+    if (typeof speed !== 'number' || !(speed >= 0 && speed <= CONFIG.spacecraft.maxSpeed)) {
+        throw new ValidationError(`speed must be a number from 0 to ${CONFIG.spacecraft.maxSpeed}`);
+    }
+
+    return {
+        position: vector(data.position, 'position'),
+        rotation: data.rotation === undefined ? { x: 0, y: 0, z: 0 } : vector(data.rotation, 'rotation', ['x', 'y', 'z'], 10),
+        quaternion,
+        speed,
+        viewMode: VIEW_MODES.has(data.viewMode) ? data.viewMode : 'CHASE'
+    };
+}
+
+/**
+ * teleport payload: the planet the ship jumps to, where it is about to
+ * appear (within the same world bounds as position updates) and optionally
+ * which way it will face (fleet followers line up on it)
+ * @returns {{ position, planet: string, facing: Object|null }}
+ */
+export function validateTeleport(data) {
+    if (!data || typeof data !== 'object') {
+        throw new ValidationError('Teleport must be an object');
+    }
+
+    let facing = null;
+    if (data.facing != null) {
+        facing = vector(data.facing, 'facing', ['x', 'y', 'z'], 2);
+        const length = Math.hypot(facing.x, facing.y, facing.z);
+        if (length < 0.5 || length > 1.5) {
+            throw new ValidationError('facing must be a unit vector');
+        }
+        ['x', 'y', 'z'].forEach(key => { facing[key] /= length; });
+    }
+
+    // Jumps only go to planets - a bare destination would skip the speed check
+    const planet = data.planet == null ? null : sanitizePlanetName(data.planet);
+    if (!planet) {
+        throw new ValidationError('teleport needs the planet it jumps to');
+    }
+    return { position: vector(data.position, 'position'), planet, facing };
+}
+
+/**
+ * @returns {string} Trimmed to MAX_ROOM_NAME, empty if there is no usable name
+ */
+export function sanitizeRoomName(value) {
+    return typeof value === 'string' ? cleanText(value, 'name', MAX_ROOM_NAME) : '';
+}
+
+/**
+ * @returns {string|null} Trimmed to MAX_PLANET_NAME, null if empty
+ */
+export function sanitizePlanetName(value) {
+    return cleanText(value, 'planet', MAX_PLANET_NAME) || null;
+}
+
+/**
+ * @returns {string} Trimmed to CONFIG.multiplayer.nicknameMaxLength
+ */
+export function sanitizeNickname(value) {
+    const nickname = cleanText(value, 'nickname', CONFIG.multiplayer.nicknameMaxLength);
+    if (!nickname) {
+        throw new ValidationError('Nickname must not be empty');
+    }
+    return nickname;
+}
+
+/**
+ * @returns {string} Trimmed to CONFIG.multiplayer.chatMaxLength
+ */
+export function sanitizeChat(value) {
+    const message = cleanText(value, 'message', CONFIG.multiplayer.chatMaxLength);
+    if (!message) {
+        throw new ValidationError('Message must not be empty');
+    }
+    return message;
+}
+
+/**
+ * startNarration payload: what the host narrates - listeners play the same
+ * bundled clip (audio) or synthesize the text with their own speech engine
+ * @returns {{ planet: string, text: string, segments: Array|null, duration: number, audio: {clip: string}|null }}
+ */
+export function validateNarration(data) {
+    if (!data || typeof data !== 'object') {
+        throw new ValidationError('Narration must be an object');
+    }
+
+    const planet = sanitizePlanetName(data.planet);
+    if (!planet) {
+        throw new ValidationError('planet must not be empty');
+    }
+    if (typeof data.text !== 'string' || Array.from(data.text).length > CONFIG.multiplayer.narrationMaxLength) {
+        throw new ValidationError(`text must be a string of at most ${CONFIG.multiplayer.narrationMaxLength} characters`);
+    }
+    const text = data.text.replace(INVISIBLE, ' ').replace(/ {2,}/g, ' ').trim();
+    if (!text) {
+        throw new ValidationError('text must not be empty');
+    }
+
+    const maxDuration = CONFIG.multiplayer.narrationMaxDuration;
+    const duration = finiteNumber(data.duration, 'duration', maxDuration);
+    if (duration <= 0) {
+        throw new ValidationError('duration must be positive');
+    }
+
+    let segments = null;
+    if (data.segments != null) {
+        if (!Array.isArray(data.segments) || data.segments.length > MAX_SEGMENTS) {
+            throw new ValidationError(`segments must be an array of at most ${MAX_SEGMENTS}`);
+        }
+        segments = data.segments.map((segment, i) => {
+            if (!segment || typeof segment !== 'object' || typeof segment.voice !== 'string' || !VOICE_NAME.test(segment.voice)) {
+                throw new ValidationError(`segments[${i}] needs a voice name`);
+            }
+            return {
+                text: cleanText(segment.text, `segments[${i}].text`, CONFIG.multiplayer.narrationMaxLength),
+                voice: segment.voice,
+                start: finiteNumber(segment.start, `segments[${i}].start`, maxDuration),
+                end: finiteNumber(segment.end, `segments[${i}].end`, maxDuration)
+            };
+        });
+    }
+
+    // Reference to audio every listener can play as-is (a bundled recording)
+    let audio = null;
+    if (data.audio != null) {
+        if (typeof data.audio !== 'object' || typeof data.audio.clip !== 'string' || !AUDIO_CLIP.test(data.audio.clip)) {
+            throw new ValidationError('audio.clip must be a content bundle audio path');
+        }
+        audio = { clip: data.audio.clip };
+    }
+
+    return { planet, text, segments, duration, audio };
+}
+
+/**
+ * shareTarget payload: any small JSON object (planet data is relayed as-is)
+ */
+export function validateTarget(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ValidationError('Target must be an object');
+    }
+    if (JSON.stringify(data).length > MAX_TARGET_JSON) {
+        throw new ValidationError(`Target must be under ${MAX_TARGET_JSON} characters of JSON`);
+    }
+    return data;
+}
+
+/**
+ * Distance budget per player: refills at the top speed (plus tolerance for
+ * jitter, when updates arrive bunched), capped at burstSeconds of flight
+ */
+export class MovementValidator {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxSpeed - Units per second
+     * @param {number} options.tolerance - Factor on maxSpeed
+     * @param {number} options.burstSeconds - Flight time the budget can save up
+     * @param {number} options.teleportTtlMs - How long a declared teleport stays valid
+     */
+    constructor({ maxSpeed = CONFIG.spacecraft.maxSpeed, tolerance = 1.25, burstSeconds = 1, teleportTtlMs = 5000 } = {}) {
+        this.speed = maxSpeed * tolerance;
+        this.maxBudget = this.speed * burstSeconds;
+        this.teleportTtlMs = teleportTtlMs;
+    }
+
+    /**
+     * Movement state for a new player
+     */
+    createState(position, now = Date.now()) {
+        return { position: { ...position }, time: now, budget: this.maxBudget, teleport: null, started: false };
+    }
+
+    /**
+     * Allow one jump to a declared destination
+     */
+    declareTeleport(state, position, now = Date.now()) {
+        state.teleport = { position: { ...position }, expires: now + this.teleportTtlMs };
+    }
+
+    /**
+     * Check a new position against the budget (and a pending teleport)
+     * @returns {string|null} Why the move is impossible, null if accepted
+     */
+    check(state, position, now = Date.now()) {
+        if (state.teleport) {
+            if (now <= state.teleport.expires) {
+                state.position = state.teleport.position;
+                state.budget = this.maxBudget;
+            }
+            state.teleport = null;
+        }
+
+        // The first update places the ship - clients start wherever they are
+        if (!state.started) {
+            state.started = true;
+            Object.assign(state, { position: { ...position }, time: now });
+            return null;
+        }
+
+        const elapsed = Math.max(0, now - state.time) / 1000;
+        const budget = Math.min(this.maxBudget, state.budget + this.speed * elapsed);
+        const distance = Math.hypot(
+            position.x - state.position.x,
+            position.y - state.position.y,
+            position.z - state.position.z
+        );
+
+        state.time = now;
+        if (distance > budget) {
+            state.budget = budget;
+            return `moved ${Math.round(distance)} units, at most ${Math.round(budget)} possible`;
+        }
+
+        state.budget = budget - distance;
+        state.position = { ...position };
+        return null;
+    }
+}
+
+/**
+ * Rate limits, strikes and kicks per socket
+ */
+export class MultiplayerGuard {
+    /**
+     * @param {Object} options
+     * @param {Object} options.rateLimits - Event -> { max, windowMs }, merged over the defaults
+     * @param {number} options.maxStrikes - Strikes within strikeWindowMs that get a socket kicked (at least 1)
+     * @param {number} options.strikeWindowMs
+     */
+    constructor({ rateLimits = {}, maxStrikes = 10, strikeWindowMs = 30000 } = {}) {
+        if (!Number.isInteger(maxStrikes) || maxStrikes < 1) {
+            throw new Error('maxStrikes must be a positive integer');
+        }
+        this.limiters = new Map(Object.entries({ ...RATE_LIMITS, ...rateLimits })
+            .map(([event, limit]) => [event, new RateLimiter(limit)]));
+        this.maxStrikes = maxStrikes;
+        this.strikes = new RateLimiter({ max: maxStrikes, windowMs: strikeWindowMs });
+    }
+
+    /**
+     * Count an event; a strike if the socket is over its limit
+     * @returns {boolean} Whether to handle it
+     */
+    allow(socket, event, now = Date.now()) {
+        const limiter = this.limiters.get(event);
+        if (!limiter || limiter.take(socket.id, now).allowed) return true;
+
+        this.strike(socket, `too many ${event} events`, now);
+        return false;
+    }
+
+    /**
+     * Record an offence, kicking the socket once it has too many
+     * @returns {boolean} Whether the socket was kicked
+     */
+    strike(socket, reason, now = Date.now()) {
+        console.warn(`⚠️ ${socket.id}: ${reason}`);
+        this.strikes.take(socket.id, now);
+        if (this.strikes.clients.get(socket.id).count < this.maxStrikes) return false;
+
+        this.kick(socket, `Too many invalid messages (last: ${reason})`);
+        return true;
+    }
+
+    kick(socket, reason) {
+        if (!socket.connected) return;
+        console.warn(`🚫 Kicking ${socket.id}: ${reason}`);
+        socket.emit('kicked', { reason });
+        socket.disconnect(true);
+    }
+
+    forget(socketId) {
+        this.limiters.forEach(limiter => limiter.clients.delete(socketId));
+        this.strikes.clients.delete(socketId);
+    }
+}
+
+export default MultiplayerGuard;
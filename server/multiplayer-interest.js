@@ -0,0 +1,49 @@
+/**
+ * Multiplayer Interest Management
+ * Which ships each player hears about, and how often. The universe is scaled
+ * by 10,000, so most ships in a room are far beyond sight: a ship's state is
+ * sent every tick when close, less often with distance (CONFIG.multiplayer.
+ * interestTiers), and not at all beyond the last tier - unless both players
+ * have the same target planet (sameTargetInterval).
+ */
+
+import { CONFIG } from '../src/config/config.js';
+
+export class InterestManager {
+    /**
+     * @param {Object} options
+     * @param {Array<{ distance: number, interval: number }>} options.tiers - Ascending distances, interval in ticks
+     * @param {number} options.sameTargetInterval - Ticks between states of far ships with the same target
+     */
+    constructor({ tiers = CONFIG.multiplayer.interestTiers, sameTargetInterval = CONFIG.multiplayer.sameTargetInterval } = {}) {
+        this.tiers = [...tiers].sort((a, b) => a.distance - b.distance);
+        this.sameTargetInterval = sameTargetInterval;
+    }
+
+    /**
+     * How often the viewer gets the other ship's state
+     * @param {Object} viewer - Player ({ position, target })
+     * @param {Object} other - Player ({ position, target })
+     * @returns {number} Ticks between states, 0 when the ship is not relevant
+     */
+    interval(viewer, other) {
+        const distance = Math.hypot(
+            other.position.x - viewer.position.x,
+            other.position.y - viewer.position.y,
+            other.position.z - viewer.position.z
+        );
+        const tier = this.tiers.find(candidate => distance <= candidate.distance);
+        if (tier) return tier.interval;
+
+        return viewer.target && viewer.target === other.target ? this.sameTargetInterval : 0;
+    }
+
+    /**
+     * Whether a ship is due on this tick (ships are spread over the ticks by netId)
+     */
+    isDue(interval, tick, netId) {
+        return (tick + netId) % interval === 0;
+    }
+}
+
+export default InterestManager;
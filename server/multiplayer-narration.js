@@ -0,0 +1,97 @@
+/**
+ * Multiplayer Narration Sessions
+ * Shared narrations: one player (the host) narrates a planet and the whole
+ * room listens in sync. The server keeps one session per room - who hosts it,
+ * the text (plus the host's subtitle segments), an audio reference and
+ * startAt, the server time of the first word. Audio never goes through the
+ * server: when the host's audio is a content bundle recording, the session
+ * carries its path and every listener plays that same clip; otherwise
+ * listeners speak the text with their own engine. Listeners seek to
+ * Date.now() - startAt, so players who join the room mid-way catch up at the
+ * right offset (init and roomJoined carry the session). Audio that doesn't
+ * match the host's duration isn't seeked - the host's segments follow the
+ * clock instead.
+ *
+ * A session ends when its duration is over, when the host stops it or
+ * leaves the room, or when the room closes.
+ */
+
+import { RoomError } from './multiplayer-rooms.js';
+import { CONFIG } from '../src/config/config.js';
+
+export class NarrationSessions {
+    /**
+     * @param {Object} options
+     * @param {number} options.leadTime - ms from starting a narration to its first word
+     */
+    constructor({ leadTime = CONFIG.multiplayer.narrationLeadTime } = {}) {
+        this.leadTime = leadTime;
+        this.sessions = new Map(); // room code -> { id, hostId, nickname, planet, text, segments, duration, audio, startAt }
+        this.nextId = 1;
+    }
+
+    /**
+     * The room's narration, if one is still playing (finished ones are
+     * replaced by the next)
+     */
+    get(roomCode, now = Date.now()) {
+        const session = this.sessions.get(roomCode);
+        return session && now < session.startAt + session.duration * 1000 ? session : null;
+    }
+
+    /**
+     * Start narrating to the room (replaces the host's own running narration)
+     * @param {Object} host - { id, nickname }
+     * @param {Object} narration - { planet, text, segments, duration, audio } (validateNarration)
+     * @returns {Object} The session
+     */
+    start(roomCode, host, narration, now = Date.now()) {
+        const current = this.get(roomCode, now);
+        if (current && current.hostId !== host.id) {
+            throw new RoomError('busy', `${current.nickname} is narrating ${current.planet} - wait until it ends`);
+        }
+
+        const session = {
+            id: this.nextId++,
+            hostId: host.id,
+            nickname: host.nickname,
+            ...narration,
+            startAt: now + this.leadTime
+        };
+        this.sessions.set(roomCode, session);
+        return session;
+    }
+
+    /**
+     * Stop the room's narration - its host or the room's owner may
+     * @returns {Object|null} The stopped session (null if none was playing)
+     */
+    stop(roomCode, playerId, isOwner = false) {
+        const session = this.get(roomCode);
+        if (!session) return null;
+        if (session.hostId !== playerId && !isOwner) {
+            throw new RoomError('not-host', 'Only the narrator or the room owner can stop the narration');
+        }
+
+        this.sessions.delete(roomCode);
+        return session;
+    }
+
+    /**
+     * The player left the room: their narration ends with them
+     * @returns {Object|null} The session that ended
+     */
+    removePlayer(roomCode, playerId) {
+        const session = this.get(roomCode);
+        if (!session || session.hostId !== playerId) return null;
+
+        this.sessions.delete(roomCode);
+        return session;
+    }
+
+    clear(roomCode) {
+        this.sessions.delete(roomCode);
+    }
+}
+
+export default NarrationSessions;
@@ -0,0 +1,205 @@
+/**
+ * Multiplayer Rooms
+ * Room bookkeeping for the multiplayer server, independent of socket.io.
+ * Every player is in exactly one room. Players without an invite code share
+ * the public lobby; anyone can open a room of their own and hand out its
+ * invite code (or a ?room=CODE link) to friends.
+ *
+ * Rooms have an owner (the creator, then the longest-present member when the
+ * owner leaves) and a player limit. Empty rooms are closed, the lobby stays.
+ */
+
+import { randomInt } from 'crypto';
+import { sanitizeRoomName } from './multiplayer-guard.js';
+
+export const LOBBY_CODE = 'LOBBY';
+
+// No 0/O, 1/I/L - codes get read out loud and typed from screenshots
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+/**
+ * Error with a machine-readable code ('not-found' | 'full' | 'not-owner' | 'invalid')
+ */
+export class RoomError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+export class RoomManager {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxPlayers - Default limit for new rooms
+     * @param {number} options.maxRoomSize - Upper bound a creator can ask for
+     * @param {number} options.lobbySize - Limit of the public lobby
+     */
+    constructor({ maxPlayers = 8, maxRoomSize = 32, lobbySize = 100 } = {}) {
+        this.maxPlayers = maxPlayers;
+        this.maxRoomSize = maxRoomSize;
+        this.rooms = new Map(); // code -> room
+        this.playerRooms = new Map(); // player id -> room code
+
+        this.rooms.set(LOBBY_CODE, this.createRoomState(LOBBY_CODE, {
+            name: 'Public Lobby',
+            owner: null,
+            maxPlayers: lobbySize
+        }));
+    }
+
+    /**
+     * Normalize user input ('abc-def ' -> 'ABCDEF'), null if it can't be a code
+     */
+    static normalizeCode(code) {
+        if (typeof code !== 'string') return null;
+        const normalized = code.toUpperCase().replace(/[\s-]/g, '');
+        if (normalized === LOBBY_CODE) return LOBBY_CODE;
+        return normalized.length === CODE_LENGTH && [...normalized].every(char => CODE_ALPHABET.includes(char))
+            ? normalized
+            : null;
+    }
+
+    generateCode() {
+        let code;
+        do {
+            code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+        } while (this.rooms.has(code));
+        return code;
+    }
+
+    createRoomState(code, { name, owner, maxPlayers, isPrivate = false }) {
+        return {
+            code,
+            name,
+            owner,
+            maxPlayers,
+            isPrivate,
+            members: new Set(), // player ids in join order
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * Open a room owned by a player and move them into it
+     * @param {string} ownerId
+     * @param {Object} options - { name, maxPlayers, isPrivate }
+     * @returns {{ room: Object, left: Object|null }} left = the room the player was in before
+     */
+    create(ownerId, { name, maxPlayers, isPrivate = false } = {}) {
+        const limit = Math.round(Number(maxPlayers) || this.maxPlayers);
+        if (limit < 2 || limit > this.maxRoomSize) {
+            throw new RoomError('invalid', `Rooms hold 2 to ${this.maxRoomSize} players`);
+        }
+
+        const code = this.generateCode();
+        const cleanName = sanitizeRoomName(name); // Shown in room lists, /status and logs
+        const room = this.createRoomState(code, {
+            name: cleanName || `Room ${code}`,
+            owner: ownerId,
+            maxPlayers: limit,
+            isPrivate: !!isPrivate
+        });
+        this.rooms.set(code, room);
+
+        const left = this.leave(ownerId);
+        room.members.add(ownerId);
+        this.playerRooms.set(ownerId, code);
+        return { room, left };
+    }
+
+    /**
+     * Move a player into a room (leaving their current one)
+     * @returns {{ room: Object, left: Object|null }}
+     */
+    join(playerId, code) {
+        const normalized = RoomManager.normalizeCode(code);
+        const room = normalized && this.rooms.get(normalized);
+        if (!room) {
+            throw new RoomError('not-found', `No room with invite code ${code}`);
+        }
+        if (room.members.has(playerId)) {
+            return { room, left: null };
+        }
+        if (room.members.size >= room.maxPlayers) {
+            throw new RoomError('full', `${room.name} is full (${room.maxPlayers} players)`);
+        }
+
+        const left = this.leave(playerId);
+        room.members.add(playerId);
+        this.playerRooms.set(playerId, room.code);
+        return { room, left };
+    }
+
+    /**
+     * Take a player out of their room, handing over or closing it
+     * @returns {Object|null} The room they left, with closed = true if it was removed
+     */
+    leave(playerId) {
+        const room = this.getRoomOf(playerId);
+        if (!room) return null;
+
+        room.members.delete(playerId);
+        this.playerRooms.delete(playerId);
+
+        if (room.code !== LOBBY_CODE && room.members.size === 0) {
+            this.rooms.delete(room.code);
+            room.closed = true;
+        } else if (room.owner === playerId) {
+            room.owner = room.members.values().next().value; // Longest-present member
+        }
+        return room;
+    }
+
+    getRoom(code) {
+        return this.rooms.get(RoomManager.normalizeCode(code)) || null;
+    }
+
+    getRoomOf(playerId) {
+        return this.rooms.get(this.playerRooms.get(playerId)) || null;
+    }
+
+    /**
+     * Owner-only check for room actions (kick, settings)
+     */
+    assertOwner(playerId, room = this.getRoomOf(playerId)) {
+        if (!room || room.owner !== playerId) {
+            throw new RoomError('not-owner', 'Only the room owner can do that');
+        }
+        return room;
+    }
+
+    /**
+     * Room as sent to its members
+     * @param {Object} room
+     * @param {Map} players - player id -> player state (for nicknames)
+     */
+    describe(room, players) {
+        return {
+            code: room.code,
+            name: room.name,
+            owner: room.owner,
+            maxPlayers: room.maxPlayers,
+            isPrivate: room.isPrivate,
+            isLobby: room.code === LOBBY_CODE,
+            members: [...room.members].map(id => ({ id, nickname: players.get(id)?.nickname || id }))
+        };
+    }
+
+    /**
+     * Public room list for /status - private rooms are listed without their code
+     */
+    list(players) {
+        return [...this.rooms.values()].map(room => ({
+            code: room.isPrivate ? null : room.code,
+            name: room.name,
+            owner: room.owner ? players.get(room.owner)?.nickname || null : null,
+            players: room.members.size,
+            maxPlayers: room.maxPlayers,
+            isPrivate: room.isPrivate,
+            createdAt: room.createdAt
+        }));
+    }
+}
+
+export default RoomManager;
@@ -0,0 +1,522 @@
+/**
+ * Multiplayer
+ * socket.io event handling for the multiplayer server (see multiplayer-server.js)
+ * Players only see and hear the other members of their room: movement, chat,
+ * nickname changes and shared targets go to socket.io's room of the same code.
+ *
+ * Client -> server, besides the game events:
+ *   createRoom { name, maxPlayers, isPrivate }, ack  -> open a room and move into it
+ *   joinRoom code, ack                               -> move into a room by invite code
+ *   leaveRoom ack                                    -> back to the public lobby
+ *   kickPlayer playerId, ack                         -> owner only, sends them to the lobby
+ * Acks answer { ok: true, room } or { ok: false, code, error }.
+ *
+ * Server -> client: init (first room), roomJoined (after a move), roomUpdated
+ * (members, owner), roomError (the invite code from the handshake was refused).
+ * init and roomJoined carry the room's chatHistory (multiplayer-chat.js), so
+ * late joiners see the conversation so far.
+ *
+ * Nothing a client sends is trusted (see multiplayer-guard.js): payloads are
+ * validated and rate limited, moves faster than the spacecraft can fly are
+ * answered with positionRejected (the server's last position), and repeat
+ * offenders get 'kicked' with the reason. A jump is legitimate when announced
+ * with 'teleport' { position, planet, facing } first - the room hears playerTeleported.
+ *
+ * Ship movement goes out on a tick (CONFIG.multiplayer.tickRate) as one binary
+ * 'playerStates' packet per player (see src/multiplayer/StateCodec.js):
+ * quantized, delta-encoded states of only the ships that player's interest
+ * covers (multiplayer-interest.js), distant ones at lower rates. States carry
+ * t, the server time they arrived, and so does playerTeleported; clockSync (ack)
+ * answers the server time so clients can convert it. Players have a small
+ * netId for the packets. Every socket's traffic is counted for /status.
+ *
+ * Fleets (multiplayer-fleet.js), all with acks like the room actions:
+ *   followPlayer playerId  -> fly in that player's fleet ({ ok, fleet, leader })
+ *   unfollow               -> leave it
+ *   setFormation name      -> the leader's formation
+ *   fleetPlanet planet     -> leader only: followers get fleetPlanet and open the
+ *                             same planet's dialog
+ * The room hears fleetsUpdated (its fleets) after every change. Followers keep
+ * formation themselves and jump along when their leader's playerTeleported
+ * arrives.
+ *
+ * Shared narrations (multiplayer-narration.js), also with acks:
+ *   startNarration { planet, text, segments, duration, audio } -> narrate to the room
+ *                             ({ ok, narration }); the others hear narrationStarted
+ *   stopNarration          -> the narrator or the room owner ends it early
+ * Sessions carry startAt, the server time of the first word; init and
+ * roomJoined carry the room's running narration, and everyone hears
+ * narrationStopped { id, reason } when it ends early.
+ */
+
+import { RoomManager, RoomError, LOBBY_CODE } from './multiplayer-rooms.js';
+import {
+    MultiplayerGuard,
+    MovementValidator,
+    ValidationError,
+    validateMovement,
+    validateTeleport,
+    validateTarget,
+    validateNarration,
+    sanitizePlanetName,
+    sanitizeNickname,
+    sanitizeChat
+} from './multiplayer-guard.js';
+import { InterestManager } from './multiplayer-interest.js';
+import { BandwidthMeter } from './bandwidth-meter.js';
+import { ChatHistory } from './multiplayer-chat.js';
+import { FleetManager } from './multiplayer-fleet.js';
+import { NarrationSessions } from './multiplayer-narration.js';
+import { StateEncoder } from '../src/multiplayer/StateCodec.js';
+import { CONFIG } from '../src/config/config.js';
+
+const MAX_NET_ID = 0xffff;
+
+/**
+ * @param {import('socket.io').Server} io
+ * @param {Object} options - RoomManager options ({ maxPlayers, maxRoomSize, lobbySize }), plus
+ * @param {Object} options.guard - MultiplayerGuard options ({ rateLimits, maxStrikes, strikeWindowMs })
+ * @param {Object} options.movement - MovementValidator options ({ maxSpeed, tolerance, burstSeconds })
+ * @param {Object} options.interest - InterestManager options ({ tiers, sameTargetInterval })
+ * @param {Object} options.chat - ChatHistory options ({ size })
+ * @param {Object} options.fleet - FleetManager options ({ formations })
+ * @param {Object} options.narration - NarrationSessions options ({ leadTime })
+ * @param {number} options.tickRate - Ship state packets per second
+ * @returns {{ rooms: RoomManager, players: Map, bandwidth: BandwidthMeter, chat: ChatHistory, fleets: FleetManager, narrations: NarrationSessions, getStatus: Function, close: Function }}
+ */
+export function createMultiplayer(io, options = {}) {
+    const players = new Map();
+    const rooms = new RoomManager(options);
+    const guard = new MultiplayerGuard(options.guard);
+    const movementValidator = new MovementValidator(options.movement);
+    const movement = new Map(); // player id -> MovementValidator state (server-side only)
+    const interest = new InterestManager(options.interest);
+    const bandwidth = new BandwidthMeter();
+    const chat = new ChatHistory(options.chat);
+    const fleets = new FleetManager(options.fleet);
+    const narrations = new NarrationSessions(options.narration);
+    const encoders = new Map(); // player id -> StateEncoder (what that player was last sent)
+    const netIds = new Set();
+    let nextNetId = 1;
+    let tick = 0;
+
+    // Game state
+    const gameState = {
+        playerCount: 0,
+        uptime: 0
+    };
+
+    const roomPlayers = (room, exceptId = null) => [...room.members]
+        .filter(id => id !== exceptId)
+        .map(id => players.get(id));
+
+    // Small ids for the binary packets, reused after disconnects
+    const allocateNetId = () => {
+        while (netIds.has(nextNetId)) {
+            nextNetId = nextNetId >= MAX_NET_ID ? 1 : nextNetId + 1;
+        }
+        netIds.add(nextNetId);
+        return nextNetId;
+    };
+
+    /**
+     * A player's ship is gone from everyone's view (left the room or the server):
+     * the receivers drop it on playerLeft, so no removal entry
+     */
+    const forgetShip = (playerId) => {
+        const player = players.get(playerId);
+        if (player) encoders.forEach(encoder => encoder.forget(player.netId));
+    };
+
+    /**
+     * One tick: every player gets the ships its interest covers that are due
+     * and have moved since they were last sent
+     */
+    const sendStates = () => {
+        tick++;
+        const now = Date.now();
+        encoders.forEach((encoder, viewerId) => {
+            const viewer = players.get(viewerId);
+            const room = rooms.getRoomOf(viewerId);
+            if (!viewer || !room) return;
+
+            encoder.begin(now);
+            room.members.forEach(otherId => {
+                const other = players.get(otherId);
+                if (otherId === viewerId || !other?.lastUpdate) return;
+
+                const interval = interest.interval(viewer, other);
+                if (!interval) {
+                    encoder.remove(other.netId);
+                } else if (interest.isDue(interval, tick, other.netId) && encoder.hasNewState(other.netId, other.lastUpdate)) {
+                    encoder.add(other.netId, { ...other, t: other.lastUpdate });
+                }
+            });
+
+            const packet = encoder.finish();
+            if (packet) io.to(viewerId).emit('playerStates', packet);
+        });
+    };
+    const tickTimer = setInterval(sendStates, 1000 / (options.tickRate || CONFIG.multiplayer.tickRate));
+    tickTimer.unref?.();
+
+    // The room's fleets, after someone followed, left one or changed formation
+    const announceFleets = (room) => {
+        if (room) io.to(room.code).emit('fleetsUpdated', fleets.list(room.members));
+    };
+
+    // A shared narration ended before its time (the others stop listening)
+    const announceNarrationStopped = (roomCode, session, reason) => {
+        if (session) io.to(roomCode).emit('narrationStopped', { id: session.id, reason });
+    };
+
+    /**
+     * Tell everyone involved about a room move (join, create, leave, kick)
+     */
+    const announceMove = (socket, { room, left }, reason = null) => {
+        const player = players.get(socket.id);
+
+        if (left && left.code !== room.code) {
+            // New room, new set of ships: everything is sent from scratch
+            forgetShip(socket.id);
+            const fleetChanged = fleets.removePlayer(socket.id);
+            const narration = narrations.removePlayer(left.code, socket.id);
+            encoders.get(socket.id)?.reset();
+            socket.leave(left.code);
+            socket.to(left.code).emit('playerLeft', socket.id);
+            if (left.closed) {
+                chat.clear(left.code);
+                narrations.clear(left.code);
+            } else {
+                io.to(left.code).emit('roomUpdated', rooms.describe(left, players));
+                if (fleetChanged) announceFleets(left);
+                announceNarrationStopped(left.code, narration, `${player.nickname} left the room`);
+            }
+        }
+
+        socket.join(room.code);
+        socket.to(room.code).emit('playerJoined', player);
+        socket.to(room.code).emit('roomUpdated', rooms.describe(room, players));
+        socket.emit('roomJoined', {
+            room: rooms.describe(room, players),
+            players: roomPlayers(room, socket.id),
+            chatHistory: chat.get(room.code),
+            fleets: fleets.list(room.members),
+            narration: narrations.get(room.code),
+            reason
+        });
+        console.log(`🚪 ${player.nickname} is in ${room.name} (${room.members.size}/${room.maxPlayers})`);
+    };
+
+    /**
+     * Action with an ack: { ok: true, ...answer(result) } or { ok: false, code, error }
+     */
+    const withAck = (action, answer) => (...args) => {
+        const ack = typeof args[args.length - 1] === 'function' ? args.pop() : () => {};
+        try {
+            ack({ ok: true, ...answer(action(...args)) });
+        } catch (error) {
+            if (error instanceof ValidationError) throw error; // A strike (see on())
+            if (!(error instanceof RoomError)) console.error('❌ Room, fleet or narration action failed:', error);
+            ack({ ok: false, code: error.code || 'failed', error: error.message });
+        }
+    };
+    const roomAction = (action) => withAck(action, room => ({ room: rooms.describe(room, players) }));
+    const plainAction = (action) => withAck(action, answer => answer); // Fleets and narrations
+
+    io.on('connection', (socket) => {
+        console.log(`🚀 Player connected: ${socket.id}`);
+
+        // Initialize player data
+        players.set(socket.id, {
+            id: socket.id,
+            position: { x: 0, y: 0, z: 0 },
+            rotation: { x: 0, y: 0, z: 0 },
+            speed: 0,
+            viewMode: 'CHASE',
+            connectedAt: Date.now(),
+            nickname: `Explorer ${socket.id.slice(0, 4)}`,
+            netId: allocateNetId(),
+            target: null // Planet name (last shared target or teleport destination)
+        });
+
+        // First room: the invite code from the handshake, or the public lobby
+        let room;
+        try {
+            room = rooms.join(socket.id, socket.handshake.auth?.room || LOBBY_CODE).room;
+        } catch (error) {
+            console.log(`🚫 ${socket.id} refused: ${error.message}`);
+            netIds.delete(players.get(socket.id).netId);
+            players.delete(socket.id);
+            socket.emit('roomError', { code: error.code, error: error.message });
+            socket.disconnect(true);
+            return;
+        }
+
+        movement.set(socket.id, movementValidator.createState(players.get(socket.id).position));
+        encoders.set(socket.id, new StateEncoder());
+        bandwidth.track(socket);
+        gameState.playerCount = players.size;
+        gameState.uptime = Math.floor(process.uptime());
+        socket.join(room.code);
+
+        // Send the room's players to the new player
+        socket.emit('init', {
+            playerId: socket.id,
+            players: roomPlayers(room),
+            room: rooms.describe(room, players),
+            chatHistory: chat.get(room.code),
+            fleets: fleets.list(room.members),
+            narration: narrations.get(room.code),
+            serverTime: Date.now(),
+            gameState
+        });
+
+        // Notify the rest of the room
+        socket.to(room.code).emit('playerJoined', players.get(socket.id));
+        socket.to(room.code).emit('roomUpdated', rooms.describe(room, players));
+
+        const currentRoom = () => rooms.getRoomOf(socket.id)?.code;
+
+        // Every client event goes through the guard: rate limit first, then the
+        // handler's schema checks (a ValidationError is a strike)
+        const on = (event, handler, limit = event) => {
+            socket.on(event, (...args) => {
+                const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+                if (!guard.allow(socket, limit)) {
+                    ack?.({ ok: false, code: 'rate-limited', error: `Too many ${event} requests, slow down` });
+                    return;
+                }
+                try {
+                    handler(...args);
+                } catch (error) {
+                    if (!(error instanceof ValidationError)) throw error;
+                    guard.strike(socket, `${event}: ${error.message}`);
+                    ack?.({ ok: false, code: 'invalid', error: error.message });
+                }
+            });
+        };
+
+        // Handle position updates
+        on('updatePosition', (data) => {
+            const player = players.get(socket.id);
+            const state = movement.get(socket.id);
+            if (!player || !state) return;
+
+            const update = validateMovement(data);
+            const rejected = movementValidator.check(state, update.position);
+            if (rejected) {
+                // The server's position stands; one correction (and strike) per desync
+                if (!state.desynced) {
+                    state.desynced = true;
+                    socket.emit('positionRejected', { reason: rejected, position: player.position });
+                    guard.strike(socket, `updatePosition: ${rejected}`);
+                }
+                return;
+            }
+
+            state.desynced = false;
+            Object.assign(player, update, { lastUpdate: Date.now() });
+
+            // Debug log occasionally
+            if (Date.now() % 5000 < 100) {
+                console.log(`📍 ${player.nickname} at (${player.position.x.toFixed(1)}, ${player.position.y.toFixed(1)}, ${player.position.z.toFixed(1)})`);
+            }
+
+            // Sent to the room on the next ticks (sendStates), as far as interest reaches
+        });
+
+        // Announced jump: the next position update may start at the destination
+        on('teleport', (data) => {
+            const { position, planet, facing } = validateTeleport(data);
+            movementValidator.declareTeleport(movement.get(socket.id), position);
+            players.get(socket.id).target = planet;
+            socket.to(currentRoom()).emit('playerTeleported', { id: socket.id, position, planet, facing, t: Date.now() });
+        });
+
+        // Clock sync round trip (clients line up snapshot timestamps with it)
+        on('clockSync', (ack) => {
+            if (typeof ack === 'function') ack(Date.now());
+        });
+
+        // Handle nickname changes (the ack carries the name as sanitized)
+        on('updateNickname', plainAction((nickname) => {
+            const player = players.get(socket.id);
+            if (player) {
+                player.nickname = sanitizeNickname(nickname);
+                io.to(currentRoom()).emit('playerUpdated', {
+                    id: socket.id,
+                    nickname: player.nickname
+                });
+                io.to(currentRoom()).emit('roomUpdated', rooms.describe(rooms.getRoomOf(socket.id), players));
+            }
+            return { nickname: player?.nickname ?? null };
+        }));
+
+        // Handle chat messages (kept for the room's late joiners)
+        on('chatMessage', (message) => {
+            const player = players.get(socket.id);
+            if (player) {
+                const entry = chat.add(currentRoom(), {
+                    playerId: socket.id,
+                    nickname: player.nickname,
+                    message: sanitizeChat(message),
+                    timestamp: Date.now()
+                });
+                io.to(currentRoom()).emit('chatMessage', entry);
+            }
+        });
+
+        // Handle target sharing (when player clicks a planet)
+        on('shareTarget', (planetData) => {
+            const player = players.get(socket.id);
+            if (player) {
+                const planet = validateTarget(planetData);
+                player.target = typeof planet.pl_name === 'string' ? planet.pl_name : null;
+                socket.to(currentRoom()).emit('playerTargeted', {
+                    playerId: socket.id,
+                    nickname: player.nickname,
+                    planet
+                });
+            }
+        });
+
+        // Rooms
+        on('createRoom', roomAction((settings = {}) => {
+            const result = rooms.create(socket.id, settings || {});
+            announceMove(socket, result);
+            return result.room;
+        }), 'room');
+
+        on('joinRoom', roomAction((code) => {
+            const result = rooms.join(socket.id, code);
+            if (result.left) announceMove(socket, result);
+            return result.room;
+        }), 'room');
+
+        on('leaveRoom', roomAction(() => {
+            const result = rooms.join(socket.id, LOBBY_CODE);
+            if (result.left) announceMove(socket, result);
+            return result.room;
+        }), 'room');
+
+        on('kickPlayer', roomAction((playerId) => {
+            const room = rooms.assertOwner(socket.id);
+            const target = io.sockets.sockets.get(playerId);
+            if (!target || playerId === socket.id || !room.members.has(playerId)) {
+                throw new RoomError('invalid', 'That player is not in your room');
+            }
+
+            announceMove(target, rooms.join(playerId, LOBBY_CODE), `Removed from ${room.name} by the owner`);
+            return room;
+        }), 'room');
+
+        // Fleets
+        on('followPlayer', plainAction((leaderId) => {
+            const room = rooms.getRoomOf(socket.id);
+            if (typeof leaderId !== 'string' || !room.members.has(leaderId)) {
+                throw new RoomError('invalid', 'That player is not in your room');
+            }
+
+            const fleet = fleets.follow(socket.id, leaderId);
+            const leader = players.get(fleet.leaderId);
+            announceFleets(room);
+            console.log(`🛸 ${players.get(socket.id).nickname} follows ${leader.nickname} (${fleet.formation})`);
+            return { fleet, leader: { position: leader.position, quaternion: leader.quaternion || null } };
+        }), 'fleet');
+
+        on('unfollow', plainAction(() => {
+            if (fleets.unfollow(socket.id)) announceFleets(rooms.getRoomOf(socket.id));
+            return {};
+        }), 'fleet');
+
+        on('setFormation', plainAction((formation) => {
+            fleets.setFormation(socket.id, formation);
+            if (fleets.followersOf(socket.id).length) announceFleets(rooms.getRoomOf(socket.id));
+            return { formation };
+        }), 'fleet');
+
+        on('fleetPlanet', plainAction((planet) => {
+            const followers = fleets.followersOf(socket.id);
+            if (!followers.length) {
+                throw new RoomError('not-leader', 'Nobody is following you');
+            }
+
+            const shared = { leaderId: socket.id, nickname: players.get(socket.id).nickname, planet: sanitizePlanetName(planet) };
+            if (!shared.planet) throw new ValidationError('planet must not be empty');
+            followers.forEach(id => io.to(id).emit('fleetPlanet', shared));
+            return { followers: followers.length };
+        }), 'fleet');
+
+        // Shared narrations
+        on('startNarration', plainAction((data) => {
+            const narration = validateNarration(data);
+            const room = rooms.getRoomOf(socket.id);
+            const player = players.get(socket.id);
+            const session = narrations.start(room.code, player, narration);
+            socket.to(room.code).emit('narrationStarted', session);
+            console.log(`🎙️ ${player.nickname} narrates ${session.planet} to ${room.name} (${session.duration.toFixed(0)}s)`);
+            return { narration: session };
+        }), 'narration');
+
+        on('stopNarration', plainAction(() => {
+            const room = rooms.getRoomOf(socket.id);
+            const session = narrations.stop(room.code, socket.id, room.owner === socket.id);
+            announceNarrationStopped(room.code, session, `${players.get(socket.id).nickname} stopped the narration`);
+            return {};
+        }), 'narration');
+
+        // Handle disconnect
+        socket.on('disconnect', () => {
+            console.log(`👋 Player disconnected: ${socket.id}`);
+            const left = rooms.leave(socket.id);
+            const fleetChanged = fleets.removePlayer(socket.id);
+            const narration = left ? narrations.removePlayer(left.code, socket.id) : null;
+            const nickname = players.get(socket.id)?.nickname;
+            forgetShip(socket.id);
+            netIds.delete(players.get(socket.id)?.netId);
+            encoders.delete(socket.id);
+            players.delete(socket.id);
+            movement.delete(socket.id);
+            guard.forget(socket.id);
+            bandwidth.forget(socket.id);
+            gameState.playerCount = players.size;
+            if (left) {
+                socket.to(left.code).emit('playerLeft', socket.id);
+                if (left.closed) {
+                    chat.clear(left.code);
+                    narrations.clear(left.code);
+                } else {
+                    io.to(left.code).emit('roomUpdated', rooms.describe(left, players));
+                    if (fleetChanged) announceFleets(left);
+                    announceNarrationStopped(left.code, narration, `${nickname} left`);
+                }
+            }
+        });
+    });
+
+    return {
+        rooms,
+        players,
+        bandwidth,
+        chat,
+        fleets,
+        narrations,
+        getStatus: () => ({
+            players: players.size,
+            rooms: rooms.list(players),
+            bandwidth: {
+                ...bandwidth.totals(),
+                sockets: [...players.values()].map(player => ({
+                    id: player.id,
+                    nickname: player.nickname,
+                    room: rooms.getRoomOf(player.id)?.name || null,
+                    ...bandwidth.get(player.id)
+                }))
+            }
+        }),
+        close: () => clearInterval(tickTimer)
+    };
+}
+
+export default createMultiplayer;
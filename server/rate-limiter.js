@@ -0,0 +1,51 @@
+/**
+ * Rate Limiter
+ * Fixed-window counters shared by the AI proxy (requests per IP) and the
+ * multiplayer server (events per socket).
+ */
+
+/**
+ * Fixed-window request counter per client
+ */
+export class RateLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.max - Requests per window (0 = unlimited)
+     * @param {number} options.windowMs - Window length
+     */
+    constructor({ max, windowMs = 60000 }) {
+        this.max = max;
+        this.windowMs = windowMs;
+        this.clients = new Map(); // client -> { count, resetAt }
+    }
+
+    /**
+     * Count a request
+     * @returns {{ allowed: boolean, retryAfter: number }} retryAfter in seconds
+     */
+    take(client, now = Date.now()) {
+        if (!this.max) return { allowed: true, retryAfter: 0 };
+
+        if (this.clients.size > 10000) this.prune(now);
+
+        let window = this.clients.get(client);
+        if (!window || now >= window.resetAt) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.clients.set(client, window);
+        }
+
+        window.count++;
+        return {
+            allowed: window.count <= this.max,
+            retryAfter: Math.ceil((window.resetAt - now) / 1000)
+        };
+    }
+
+    prune(now) {
+        for (const [client, window] of this.clients) {
+            if (now >= window.resetAt) this.clients.delete(client);
+        }
+    }
+}
+
+export default RateLimiter;
@@ -0,0 +1,238 @@
+/**
+ * Test script for the AI proxy
+ * Starts a fake upstream (OpenAI chat completions wire format answered by
+ * MockLLMProvider, an audio transcription endpoint and an ElevenLabs
+ * text-to-speech endpoint), points the proxy at it and drives it with the
+ * browser-side clients: ProxyLLMProvider, OpenAIService, ElevenLabsService in
+ * proxy mode, ServerSpeechProvider and the speech fallback chain (local engine
+ * played by the mock), then a public deployment's origin allow-list.
+ * Runs fully offline.
+ * Usage: node server/testAIProxy.js
+ */
+
+import express from 'express';
+import { readFile } from 'fs/promises';
+import { createAIProxy } from './ai-proxy.js';
+import { OpenAICompatibleProvider } from '../src/ai/providers/OpenAICompatibleProvider.js';
+import { ProxyLLMProvider } from '../src/ai/providers/ProxyLLMProvider.js';
+import { MockLLMProvider } from '../src/ai/providers/MockLLMProvider.js';
+import OpenAIService from '../src/ai/OpenAIService.js';
+import ElevenLabsService from '../src/ai/ElevenLabsService.js';
+import { OpenAITranscriber } from '../src/ai/speech/OpenAITranscriber.js';
+import { ServerSpeechProvider } from '../src/ai/speech/ServerSpeechProvider.js';
+import { createLocalTTSEngine } from './local-tts-engine.js';
+import { TextToSpeechService } from '../src/ai/tts/TextToSpeechService.js';
+import { ServerTTSProvider } from '../src/ai/tts/ServerTTSProvider.js';
+import { MockTTSProvider } from '../src/ai/tts/MockTTSProvider.js';
+
+const FAKE_AUDIO = Buffer.from('ID3 fake mpeg audio');
+const FAKE_TRANSCRIPT = 'Could this planet have liquid water?';
+const TEXT_LIMIT = 8; // Text requests per client per minute for this run
+
+/**
+ * Fake OpenAI + ElevenLabs upstream, counting the requests it receives
+ */
+function createFakeUpstream() {
+    const mock = new MockLLMProvider();
+    const counts = { chat: 0, tts: 0, transcribe: 0 };
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    app.post('/v1/chat/completions', async (req, res) => {
+        counts.chat++;
+        if (req.get('Authorization') !== 'Bearer upstream-key') {
+            return res.status(401).json({ error: { message: 'bad key' } });
+        }
+
+        const text = await mock.chat(req.body.messages);
+        if (!req.body.stream) {
+            return res.json({ choices: [{ message: { role: 'assistant', content: text } }] });
+        }
+
+        res.type('text/event-stream');
+        for (const word of text.split(/(?= )/)) {
+            res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: word } }] })}\n\n`);
+        }
+        res.end('data: [DONE]\n\n');
+    });
+
+    // Multipart upload (file + model + language) - only the shape is checked
+    app.post('/v1/audio/transcriptions', express.raw({ type: 'multipart/form-data', limit: '5mb' }), (req, res) => {
+        counts.transcribe++;
+        const form = req.body.toString('latin1');
+        if (!form.includes('name="file"') || !form.includes('whisper-1')) {
+            return res.status(400).json({ error: { message: 'bad form' } });
+        }
+        res.json({ text: ` ${FAKE_TRANSCRIPT} ` });
+    });
+
+    app.post('/v1/text-to-speech/:voiceId', (req, res) => {
+        counts.tts++;
+        if (req.get('xi-api-key') !== 'upstream-tts-key') return res.status(401).send('bad key');
+        res.type('audio/mpeg').send(FAKE_AUDIO);
+    });
+
+    return { app, counts };
+}
+
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+async function testAIProxy() {
+    console.log('='.repeat(60));
+    console.log('AI Proxy Test');
+    console.log('='.repeat(60));
+
+    const servers = [];
+
+    try {
+        console.log('\n1. Starting fake upstream and proxy...');
+        const upstream = createFakeUpstream();
+        const upstreamServer = await listen(upstream.app);
+        servers.push(upstreamServer);
+        const upstreamUrl = `http://127.0.0.1:${upstreamServer.address().port}`;
+
+        const app = express();
+        app.use('/api/ai', createAIProxy({
+            provider: new OpenAICompatibleProvider({
+                apiKey: 'upstream-key',
+                baseURL: `${upstreamUrl}/v1/chat/completions`,
+                model: 'fake-model'
+            }),
+            elevenLabsKey: 'upstream-tts-key',
+            elevenLabsUrl: `${upstreamUrl}/v1`,
+            transcriber: new OpenAITranscriber({
+                apiKey: 'upstream-key',
+                baseURL: `${upstreamUrl}/v1/audio/transcriptions`
+            }),
+            localTTS: createLocalTTSEngine('mock'),
+            rateLimit: { text: TEXT_LIMIT, speech: 8 },
+            log: false
+        }));
+        const proxyServer = await listen(app);
+        servers.push(proxyServer);
+        const proxyUrl = `http://127.0.0.1:${proxyServer.address().port}/api/ai`;
+
+        const status = await (await fetch(`${proxyUrl}/status`)).json();
+        console.log(`✓ Proxy up: ${JSON.stringify(status)}`);
+
+        // Browser-side clients: no key anywhere
+        const client = new OpenAIService(null, new ProxyLLMProvider({ baseURL: proxyUrl }), null, null);
+
+        console.log('\n2. Grounded description through the proxy...');
+        const clusterUrl = new URL('../nasa_data/clusters/nearby_quad2.json', import.meta.url);
+        const planet = JSON.parse(await readFile(clusterUrl, 'utf-8')).find(p => p.pl_bmasse_reflink);
+        const grounded = await client.generateGroundedDescription(planet);
+        console.log(grounded.text);
+        console.log(`✓ ${grounded.check.claims.length} claims checked client-side, ${upstream.counts.chat} upstream call(s)`);
+
+        console.log('\n3. Same description from another client (server cache)...');
+        const before = upstream.counts.chat;
+        const otherClient = new OpenAIService(null, new ProxyLLMProvider({ baseURL: proxyUrl }), null, null);
+        const again = await otherClient.generateGroundedDescription(planet);
+        if (again.text !== grounded.text || upstream.counts.chat !== before) {
+            throw new Error('Expected the proxy to answer from its cache');
+        }
+        console.log('✓ Served from the proxy cache, no upstream call');
+
+        console.log('\n4. Insights and streamed chat...');
+        const insights = await client.generateCharacteristicsInsights(planet);
+        console.log(insights);
+        let streamed = '';
+        for await (const delta of client.streamChatAboutPlanet('Is it habitable?', planet)) {
+            streamed += delta;
+        }
+        console.log(`🤖 ${streamed}`);
+        console.log('✓ Insights and stream received');
+
+        console.log('\n5. Text-to-speech through the proxy...');
+        const speech = new ElevenLabsService(null, null, { proxyUrl });
+        const audio = await speech.textToSpeech('Welcome to the system.', false);
+        const bytes = Buffer.from(await audio.arrayBuffer());
+        if (!bytes.equals(FAKE_AUDIO)) throw new Error('Audio did not come back intact');
+        console.log(`✓ ${bytes.length} bytes of audio, ${upstream.counts.tts} upstream TTS call(s)`);
+
+        console.log('\n6. Push-to-talk transcription through the proxy...');
+        const listener = new ServerSpeechProvider({ baseURL: proxyUrl, language: 'en-US' });
+        const heard = await listener.transcribe(new Blob([Buffer.from('webm speech')], { type: 'audio/webm;codecs=opus' }));
+        if (heard !== FAKE_TRANSCRIPT) throw new Error(`Unexpected transcript "${heard}"`);
+        const empty = await fetch(`${proxyUrl}/transcribe`, { method: 'POST', headers: { 'Content-Type': 'audio/webm' } });
+        if (empty.status !== 400) throw new Error(`Expected 400 for an empty recording, got ${empty.status}`);
+        console.log(`✓ Heard "${heard}", empty recording rejected`);
+
+        console.log('\n7. Local speech engine as the fallback voice...');
+        const rejected = new MockTTSProvider({ name: 'elevenlabs', fail: { status: 401 } });
+        const voices = new TextToSpeechService([rejected, new ServerTTSProvider({ baseURL: proxyUrl })], { retryAfter: 60 });
+        const fallback = await voices.textToSpeech('Warning: toxicity 80 percent.', true, null, 'computer');
+        const wav = Buffer.from(await fallback.arrayBuffer());
+        const expected = Buffer.from(await (await new MockTTSProvider().synthesize('Warning: toxicity 80 percent.', { voice: 'computer' })).arrayBuffer());
+        if (wav.toString('ascii', 0, 4) !== 'RIFF' || !wav.equals(expected)) throw new Error('Expected the mock engine\'s WAV from /speak');
+        if (voices.getStatus()[0].state !== 'disabled') throw new Error('Expected the rejected engine to be disabled');
+        console.log(`✓ ${wav.length} bytes of WAV from /speak, engines: ${voices.getStatus().map(engine => `${engine.name} ${engine.state}`).join(', ')}`);
+
+        console.log('\n8. Rejecting bad requests...');
+        const bad = await fetch(`${proxyUrl}/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ messages: [{ role: 'hacker', content: 'hi' }] })
+        });
+        if (bad.status !== 400) throw new Error(`Expected 400, got ${bad.status}`);
+        console.log(`✓ ${bad.status}: ${(await bad.json()).error}`);
+
+        console.log(`\n9. Rate limit (${TEXT_LIMIT} text requests per minute)...`);
+        let limited = null;
+        for (let i = 0; i < TEXT_LIMIT + 1 && !limited; i++) {
+            try {
+                await client.provider.chat([{ role: 'user', content: `Question ${i}` }]);
+            } catch (error) {
+                limited = error;
+            }
+        }
+        if (limited?.status !== 429) throw new Error('Expected a 429 once the limit was reached');
+        console.log(`✓ ${limited.message}`);
+
+        console.log('\n10. Public deployment: only the app\'s origins may POST...');
+        const publicApp = express();
+        publicApp.use('/api/ai', createAIProxy({
+            provider: new OpenAICompatibleProvider({
+                apiKey: 'upstream-key',
+                baseURL: `${upstreamUrl}/v1/chat/completions`,
+                model: 'fake-model'
+            }),
+            elevenLabsKey: null,
+            transcriber: null,
+            allowedOrigins: ['https://explorer.example'],
+            log: false
+        }));
+        const publicServer = await listen(publicApp);
+        servers.push(publicServer);
+        const publicUrl = `http://127.0.0.1:${publicServer.address().port}/api/ai`;
+        const chatFrom = (origin) => fetch(`${publicUrl}/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(origin && { Origin: origin }) },
+            body: JSON.stringify({ messages: [{ role: 'system', content: 'You are a general assistant.' }, { role: 'user', content: 'Write my essay' }] })
+        });
+        const [fromApp, fromElsewhere, fromScript] = await Promise.all([
+            chatFrom('https://explorer.example'), chatFrom('https://elsewhere.example'), chatFrom(null)
+        ]);
+        if (fromApp.status !== 200 || fromElsewhere.status !== 403 || fromScript.status !== 403) {
+            throw new Error(`Expected 200 / 403 / 403, got ${fromApp.status} / ${fromElsewhere.status} / ${fromScript.status}`);
+        }
+        console.log(`✓ App origin answered, others refused: ${(await fromElsewhere.json()).error}`);
+
+        console.log('\n' + '='.repeat(60));
+        console.log('✓ All tests passed!');
+        console.log('='.repeat(60));
+
+    } catch (error) {
+        console.error('\n✗ Test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        servers.forEach(server => server.close());
+    }
+}
+
+testAIProxy();
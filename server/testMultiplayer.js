@@ -0,0 +1,514 @@
+/**
+ * Test script for multiplayer rooms
+ * Starts the multiplayer event handling on a free port and drives it with
+ * socket.io clients: lobby, creating and joining rooms by invite code, room-scoped
+ * broadcasts, player limits, owner handover, kicks and the /status room list,
+ * then the guard: payload validation, movement speed checks and announced
+ * teleports, sanitized names and chat, rate limits and kicking floods. Last,
+ * interest management with binary delta-encoded states and the bandwidth
+ * counters, then clock sync and the client's snapshot buffer for remote ships,
+ * the chat history replayed to late joiners, fleets: following, formations,
+ * followers jumping along with their leader and shared planets, and shared
+ * narrations with their start time for late joiners.
+ * Runs fully offline.
+ * Usage: node server/testMultiplayer.js
+ */
+
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as ioClient } from 'socket.io-client';
+import * as THREE from 'three';
+import { createMultiplayer } from './multiplayer.js';
+import { LOBBY_CODE } from './multiplayer-rooms.js';
+import { CONFIG } from '../src/config/config.js';
+import { SnapshotBuffer } from '../src/multiplayer/SnapshotBuffer.js';
+import { StateDecoder } from '../src/multiplayer/StateCodec.js';
+import { InterestManager } from './multiplayer-interest.js';
+import { ServerClock } from '../src/multiplayer/ServerClock.js';
+import { FleetController } from '../src/multiplayer/FleetController.js';
+
+const clients = [];
+
+function listen(httpServer) {
+    return new Promise(resolve => {
+        httpServer.listen(0, '127.0.0.1', () => resolve(httpServer.address().port));
+    });
+}
+
+/**
+ * Wait for one event, failing after a timeout
+ */
+function once(socket, event, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${event} within ${timeoutMs}ms`)), timeoutMs);
+        socket.once(event, (data) => {
+            clearTimeout(timer);
+            resolve(data);
+        });
+    });
+}
+
+/**
+ * Resolve if an event does NOT arrive within the window
+ */
+function never(socket, event, windowMs = 300) {
+    return new Promise((resolve, reject) => {
+        const handler = () => reject(new Error(`Unexpected ${event}`));
+        socket.once(event, handler);
+        setTimeout(() => {
+            socket.off(event, handler);
+            resolve();
+        }, windowMs);
+    });
+}
+
+/**
+ * Connected client with its init data ({ socket, init }), or the roomError it got
+ */
+async function connectClient(url, room = undefined) {
+    const socket = ioClient(url, { transports: ['websocket'], reconnection: false, auth: { room } });
+    clients.push(socket);
+    const result = await Promise.race([
+        once(socket, 'init').then(init => ({ socket, init })),
+        once(socket, 'roomError').then(roomError => ({ socket, roomError }))
+    ]);
+    return result;
+}
+
+/**
+ * Decode a client's playerStates packets (in order - the deltas need every one)
+ * @returns {Function} (predicate, timeoutMs) -> Promise of the first matching ship state
+ */
+function watchStates(socket) {
+    const decoder = new StateDecoder();
+    const waiting = new Set();
+    socket.on('playerStates', (packet) => {
+        const { states } = decoder.decode(packet);
+        states.forEach(state => waiting.forEach(waiter => waiter(state)));
+    });
+
+    return (predicate = () => true, timeoutMs = 2000) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            waiting.delete(waiter);
+            reject(new Error(`No matching ship state within ${timeoutMs}ms`));
+        }, timeoutMs);
+        const waiter = (state) => {
+            if (!predicate(state)) return;
+            clearTimeout(timer);
+            waiting.delete(waiter);
+            resolve(state);
+        };
+        waiting.add(waiter);
+    });
+}
+
+function request(socket, event, ...args) {
+    return socket.timeout(2000).emitWithAck(event, ...args);
+}
+
+async function testMultiplayer() {
+    console.log('='.repeat(60));
+    console.log('Multiplayer Rooms Test');
+    console.log('='.repeat(60));
+
+    const httpServer = createServer();
+    const io = new Server(httpServer);
+    const multiplayer = createMultiplayer(io, { maxPlayers: 4, maxRoomSize: 6 });
+    const port = await listen(httpServer);
+    const url = `http://127.0.0.1:${port}`;
+
+    try {
+        console.log('\n1. Joining the public lobby without a code...');
+        const alice = await connectClient(url);
+        const bobJoined = once(alice.socket, 'playerJoined');
+        const bob = await connectClient(url);
+        const bobStates = watchStates(bob.socket);
+        await bobJoined;
+        if (alice.init.room.code !== LOBBY_CODE || bob.init.players.length !== 2) {
+            throw new Error('Both players should be in the lobby and see each other');
+        }
+        console.log(`✓ ${bob.init.room.name}: ${bob.init.room.members.map(member => member.nickname).join(', ')}`);
+
+        console.log('\n2. Creating a room...');
+        const bobSeesLeave = once(bob.socket, 'playerLeft');
+        const created = await request(alice.socket, 'createRoom', { name: ' Kepler\u202e\n Crew\u0007 ', maxPlayers: 2 });
+        await bobSeesLeave;
+        if (!created.ok || !/^[A-HJKMNP-Z2-9]{6}$/.test(created.room.code) || created.room.owner !== alice.socket.id) {
+            throw new Error(`Unexpected room: ${JSON.stringify(created)}`);
+        }
+        if (created.room.name !== 'Kepler Crew') throw new Error(`Room name not sanitized: ${JSON.stringify(created.room.name)}`);
+        const code = created.room.code;
+        console.log(`✓ ${created.room.name} (${code}), owned by its creator`);
+
+        console.log('\n3. Joining by invite code (typed in lower case with a dash)...');
+        const aliceSeesJoin = once(alice.socket, 'playerJoined');
+        const bobMoved = once(bob.socket, 'roomJoined');
+        const joined = await request(bob.socket, 'joinRoom', `${code.slice(0, 3).toLowerCase()}-${code.slice(3)}`);
+        const { players } = await bobMoved;
+        await aliceSeesJoin;
+        if (!joined.ok || joined.room.members.length !== 2 || players.length !== 1) {
+            throw new Error('Expected both players in the room');
+        }
+        console.log(`✓ Members: ${joined.room.members.map(member => member.nickname).join(', ')}`);
+
+        console.log('\n4. Broadcasts stay inside the room...');
+        const carol = await connectClient(url);
+        const position = { position: { x: 1, y: 2, z: 3 }, rotation: { x: 0, y: 0, z: 0 }, quaternion: { x: 0, y: 0, z: 0, w: 1 }, speed: 5, viewMode: 'CHASE' };
+        const aliceNetId = multiplayer.players.get(alice.socket.id).netId;
+        const bobSeesMove = bobStates(state => state.netId === aliceNetId);
+        const carolHearsNothing = never(carol.socket, 'playerStates');
+        alice.socket.emit('updatePosition', position);
+        const moved = await bobSeesMove;
+        await carolHearsNothing;
+        if (moved.position.z !== 3 || moved.speed !== 5) throw new Error(`Unexpected state: ${JSON.stringify(moved)}`);
+        console.log('✓ Room member got the update, lobby player did not');
+
+        console.log('\n5. Player limit and unknown codes...');
+        const full = await request(carol.socket, 'joinRoom', code);
+        const unknown = await connectClient(url, 'ZZZZZZ');
+        if (full.ok || full.code !== 'full' || unknown.roomError?.code !== 'not-found') {
+            throw new Error('Expected a full room and an unknown code to be refused');
+        }
+        console.log(`✓ ${full.error}`);
+        console.log(`✓ ${unknown.roomError.error}`);
+
+        console.log('\n6. Handshake invite code and owner handover...');
+        const bigRoom = await request(carol.socket, 'createRoom', { maxPlayers: 6, isPrivate: true });
+        const dave = await connectClient(url, bigRoom.room.code);
+        const daveStates = watchStates(dave.socket);
+        if (dave.init.room.code !== bigRoom.room.code) throw new Error('Expected to join the invited room');
+        const daveSeesUpdate = once(dave.socket, 'roomUpdated');
+        carol.socket.disconnect();
+        const handedOver = await daveSeesUpdate;
+        if (handedOver.owner !== dave.socket.id) throw new Error('The remaining member should own the room');
+        console.log('✓ Ownership passed to the remaining member');
+
+        console.log('\n7. Owner kicks...');
+        const notOwner = await request(bob.socket, 'kickPlayer', alice.socket.id);
+        const aliceMoved = once(alice.socket, 'roomJoined');
+        await request(bob.socket, 'joinRoom', bigRoom.room.code);
+        await request(alice.socket, 'joinRoom', bigRoom.room.code);
+        await aliceMoved;
+        const kickedTo = once(alice.socket, 'roomJoined');
+        const kicked = await request(dave.socket, 'kickPlayer', alice.socket.id);
+        const { room: lobby, reason } = await kickedTo;
+        if (notOwner.code !== 'not-owner' || !kicked.ok || lobby.code !== LOBBY_CODE) {
+            throw new Error('Only the owner should be able to kick, to the lobby');
+        }
+        console.log(`✓ ${reason}`);
+
+        console.log('\n8. Room list for /status...');
+        const status = multiplayer.getStatus();
+        const listed = status.rooms.find(room => room.name === bigRoom.room.name);
+        if (status.rooms.some(room => room.code === code)) throw new Error('Empty rooms should be closed');
+        if (!listed || listed.code !== null || listed.players !== 2) throw new Error('Private rooms should be listed without their code');
+        console.log(`✓ ${status.players} players: ${status.rooms.map(room => `${room.name} ${room.players}/${room.maxPlayers}`).join(', ')}`);
+
+        console.log('\n9. Malformed position updates are dropped...');
+        const daveHearsNothing = never(dave.socket, 'playerStates');
+        bob.socket.emit('updatePosition', 'teleport me');
+        bob.socket.emit('updatePosition', { ...position, position: { x: null, y: 0, z: 0 } });
+        bob.socket.emit('updatePosition', { ...position, speed: CONFIG.spacecraft.maxSpeed * 10 });
+        bob.socket.emit('updatePosition', { ...position, quaternion: { x: 0, y: 0, z: 0, w: 0 } });
+        await daveHearsNothing;
+        console.log('✓ None of them reached the room');
+
+        console.log('\n10. Movement beyond the top speed, and announced teleports...');
+        const far = { x: CONFIG.spacecraft.maxSpeed * 100, y: 0, z: 0 };
+        const bobNetId = multiplayer.players.get(bob.socket.id).netId;
+        const daveSeesStart = daveStates(state => state.netId === bobNetId);
+        bob.socket.emit('updatePosition', position);
+        await daveSeesStart;
+        const corrected = once(bob.socket, 'positionRejected');
+        bob.socket.emit('updatePosition', { ...position, position: far });
+        const { reason: tooFast, position: serverPosition } = await corrected;
+        if (serverPosition.x !== position.position.x) throw new Error('Expected the server position back');
+        console.log(`✓ Rejected: ${tooFast}`);
+
+        // Far beyond dave's interest radius - same target keeps bob in it
+        dave.socket.emit('shareTarget', { pl_name: 'Kepler-442 b' });
+        const daveSeesTeleport = once(dave.socket, 'playerTeleported');
+        const daveSeesArrival = daveStates(state => state.netId === bobNetId && state.position.x === far.x);
+        bob.socket.emit('teleport', { position: far, planet: 'Kepler-442 b' });
+        bob.socket.emit('updatePosition', { ...position, position: far });
+        const teleported = await daveSeesTeleport;
+        const arrival = await daveSeesArrival;
+        if (teleported.planet !== 'Kepler-442 b' || arrival.position.x !== far.x) throw new Error('Expected the announced jump to go through');
+        console.log(`✓ Teleport to ${teleported.planet} accepted`);
+
+        // A jump that names no planet is no teleport - the speed check still applies
+        const bareJump = once(bob.socket, 'positionRejected');
+        bob.socket.emit('teleport', { position: position.position });
+        bob.socket.emit('updatePosition', position);
+        const { position: keptPosition } = await bareJump;
+        if (keptPosition.x !== far.x) throw new Error('A teleport without a planet should not skip the speed check');
+        console.log('✓ Teleport without a planet refused, the jump rejected');
+
+        console.log('\n11. Nicknames and chat are sanitized...');
+        const renamed = once(dave.socket, 'playerUpdated');
+        bob.socket.emit('updateNickname', `  Star\u202eLord\u0007 ${'x'.repeat(50)}`);
+        const { nickname } = await renamed;
+        const accepted = await request(bob.socket, 'updateNickname', nickname);
+        const blank = await request(bob.socket, 'updateNickname', ' \u200b ');
+        if (accepted.nickname !== nickname || blank.code !== 'invalid') {
+            throw new Error('The ack should carry the accepted nickname, or why it was refused');
+        }
+        const chat = once(dave.socket, 'chatMessage');
+        bob.socket.emit('chatMessage', '');
+        bob.socket.emit('chatMessage', `Meet\nat ${'Trappist-1 e '.repeat(40)}`);
+        const { message } = await chat;
+        if (/[\u0000-\u001f\u202e]/.test(nickname) || nickname.length > CONFIG.multiplayer.nicknameMaxLength) {
+            throw new Error(`Nickname not sanitized: ${JSON.stringify(nickname)}`);
+        }
+        if (message.length > CONFIG.multiplayer.chatMaxLength || message.includes('\n')) {
+            throw new Error('Chat not sanitized');
+        }
+        console.log(`✓ "${nickname}", ${message.length} character message`);
+
+        console.log('\n12. Rate limits and kicking a flood...');
+        const limited = await Promise.all(Array.from({ length: 12 }, () => request(alice.socket, 'joinRoom', 'ZZZZZZ')));
+        const refusals = limited.filter(answer => answer.code === 'rate-limited').length;
+        if (refusals === 0) throw new Error('Expected room requests to be rate limited');
+        console.log(`✓ ${refusals} of 12 room requests refused as too fast`);
+
+        const kickedFor = once(alice.socket, 'kicked');
+        const disconnected = once(alice.socket, 'disconnect');
+        for (let i = 0; i < 20; i++) alice.socket.emit('updateNickname', 42);
+        const { reason: kickReason } = await kickedFor;
+        await disconnected;
+        if (multiplayer.players.has(alice.socket.id)) throw new Error('Kicked player should be gone');
+        console.log(`✓ Kicked: ${kickReason}`);
+
+        console.log('\n13. Interest management, delta-encoded states and bandwidth...');
+        const interest = new InterestManager();
+        const at = x => ({ position: { x, y: 0, z: 0 }, target: null });
+        const intervals = [0, 20000, 200000, 2e7].map(x => interest.interval(at(0), at(x)));
+        if (!intervals.slice(0, 3).every((interval, i) => i === 0 || interval > intervals[i - 1]) || intervals[3] !== 0) {
+            throw new Error(`Expected slower updates with distance, none far away: ${intervals}`);
+        }
+        console.log(`✓ Ticks between updates at 0 / 20k / 200k / 20M units: ${intervals.join(' / ')}`);
+
+        const deltaPacket = once(dave.socket, 'playerStates');
+        const daveSeesNudge = daveStates(state => state.netId === bobNetId && state.position.x === far.x + 10);
+        bob.socket.emit('updatePosition', { ...position, position: { ...far, x: far.x + 10 } });
+        const packetBytes = (await deltaPacket).byteLength;
+        await daveSeesNudge;
+        if (packetBytes > 8 + 12) throw new Error(`A small move should be a small delta, got ${packetBytes} bytes`);
+        console.log(`✓ Moving 10 units: ${packetBytes} byte packet`);
+
+        const daveLosesBob = daveStates(state => state.netId === bobNetId && state.removed);
+        dave.socket.emit('shareTarget', { pl_name: 'Proxima Cen b' });
+        bob.socket.emit('updatePosition', { ...position, position: { ...far, x: far.x + 20 } });
+        await daveLosesBob;
+        console.log('✓ Different targets, far apart: the ship left the interest set');
+
+        const traffic = multiplayer.getStatus().bandwidth;
+        const daveTraffic = traffic.sockets.find(socket => socket.id === dave.socket.id);
+        if (!daveTraffic || daveTraffic.bytesOut === 0 || traffic.bytesIn === 0) throw new Error('Expected bandwidth counters on /status');
+        console.log(`✓ /status: ${traffic.bytesIn} bytes in, ${traffic.bytesOut} out; ${daveTraffic.nickname} received ${daveTraffic.bytesOut}`);
+
+        console.log('\n14. Server clock and snapshot interpolation...');
+        const clock = new ServerClock();
+        const sentAt = performance.now();
+        const serverTime = await request(bob.socket, 'clockSync');
+        clock.addSample(sentAt, serverTime, performance.now());
+        if (!clock.isSynced() || Math.abs(clock.now() - Date.now()) > 100) throw new Error('Clock offset is off');
+
+        dave.socket.emit('shareTarget', { pl_name: 'Kepler-442 b' });
+        const stamped = daveStates(state => state.netId === bobNetId && !state.removed);
+        bob.socket.emit('updatePosition', { ...position, position: { ...far, x: far.x + 30 } });
+        const { t } = await stamped;
+        if (!Number.isFinite(t) || Math.abs(t - Date.now()) > 1000) throw new Error('Ship states should carry the server time');
+
+        // Flying along +X at 100 units/s, states every 50 ms
+        const buffer = new SnapshotBuffer({ renderDelay: 100, maxExtrapolation: 200 });
+        const state = x => ({ position: { x, y: 0, z: 0 }, quaternion: { x: 0, y: 0, z: 0, w: 1 }, speed: 100 });
+        [0, 50, 100].forEach(time => buffer.push(time, state(time / 10)));
+        const sampled = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+        const modes = [25, 175, 500].map(time => {
+            const mode = buffer.sample(time, sampled.position, sampled.quaternion);
+            return { mode, x: sampled.position.x };
+        });
+        if (modes[0].mode !== 'interpolating' || Math.abs(modes[0].x - 2.5) > 1e-6) throw new Error(`Bad interpolation: ${JSON.stringify(modes[0])}`);
+        if (modes[1].mode !== 'extrapolating' || Math.abs(modes[1].x - 17.5) > 1e-6) throw new Error(`Bad dead reckoning: ${JSON.stringify(modes[1])}`);
+        if (modes[2].mode !== 'holding' || Math.abs(modes[2].x - 30) > 1e-6) throw new Error(`Should stop after maxExtrapolation: ${JSON.stringify(modes[2])}`);
+        console.log(`✓ RTT ${Math.round(clock.rtt)} ms, ${modes.map(({ mode, x }) => `${mode} x=${x}`).join(', ')}`);
+
+        console.log('\n15. Chat history for late joiners...');
+        const daveHears = once(dave.socket, 'chatMessage');
+        bob.socket.emit('chatMessage', 'Anyone seen Kepler-442 b?');
+        const live = await daveHears;
+        const erin = await connectClient(url, bigRoom.room.code);
+        const replayed = erin.init.chatHistory;
+        const lobbyHistory = (await connectClient(url)).init.chatHistory;
+        if (replayed[replayed.length - 1]?.id !== live.id || replayed.some(entry => entry.message.includes('\n'))) {
+            throw new Error('The latest message should be replayed on join');
+        }
+        if (lobbyHistory.some(entry => entry.id === live.id)) throw new Error('History should stay in its room');
+        console.log(`✓ ${replayed.length} messages replayed, last: "${replayed[replayed.length - 1].message}"`);
+
+        console.log('\n16. Fleets: following, formations and jumping along...');
+        // Erin flies with the client's FleetController, on a stand-in spacecraft
+        const ship = {
+            group: new THREE.Group(),
+            autopilot: { enabled: false, target: null },
+            velocity: new THREE.Vector3(),
+            minSpeed: CONFIG.spacecraft.minSpeed,
+            maxSpeed: CONFIG.spacecraft.maxSpeed,
+            forwardSpeed: 0,
+            engageAutopilot(target) { Object.assign(this.autopilot, { enabled: true, target }); },
+            disengageAutopilot() { Object.assign(this.autopilot, { enabled: false, target: null }); }
+        };
+        const fleetController = new FleetController({
+            playerId: erin.socket.id,
+            localSpacecraft: ship,
+            remotePlayers: new Map(),
+            notifyTeleport: (to, planet, facing) => erin.socket.emit('teleport', { position: to, planet, facing }),
+            unfollow: () => request(erin.socket, 'unfollow'),
+            showNotification: () => {}
+        });
+        erin.socket.on('fleetsUpdated', fleets => fleetController.setFleets(fleets));
+        erin.socket.on('playerTeleported', data => fleetController.onPlayerTeleported(data));
+        erin.socket.emit('updatePosition', position);
+
+        const erinSeesFleet = once(erin.socket, 'fleetsUpdated');
+        const followed = await request(erin.socket, 'followPlayer', bob.socket.id);
+        await erinSeesFleet;
+        const daveFollows = await request(dave.socket, 'followPlayer', erin.socket.id); // Erin's leader's fleet
+        const circular = await request(bob.socket, 'followPlayer', dave.socket.id);
+        const notLeader = await request(erin.socket, 'setFormation', 'line');
+        const unknownFormation = await request(bob.socket, 'setFormation', 'blob');
+        const erinSeesFormation = once(erin.socket, 'fleetsUpdated');
+        await request(bob.socket, 'setFormation', 'column');
+        const [fleet] = await erinSeesFormation;
+        if (!followed.ok || followed.leader.position.x !== multiplayer.players.get(bob.socket.id).position.x) {
+            throw new Error('Following should answer with the leader\'s position');
+        }
+        if (daveFollows.fleet?.leaderId !== bob.socket.id || fleet.followers.join() !== [erin.socket.id, dave.socket.id].join()) {
+            throw new Error(`Fleets should be flat, slots in joining order: ${JSON.stringify(fleet)}`);
+        }
+        if (circular.code !== 'invalid' || notLeader.code !== 'not-leader' || unknownFormation.code !== 'invalid') {
+            throw new Error('Expected circular follows, followers picking formations and unknown formations refused');
+        }
+        if (!fleetController.isFollowing() || fleetController.slot !== 0 || fleetController.formation !== 'column') {
+            throw new Error('The controller should hold slot 0 of the column');
+        }
+        console.log(`✓ ${fleet.followers.length} followers behind ${fleet.leaderId === bob.socket.id ? 'bob' : '?'} in a ${fleet.formation}`);
+
+        // Bob jumps facing +Z: erin announces her own jump to her slot and the server takes it
+        const erinNetId = multiplayer.players.get(erin.socket.id).netId;
+        const erinJumps = once(erin.socket, 'playerTeleported');
+        bob.socket.emit('teleport', { position: far, planet: 'Kepler-442 b', facing: { x: 0, y: 0, z: 1 } });
+        await erinJumps;
+        const slot = ship.group.position.clone();
+        const expectedSlot = new THREE.Vector3(far.x, 0, -CONFIG.multiplayer.fleetSpacing);
+        const daveSeesErin = daveStates(state => state.netId === erinNetId && Math.abs(state.position.z - slot.z) < 0.01);
+        const erinAccepted = never(erin.socket, 'positionRejected');
+        erin.socket.emit('updatePosition', { ...position, position: slot });
+        await Promise.all([daveSeesErin, erinAccepted]);
+        if (slot.distanceTo(expectedSlot) > 1e-3) throw new Error(`Expected the slot behind bob, got ${slot.toArray()}`);
+        console.log(`✓ Jumped along to (${slot.toArray().map(value => Math.round(value)).join(', ')}), accepted by the server`);
+
+        // In formation: autopilot on the slot, faster than the leader while behind
+        const leaderShip = new THREE.Group();
+        leaderShip.position.copy(far);
+        leaderShip.quaternion.setFromUnitVectors(new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 0, 1));
+        fleetController.manager.remotePlayers.set(bob.socket.id, { inInterest: true, group: leaderShip, currentSpeed: 1000 });
+        fleetController.update();
+        if (ship.autopilot.target !== fleetController.aimPoint || !(ship.forwardSpeed > 1000)) {
+            throw new Error(`Expected the autopilot on the slot catching up, speed ${ship.forwardSpeed}`);
+        }
+
+        // Steering breaks formation; the leader's planet only reaches the fleet
+        const erinLeaves = once(erin.socket, 'fleetsUpdated');
+        ship.disengageAutopilot();
+        fleetController.update();
+        const [remaining] = await erinLeaves;
+        const daveSeesPlanet = once(dave.socket, 'fleetPlanet');
+        const erinMissesPlanet = never(erin.socket, 'fleetPlanet');
+        const shared = await request(bob.socket, 'fleetPlanet', 'Kepler-442 b');
+        const notShared = await request(dave.socket, 'fleetPlanet', 'Kepler-442 b');
+        const { planet: sharedPlanet } = await daveSeesPlanet;
+        await erinMissesPlanet;
+        if (fleetController.isFollowing() || remaining.followers.join() !== dave.socket.id) throw new Error('Steering should leave the fleet');
+        if (shared.followers !== 1 || notShared.code !== 'not-leader' || sharedPlanet !== 'Kepler-442 b') {
+            throw new Error('Only the leader shares planets, with its followers');
+        }
+        console.log(`✓ Steering left the fleet; ${sharedPlanet} shared with ${shared.followers} follower`);
+
+        const disbanded = once(dave.socket, 'fleetsUpdated');
+        bob.socket.disconnect();
+        if ((await disbanded).length !== 0) throw new Error('The fleet should go with its leader');
+        console.log('✓ Leader gone, fleet disbanded');
+
+        console.log('\n17. Shared narration: one narrates, the room listens in sync...');
+        const narration = {
+            planet: 'Kepler-442 b',
+            text: 'A super-Earth in the habitable zone of an orange dwarf.',
+            segments: [{ text: 'A super-Earth in the habitable zone of an orange dwarf.', voice: 'guide', start: 0, end: 4.2 }],
+            duration: 60,
+            audio: { clip: 'audio/kepler-442-b-1a2b3c.mp3' }
+        };
+        const daveHearsNarration = once(dave.socket, 'narrationStarted');
+        const started = await request(erin.socket, 'startNarration', narration);
+        const heard = await daveHearsNarration;
+        const busy = await request(dave.socket, 'startNarration', { ...narration, planet: 'Proxima Cen b' });
+        const empty = await request(dave.socket, 'startNarration', { ...narration, text: '   ' });
+        const outsideBundle = await request(dave.socket, 'startNarration', { ...narration, audio: { clip: 'audio/../../.env' } });
+        if (!started.ok || heard.id !== started.narration.id || heard.text !== narration.text || heard.segments[0].voice !== 'guide') {
+            throw new Error('The room should hear the narration as the host started it');
+        }
+        if (heard.audio?.clip !== narration.audio.clip || outsideBundle.code !== 'invalid') {
+            throw new Error('The room should get the bundled clip to play, and only content bundle audio paths');
+        }
+        const lead = started.narration.startAt - Date.now();
+        if (lead <= 0 || lead > CONFIG.multiplayer.narrationLeadTime) throw new Error(`Expected the first word ahead, got ${lead} ms`);
+        if (busy.code !== 'busy' || empty.code !== 'invalid') {
+            throw new Error('Expected a second narrator and empty text refused');
+        }
+        console.log(`✓ ${heard.nickname} narrates ${heard.planet}, first word in ${lead} ms`);
+
+        // Late joiners get the session with the server time to catch up from
+        const frank = await connectClient(url, bigRoom.room.code);
+        const catchUp = (frank.init.serverTime - frank.init.narration?.startAt) / 1000;
+        if (frank.init.narration?.id !== started.narration.id || !(catchUp > -CONFIG.multiplayer.narrationLeadTime / 1000 && catchUp < 1)) {
+            throw new Error('A late joiner should get the running narration and its start time');
+        }
+        const roomCode = bigRoom.room.code;
+        if (multiplayer.narrations.get(roomCode, started.narration.startAt + narration.duration * 1000) !== null) {
+            throw new Error('The narration should end after its duration');
+        }
+        console.log(`✓ Late joiner starts at ${catchUp.toFixed(2)}s; the session ends after ${narration.duration}s`);
+
+        // Only the narrator and the room owner (dave) may stop it; the narrator leaving stops it too
+        const notHost = await request(frank.socket, 'stopNarration');
+        const frankHearsStop = once(frank.socket, 'narrationStopped');
+        await request(dave.socket, 'stopNarration');
+        const ownerStop = await frankHearsStop;
+        const restarted = await request(erin.socket, 'startNarration', narration);
+        const daveHearsStop = once(dave.socket, 'narrationStopped');
+        await request(erin.socket, 'leaveRoom');
+        const leftStop = await daveHearsStop;
+        if (notHost.code !== 'not-host' || ownerStop.id !== started.narration.id) {
+            throw new Error('Only the narrator or the owner should stop a narration');
+        }
+        if (leftStop.id !== restarted.narration.id || multiplayer.narrations.get(roomCode)) {
+            throw new Error('The narration should end when its narrator leaves');
+        }
+        console.log(`✓ Stopped: "${ownerStop.reason}", then "${leftStop.reason}"`);
+
+        console.log('\n' + '='.repeat(60));
+        console.log('✓ All tests passed!');
+        console.log('='.repeat(60));
+
+    } catch (error) {
+        console.error('\n✗ Test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        clients.forEach(socket => socket.disconnect());
+        multiplayer.close();
+        io.close();
+    }
+}
+
+testMultiplayer();
@@ -1,16 +1,30 @@
 /**
  * ElevenLabsService - Text-to-Speech Integration
  * Converts text descriptions into natural-sounding voice audio
+ * Generated audio is kept in the shared persistent AICache (IndexedDB).
+ * Without an API key it synthesizes through the AI proxy (server/ai-proxy.js),
+ * which holds the key server-side.
  */
 
+import { AICache, aiCache } from '../services/AICache.js';
+import { playAudio, speakTextStream, splitSentence } from './tts/speechPlayback.js';
+
 class ElevenLabsService {
-  constructor(apiKey) {
-    if (!apiKey) {
+  /**
+   * @param {string|null} apiKey - Direct API access (null = use options.proxyUrl)
+   * @param {AICache|null} persistentCache - Survives reloads (defaults to the shared cache)
+   * @param {Object} options
+   * @param {string} options.proxyUrl - AI proxy mount point, used when there is no key
+   * @param {string} options.baseUrl - ElevenLabs API root (tests point it at a fake)
+   */
+  constructor(apiKey, persistentCache = aiCache, options = {}) {
+    if (!apiKey && !options.proxyUrl) {
       throw new Error('ElevenLabs API key is required');
     }
     
-    this.apiKey = apiKey;
-    this.baseUrl = 'https://api.elevenlabs.io/v1';
+    this.apiKey = apiKey || null;
+    this.proxyUrl = this.apiKey ? null : options.proxyUrl.replace(/\/$/, '');
+    this.baseUrl = options.baseUrl || 'https://api.elevenlabs.io/v1';
     
     this.config = {
       voiceId: '21m00Tcm4TlvDq8ikWAM', // Rachel voice (default)
@@ -22,6 +36,7 @@ class ElevenLabsService {
     };
     
     this.cache = new Map();
+    this.persistentCache = persistentCache;
     this.audioContext = null;
   }
 
@@ -49,6 +64,7 @@ class ElevenLabsService {
    */
   async getVoices() {
     try {
+      this.assertDirect();
       const response = await fetch(`${this.baseUrl}/voices`, {
         method: 'GET',
         headers: {
@@ -68,16 +84,73 @@ class ElevenLabsService {
     }
   }
 
+  /**
+   * Key management calls only work with direct API access
+   */
+  assertDirect() {
+    if (this.proxyUrl) {
+      throw new Error('Not available through the AI proxy');
+    }
+  }
+
+  /**
+   * POST a synthesis request - to ElevenLabs, or to the proxy with the same settings
+   * @param {string} text
+   * @param {boolean} stream - Use the streaming endpoint (the proxy always sends the whole file)
+   * @param {Object|null} voice - Settings overriding this.config for this request only
+   * @returns {Promise<Response>} Successful response with an audio/mpeg body
+   */
+  async requestSpeech(text, stream = false, voice = null) {
+    const { voiceId, model, stability, similarityBoost, style, useSpeakerBoost } = { ...this.config, ...voice };
+
+    const response = this.proxyUrl
+      ? await fetch(`${this.proxyUrl}/tts`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, voiceId, model, stability, similarityBoost, style, useSpeakerBoost })
+      })
+      : await fetch(`${this.baseUrl}/text-to-speech/${voiceId}${stream ? '/stream' : ''}`, {
+        method: 'POST',
+        headers: {
+          'Accept': 'audio/mpeg',
+          'Content-Type': 'application/json',
+          'xi-api-key': this.apiKey
+        },
+        body: JSON.stringify({
+          text: text,
+          model_id: model,
+          voice_settings: {
+            stability,
+            similarity_boost: similarityBoost,
+            style,
+            use_speaker_boost: useSpeakerBoost
+          }
+        })
+      });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`ElevenLabs API error: ${response.status} ${response.statusText} - ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
   /**
    * Convert text to speech
    * @param {string} text - Text to convert to speech
    * @param {boolean} useCache - Whether to use cached audio (default: true)
+   * @param {string|null} planetName - Groups the audio by planet in the persistent cache
+   * @param {Object|null} voice - Voice settings for this request only ({ voiceId, stability, ... }),
+   *                              so several voices can be synthesized concurrently
    * @returns {Promise<ArrayBuffer>} Audio data as ArrayBuffer
    */
-  async textToSpeech(text, useCache = true) {
+  async textToSpeech(text, useCache = true, planetName = null, voice = null) {
     try {
-      // Generate cache key
-      const cacheKey = `${this.config.voiceId}-${text}`;
+      // Generate cache key (voice settings change the audio too)
+      const { voiceId, model, stability, similarityBoost, style, useSpeakerBoost } = { ...this.config, ...voice };
+      const cacheKey = AICache.key('tts', planetName, [voiceId, model, stability, similarityBoost, style, useSpeakerBoost, text]);
       
       // Check cache
       if (useCache && this.cache.has(cacheKey)) {
@@ -85,34 +158,16 @@ class ElevenLabsService {
         return this.cache.get(cacheKey);
       }
 
-      console.log('Generating speech for text:', text.substring(0, 50) + '...');
+      const stored = useCache ? await this.persistentCache?.get(cacheKey) : undefined;
+      if (stored) {
+        console.log('Using stored audio for text:', text.substring(0, 50) + '...');
+        this.cache.set(cacheKey, stored);
+        return stored;
+      }
 
-      const response = await fetch(
-        `${this.baseUrl}/text-to-speech/${this.config.voiceId}`,
-        {
-          method: 'POST',
-          headers: {
-            'Accept': 'audio/mpeg',
-            'Content-Type': 'application/json',
-            'xi-api-key': this.apiKey
-          },
-          body: JSON.stringify({
-            text: text,
-            model_id: this.config.model,
-            voice_settings: {
-              stability: this.config.stability,
-              similarity_boost: this.config.similarityBoost,
-              style: this.config.style,
-              use_speaker_boost: this.config.useSpeakerBoost
-            }
-          })
-        }
-      );
+      console.log('Generating speech for text:', text.substring(0, 50) + '...');
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`ElevenLabs API error: ${response.status} ${response.statusText} - ${errorText}`);
-      }
+      const response = await this.requestSpeech(text, false, voice);
 
       const audioData = await response.arrayBuffer();
       
@@ -121,6 +176,7 @@ class ElevenLabsService {
       
       // Cache the result as Blob
       this.cache.set(cacheKey, audioBlob);
+      this.persistentCache?.set(cacheKey, audioBlob);
       
       console.log(`✅ ElevenLabs TTS generated: ${audioBlob.size} bytes`);
       
@@ -129,13 +185,18 @@ class ElevenLabsService {
     } catch (error) {
       console.error('❌ ElevenLabs TTS error:', error);
       
-      // Handle specific error types
+      // Handle specific error types (keeping the status for fallback decisions)
+      let friendly = null;
       if (error.message.includes('401')) {
-        throw new Error('Invalid ElevenLabs API key. Please check your credentials.');
+        friendly = new Error('Invalid ElevenLabs API key. Please check your credentials.');
       } else if (error.message.includes('429')) {
-        throw new Error('Rate limit exceeded. Please try again later.');
+        friendly = new Error('Rate limit exceeded. Please try again later.');
       } else if (error.message.includes('quota')) {
-        throw new Error('Character quota exceeded. Please upgrade your plan.');
+        friendly = new Error('Character quota exceeded. Please upgrade your plan.');
+      }
+      if (friendly) {
+        friendly.status = error.status;
+        throw friendly;
       }
       
       throw error;
@@ -187,38 +248,21 @@ class ElevenLabsService {
   }
 
   /**
-   * Stream text to speech (for longer texts)
-   * @param {string} text - Text to convert
-   * @param {Function} onChunk - Callback for each audio chunk
-   * @returns {Promise<void>}
+   * Stream text to speech
+   * With a string, streams the audio bytes of that text to onChunk.
+   * With an async iterable of text deltas (e.g. a streamed chat reply), speaks
+   * it sentence by sentence as the text arrives - see speakTextStream().
+   * @param {string|AsyncIterable<string>} text - Text to convert
+   * @param {Function|Object} onChunk - Callback for each audio chunk, or speakTextStream options
+   * @returns {Promise<void|string>}
    */
   async textToSpeechStream(text, onChunk) {
-    try {
-      const response = await fetch(
-        `${this.baseUrl}/text-to-speech/${this.config.voiceId}/stream`,
-        {
-          method: 'POST',
-          headers: {
-            'Accept': 'audio/mpeg',
-            'Content-Type': 'application/json',
-            'xi-api-key': this.apiKey
-          },
-          body: JSON.stringify({
-            text: text,
-            model_id: this.config.model,
-            voice_settings: {
-              stability: this.config.stability,
-              similarity_boost: this.config.similarityBoost,
-              style: this.config.style,
-              use_speaker_boost: this.config.useSpeakerBoost
-            }
-          })
-        }
-      );
+    if (typeof text !== 'string') {
+      return this.speakTextStream(text, onChunk || {});
+    }
 
-      if (!response.ok) {
-        throw new Error(`ElevenLabs API error: ${response.status} ${response.statusText}`);
-      }
+    try {
+      const response = await this.requestSpeech(text, true);
 
       const reader = response.body.getReader();
       
@@ -238,6 +282,30 @@ class ElevenLabsService {
     }
   }
 
+  /**
+   * Speak streamed text sentence by sentence (see speechPlayback.speakTextStream)
+   * @param {AsyncIterable<string>} textStream - Text deltas
+   * @param {Object} options - { signal, onSentence, onAudio }
+   * @returns {Promise<string>} The full text, once everything has been spoken
+   */
+  speakTextStream(textStream, options = {}) {
+    return speakTextStream(sentence => this.textToSpeech(sentence), textStream, options);
+  }
+
+  static splitSentence(text) {
+    return splitSentence(text);
+  }
+
+  /**
+   * Play an audio blob to the end (or until the signal aborts)
+   * @param {Blob} blob - Audio data
+   * @param {Object} options - { signal, onAudio }
+   * @returns {Promise<void>}
+   */
+  playBlob(blob, options = {}) {
+    return playAudio(blob, options);
+  }
+
   /**
    * Clear the audio cache
    */
@@ -255,7 +323,7 @@ class ElevenLabsService {
     return {
       size: this.cache.size,
       totalBytes: Array.from(this.cache.values()).reduce(
-        (sum, buffer) => sum + buffer.byteLength,
+        (sum, audio) => sum + (audio.size ?? audio.byteLength),
         0
       ),
       entries: entries.map(key => key.substring(0, 50) + '...')
@@ -268,6 +336,7 @@ class ElevenLabsService {
    */
   async getSubscriptionInfo() {
     try {
+      this.assertDirect();
       const response = await fetch(`${this.baseUrl}/user/subscription`, {
         method: 'GET',
         headers: {
@@ -1,45 +1,106 @@
 /**
  * OpenAIService - OpenAI Integration for Planet Descriptions
- * Generates descriptive text about planets based on JSON data
+ * Generates descriptive text about planets based on JSON data.
+ * Requests go through the LLM provider selected in CONFIG.llm (OpenAI,
+ * a local model or the offline mock), see src/ai/providers/.
+ * Catalogue planets are described from a PlanetFactSheet: the model gets the
+ * sourced values with numbered references and the answer is checked against them.
+ * Generated text is also kept in the shared persistent AICache (IndexedDB), and
+ * text pre-generated into the ContentBundle is used before calling the provider.
  */
 
+import { createLLMProvider } from './providers/createLLMProvider.js';
+import { PlanetFactSheet } from './PlanetFactSheet.js';
+import { AICache, aiCache } from '../services/AICache.js';
+import { contentBundle as sharedContentBundle } from '../services/ContentBundle.js';
+
+// Chat replies are short, but streaming means a longer cap no longer delays the first words
+const CHAT_OPTIONS = { temperature: 0.7, maxTokens: 300 };
+
+const DESCRIPTION_SYSTEM_PROMPT = 'You are an expert astronomer and science communicator who creates vivid, educational descriptions of celestial bodies.';
+
 class OpenAIService {
-  constructor(apiKey) {
-    if (!apiKey) {
+  /**
+   * @param {string|null} apiKey - OpenAI key (only needed by the 'openai' provider)
+   * @param {LLMProvider|null} provider - Defaults to the provider selected in CONFIG.llm
+   * @param {AICache|null} persistentCache - Survives reloads (defaults to the shared cache)
+   * @param {ContentBundle|null} contentBundle - Pre-generated text (null = always ask the provider)
+   */
+  constructor(apiKey = null, provider = null, persistentCache = aiCache, contentBundle = sharedContentBundle) {
+    this.provider = provider || createLLMProvider({ apiKey });
+    this.enabled = this.provider.isConfigured();
+    this.initPromise = Promise.resolve(); // Kept for callers that await initialization
+
+    if (!this.enabled) {
       console.warn('OpenAI API key not provided. AI descriptions will be disabled.');
-      this.client = null;
-      this.enabled = false;
-      return;
+    } else {
+      console.log(`✅ OpenAI service initialized (${this.provider.name} provider)`);
     }
     
-    // Try to dynamically import OpenAI - will fail gracefully in static builds
-    this.enabled = false;
-    this.client = null;
-    this.initPromise = this.initializeClient(apiKey);
-    
     this.config = {
-      model: 'gpt-3.5-turbo',
+      model: this.provider.model,
       temperature: 0.7,
       max_tokens: 300
     };
     
     this.cache = new Map();
+    this.persistentCache = persistentCache;
+    this.contentBundle = contentBundle;
   }
-  
-  async initializeClient(apiKey) {
-    try {
-      // Dynamic import - only works in environments where openai is available
-      const { default: OpenAI } = await import('openai');
-      this.client = new OpenAI({
-        apiKey: apiKey,
-        dangerouslyAllowBrowser: true // Note: For production, use a backend proxy
-      });
-      this.enabled = true;
-      console.log('✅ OpenAI service initialized');
-    } catch (error) {
-      console.warn('⚠️ OpenAI module not available (static build). AI features disabled.');
-      this.enabled = false;
-      this.client = null;
+
+  /**
+   * Cache key for generated text: planet + hash of the model and prompt
+   */
+  cacheKey(kind, planetName, prompt) {
+    return AICache.key(kind, planetName, [this.provider.name, this.config.model, prompt]);
+  }
+
+  /**
+   * Memory first, then the persistent cache
+   * @returns {Promise<string|undefined>}
+   */
+  async readCache(cacheKey) {
+    if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+    const stored = await this.persistentCache?.get(cacheKey);
+    if (stored !== undefined) this.cache.set(cacheKey, stored);
+    return stored;
+  }
+
+  /**
+   * Pre-generated text from the content bundle (kept in memory, not re-stored)
+   * @returns {Promise<string|undefined>}
+   */
+  async readBundle(cacheKey, kind, planetName, prompt) {
+    const bundled = await this.contentBundle?.getText(kind, planetName, prompt);
+    if (bundled !== undefined) this.cache.set(cacheKey, bundled);
+    return bundled;
+  }
+
+  writeCache(cacheKey, text) {
+    this.cache.set(cacheKey, text);
+    this.persistentCache?.set(cacheKey, text); // Not awaited - the answer is ready either way
+  }
+
+  /**
+   * Provider request options from the current config
+   * @param {Object} overrides - e.g. { temperature, maxTokens }
+   */
+  requestOptions(overrides = {}) {
+    return {
+      model: this.config.model,
+      temperature: this.config.temperature,
+      maxTokens: this.config.max_tokens,
+      ...overrides
+    };
+  }
+
+  /**
+   * Throw when no backend is available (callers fall back to static text)
+   */
+  assertEnabled() {
+    if (!this.enabled) {
+      throw new Error('AI service not configured');
     }
   }
 
@@ -54,9 +115,22 @@ class OpenAIService {
   /**
    * Build a prompt from planet data
    * @param {Object} planetData - Planet information as JSON
+   * @param {PlanetFactSheet|null} sheet - Sourced facts; when given the model must stick to them
    * @returns {string} Formatted prompt
    */
-  buildPrompt(planetData) {
+  buildPrompt(planetData, sheet = null) {
+    if (sheet && !sheet.isEmpty) {
+      return `You are an expert astronomer and science communicator. Using the fact sheet below, create an engaging and informative description (2-3 paragraphs) of ${sheet.planetName} for someone exploring it in a 3D space visualization.
+
+${sheet.toPrompt()}
+
+Rules:
+- Only use numbers that appear on the fact sheet, in its units, rounded sensibly.
+- Put the reference marker right after every number or discovery detail you use, e.g. "an orbit of 74.7 days [1]".
+- Do not invent other measurements; keep anything not on the sheet qualitative.
+- Mention uncertainties when they are large.`;
+    }
+
     const planetInfo = JSON.stringify(planetData, null, 2);
     
     return `You are an expert astronomer and science communicator. Based on the following planet data, create an engaging and informative description (2-3 paragraphs) that would captivate someone exploring this celestial body in a 3D space visualization.
@@ -69,6 +143,7 @@ Write a vivid, scientifically-inspired description that highlights the unique ch
 
   /**
    * Generate a description for a planet
+   * Catalogue records (with NASA columns) are grounded, see generateGroundedDescription()
    * @param {Object} planetData - Planet information as JSON
    * @param {boolean} useCache - Whether to use cached results (default: true)
    * @returns {Promise<string>} Generated description
@@ -78,52 +153,51 @@ Write a vivid, scientifically-inspired description that highlights the unique ch
     await this.initPromise;
     
     // If service is not enabled, return fallback immediately
-    if (!this.enabled || !this.client) {
+    if (!this.enabled) {
       console.log('AI service not enabled, using fallback description');
       return this.getFallbackDescription(planetData);
     }
     
     try {
-      // Generate cache key
-      const cacheKey = JSON.stringify(planetData);
+      if (!PlanetFactSheet.fromPlanet(planetData).isEmpty) {
+        const { text } = await this.generateGroundedDescription(planetData, useCache);
+        return text;
+      }
+
+      // Build prompt
+      const prompt = this.buildPrompt(planetData);
+      const cacheKey = this.cacheKey('description', planetData.name, prompt);
       
       // Check cache
-      if (useCache && this.cache.has(cacheKey)) {
+      const cached = useCache ? await this.readCache(cacheKey) : undefined;
+      if (cached !== undefined) {
         console.log('Using cached description for planet:', planetData.name);
-        return this.cache.get(cacheKey);
+        return cached;
       }
 
       console.log('Generating AI description for planet:', planetData.name);
       
-      // Build prompt
-      const prompt = this.buildPrompt(planetData);
-      
-      // Call OpenAI API
-      const response = await this.client.chat.completions.create({
-        model: this.config.model,
-        temperature: this.config.temperature,
-        max_tokens: this.config.max_tokens,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert astronomer and science communicator who creates vivid, educational descriptions of celestial bodies.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      });
+      // Call the LLM provider
+      const response = await this.provider.chat([
+        {
+          role: 'system',
+          content: DESCRIPTION_SYSTEM_PROMPT
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ], this.requestOptions());
 
       // Extract description
-      const description = response.choices[0]?.message?.content?.trim();
+      const description = response?.trim();
       
       if (!description) {
-        throw new Error('No description generated from OpenAI');
+        throw new Error('No description generated by the LLM provider');
       }
 
       // Cache the result
-      this.cache.set(cacheKey, description);
+      this.writeCache(cacheKey, description);
       
       return description;
       
@@ -144,6 +218,77 @@ Write a vivid, scientifically-inspired description that highlights the unique ch
     }
   }
 
+  /**
+   * Generate a description grounded in the planet's NASA fact sheet
+   * Numbers in the answer are checked against the sheet; if any contradict it
+   * the model gets one chance to correct them.
+   * @param {Object} planetData - Cluster record with the raw NASA columns
+   * @param {boolean} useCache - Whether to use cached results (default: true)
+   * @returns {Promise<{ text: string, sheet: PlanetFactSheet, check: { claims, contradictions } }>}
+   */
+  async generateGroundedDescription(planetData, useCache = true) {
+    this.assertEnabled();
+
+    const sheet = PlanetFactSheet.fromPlanet(planetData);
+    const prompt = this.buildPrompt(planetData, sheet);
+    const cacheKey = this.cacheKey('grounded', sheet.planetName, prompt);
+
+    // Only the text is stored; the sheet and claim check are rebuilt from the planet
+    const cached = useCache
+      ? await this.readCache(cacheKey) ?? await this.readBundle(cacheKey, 'grounded', sheet.planetName, prompt)
+      : undefined;
+    if (cached !== undefined) {
+      console.log('Using cached grounded description for planet:', sheet.planetName);
+      return { text: cached, sheet, check: sheet.checkClaims(cached) };
+    }
+
+    console.log(`Generating grounded description for ${sheet.planetName} (${sheet.facts.length} facts, ${sheet.references.length} references)`);
+
+    // The AI proxy builds the same prompt server-side and runs the correction round there
+    if (this.provider.planetText) {
+      const text = (await this.provider.planetText('description', planetData))?.trim();
+      if (!text) {
+        throw new Error('No description generated by the AI proxy');
+      }
+      this.writeCache(cacheKey, text);
+      return { text, sheet, check: sheet.checkClaims(text) };
+    }
+
+    const messages = [
+      { role: 'system', content: DESCRIPTION_SYSTEM_PROMPT },
+      { role: 'user', content: prompt }
+    ];
+
+    let text = (await this.provider.chat(messages, this.requestOptions({ maxTokens: 450 })))?.trim();
+    if (!text) {
+      throw new Error('No description generated by the LLM provider');
+    }
+    let check = sheet.checkClaims(text);
+
+    if (check.contradictions.length > 0) {
+      console.warn(`⚠️ ${check.contradictions.length} claim(s) contradict the fact sheet, asking for a correction`);
+
+      const corrections = check.contradictions
+        .map(claim => `- "${claim.text}" - the fact sheet says ${claim.fact.label.toLowerCase()}: ${PlanetFactSheet.formatFact(claim.fact)}`)
+        .join('\n');
+
+      const revised = (await this.provider.chat([
+        ...messages,
+        { role: 'assistant', content: text },
+        { role: 'user', content: `These numbers contradict the fact sheet:\n${corrections}\nRewrite the description with the fact sheet values and keep the reference markers.` }
+      ], this.requestOptions({ maxTokens: 450 })))?.trim();
+
+      const revisedCheck = revised ? sheet.checkClaims(revised) : null;
+      if (revisedCheck && revisedCheck.contradictions.length < check.contradictions.length) {
+        text = revised;
+        check = revisedCheck;
+      }
+    }
+
+    this.writeCache(cacheKey, text);
+    return { text, sheet, check };
+  }
+
   /**
    * Generate a completion from a custom prompt (for chat functionality)
    * @param {string} prompt - The prompt to send to OpenAI
@@ -152,40 +297,33 @@ Write a vivid, scientifically-inspired description that highlights the unique ch
    */
   async generateCompletion(prompt, useCache = false) {
     try {
+      this.assertEnabled();
+
       // Generate cache key
-      const cacheKey = `completion_${prompt}`;
+      const cacheKey = this.cacheKey('completion', null, prompt);
       
       // Check cache
-      if (useCache && this.cache.has(cacheKey)) {
+      const cached = useCache ? await this.readCache(cacheKey) : undefined;
+      if (cached !== undefined) {
         console.log('Using cached completion');
-        return this.cache.get(cacheKey);
+        return cached;
       }
 
       console.log('Generating AI completion...');
       
-      // Call OpenAI API
-      const response = await this.client.chat.completions.create({
-        model: this.config.model,
-        temperature: this.config.temperature,
-        max_tokens: this.config.max_tokens,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      });
+      // Call the LLM provider
+      const response = await this.provider.complete(prompt, this.requestOptions());
 
       // Extract response
-      const completion = response.choices[0]?.message?.content?.trim();
+      const completion = response?.trim();
       
       if (!completion) {
-        throw new Error('No completion generated from OpenAI');
+        throw new Error('No completion generated by the LLM provider');
       }
 
       // Cache the result if requested
       if (useCache) {
-        this.cache.set(cacheKey, completion);
+        this.writeCache(cacheKey, completion);
       }
       
       return completion;
@@ -197,27 +335,13 @@ Write a vivid, scientifically-inspired description that highlights the unique ch
   }
 
   /**
-   * Generate AI insights for planet characteristics
+   * Prompt asking for questions about a planet's characteristics
    * @param {Object} planetData - Planet information with characteristics
-   * @param {boolean} useCache - Whether to use cached results (default: true)
-   * @returns {Promise<string>} Generated insights
+   * @returns {string}
    */
-  async generateCharacteristicsInsights(planetData, useCache = true) {
-    try {
-      // Generate cache key
-      const cacheKey = `insights_${planetData.pl_name || planetData.name}`;
-      
-      // Check cache
-      if (useCache && this.cache.has(cacheKey)) {
-        console.log('Using cached insights for planet:', planetData.pl_name || planetData.name);
-        return this.cache.get(cacheKey);
-      }
-
-      console.log('Generating AI questions for planet:', planetData.pl_name || planetData.name);
-      
-      // Build characteristics-specific prompt
-      const char = planetData.characteristics || {};
-      const prompt = `You are an expert astronomer analyzing exoplanet data. Based on the following planet characteristics, generate 4-5 thought-provoking questions that a scientist or space enthusiast might ask about this planet. Make them specific to this planet's unique features.
+  buildInsightsPrompt(planetData) {
+    const char = planetData.characteristics || {};
+    return `You are an expert astronomer analyzing exoplanet data. Based on the following planet characteristics, generate 4-5 thought-provoking questions that a scientist or space enthusiast might ask about this planet. Make them specific to this planet's unique features.
 
 Planet: ${planetData.pl_name || planetData.name}
 Distance: ${planetData.sy_dist ? (planetData.sy_dist * 3.262).toFixed(2) : 'Unknown'} light-years from Earth
@@ -246,44 +370,67 @@ Generate 4-5 specific questions that scientists would want to answer about this
 - What mysteries does it present?
 
 Make the questions engaging and scientifically relevant.`;
+  }
+
+  /**
+   * Generate AI insights for planet characteristics
+   * @param {Object} planetData - Planet information with characteristics
+   * @param {boolean} useCache - Whether to use cached results (default: true)
+   * @returns {Promise<string>} Generated insights
+   */
+  async generateCharacteristicsInsights(planetData, useCache = true) {
+    try {
+      this.assertEnabled();
+
+      const prompt = this.buildInsightsPrompt(planetData);
+      const planetName = planetData.pl_name || planetData.name;
+
+      // Generate cache key
+      const cacheKey = this.cacheKey('insights', planetName, prompt);
       
-      // Call OpenAI API
-      const response = await this.client.chat.completions.create({
-        model: this.config.model,
-        temperature: 0.8,
-        max_tokens: 300,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert astronomer who generates thoughtful, scientifically relevant questions about exoplanets. Your questions help people think deeply about what makes each planet interesting and what we could learn from studying it.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      });
+      // Check cache
+      const cached = useCache
+        ? await this.readCache(cacheKey) ?? await this.readBundle(cacheKey, 'insights', planetName, prompt)
+        : undefined;
+      if (cached !== undefined) {
+        console.log('Using cached insights for planet:', planetName);
+        return cached;
+      }
+
+      console.log('Generating AI questions for planet:', planetName);
+      
+      // Call the LLM provider (the AI proxy builds the prompt itself)
+      const response = this.provider.planetText ? await this.provider.planetText('insights', planetData) : await this.provider.chat([
+        {
+          role: 'system',
+          content: 'You are an expert astronomer who generates thoughtful, scientifically relevant questions about exoplanets. Your questions help people think deeply about what makes each planet interesting and what we could learn from studying it.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ], this.requestOptions({ temperature: 0.8, maxTokens: 300 }));
 
       // Extract insights
-      const insights = response.choices[0]?.message?.content?.trim();
+      const insights = response?.trim();
       
       if (!insights) {
-        throw new Error('No insights generated from OpenAI');
+        throw new Error('No insights generated by the LLM provider');
       }
 
       // Cache the result
-      this.cache.set(cacheKey, insights);
+      this.writeCache(cacheKey, insights);
       
       return insights;
       
     } catch (error) {
       console.error('Error generating characteristics insights:', error);
       
-      // Handle specific error types
+      // Handle specific error types (keeping the status for callers that retry)
       if (error.status === 401) {
-        throw new Error('Invalid OpenAI API key. Please check your credentials.');
+        throw Object.assign(new Error('Invalid OpenAI API key. Please check your credentials.'), { status: 401 });
       } else if (error.status === 429) {
-        throw new Error('Rate limit exceeded. Please try again later.');
+        throw Object.assign(new Error('Rate limit exceeded. Please try again later.'), { status: 429 });
       }
       
       throw error;
@@ -299,47 +446,96 @@ Make the questions engaging and scientifically relevant.`;
    */
   async chatAboutPlanet(userMessage, planetData, chatHistory = []) {
     try {
+      this.assertEnabled();
       console.log('Chat about planet:', planetData.pl_name || planetData.name);
-      
-      const char = planetData.characteristics || {};
-      
-      // Build concise system message - only include key data
-      const systemMessage = `You are an astronomer assistant for "${planetData.pl_name || planetData.name}". Answer briefly (1-2 sentences). Data: ${(planetData.sy_dist * 3.262).toFixed(1)}ly away, ${char.radius_position || 'Unknown type'}, ${planetData.pl_rade?.toFixed(1) || '?'}R⊕, ${planetData.pl_eqt || '?'}K, ${char.habitability_percent || 0}% habitable.`;
-
-      // Build messages array
-      const messages = [
-        { role: 'system', content: systemMessage },
-        ...chatHistory.slice(-6), // Last 3 exchanges (6 messages)
-        { role: 'user', content: userMessage }
-      ];
-      
-      // Call OpenAI API with faster model and settings
-      const response = await this.client.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        temperature: 0.7,
-        max_tokens: 150, // Reduced for faster response
-        messages: messages
-      });
-
-      const reply = response.choices[0]?.message?.content?.trim();
+
+      const messages = this.buildChatMessages(userMessage, planetData, chatHistory);
+      const response = await this.provider.chat(messages, this.requestOptions(CHAT_OPTIONS));
+
+      const reply = response?.trim();
       
       if (!reply) {
-        throw new Error('No response generated from OpenAI');
+        throw new Error('No response generated by the LLM provider');
       }
       
       return reply;
       
     } catch (error) {
       console.error('Error in chat:', error);
-      
-      if (error.status === 401) {
-        throw new Error('Invalid OpenAI API key');
-      } else if (error.status === 429) {
-        throw new Error('Rate limit exceeded. Please wait a moment.');
-      }
-      
-      throw error;
+      throw this.describeChatError(error);
+    }
+  }
+
+  /**
+   * Stream a chat reply about a specific planet
+   * Iterate with `for await`; stop early by aborting options.signal (or
+   * breaking out of the loop). Text received before an error stays valid.
+   * @param {string} userMessage - User's question
+   * @param {Object} planetData - Planet information
+   * @param {Array} chatHistory - Previous messages [{ role, content }]
+   * @param {Object} options - { signal }
+   * @returns {AsyncGenerator<string>} Text deltas as they arrive
+   */
+  async *streamChatAboutPlanet(userMessage, planetData, chatHistory = [], options = {}) {
+    this.assertEnabled();
+    console.log('Streaming chat about planet:', planetData.pl_name || planetData.name);
+
+    const messages = this.buildChatMessages(userMessage, planetData, chatHistory);
+
+    try {
+      yield* this.provider.stream(messages, this.requestOptions({ ...CHAT_OPTIONS, signal: options.signal }));
+    } catch (error) {
+      if (error.name !== 'AbortError') console.error('Error in chat stream:', error);
+      throw this.describeChatError(error);
+    }
+  }
+
+  /**
+   * Stream a completion for a free-form prompt
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - { signal }
+   * @returns {AsyncGenerator<string>} Text deltas as they arrive
+   */
+  async *streamCompletion(prompt, options = {}) {
+    this.assertEnabled();
+
+    try {
+      yield* this.provider.stream(
+        [{ role: 'user', content: prompt }],
+        this.requestOptions({ signal: options.signal })
+      );
+    } catch (error) {
+      if (error.name !== 'AbortError') console.error('Error in completion stream:', error);
+      throw this.describeChatError(error);
+    }
+  }
+
+  /**
+   * System prompt + recent history + question for planet chat
+   */
+  buildChatMessages(userMessage, planetData, chatHistory = []) {
+    const char = planetData.characteristics || {};
+    
+    // Build concise system message - only include key data
+    const systemMessage = `You are an astronomer assistant for "${planetData.pl_name || planetData.name}". Answer briefly (1-2 sentences). Data: ${(planetData.sy_dist * 3.262).toFixed(1)}ly away, ${char.radius_position || 'Unknown type'}, ${planetData.pl_rade?.toFixed(1) || '?'}R⊕, ${planetData.pl_eqt || '?'}K, ${char.habitability_percent || 0}% habitable.`;
+
+    return [
+      { role: 'system', content: systemMessage },
+      ...chatHistory.slice(-6), // Last 3 exchanges (6 messages)
+      { role: 'user', content: userMessage }
+    ];
+  }
+
+  /**
+   * User-facing error for chat failures (keeps AbortError as is)
+   */
+  describeChatError(error) {
+    if (error.status === 401) {
+      return new Error('Invalid OpenAI API key');
+    } else if (error.status === 429) {
+      return new Error('Rate limit exceeded. Please wait a moment.');
     }
+    return error;
   }
 
   /**
@@ -361,7 +557,7 @@ Make the questions engaging and scientifically relevant.`;
    * Clear the cache
    */
   clearCache() {
-    this.cache.clear();
+    this.cache.clear(); // Session cache only - the shared AICache is cleared from its panel
     console.log('OpenAI description cache cleared');
   }
 
@@ -372,10 +568,7 @@ Make the questions engaging and scientifically relevant.`;
   getCacheStats() {
     return {
       size: this.cache.size,
-      entries: Array.from(this.cache.keys()).map(key => {
-        const data = JSON.parse(key);
-        return data.name || 'Unknown';
-      })
+      entries: Array.from(this.cache.keys()) // kind:planet:hash
     };
   }
 }
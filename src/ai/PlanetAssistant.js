@@ -0,0 +1,304 @@
+/**
+ * PlanetAssistant - Tool-calling chat assistant for the exploration dialog
+ * The model can query the loaded catalogue (PlanetDataService) and offer to
+ * fly the ship to a planet (TeleportManager). run() streams the whole turn -
+ * tool calls, their results and the answer text - so the chat can show it.
+ * Works with any LLMProvider; MockLLMProvider plays the tools offline.
+ */
+
+const LY_PER_PARSEC = 3.26156;
+const MAX_RESULTS = 20;
+
+/**
+ * Tool definitions (JSON schema parameters, provider-neutral)
+ */
+const TOOLS = [
+  {
+    name: 'search_planets',
+    description: 'Search the loaded exoplanet catalogue. Use it for any question about planets other than the one being viewed (nearest, most habitable, by size or type). Solar System planets are excluded unless asked for.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Part of the planet name' },
+        bodyType: { type: 'string', enum: ['rocky', 'iceGiant', 'gasGiant'], description: 'Broad composition class' },
+        category: { type: 'string', description: 'Size category, e.g. Earth-like, Super-Earth, Mini-Neptune, Jupiter-like' },
+        maxDistanceLy: { type: 'number', description: 'Maximum distance from Earth in light years' },
+        minHabitability: { type: 'number', description: 'Minimum habitability score (0-100)' },
+        maxToxicity: { type: 'number', description: 'Maximum toxicity score (0-100)' },
+        includeSolarSystem: { type: 'boolean', description: 'Also return Solar System planets' },
+        sortBy: { type: 'string', enum: ['distance', 'habitability', 'radius'], description: 'Sort order (default distance, nearest first)' },
+        limit: { type: 'number', description: `Number of planets to return (default 5, max ${MAX_RESULTS})` }
+      }
+    }
+  },
+  {
+    name: 'find_planet_by_name',
+    description: 'Look up planets whose name contains the given text.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Planet name or part of it' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'filter_by_habitability',
+    description: 'Planets whose habitability score lies in a range, most habitable first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        min: { type: 'number', description: 'Minimum habitability (0-100)' },
+        max: { type: 'number', description: 'Maximum habitability (0-100)' },
+        limit: { type: 'number', description: `Number of planets to return (default 5, max ${MAX_RESULTS})` }
+      }
+    }
+  },
+  {
+    name: 'get_catalog_stats',
+    description: 'How many planets and data clusters are currently loaded.',
+    parameters: { type: 'object', properties: {} }
+  },
+  {
+    name: 'teleport_to_planet',
+    description: 'Offer to fly the ship to a planet. The user confirms with a button in the chat, so call this whenever they want to go somewhere.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Exact planet name from a previous result' }
+      },
+      required: ['name']
+    }
+  }
+];
+
+class PlanetAssistant {
+  /**
+   * @param {Object} options
+   * @param {LLMProvider} options.provider - Text generation backend
+   * @param {PlanetDataService} options.planetDataService - Catalogue to query
+   * @param {TeleportManager|null} options.teleportManager - Enables teleport offers
+   * @param {Function|null} options.onTeleport - Called with the planet after a confirmed teleport
+   * @param {number} options.maxSteps - Tool rounds per question before an answer is forced
+   */
+  constructor(options = {}) {
+    if (!options.provider || !options.planetDataService) {
+      throw new Error('PlanetAssistant needs a provider and a planetDataService');
+    }
+
+    this.provider = options.provider;
+    this.planetDataService = options.planetDataService;
+    this.teleportManager = options.teleportManager || null;
+    this.onTeleport = options.onTeleport || null;
+    this.maxSteps = options.maxSteps ?? 4;
+  }
+
+  /**
+   * Tools offered to the model (no teleport without a TeleportManager)
+   */
+  getTools() {
+    return this.teleportManager ? TOOLS : TOOLS.filter(tool => tool.name !== 'teleport_to_planet');
+  }
+
+  buildSystemPrompt(planetData) {
+    const lines = [
+      'You are the ship\'s astronomy assistant in an exoplanet explorer.',
+      'Use the tools for any question about the catalogue and base your answer on their results - never invent planets or numbers.',
+      'Distances are in light years. Answer briefly (2-3 sentences) and mention the key numbers.'
+    ];
+
+    if (this.teleportManager) {
+      lines.push('When the user wants to visit a planet, call teleport_to_planet with its exact name.');
+    }
+
+    if (planetData) {
+      const planet = PlanetAssistant.summarizePlanet(planetData);
+      lines.push(`The user is currently looking at: ${JSON.stringify(planet)}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Answer one user message, calling tools as the model asks for them
+   * @param {string} userMessage
+   * @param {Object} options - { planetData, history: [{ role, content }], signal }
+   * @yields {Object} { type: 'tool_call', id, name, arguments }
+   *                  { type: 'tool_result', id, name, result }
+   *                  { type: 'teleport_offer', planet }
+   *                  { type: 'text', text }
+   */
+  async *run(userMessage, options = {}) {
+    const { planetData = null, history = [], signal } = options;
+
+    const messages = [
+      { role: 'system', content: this.buildSystemPrompt(planetData) },
+      ...history.slice(-6), // Last 3 exchanges
+      { role: 'user', content: userMessage }
+    ];
+
+    for (let step = 0; step <= this.maxSteps; step++) {
+      // Final round without tools, so the model has to answer with what it has
+      const tools = step < this.maxSteps ? this.getTools() : [];
+      const calls = [];
+      let text = '';
+
+      for await (const event of this.provider.streamWithTools(messages, tools, { temperature: 0.3, maxTokens: 400, signal })) {
+        if (event.type === 'tool_call') calls.push(event);
+        else text += event.text;
+        yield event;
+      }
+
+      if (calls.length === 0) return;
+
+      messages.push({
+        role: 'assistant',
+        content: text || null,
+        tool_calls: calls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      });
+
+      for (const call of calls) {
+        const result = this.executeTool(call.name, call.arguments);
+        console.log(`🔧 Assistant tool: ${call.name}`, call.arguments);
+        yield { type: 'tool_result', id: call.id, name: call.name, result };
+
+        if (call.name === 'teleport_to_planet' && result.offered) {
+          yield { type: 'teleport_offer', planet: this.resolvePlanet(result.planet.name) };
+        }
+
+        messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+      }
+    }
+  }
+
+  /**
+   * Run a tool; failures are returned to the model as { error }
+   */
+  executeTool(name, args = {}) {
+    try {
+      switch (name) {
+        case 'search_planets':
+          return this.searchPlanets(args);
+        case 'find_planet_by_name':
+          return PlanetAssistant.toResults(this.planetDataService.searchByName(args.name || ''), args.limit);
+        case 'filter_by_habitability': {
+          const planets = this.planetDataService.filterByHabitability(args.min ?? 0, args.max ?? 100);
+          return PlanetAssistant.toResults(PlanetAssistant.sortPlanets(planets, 'habitability'), args.limit);
+        }
+        case 'get_catalog_stats':
+          return this.planetDataService.getStats();
+        case 'teleport_to_planet':
+          return this.offerTeleport(args.name);
+        default:
+          return { error: `Unknown tool "${name}"` };
+      }
+    } catch (error) {
+      console.error(`❌ Tool ${name} failed:`, error);
+      return { error: error.message };
+    }
+  }
+
+  searchPlanets(args) {
+    let planets = this.planetDataService.filter({
+      name: args.name,
+      planetType: args.category,
+      bodyType: args.bodyType,
+      maxDistance: args.maxDistanceLy !== undefined ? args.maxDistanceLy / LY_PER_PARSEC : undefined,
+      minHabitability: args.minHabitability,
+      maxToxicity: args.maxToxicity
+    });
+
+    if (!args.includeSolarSystem) {
+      planets = planets.filter(planet => planet.hostname !== 'Sun');
+    }
+
+    return PlanetAssistant.toResults(PlanetAssistant.sortPlanets(planets, args.sortBy || 'distance'), args.limit);
+  }
+
+  offerTeleport(name) {
+    if (!this.teleportManager) {
+      return { error: 'Teleporting is not available right now' };
+    }
+
+    const planet = this.resolvePlanet(name);
+    if (!planet) {
+      return { error: `No planet named "${name}" in the loaded catalogue` };
+    }
+
+    return { offered: true, planet: PlanetAssistant.summarizePlanet(planet) };
+  }
+
+  /**
+   * Exact name first, then the first partial match
+   */
+  resolvePlanet(name) {
+    if (!name) return null;
+    return this.planetDataService.getPlanetByName(name) ||
+      this.planetDataService.searchByName(name)[0] ||
+      null;
+  }
+
+  /**
+   * Fly to a planet the assistant offered (called when the user confirms)
+   * @returns {boolean} Whether the teleport started
+   */
+  teleport(planet) {
+    if (!this.teleportManager || !planet) return false;
+
+    console.log(`🚀 Assistant teleport to ${planet.pl_name}`);
+    this.teleportManager.teleportWithEffect(planet, () => {
+      if (this.onTeleport) this.onTeleport(planet);
+    });
+    return true;
+  }
+
+  /**
+   * Sort a copy of the planets; unknown values go last
+   */
+  static sortPlanets(planets, sortBy) {
+    const keys = {
+      distance: planet => planet.sy_dist ?? Infinity,
+      habitability: planet => -(planet.characteristics?.habitability_percent ?? -Infinity),
+      radius: planet => -(planet.pl_rade ?? -Infinity)
+    };
+    const key = keys[sortBy] || keys.distance;
+    return [...planets].sort((a, b) => key(a) - key(b));
+  }
+
+  static toResults(planets, limit = 5) {
+    const count = Math.max(1, Math.min(MAX_RESULTS, Math.floor(limit) || 5));
+    return {
+      count: planets.length,
+      planets: planets.slice(0, count).map(PlanetAssistant.summarizePlanet)
+    };
+  }
+
+  /**
+   * Compact planet record for the model (and the chat transcript)
+   */
+  static summarizePlanet(planet) {
+    const char = planet.characteristics || {};
+    const round = (value, digits) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+    return {
+      name: planet.pl_name,
+      host: planet.hostname || null,
+      distanceLy: round(planet.sy_dist * LY_PER_PARSEC, 1),
+      category: char.radius_position || null,
+      bodyType: planet.planetType || null,
+      radiusEarth: round(planet.pl_rade, 2),
+      massEarth: round(planet.pl_bmasse, 2),
+      temperatureK: round(planet.pl_eqt, 0),
+      orbitDays: round(planet.pl_orbper, 2),
+      habitability: char.habitability_percent ?? null,
+      discovered: planet.disc_year ? Math.round(planet.disc_year) : null
+    };
+  }
+}
+
+export { PlanetAssistant, TOOLS as PLANET_ASSISTANT_TOOLS };
+export default PlanetAssistant;
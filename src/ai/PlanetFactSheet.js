@@ -0,0 +1,306 @@
+/**
+ * PlanetFactSheet - Sourced facts for grounding AI planet descriptions
+ * Built from the raw NASA Exoplanet Archive columns of a cluster record:
+ * each value keeps its uncertainty (*err1 / *err2) and the reference it came
+ * from (*_reflink, disc_refname). The sheet is handed to the model with
+ * numbered references, and the generated text can be checked against it:
+ * numbers with a recognisable unit are compared with the sheet values and
+ * [n] markers resolve to the ADS links.
+ */
+
+const LY_PER_PARSEC = 3.26156;
+const ARCHIVE_URL = 'https://exoplanetarchive.ipac.caltech.edu';
+
+/**
+ * Columns that go on the sheet. `family` groups values the checker can
+ * confuse (a planet and a star temperature are both "K"); `scale` converts
+ * the column to the unit shown; `tolerance` is relative, `absolute` a floor.
+ */
+const FACT_FIELDS = [
+  { key: 'sy_dist', label: 'Distance from Earth', unit: 'light years', family: 'distance', scale: LY_PER_PARSEC },
+  { key: 'pl_rade', label: 'Planet radius', unit: 'Earth radii', family: 'planetRadius' },
+  { key: 'pl_bmasse', label: 'Planet mass', unit: 'Earth masses', family: 'planetMass' },
+  { key: 'pl_dens', label: 'Planet density', unit: 'g/cm³', family: 'density' },
+  { key: 'pl_orbper', label: 'Orbital period', unit: 'days', family: 'period' },
+  { key: 'pl_orbsmax', label: 'Orbit semi-major axis', unit: 'AU', family: 'orbitDistance' },
+  { key: 'pl_orbeccen', label: 'Orbital eccentricity', unit: '', family: 'eccentricity', absolute: 0.02 },
+  { key: 'pl_insol', label: 'Insolation', unit: 'times Earth\'s', family: 'insolation' },
+  { key: 'pl_eqt', label: 'Equilibrium temperature', unit: 'K', family: 'temperature' },
+  { key: 'st_teff', label: 'Star temperature', unit: 'K', family: 'temperature' },
+  { key: 'st_rad', label: 'Star radius', unit: 'solar radii', family: 'starRadius' },
+  { key: 'st_mass', label: 'Star mass', unit: 'solar masses', family: 'starMass' },
+  { key: 'st_age', label: 'Star age', unit: 'billion years', family: 'age' },
+  { key: 'disc_year', label: 'Discovery year', unit: '', family: 'year', reflink: 'disc_refname', tolerance: 0 }
+];
+
+// Text facts about the discovery, all cited to disc_refname
+const DISCOVERY_FIELDS = [
+  { key: 'discoverymethod', label: 'Discovery method' },
+  { key: 'disc_facility', label: 'Discovery facility' },
+  { key: 'disc_telescope', label: 'Discovery telescope' },
+  { key: 'disc_instrument', label: 'Discovery instrument' }
+];
+
+// Plain numbers only - a minus sign counts when it isn't part of a range ("4-6")
+const NUMBER = String.raw`(?<![\w.,])([-−]?\d{1,3}(?:,\d{3})+(?:\.\d+)?|[-−]?\d+(?:\.\d+)?)`;
+
+/**
+ * How numeric claims are spotted in generated text. `unit` follows the number,
+ * `before` precedes it; the value is converted with (number + offset) * scale.
+ */
+const CLAIM_PATTERNS = [
+  { family: 'distance', unit: String.raw`light[\s-]?years?\b|ly\b` },
+  { family: 'distance', unit: String.raw`parsecs?\b|pc\b`, scale: LY_PER_PARSEC },
+  { family: 'planetRadius', unit: String.raw`times\s+(?:the\s+)?(?:radius|size|width)\s+of\s+(?:the\s+)?Earth|Earth[\s-]radi(?:i|us)|R⊕` },
+  { family: 'planetRadius', unit: String.raw`Jupiter[\s-]radi(?:i|us)|R_?J(?:up)?\b`, scale: 11.209 },
+  { family: 'planetMass', unit: String.raw`times\s+(?:the\s+)?mass\s+of\s+(?:the\s+)?Earth|Earth[\s-]mass(?:es)?|M⊕` },
+  { family: 'planetMass', unit: String.raw`Jupiter[\s-]mass(?:es)?|M_?J(?:up)?\b`, scale: 317.83 },
+  { family: 'density', unit: String.raw`g\/cm(?:³|3|\^3)|grams? per cubic centimet(?:re|er)` },
+  { family: 'period', unit: String.raw`(?:Earth\s+)?days?\b` },
+  { family: 'orbitDistance', unit: String.raw`AU\b|astronomical units?\b` },
+  { family: 'insolation', unit: String.raw`times\s+(?:the\s+)?(?:stellar flux|insolation|sunlight|starlight|light|radiation|energy)\s+(?:that\s+)?(?:the\s+)?Earth|S⊕` },
+  { family: 'temperature', unit: String.raw`K\b|[Kk]elvins?\b`, caseSensitive: true },
+  { family: 'temperature', unit: String.raw`°\s?C\b|degrees Celsius`, offset: 273.15 },
+  { family: 'starRadius', unit: String.raw`solar radi(?:i|us)|times\s+(?:the\s+)?(?:radius|size)\s+of\s+(?:the\s+|our\s+)?Sun|R☉` },
+  { family: 'starMass', unit: String.raw`solar mass(?:es)?|times\s+(?:the\s+)?mass\s+of\s+(?:the\s+|our\s+)?Sun|M☉` },
+  { family: 'age', unit: String.raw`billion years\b|Gyr\b` },
+  { family: 'eccentricity', before: String.raw`eccentricit(?:y|ies)\s+(?:(?:of|is|around|about|roughly|near|only|just)\s+|~\s*)*` },
+  { family: 'year', before: String.raw`discovered\s+(?:[\w-]+\s+){0,6}?in\s+` }
+];
+
+const CLAIM_REGEXES = CLAIM_PATTERNS.map(pattern => ({
+  ...pattern,
+  regex: new RegExp(
+    pattern.before ? `(?:${pattern.before})${NUMBER}` : `${NUMBER}[\\s-]*(?:${pattern.unit})`,
+    pattern.caseSensitive ? 'g' : 'gi'
+  )
+}));
+
+const CITATION = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+class PlanetFactSheet {
+  /**
+   * @param {Object} planet - Cluster record with the raw NASA columns
+   */
+  constructor(planet) {
+    this.planetName = planet.pl_name || planet.name || 'Unknown planet';
+    this.references = [];
+    this.facts = [];
+
+    for (const field of FACT_FIELDS) {
+      const raw = planet[field.key];
+      if (!Number.isFinite(raw)) continue;
+      if (field.family === 'year' && raw <= 0) continue; // Solar System planets use 0 / negative years
+
+      const scale = field.scale || 1;
+      const errPlus = planet[`${field.key}err1`];
+      const errMinus = planet[`${field.key}err2`];
+
+      this.facts.push({
+        key: field.key,
+        label: field.label,
+        unit: field.unit,
+        family: field.family,
+        value: raw * scale,
+        errPlus: Number.isFinite(errPlus) ? Math.abs(errPlus) * scale : null,
+        errMinus: Number.isFinite(errMinus) ? Math.abs(errMinus) * scale : null,
+        upperLimit: planet[`${field.key}lim`] === 1,
+        tolerance: field.tolerance ?? 0.1,
+        absolute: field.absolute || 0,
+        ref: this.addReference(planet[field.reflink || `${field.key}_reflink`])
+      });
+    }
+
+    const discoveryRef = this.addReference(planet.disc_refname);
+    this.discovery = DISCOVERY_FIELDS
+      .filter(field => typeof planet[field.key] === 'string' && planet[field.key].trim())
+      .map(field => ({ key: field.key, label: field.label, value: planet[field.key].trim(), ref: discoveryRef }));
+  }
+
+  static fromPlanet(planet) {
+    return new PlanetFactSheet(planet || {});
+  }
+
+  /**
+   * True when there is anything to ground a description on
+   */
+  get isEmpty() {
+    return this.facts.length === 0 && this.discovery.length === 0;
+  }
+
+  /**
+   * Register a reference and return its citation number (null without a link)
+   */
+  addReference(html) {
+    const reference = PlanetFactSheet.parseReference(html);
+    if (!reference) return null;
+
+    const existing = this.references.find(ref => ref.key === reference.key);
+    if (existing) return existing.number;
+
+    reference.number = this.references.length + 1;
+    this.references.push(reference);
+    return reference.number;
+  }
+
+  getReference(number) {
+    return this.references[number - 1] || null;
+  }
+
+  /**
+   * Prompt text: one fact per line with its uncertainty and [n] marker, then
+   * the numbered reference list
+   */
+  toPrompt() {
+    const lines = [`Fact sheet for ${this.planetName} (NASA Exoplanet Archive):`];
+
+    for (const fact of this.facts) {
+      const cite = fact.ref ? ` [${fact.ref}]` : '';
+      lines.push(`- ${fact.label}: ${PlanetFactSheet.formatFact(fact)}${cite}`);
+    }
+    for (const fact of this.discovery) {
+      const cite = fact.ref ? ` [${fact.ref}]` : '';
+      lines.push(`- ${fact.label}: ${fact.value}${cite}`);
+    }
+
+    if (this.references.length > 0) {
+      lines.push('', 'References:');
+      for (const ref of this.references) lines.push(`[${ref.number}] ${ref.label}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Find numeric claims in generated text and compare them with the sheet
+   * @returns {{ claims: Object[], contradictions: Object[] }} Each claim is
+   *   { text, index, family, value, status: 'supported'|'contradicted'|'unverified', fact }
+   */
+  checkClaims(text) {
+    const claims = [];
+
+    for (const pattern of CLAIM_REGEXES) {
+      pattern.regex.lastIndex = 0;
+      for (const match of text.matchAll(pattern.regex)) {
+        const index = match.index;
+        // Keep the first pattern that claimed a span ("5 K" vs "5 Kelvin" etc.)
+        if (claims.some(claim => index < claim.index + claim.text.length && claim.index < index + match[0].length)) {
+          continue;
+        }
+
+        const number = parseFloat(match[1].replace(/,/g, '').replace('−', '-'));
+        const decimals = (match[1].split('.')[1] || '').length;
+        const scale = pattern.scale || 1;
+        const value = (number + (pattern.offset || 0)) * scale;
+        const precision = 0.5 * 10 ** -decimals * scale;
+
+        claims.push({ text: match[0], index, family: pattern.family, value, ...this.verify(pattern.family, value, precision) });
+      }
+    }
+
+    claims.sort((a, b) => a.index - b.index);
+    return { claims, contradictions: claims.filter(claim => claim.status === 'contradicted') };
+  }
+
+  /**
+   * Supported when any sheet value of the same family matches within its
+   * uncertainty plus tolerance; otherwise contradicted by the closest one
+   */
+  verify(family, value, precision) {
+    const candidates = this.facts.filter(fact => fact.family === family);
+    if (candidates.length === 0) return { status: 'unverified', fact: null };
+
+    let closest = null;
+    let closestGap = Infinity;
+
+    for (const fact of candidates) {
+      const slack = Math.max(Math.abs(fact.value) * fact.tolerance, fact.absolute) + precision;
+      const lower = fact.upperLimit ? -Infinity : fact.value - (fact.errMinus || 0) - slack;
+      const upper = fact.value + (fact.errPlus || 0) + slack;
+
+      if (value >= lower && value <= upper) return { status: 'supported', fact };
+
+      const gap = Math.min(Math.abs(value - lower), Math.abs(value - upper));
+      if (gap < closestGap) {
+        closest = fact;
+        closestGap = gap;
+      }
+    }
+    return { status: 'contradicted', fact: closest };
+  }
+
+  /**
+   * Split generated text into pieces for rendering:
+   *   { type: 'text', text }
+   *   { type: 'cite', text, references: [reference] }
+   *   { type: 'claim', text, claim } (contradicted claims only)
+   */
+  annotate(text, check = this.checkClaims(text)) {
+    const spans = check.contradictions.map(claim => ({ index: claim.index, length: claim.text.length, part: { type: 'claim', text: claim.text, claim } }));
+
+    for (const match of text.matchAll(CITATION)) {
+      const references = match[1].split(',').map(n => this.getReference(parseInt(n, 10))).filter(Boolean);
+      if (references.length === 0) continue;
+      spans.push({ index: match.index, length: match[0].length, part: { type: 'cite', text: match[0], references } });
+    }
+
+    spans.sort((a, b) => a.index - b.index);
+
+    const parts = [];
+    let cursor = 0;
+    for (const span of spans) {
+      if (span.index < cursor) continue;
+      if (span.index > cursor) parts.push({ type: 'text', text: text.slice(cursor, span.index) });
+      parts.push(span.part);
+      cursor = span.index + span.length;
+    }
+    if (cursor < text.length) parts.push({ type: 'text', text: text.slice(cursor) });
+
+    return parts;
+  }
+
+  /**
+   * "16.9 Earth masses (±0.9)", "74.7 days (+0.2/-0.1)", "< 3 AU"
+   */
+  static formatFact(fact) {
+    const value = PlanetFactSheet.round(fact.value);
+    const unit = fact.unit ? ` ${fact.unit}` : '';
+
+    if (fact.upperLimit) return `< ${value}${unit}`;
+    if (fact.errPlus === null && fact.errMinus === null) return `${value}${unit}`;
+
+    const plus = PlanetFactSheet.round(fact.errPlus ?? 0);
+    const minus = PlanetFactSheet.round(fact.errMinus ?? 0);
+    return plus === minus
+      ? `${value}${unit} (±${plus})`
+      : `${value}${unit} (+${plus}/-${minus})`;
+  }
+
+  /**
+   * Four significant digits - enough for a description, short in the prompt
+   */
+  static round(value) {
+    return Number(value.toPrecision(4));
+  }
+
+  /**
+   * Parse an archive reference anchor
+   * (`<a refstr=PEPE_ET_AL__2011 href=https://ui.adsabs... target=ref> Pepe et al. 2011 </a>`)
+   * @returns {{ key, label, url }|null}
+   */
+  static parseReference(html) {
+    if (typeof html !== 'string' || !html.trim()) return null;
+
+    const href = html.match(/href=["']?([^\s"'>]+)/i)?.[1] || null;
+    const refstr = html.match(/refstr=["']?([^\s"'>]+)/i)?.[1] || null;
+    const label = html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim() || refstr;
+
+    if (!href && !label) return null;
+
+    const url = href && href.startsWith('/') ? `${ARCHIVE_URL}${href}` : href;
+    return { key: refstr || url || label, label, url };
+  }
+}
+
+export { PlanetFactSheet, FACT_FIELDS };
+export default PlanetFactSheet;
@@ -3,10 +3,9 @@
  * Demonstrates OpenAI + ElevenLabs integration
  */
 
+import 'dotenv/config'; // Load .env before CONFIG reads the environment
 import AIService from './AIService.js';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { CONFIG } from '../config/config.js';
 
 // Example: Initialize with both services
 async function exampleCombinedService() {
@@ -16,9 +15,10 @@ async function exampleCombinedService() {
   const openAIKey = process.env.OPENAI_API_KEY;
   const elevenLabsKey = process.env.ELEVENLABS_API_KEY;
   
-  if (!openAIKey) {
-    console.error('Error: OPENAI_API_KEY not found');
-    return;
+  // Without a key, run offline against the mock provider
+  if (!openAIKey && CONFIG.llm.provider === 'openai') {
+    console.log('OPENAI_API_KEY not found - using the offline mock provider\n');
+    CONFIG.llm.provider = 'mock';
   }
   
   // Initialize service (ElevenLabs is optional)
@@ -26,7 +26,6 @@ async function exampleCombinedService() {
   
   // Configure services
   aiService.configureOpenAI({
-    model: 'gpt-3.5-turbo',
     temperature: 0.7,
     max_tokens: 300
   });
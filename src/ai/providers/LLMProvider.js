@@ -0,0 +1,122 @@
+/**
+ * LLMProvider - Common interface for text generation backends
+ * Every AI service talks to one of these instead of a vendor SDK:
+ *   complete(prompt, options)   -> Promise<string>
+ *   chat(messages, options)     -> Promise<string>
+ *   stream(messages, options)   -> AsyncIterable<string> (text deltas)
+ *   streamWithTools(messages, tools, options) -> AsyncIterable<event> (see below)
+ *
+ * options: { model, temperature, maxTokens, signal }
+ * messages: [{ role: 'system' | 'user' | 'assistant' | 'tool', content }]
+ * Tool calling uses the OpenAI message shapes whatever the backend:
+ *   { role: 'assistant', content, tool_calls: [{ id, type: 'function', function: { name, arguments } }] }
+ *   { role: 'tool', tool_call_id, content }
+ */
+
+class LLMProvider {
+  constructor(options = {}) {
+    this.name = 'base';
+    this.model = options.model || null;
+  }
+
+  /**
+   * Whether the backend has everything it needs (e.g. an API key)
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Single prompt -> completion
+   */
+  async complete(prompt, options = {}) {
+    return this.chat([{ role: 'user', content: prompt }], options);
+  }
+
+  async chat(messages, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement chat()`);
+  }
+
+  /**
+   * Streamed chat; backends without streaming yield the full reply once
+   */
+  async *stream(messages, options = {}) {
+    yield await this.chat(messages, options);
+  }
+
+  /**
+   * Streamed chat where the model may call tools instead of answering
+   * tools: [{ name, description, parameters (JSON schema) }]
+   * Yields { type: 'text', text } deltas and, once complete,
+   * { type: 'tool_call', id, name, arguments } for each call.
+   * Backends without tool support simply answer in text.
+   */
+  async *streamWithTools(messages, tools = [], options = {}) {
+    for await (const text of this.stream(messages, options)) {
+      yield { type: 'text', text };
+    }
+  }
+
+  /**
+   * Tool call arguments arrive as a JSON string - tolerate empty or broken ones
+   */
+  static parseArguments(json) {
+    if (!json) return {};
+    if (typeof json === 'object') return json;
+    try {
+      return JSON.parse(json);
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Throw an Error carrying the HTTP status (callers check error.status for 401/429)
+   */
+  static async assertOk(response, label) {
+    if (response.ok) return response;
+
+    let detail = '';
+    try {
+      detail = (await response.text()).slice(0, 200);
+    } catch {
+      // Body unavailable - status is enough
+    }
+
+    const error = new Error(`${label} error: ${response.status} ${response.statusText}${detail ? ` - ${detail}` : ''}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  /**
+   * Split a streamed fetch body into text lines (SSE / NDJSON)
+   */
+  static async *readLines(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (line.trim()) yield line.trim();
+        }
+      }
+
+      buffer += decoder.decode();
+      if (buffer.trim()) yield buffer.trim();
+    } finally {
+      reader.releaseLock();
+    }
+  }
+}
+
+export { LLMProvider };
+export default LLMProvider;
@@ -0,0 +1,121 @@
+/**
+ * LocalLLMProvider - Chat with a locally hosted model over HTTP (Ollama API)
+ * POST {baseURL}/api/chat, newline-delimited JSON when streaming.
+ * For llama.cpp's server use OpenAICompatibleProvider with its
+ * /v1/chat/completions URL instead.
+ */
+
+import { LLMProvider } from './LLMProvider.js';
+
+class LocalLLMProvider extends LLMProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseURL - Server root, e.g. http://localhost:11434
+   * @param {string} options.model - Local model tag, e.g. llama3.2
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'local';
+    this.baseURL = (options.baseURL || 'http://localhost:11434').replace(/\/$/, '');
+    this.model = options.model || 'llama3.2';
+  }
+
+  async request(messages, options, stream) {
+    const modelOptions = {};
+    if (options.temperature !== undefined) modelOptions.temperature = options.temperature;
+    if (options.maxTokens !== undefined) modelOptions.num_predict = options.maxTokens;
+
+    const response = await fetch(`${this.baseURL}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: options.model || this.model,
+        messages: messages.map(LocalLLMProvider.toOllamaMessage),
+        stream,
+        ...(options.tools?.length && {
+          tools: options.tools.map(tool => ({ type: 'function', function: tool }))
+        }),
+        options: modelOptions
+      }),
+      signal: options.signal
+    });
+
+    return LLMProvider.assertOk(response, 'Local LLM');
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this.request(messages, options, false);
+    const data = await response.json();
+    const content = data.message?.content;
+
+    if (!content) {
+      throw new Error('No completion returned by the local LLM');
+    }
+    return content;
+  }
+
+  /**
+   * One JSON object per line: { message: { content }, done }
+   */
+  async *stream(messages, options = {}) {
+    const response = await this.request(messages, options, true);
+
+    for await (const line of LLMProvider.readLines(response)) {
+      const chunk = JSON.parse(line);
+      if (chunk.error) throw new Error(`Local LLM error: ${chunk.error}`);
+      if (chunk.message?.content) yield chunk.message.content;
+      if (chunk.done) return;
+    }
+  }
+
+  /**
+   * Ollama sends each tool call whole, with arguments already parsed
+   */
+  async *streamWithTools(messages, tools = [], options = {}) {
+    const response = await this.request(messages, { ...options, tools }, true);
+    let callCount = 0;
+
+    for await (const line of LLMProvider.readLines(response)) {
+      const chunk = JSON.parse(line);
+      if (chunk.error) throw new Error(`Local LLM error: ${chunk.error}`);
+      if (chunk.message?.content) yield { type: 'text', text: chunk.message.content };
+
+      for (const call of chunk.message?.tool_calls || []) {
+        yield {
+          type: 'tool_call',
+          id: `call_${callCount++}`,
+          name: call.function.name,
+          arguments: LLMProvider.parseArguments(call.function.arguments)
+        };
+      }
+      if (chunk.done) return;
+    }
+  }
+
+  /**
+   * OpenAI-shaped messages -> Ollama (object arguments, tool_name on results)
+   */
+  static toOllamaMessage(message, index, messages) {
+    if (message.tool_calls) {
+      return {
+        role: 'assistant',
+        content: message.content || '',
+        tool_calls: message.tool_calls.map(call => ({
+          function: { name: call.function.name, arguments: LLMProvider.parseArguments(call.function.arguments) }
+        }))
+      };
+    }
+
+    if (message.role === 'tool') {
+      const call = messages
+        .flatMap(other => other.tool_calls || [])
+        .find(other => other.id === message.tool_call_id);
+      return { role: 'tool', content: message.content, tool_name: call?.function.name };
+    }
+
+    return message;
+  }
+}
+
+export { LocalLLMProvider };
+export default LocalLLMProvider;
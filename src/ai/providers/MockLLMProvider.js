@@ -0,0 +1,294 @@
+/**
+ * MockLLMProvider - Deterministic offline backend
+ * Builds replies from the prompt itself (planet name, question style), so the
+ * same input always gives the same output. No network, no key - used for
+ * development, demos and the test-ai* scripts.
+ * With tools it plays a simple assistant: catalogue questions become
+ * search_planets / find_planet_by_name / get_catalog_stats calls, "take me
+ * to ..." adds a teleport_to_planet call, and the reply summarises the results.
+ * Fact sheet prompts (PlanetFactSheet) get a description citing a few of the
+ * sheet values with their [n] markers.
+ */
+
+import { LLMProvider } from './LLMProvider.js';
+
+const OPENINGS = [
+  '{subject} is one of the more intriguing worlds in the catalogue.',
+  'Few places capture the imagination quite like {subject}.',
+  'Approaching {subject}, the first thing you notice is how alien it feels.',
+  '{subject} rewards a closer look.'
+];
+
+const DETAILS = [
+  'Its light has travelled for years to reach us, carrying clues about its atmosphere and orbit.',
+  'Astronomers study worlds like this to understand how planetary systems form and evolve.',
+  'Its temperature and composition make it a striking contrast to anything in our Solar System.',
+  'Every measurement of it sharpens our picture of how common planets really are.'
+];
+
+const TRAVEL_PATTERN = /\b(?:take me|fly(?: me)?|teleport(?: me)?|go|bring me|travel)\s+to\b/i;
+
+const BODY_TYPES = [
+  [/\b(?:rocky|terrestrial|solid)\b/i, 'rocky'],
+  [/\bice giants?\b/i, 'iceGiant'],
+  [/\bgas giants?\b/i, 'gasGiant']
+];
+
+// "- Orbital period: 74.72 days (±0.1) [1]" lines of a fact sheet prompt
+const FACT_LINE = /^- ([^:\n]+): (\d[^\n]*?)(?: \([^)\n]*\))? \[(\d+)\]$/gm;
+
+const CATEGORIES = ['Sub-Earth', 'Earth-like', 'Super-Earth', 'Sub-Neptune', 'Mini-Neptune', 'Neptune-like', 'Jupiter-like', 'Super-Jupiter'];
+
+const QUESTIONS = [
+  'What is the atmosphere of {subject} made of, and how thick is it?',
+  'How did {subject} end up in its current orbit?',
+  'Could {subject} hold liquid water anywhere on or below its surface?',
+  'How does the radiation from its star shape the climate of {subject}?',
+  'What would {subject} look like from its nearest neighbouring planet?',
+  'How does {subject} compare with Earth in size and density?'
+];
+
+class MockLLMProvider extends LLMProvider {
+  /**
+   * @param {Object} options
+   * @param {number} options.latency - Simulated delay in ms (per reply, and per streamed word / 10)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'mock';
+    this.model = options.model || 'mock';
+    this.latency = options.latency || 0;
+  }
+
+  async chat(messages, options = {}) {
+    await this.wait(this.latency, options.signal);
+    return this.respond(messages);
+  }
+
+  async *stream(messages, options = {}) {
+    const words = this.respond(messages).split(' ');
+    for (let i = 0; i < words.length; i++) {
+      await this.wait(this.latency / 10, options.signal);
+      yield i === 0 ? words[i] : ` ${words[i]}`;
+    }
+  }
+
+  async *streamWithTools(messages, tools = [], options = {}) {
+    await this.wait(this.latency, options.signal);
+
+    const available = new Set(tools.map(tool => tool.name));
+    const calls = this.planToolCalls(messages, available);
+
+    if (calls.length > 0) {
+      for (const call of calls) yield { type: 'tool_call', ...call };
+      return;
+    }
+
+    const reply = this.summarizeToolResults(messages) || this.respond(messages);
+    const words = reply.split(' ');
+    for (let i = 0; i < words.length; i++) {
+      await this.wait(this.latency / 10, options.signal);
+      yield { type: 'text', text: i === 0 ? words[i] : ` ${words[i]}` };
+    }
+  }
+
+  /**
+   * Tool calls still needed to answer the latest user message
+   */
+  planToolCalls(messages, available) {
+    const { request, results } = MockLLMProvider.currentTurn(messages);
+    const called = new Set(results.map(result => result.name));
+    const call = (name, args) => available.has(name) ? [{ id: `call_${name}_${results.length}`, name, arguments: args }] : [];
+
+    if (results.length === 0) {
+      if (/\b(?:how many|statistics|stats)\b|\bcatalog(?:ue)? size\b/i.test(request)) {
+        return call('get_catalog_stats', {});
+      }
+
+      const search = MockLLMProvider.parseSearch(request);
+      if (search) return call('search_planets', search);
+
+      const destination = request.split(TRAVEL_PATTERN)[1]?.replace(/[?.!]+$/, '').trim();
+      if (destination) return call('find_planet_by_name', { name: destination });
+      return [];
+    }
+
+    // Found something the user wants to visit - offer the trip
+    const found = results.find(result => result.content?.planets?.length)?.content.planets[0];
+    if (found && TRAVEL_PATTERN.test(request) && !called.has('teleport_to_planet')) {
+      return call('teleport_to_planet', { name: found.name });
+    }
+    return [];
+  }
+
+  /**
+   * Reply built from this turn's tool results (null when there are none)
+   */
+  summarizeToolResults(messages) {
+    const { results } = MockLLMProvider.currentTurn(messages);
+    if (results.length === 0) return null;
+
+    const sentences = [];
+    for (const { name, content } of results) {
+      if (content?.error) {
+        sentences.push(`I couldn't run ${name}: ${content.error}.`);
+      } else if (name === 'get_catalog_stats') {
+        sentences.push(`The catalogue currently holds ${content.totalPlanets} planets from ${content.clustersLoaded} loaded clusters.`);
+      } else if (content?.planets) {
+        const [first, ...others] = content.planets;
+        if (!first) {
+          sentences.push('I couldn\'t find any planets matching that.');
+          continue;
+        }
+        sentences.push(`I found ${content.count} matching planet${content.count === 1 ? '' : 's'}. The best match is ${first.name}, ${MockLLMProvider.describePlanet(first)}.`);
+        if (others.length > 0) {
+          sentences.push(`Other candidates: ${others.map(planet => planet.name).join(', ')}.`);
+        }
+      } else if (name === 'teleport_to_planet' && content?.offered) {
+        sentences.push(`Use the teleport button to fly to ${content.planet.name}.`);
+      }
+    }
+    return sentences.join(' ');
+  }
+
+  /**
+   * Latest user message and the tool results that followed it
+   */
+  static currentTurn(messages) {
+    let start = messages.length - 1;
+    while (start >= 0 && messages[start].role !== 'user') start--;
+
+    const request = messages[start]?.content || '';
+    const names = new Map();
+    const results = [];
+
+    for (const message of messages.slice(start + 1)) {
+      for (const call of message.tool_calls || []) names.set(call.id, call.function.name);
+      if (message.role === 'tool') {
+        results.push({ name: names.get(message.tool_call_id), content: LLMProvider.parseArguments(message.content) });
+      }
+    }
+    return { request, results };
+  }
+
+  /**
+   * search_planets arguments from a natural-language request (null if it isn't a search)
+   */
+  static parseSearch(request) {
+    const args = {};
+
+    const distance = request.match(/(\d+(?:\.\d+)?)\s*(?:light[\s-]?years?|ly)\b/i);
+    if (distance) args.maxDistanceLy = parseFloat(distance[1]);
+
+    for (const [pattern, bodyType] of BODY_TYPES) {
+      if (pattern.test(request)) args.bodyType = bodyType;
+    }
+
+    const category = CATEGORIES.find(name => request.toLowerCase().includes(name.toLowerCase()));
+    if (category) args.category = category;
+
+    if (/\bhabitable\b/i.test(request)) args.minHabitability = 50;
+    if (/\bmost habitable\b/i.test(request)) args.sortBy = 'habitability';
+
+    const isSearch = Object.keys(args).length > 0 || /\b(?:nearest|closest|planets)\b/i.test(request);
+    if (!isSearch) return null;
+
+    args.sortBy = args.sortBy || 'distance';
+    args.limit = 3;
+    return args;
+  }
+
+  static describePlanet(planet) {
+    const facts = [];
+    if (planet.category) facts.push(`${/^[AEIOU]/.test(planet.category) ? 'an' : 'a'} ${planet.category} world`);
+    if (planet.distanceLy !== null) facts.push(`${planet.distanceLy} light years away`);
+    if (planet.radiusEarth !== null) facts.push(`${planet.radiusEarth} Earth radii`);
+    if (planet.habitability !== null) facts.push(`${planet.habitability}% habitable`);
+    return facts.join(', ');
+  }
+
+  /**
+   * Deterministic reply for a conversation
+   */
+  respond(messages) {
+    const userMessages = messages.filter(message => message.role === 'user');
+    const prompt = userMessages[userMessages.length - 1]?.content || '';
+    const context = messages.map(message => message.content).join('\n');
+
+    const subject = MockLLMProvider.extractSubject(context);
+    const seed = MockLLMProvider.hash(context);
+    const fill = (template) => template.replace(/\{subject\}/g, subject);
+
+    // Question lists ("Format each question on a new line starting with •")
+    if (/questions?/i.test(prompt) && prompt.includes('•')) {
+      return [0, 1, 2, 3]
+        .map(i => `• ${fill(QUESTIONS[(seed + i) % QUESTIONS.length])}`)
+        .join('\n');
+    }
+
+    // Short answers for chat turns, a small paragraph otherwise
+    const opening = fill(OPENINGS[seed % OPENINGS.length]);
+
+    const facts = [...context.matchAll(FACT_LINE)].slice(0, 3);
+    if (facts.length > 0) {
+      const cited = facts.map(([, label, value, ref]) => `${label[0].toLowerCase()}${label.slice(1)} of ${value} [${ref}]`);
+      const list = cited.length > 1 ? `${cited.slice(0, -1).join(', ')} and ${cited[cited.length - 1]}` : cited[0];
+      return `${opening} The NASA Exoplanet Archive lists its ${list}. ${DETAILS[(seed >>> 3) % DETAILS.length]}`;
+    }
+
+    if (userMessages.length > 0 && messages.some(message => message.role === 'system') && prompt.length < 200) {
+      return `${opening} ${DETAILS[(seed >>> 3) % DETAILS.length]}`;
+    }
+    return `${opening} ${DETAILS[(seed >>> 3) % DETAILS.length]} ${DETAILS[((seed >>> 3) + 1) % DETAILS.length]}`;
+  }
+
+  /**
+   * Planet name from the usual prompt shapes ("Planet: X", "for "X"", JSON name fields)
+   */
+  static extractSubject(text) {
+    const patterns = [
+      /Planet:\s*([^\n]+)/,
+      /Fact sheet for ([^\n]+?) \(/,
+      /"(?:pl_name|name)":\s*"([^"]+)"/,
+      /for "([^"]+)"/,
+      /(?:[Dd]escribe|about|introduce|description for)\s+([^,:;\n]+?)(?:[,:;\n]|\s+(?:for|was|is|at)\s)/
+    ];
+
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match) return match[1].trim();
+    }
+    return 'This world';
+  }
+
+  /**
+   * Small stable string hash (FNV-1a)
+   */
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  wait(ms, signal) {
+    if (signal?.aborted) return Promise.reject(new DOMException('Aborted', 'AbortError'));
+    if (!ms) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+export { MockLLMProvider };
+export default MockLLMProvider;
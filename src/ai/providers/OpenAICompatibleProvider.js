@@ -0,0 +1,118 @@
+/**
+ * OpenAICompatibleProvider - Chat completions over the OpenAI HTTP API
+ * Works with api.openai.com and any server exposing the same
+ * /v1/chat/completions contract (llama.cpp server, vLLM, LM Studio, ...).
+ */
+
+import { LLMProvider } from './LLMProvider.js';
+
+const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
+
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Bearer token (optional for self-hosted servers)
+   * @param {string} options.baseURL - Full chat completions URL
+   * @param {string} options.model
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'openai';
+    this.apiKey = options.apiKey || null;
+    this.baseURL = options.baseURL || OPENAI_CHAT_URL;
+    this.model = options.model || 'gpt-3.5-turbo';
+  }
+
+  /**
+   * api.openai.com needs a key; self-hosted compatible servers usually don't
+   */
+  isConfigured() {
+    return !!this.apiKey || !this.baseURL.includes('api.openai.com');
+  }
+
+  async request(messages, options, stream) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const body = {
+      model: options.model || this.model,
+      messages,
+      stream
+    };
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+    if (options.maxTokens !== undefined) body.max_tokens = options.maxTokens;
+    if (options.tools?.length) {
+      body.tools = options.tools.map(tool => ({ type: 'function', function: tool }));
+    }
+
+    const response = await fetch(this.baseURL, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: options.signal
+    });
+
+    return LLMProvider.assertOk(response, 'OpenAI API');
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this.request(messages, options, false);
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+
+    if (!content) {
+      throw new Error('No completion returned by the OpenAI endpoint');
+    }
+    return content;
+  }
+
+  /**
+   * Server-sent events: `data: {choices:[{delta:{content}}]}` ... `data: [DONE]`
+   */
+  async *stream(messages, options = {}) {
+    const response = await this.request(messages, options, true);
+
+    for await (const line of LLMProvider.readLines(response)) {
+      if (!line.startsWith('data:')) continue;
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+
+      const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+
+  /**
+   * Same SSE stream; tool calls arrive as fragments keyed by index
+   * (id and name first, then pieces of the JSON arguments)
+   */
+  async *streamWithTools(messages, tools = [], options = {}) {
+    const response = await this.request(messages, { ...options, tools }, true);
+    const calls = [];
+
+    for await (const line of LLMProvider.readLines(response)) {
+      if (!line.startsWith('data:')) continue;
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') break;
+
+      const delta = JSON.parse(payload).choices?.[0]?.delta || {};
+      if (delta.content) yield { type: 'text', text: delta.content };
+
+      for (const fragment of delta.tool_calls || []) {
+        const call = calls[fragment.index] || (calls[fragment.index] = { id: '', name: '', arguments: '' });
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+      }
+    }
+
+    for (const call of calls.filter(Boolean)) {
+      yield { type: 'tool_call', id: call.id, name: call.name, arguments: LLMProvider.parseArguments(call.arguments) };
+    }
+  }
+}
+
+export { OpenAICompatibleProvider };
+export default OpenAICompatibleProvider;
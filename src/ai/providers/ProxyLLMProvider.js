@@ -0,0 +1,115 @@
+/**
+ * ProxyLLMProvider - Talks to the server-side AI proxy (server/ai-proxy.js)
+ * The proxy holds the API keys and forwards to its own upstream provider, so
+ * nothing secret ships in the browser bundle. Default provider in the browser.
+ *   POST {baseURL}/chat         { messages, tools?, temperature?, maxTokens?, stream? }
+ *   POST {baseURL}/description  { planet } -> grounded description (prompt built server-side)
+ *   POST {baseURL}/insights     { planet } -> characteristics questions
+ * Streams arrive as NDJSON events: { type: 'text' | 'tool_call' | 'error', ... }
+ */
+
+import { LLMProvider } from './LLMProvider.js';
+
+// Top-level planet fields the prompts need; enrichment objects (meshes, colours) stay behind
+const PLANET_OBJECT_FIELDS = ['characteristics', 'aiData'];
+
+class ProxyLLMProvider extends LLMProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseURL - Proxy mount point, e.g. '/api/ai' or 'https://host/api/ai'
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'proxy';
+    this.baseURL = (options.baseURL || '/api/ai').replace(/\/$/, '');
+    this.model = options.model || 'server'; // The proxy picks the model
+  }
+
+  async post(route, body, signal) {
+    const response = await fetch(`${this.baseURL}/${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal
+    });
+    return LLMProvider.assertOk(response, 'AI proxy');
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this.post('chat', ProxyLLMProvider.chatBody(messages, options), options.signal);
+    const { text } = await response.json();
+
+    if (!text) {
+      throw new Error('No completion returned by the AI proxy');
+    }
+    return text;
+  }
+
+  async *stream(messages, options = {}) {
+    for await (const event of this.streamEvents(messages, [], options)) {
+      if (event.type === 'text') yield event.text;
+    }
+  }
+
+  async *streamWithTools(messages, tools = [], options = {}) {
+    yield* this.streamEvents(messages, tools, options);
+  }
+
+  async *streamEvents(messages, tools, options) {
+    const body = { ...ProxyLLMProvider.chatBody(messages, options), stream: true };
+    if (tools.length) body.tools = tools;
+
+    const response = await this.post('chat', body, options.signal);
+
+    for await (const line of LLMProvider.readLines(response)) {
+      const event = JSON.parse(line);
+      if (event.type === 'error') {
+        const error = new Error(event.message || 'AI proxy stream failed');
+        error.status = event.status;
+        throw error;
+      }
+      yield event;
+    }
+  }
+
+  /**
+   * Planet text whose prompt the proxy builds itself (see OpenAIService)
+   * @param {'description'|'insights'} kind
+   * @param {Object} planet - Planet record
+   * @returns {Promise<string>}
+   */
+  async planetText(kind, planet, options = {}) {
+    const response = await this.post(kind, { planet: ProxyLLMProvider.planetPayload(planet) }, options.signal);
+    const { text } = await response.json();
+
+    if (!text) {
+      throw new Error(`No ${kind} returned by the AI proxy`);
+    }
+    return text;
+  }
+
+  static chatBody(messages, options) {
+    const body = { messages };
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+    if (options.maxTokens !== undefined) body.maxTokens = options.maxTokens;
+    return body;
+  }
+
+  /**
+   * Plain copy of the catalogue columns (+ characteristics) for the request body
+   */
+  static planetPayload(planet) {
+    const payload = {};
+    for (const [key, value] of Object.entries(planet)) {
+      if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+        payload[key] = value;
+      } else if (PLANET_OBJECT_FIELDS.includes(key)) {
+        payload[key] = value;
+      }
+    }
+    return payload;
+  }
+}
+
+export { ProxyLLMProvider };
+export default ProxyLLMProvider;
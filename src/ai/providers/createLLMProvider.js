@@ -0,0 +1,47 @@
+/**
+ * createLLMProvider - Build the LLM backend selected in CONFIG.llm.provider
+ *   'openai' - OpenAI or any OpenAI-compatible endpoint (CONFIG.openai)
+ *   'local'  - Local Ollama-style server (CONFIG.llm.local)
+ *   'mock'   - Deterministic offline replies (CONFIG.llm.mock)
+ *   'proxy'  - The server-side AI proxy holding the keys (CONFIG.aiProxy)
+ */
+
+import { CONFIG } from '../../config/config.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+import { LocalLLMProvider } from './LocalLLMProvider.js';
+import { MockLLMProvider } from './MockLLMProvider.js';
+import { ProxyLLMProvider } from './ProxyLLMProvider.js';
+
+/**
+ * @param {Object} options - Overrides ({ provider, apiKey, baseURL, model, latency })
+ * @returns {LLMProvider}
+ */
+export function createLLMProvider(options = {}) {
+  const provider = options.provider || CONFIG.llm?.provider || 'openai';
+
+  switch (provider) {
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        apiKey: options.apiKey ?? CONFIG.openai.apiKey,
+        baseURL: options.baseURL ?? CONFIG.openai.baseURL,
+        model: options.model ?? CONFIG.openai.model
+      });
+    case 'local':
+      return new LocalLLMProvider({
+        baseURL: options.baseURL ?? CONFIG.llm.local.baseURL,
+        model: options.model ?? CONFIG.llm.local.model
+      });
+    case 'mock':
+      return new MockLLMProvider({
+        latency: options.latency ?? CONFIG.llm.mock.latency
+      });
+    case 'proxy':
+      return new ProxyLLMProvider({
+        baseURL: options.baseURL ?? CONFIG.aiProxy.url
+      });
+    default:
+      throw new Error(`Unknown LLM provider "${provider}" (expected openai, local, mock or proxy)`);
+  }
+}
+
+export default createLLMProvider;
@@ -0,0 +1,83 @@
+/**
+ * MockSpeechProvider - Scripted transcripts, no microphone and no network
+ * Each push-to-talk session "hears" the next sample question, typed out word
+ * by word through onPartial while the key is held. Also usable as the AI
+ * proxy's transcriber (transcribe()) for offline demos and tests.
+ */
+
+import { SpeechToTextProvider } from './SpeechToTextProvider.js';
+
+const SAMPLE_QUESTIONS = [
+  'Could this planet have liquid water?',
+  'How long is a year here?',
+  'What is the atmosphere made of?',
+  'How far away is it from Earth?',
+  'Take me to the nearest rocky planet'
+];
+
+class MockSpeechProvider extends SpeechToTextProvider {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.transcripts - Replies in order (cycled), default sample questions
+   * @param {number} options.wordInterval - ms between partial words while "listening"
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'mock';
+    this.transcripts = options.transcripts || SAMPLE_QUESTIONS;
+    this.wordInterval = options.wordInterval ?? 250;
+    this.index = 0;
+    this.timer = null;
+    this.words = [];
+  }
+
+  isSupported() {
+    return true;
+  }
+
+  async start({ onPartial } = {}) {
+    if (this.listening) return;
+
+    this.words = this.nextTranscript().split(' ');
+    this.listening = true;
+
+    let spoken = 0;
+    this.timer = setInterval(() => {
+      if (spoken >= this.words.length) return;
+      spoken++;
+      onPartial?.(this.words.slice(0, spoken).join(' '));
+    }, this.wordInterval);
+  }
+
+  /**
+   * Releasing the key finishes the sentence, however early it was released
+   */
+  async stop() {
+    if (!this.listening) return '';
+    this.cancel();
+    return this.words.join(' ');
+  }
+
+  cancel() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.listening = false;
+  }
+
+  /**
+   * Transcriber interface (server side): any audio becomes the next transcript
+   * @returns {Promise<string>}
+   */
+  async transcribe(audio, options = {}) {
+    return this.nextTranscript();
+  }
+
+  nextTranscript() {
+    const text = this.transcripts[this.index % this.transcripts.length];
+    this.index++;
+    return text;
+  }
+}
+
+export { MockSpeechProvider };
+export default MockSpeechProvider;
@@ -0,0 +1,60 @@
+/**
+ * OpenAITranscriber - Server-side transcription via OpenAI's audio API
+ * Used by the AI proxy's /transcribe route. Any endpoint speaking the
+ * /v1/audio/transcriptions format works (e.g. a local whisper.cpp server).
+ */
+
+import { LLMProvider } from '../providers/LLMProvider.js';
+
+class OpenAITranscriber {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Not needed for self-hosted endpoints
+   * @param {string} options.baseURL - Full /v1/audio/transcriptions URL
+   * @param {string} options.model - e.g. 'whisper-1'
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey || null;
+    this.baseURL = options.baseURL || 'https://api.openai.com/v1/audio/transcriptions';
+    this.model = options.model || 'whisper-1';
+  }
+
+  isConfigured() {
+    return !!this.apiKey || !this.baseURL.includes('api.openai.com');
+  }
+
+  /**
+   * @param {Blob|Buffer} audio - Recorded speech
+   * @param {Object} options
+   * @param {string} options.mimeType - e.g. 'audio/webm'
+   * @param {string} options.language - BCP 47 tag; the API takes the 2-letter code
+   * @returns {Promise<string>}
+   */
+  async transcribe(audio, options = {}) {
+    const mimeType = options.mimeType || audio.type || 'audio/webm';
+    const extension = mimeType.split('/')[1]?.split(';')[0] || 'webm';
+
+    const form = new FormData();
+    form.append('file', audio instanceof Blob ? audio : new Blob([audio], { type: mimeType }), `speech.${extension}`);
+    form.append('model', this.model);
+    if (options.language) form.append('language', options.language.split('-')[0]);
+
+    const headers = {};
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await fetch(this.baseURL, {
+      method: 'POST',
+      headers,
+      body: form,
+      signal: options.signal
+    });
+    await LLMProvider.assertOk(response, 'Transcription API');
+
+    const { text } = await response.json();
+    return (text || '').trim();
+  }
+}
+
+export { OpenAITranscriber };
+export default OpenAITranscriber;
@@ -0,0 +1,114 @@
+/**
+ * ServerSpeechProvider - Records the microphone and transcribes on the server
+ * Audio is captured with MediaRecorder while the key is held, then posted to
+ * the AI proxy (server/ai-proxy.js), which forwards it to its transcriber:
+ *   POST {baseURL}/transcribe?language=en-US   body: audio/webm (or audio/ogg, audio/mp4)
+ *   -> { text }
+ * Works in browsers without the Web Speech API (Firefox) and keeps the
+ * transcription backend swappable server-side.
+ */
+
+import { SpeechToTextProvider } from './SpeechToTextProvider.js';
+import { LLMProvider } from '../providers/LLMProvider.js';
+
+const MIN_RECORDING_MS = 300; // Shorter presses are treated as accidental
+
+class ServerSpeechProvider extends SpeechToTextProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseURL - AI proxy mount point, e.g. '/api/ai'
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'server';
+    this.baseURL = (options.baseURL || '/api/ai').replace(/\/$/, '');
+    this.recorder = null;
+    this.chunks = [];
+    this.startedAt = 0;
+  }
+
+  isSupported() {
+    return typeof MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+  }
+
+  async start() {
+    if (!this.isSupported()) {
+      throw SpeechToTextProvider.error('unsupported', 'Audio recording is not available in this browser');
+    }
+    if (this.listening) return;
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      const code = error.name === 'NotAllowedError' || error.name === 'NotFoundError' ? 'not-allowed' : 'failed';
+      throw SpeechToTextProvider.error(code, `Microphone unavailable: ${error.message}`);
+    }
+
+    this.chunks = [];
+    this.recorder = new MediaRecorder(stream);
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) this.chunks.push(event.data);
+    };
+    this.recorder.start();
+    this.startedAt = Date.now();
+    this.listening = true;
+  }
+
+  async stop() {
+    const recorder = this.recorder;
+    if (!recorder) return '';
+
+    const stopped = new Promise(resolve => {
+      recorder.onstop = resolve;
+    });
+    recorder.stop();
+    await stopped;
+    this.release();
+
+    if (Date.now() - this.startedAt < MIN_RECORDING_MS || this.chunks.length === 0) return '';
+
+    const audio = new Blob(this.chunks, { type: recorder.mimeType || 'audio/webm' });
+    this.chunks = [];
+    return this.transcribe(audio);
+  }
+
+  cancel() {
+    if (this.recorder?.state === 'recording') this.recorder.stop();
+    this.release();
+    this.chunks = [];
+  }
+
+  /**
+   * Stop the microphone (clears the browser's recording indicator)
+   */
+  release() {
+    this.recorder?.stream.getTracks().forEach(track => track.stop());
+    this.recorder = null;
+    this.listening = false;
+  }
+
+  /**
+   * @param {Blob} audio - Recorded speech
+   * @returns {Promise<string>}
+   */
+  async transcribe(audio) {
+    let response;
+    try {
+      response = await fetch(`${this.baseURL}/transcribe?language=${encodeURIComponent(this.language)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': audio.type.split(';')[0] },
+        body: audio
+      });
+    } catch (error) {
+      throw SpeechToTextProvider.error('network', `Transcription request failed: ${error.message}`);
+    }
+
+    await LLMProvider.assertOk(response, 'Transcription');
+    const { text } = await response.json();
+    return (text || '').trim();
+  }
+}
+
+export { ServerSpeechProvider };
+export default ServerSpeechProvider;
@@ -0,0 +1,52 @@
+/**
+ * SpeechToTextProvider - Common interface for push-to-talk transcription
+ * A session runs from start() (button / key pressed) to stop() (released):
+ *   isSupported()          -> boolean (microphone / browser API available)
+ *   start({ onPartial })   -> Promise, resolves once listening
+ *   stop()                 -> Promise<string> final transcript ('' if nothing was heard)
+ *   cancel()               -> drop the session without a transcript
+ *
+ * onPartial(text) receives the transcript so far, for backends that have one.
+ * Errors carry a `code`: 'not-allowed' (microphone blocked), 'unsupported',
+ * 'network' or 'failed'.
+ */
+
+class SpeechToTextProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.language - BCP 47 tag, e.g. 'en-US'
+   */
+  constructor(options = {}) {
+    this.name = 'base';
+    this.language = options.language || 'en-US';
+    this.listening = false;
+  }
+
+  isSupported() {
+    return false;
+  }
+
+  async start(options = {}) {
+    throw SpeechToTextProvider.error('unsupported', `${this.constructor.name} does not implement start()`);
+  }
+
+  async stop() {
+    return '';
+  }
+
+  cancel() {
+    this.listening = false;
+  }
+
+  /**
+   * Error with a machine-readable code for the UI
+   */
+  static error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+export { SpeechToTextProvider };
+export default SpeechToTextProvider;
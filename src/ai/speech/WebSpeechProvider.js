@@ -0,0 +1,116 @@
+/**
+ * WebSpeechProvider - Transcription by the browser's Web Speech API
+ * Chrome, Edge and Safari recognise speech themselves (no key, no proxy) and
+ * report interim results while the user is still talking.
+ */
+
+import { SpeechToTextProvider } from './SpeechToTextProvider.js';
+
+const ERROR_CODES = {
+  'not-allowed': 'not-allowed',
+  'service-not-allowed': 'not-allowed',
+  'audio-capture': 'not-allowed',
+  network: 'network'
+};
+
+class WebSpeechProvider extends SpeechToTextProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'browser';
+    this.recognition = null;
+    this.session = null; // { final, interim, ended: Promise<string>, error }
+  }
+
+  static get Recognition() {
+    if (typeof window === 'undefined') return null;
+    return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+  }
+
+  isSupported() {
+    return !!WebSpeechProvider.Recognition;
+  }
+
+  async start({ onPartial } = {}) {
+    const Recognition = WebSpeechProvider.Recognition;
+    if (!Recognition) {
+      throw SpeechToTextProvider.error('unsupported', 'Speech recognition is not available in this browser');
+    }
+    if (this.listening) return;
+
+    const recognition = new Recognition();
+    recognition.lang = this.language;
+    recognition.continuous = true; // Keep listening through pauses until the key is released
+    recognition.interimResults = true;
+
+    const session = { final: '', interim: '', error: null };
+    let started;
+    const ready = new Promise((resolve, reject) => {
+      started = { resolve, reject };
+    });
+
+    session.ended = new Promise(resolve => {
+      recognition.onend = () => {
+        this.listening = false;
+        started.reject(session.error || SpeechToTextProvider.error('failed', 'Speech recognition ended'));
+        resolve(`${session.final} ${session.interim}`.trim());
+      };
+    });
+
+    recognition.onstart = () => started.resolve();
+
+    recognition.onresult = (event) => {
+      session.interim = '';
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const { transcript } = event.results[i][0];
+        if (event.results[i].isFinal) {
+          session.final = `${session.final} ${transcript}`.trim();
+        } else {
+          session.interim += transcript;
+        }
+      }
+      onPartial?.(`${session.final} ${session.interim}`.trim());
+    };
+
+    recognition.onerror = (event) => {
+      // 'no-speech' and 'aborted' just end the session with an empty transcript
+      if (event.error === 'no-speech' || event.error === 'aborted') return;
+      session.error = SpeechToTextProvider.error(ERROR_CODES[event.error] || 'failed', `Speech recognition failed: ${event.error}`);
+    };
+
+    this.recognition = recognition;
+    this.session = session;
+    this.listening = true;
+    recognition.start();
+
+    try {
+      await ready;
+    } catch (error) {
+      this.recognition = null;
+      this.session = null;
+      throw error;
+    }
+  }
+
+  async stop() {
+    const { recognition, session } = this;
+    if (!recognition) return '';
+
+    recognition.stop(); // Flushes the last interim result as final before 'end'
+    const text = await session.ended;
+    this.recognition = null;
+    this.session = null;
+
+    if (session.error && !text) throw session.error;
+    return text;
+  }
+
+  cancel() {
+    this.recognition?.abort();
+    this.recognition = null;
+    this.session = null;
+    this.listening = false;
+  }
+}
+
+export { WebSpeechProvider };
+export default WebSpeechProvider;
@@ -0,0 +1,66 @@
+/**
+ * createSpeechToTextProvider - Build the push-to-talk backend selected in CONFIG.speech.provider
+ *   'browser' - Web Speech API, falling back to 'server' where it is missing
+ *   'server'  - Recorded audio transcribed by the AI proxy (CONFIG.aiProxy)
+ *   'mock'    - Scripted transcripts, no microphone
+ *
+ * createTranscriber() builds the server-side counterpart used by the AI proxy:
+ *   'openai'  - OpenAI-compatible /v1/audio/transcriptions (CONFIG.speech.transcription)
+ *   'mock'    - Scripted transcripts
+ */
+
+import { CONFIG } from '../../config/config.js';
+import { WebSpeechProvider } from './WebSpeechProvider.js';
+import { ServerSpeechProvider } from './ServerSpeechProvider.js';
+import { MockSpeechProvider } from './MockSpeechProvider.js';
+import { OpenAITranscriber } from './OpenAITranscriber.js';
+
+/**
+ * @param {Object} options - Overrides ({ provider, language, baseURL })
+ * @returns {SpeechToTextProvider}
+ */
+export function createSpeechToTextProvider(options = {}) {
+  const provider = options.provider || CONFIG.speech.provider;
+  const language = options.language ?? CONFIG.speech.language;
+
+  switch (provider) {
+    case 'browser': {
+      const browser = new WebSpeechProvider({ language });
+      if (browser.isSupported()) return browser;
+      console.log('ℹ️ Web Speech API unavailable - transcribing on the server instead');
+      return createSpeechToTextProvider({ ...options, provider: 'server' });
+    }
+    case 'server':
+      return new ServerSpeechProvider({
+        language,
+        baseURL: options.baseURL ?? CONFIG.aiProxy.url
+      });
+    case 'mock':
+      return new MockSpeechProvider({ language });
+    default:
+      throw new Error(`Unknown speech-to-text provider "${provider}" (expected browser, server or mock)`);
+  }
+}
+
+/**
+ * @param {Object} options - Overrides ({ provider, apiKey, baseURL, model })
+ * @returns {OpenAITranscriber|MockSpeechProvider}
+ */
+export function createTranscriber(options = {}) {
+  const provider = options.provider || 'openai';
+
+  switch (provider) {
+    case 'openai':
+      return new OpenAITranscriber({
+        apiKey: options.apiKey ?? CONFIG.openai.apiKey,
+        baseURL: options.baseURL ?? CONFIG.speech.transcription.baseURL,
+        model: options.model ?? CONFIG.speech.transcription.model
+      });
+    case 'mock':
+      return new MockSpeechProvider();
+    default:
+      throw new Error(`Unknown transcriber "${provider}" (expected openai or mock)`);
+  }
+}
+
+export default createSpeechToTextProvider;
@@ -1,15 +1,15 @@
 /**
  * Test script for AIService
  * Usage: node src/ai/testAIService.js
+ *        LLM_PROVIDER=mock|local|openai node src/ai/testAIService.js
  */
 
-import dotenv from 'dotenv';
+import 'dotenv/config'; // Load .env before CONFIG reads the environment
+import { readFile } from 'fs/promises';
 import AIService from './AIService.js';
+import { CONFIG } from '../config/config.js';
 import { sampleMarsData, samplePlanetData } from './samplePlanetData.js';
 
-// Load environment variables
-dotenv.config();
-
 // Get API Key from environment
 const API_KEY = process.env.OPENAI_API_KEY;
 
@@ -18,19 +18,18 @@ async function testAIService() {
   console.log('AIService Test');
   console.log('='.repeat(60));
   
-  // Check for API key
-  if (!API_KEY) {
-    console.error('\n✗ Error: OPENAI_API_KEY not found in .env file');
-    console.log('\nPlease create a .env file with:');
-    console.log('OPENAI_API_KEY=your-api-key-here');
-    return;
+  // Without a key, run offline against the mock provider
+  if (!API_KEY && CONFIG.llm.provider === 'openai') {
+    console.log('\nℹ OPENAI_API_KEY not found - using the offline mock provider');
+    console.log('  (add OPENAI_API_KEY to .env, or set LLM_PROVIDER=local for a local model)');
+    CONFIG.llm.provider = 'mock';
   }
   
   try {
     // Initialize AIService
     console.log('\n1. Initializing AIService...');
     const aiService = new AIService(API_KEY);
-    console.log('✓ AIService initialized successfully');
+    console.log(`✓ AIService initialized successfully (${CONFIG.llm.provider} provider)`);
     
     // Test with Mars data
     console.log('\n2. Testing with Mars data...');
@@ -48,8 +47,19 @@ async function testAIService() {
     const endTime = Date.now();
     console.log(`✓ Cache hit! Retrieved in ${endTime - startTime}ms`);
     
+    // Test grounding with a real catalogue record (NASA columns + references)
+    console.log('\n4. Testing grounded description with citations...');
+    const clusterUrl = new URL('../../nasa_data/clusters/nearby_quad2.json', import.meta.url);
+    const catalogue = JSON.parse(await readFile(clusterUrl, 'utf-8'));
+    const planet = catalogue.find(p => p.pl_bmasse_reflink) || catalogue[0];
+    const grounded = await aiService.openAI.generateGroundedDescription(planet);
+    console.log(grounded.sheet.toPrompt());
+    console.log('-'.repeat(60));
+    console.log(grounded.text);
+    console.log(`✓ ${grounded.check.claims.length} numeric claims, ${grounded.check.contradictions.length} contradicting the fact sheet`);
+    
     // Test cache stats
-    console.log('\n4. Cache statistics:');
+    console.log('\n5. Cache statistics:');
     console.log(aiService.getCacheStats());
     
     console.log('\n' + '='.repeat(60));
@@ -0,0 +1,116 @@
+/**
+ * Test script for PlanetAssistant (tool calling)
+ * Loads the nearby clusters from disk and asks the assistant catalogue
+ * questions, printing every tool call, result and answer.
+ * Usage: node src/ai/testPlanetAssistant.js
+ *        LLM_PROVIDER=mock|local|openai node src/ai/testPlanetAssistant.js
+ */
+
+import 'dotenv/config'; // Load .env before CONFIG reads the environment
+import { readFile } from 'fs/promises';
+import PlanetAssistant from './PlanetAssistant.js';
+import { createLLMProvider } from './providers/createLLMProvider.js';
+import { PlanetDataService } from '../services/PlanetDataService.js';
+import { CONFIG } from '../config/config.js';
+
+const CLUSTERS = ['nearby_quad1', 'nearby_quad2', 'nearby_quad3', 'nearby_quad4'];
+
+const QUESTIONS = [
+  'Take me to the nearest rocky planet under 50 light years',
+  'How many planets are loaded?',
+  'Which are the most habitable planets?'
+];
+
+/**
+ * PlanetDataService fetches over HTTP in the browser - feed it from disk here
+ */
+async function loadCatalogue() {
+  const service = new PlanetDataService();
+
+  for (const cluster of CLUSTERS) {
+    try {
+      const url = new URL(`../../nasa_data/clusters/${cluster}.json`, import.meta.url);
+      const planets = JSON.parse(await readFile(url, 'utf-8')).map(planet => service.enrichPlanetData(planet));
+      service.allPlanets.push(...planets);
+      service.loadedClusters.add(cluster);
+    } catch (error) {
+      console.warn(`  ⚠ Skipping ${cluster}: ${error.code === 'ENOENT' ? 'not on disk' : error.message}`);
+    }
+  }
+
+  return service;
+}
+
+async function testPlanetAssistant() {
+  console.log('='.repeat(60));
+  console.log('PlanetAssistant Test');
+  console.log('='.repeat(60));
+
+  // Without a key, run offline against the mock provider
+  if (!process.env.OPENAI_API_KEY && CONFIG.llm.provider === 'openai') {
+    console.log('\nℹ OPENAI_API_KEY not found - using the offline mock provider');
+    CONFIG.llm.provider = 'mock';
+  }
+
+  try {
+    console.log('\n1. Loading nearby clusters...');
+    const planetDataService = await loadCatalogue();
+    console.log(`✓ ${planetDataService.getStats().totalPlanets} planets loaded`);
+
+    // Stand-in for the browser TeleportManager
+    const teleports = [];
+    const teleportManager = {
+      teleportWithEffect: (planet, onComplete) => {
+        teleports.push(planet.pl_name);
+        onComplete();
+      }
+    };
+
+    const assistant = new PlanetAssistant({
+      provider: createLLMProvider(),
+      planetDataService,
+      teleportManager
+    });
+    console.log(`✓ Assistant ready (${assistant.provider.name} provider)`);
+
+    let offer = null;
+
+    for (const [index, question] of QUESTIONS.entries()) {
+      console.log(`\n${index + 2}. 👤 ${question}`);
+      console.log('-'.repeat(60));
+
+      let answer = '';
+      for await (const event of assistant.run(question)) {
+        if (event.type === 'tool_call') {
+          console.log(`🔧 ${event.name}(${JSON.stringify(event.arguments)})`);
+        } else if (event.type === 'tool_result') {
+          console.log(`📋 ${JSON.stringify(event.result).slice(0, 200)}`);
+        } else if (event.type === 'teleport_offer') {
+          offer = offer || event.planet;
+          console.log(`🚀 Teleport offered: ${event.planet.pl_name}`);
+        } else {
+          answer += event.text;
+        }
+      }
+      console.log(`🤖 ${answer}`);
+    }
+
+    if (!offer) {
+      throw new Error('The assistant never offered a teleport');
+    }
+
+    console.log(`\n${QUESTIONS.length + 2}. Confirming teleport...`);
+    assistant.teleport(offer);
+    console.log(`✓ Teleported to ${teleports[0]}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✓ All tests passed!');
+    console.log('='.repeat(60));
+
+  } catch (error) {
+    console.error('\n✗ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testPlanetAssistant();
@@ -0,0 +1,104 @@
+/**
+ * Test script for the text-to-speech fallback chain
+ * Drives TextToSpeechService with MockTTSProvider stand-ins for each engine
+ * (rejected key, rate limit, working engine) and checks the voice mapping
+ * shared by the engines. Runs fully offline.
+ * Usage: node src/ai/testTextToSpeech.js
+ */
+
+import { TextToSpeechService } from './tts/TextToSpeechService.js';
+import { TextToSpeechProvider } from './tts/TextToSpeechProvider.js';
+import { MockTTSProvider } from './tts/MockTTSProvider.js';
+import { ElevenLabsTTSProvider } from './tts/ElevenLabsTTSProvider.js';
+import { LocalTTSEngine } from '../../server/local-tts-engine.js';
+import { CONFIG } from '../config/config.js';
+
+const TEXT = 'Approaching Kepler-442 b. Habitability: 84 percent.';
+
+async function wavBytes(audio) {
+  return Buffer.from(await audio.arrayBuffer());
+}
+
+async function testTextToSpeech() {
+  console.log('='.repeat(60));
+  console.log('Text-to-Speech Fallback Test');
+  console.log('='.repeat(60));
+
+  try {
+    console.log('\n1. Deterministic silent speech...');
+    const mock = new MockTTSProvider();
+    const first = await wavBytes(await mock.synthesize(TEXT, { voice: 'guide' }));
+    const second = await wavBytes(await mock.synthesize(TEXT, { voice: 'guide' }));
+    const slower = await wavBytes(await mock.synthesize(TEXT, { voice: 'alien' }));
+    if (!first.equals(second)) throw new Error('Same text and voice should give the same bytes');
+    if (first.subarray(44).some(byte => byte !== 0)) throw new Error('Mock speech should be silent');
+    if (slower.length <= first.length) throw new Error('The slower alien voice should take longer');
+    console.log(`✓ ${first.length} bytes (guide), ${slower.length} bytes (alien, rate ${CONFIG.narration.voices.alien.rate})`);
+
+    console.log('\n2. Voice mapping...');
+    const computer = TextToSpeechProvider.voiceProfile('computer');
+    const unknown = TextToSpeechProvider.voiceProfile('robot');
+    const extreme = TextToSpeechProvider.voiceProfile({ name: 'guide', rate: 9, pitch: 0 });
+    if (unknown.name !== 'guide' || extreme.rate !== 2 || extreme.pitch !== 0.5) {
+      throw new Error('Unknown voices should fall back to the guide, rate and pitch should be clamped');
+    }
+    const elevenLabs = ElevenLabsTTSProvider.voiceSettings('computer');
+    const espeak = new LocalTTSEngine({ command: 'espeak-ng', language: 'en-US' }).args(computer);
+    if (elevenLabs.voiceId !== CONFIG.narration.voices.computer.voiceId || 'rate' in elevenLabs) {
+      throw new Error('ElevenLabs should get the voice settings only');
+    }
+    console.log(`✓ computer: ${computer.gender}, rate ${computer.rate}, pitch ${computer.pitch}`);
+    console.log(`  ElevenLabs ${JSON.stringify(elevenLabs)}`);
+    console.log(`  espeak-ng ${espeak.join(' ')}`);
+
+    console.log('\n3. Falling back past a rejected key and a rate limit...');
+    const rejected = new MockTTSProvider({ name: 'elevenlabs', fail: { status: 401 } });
+    const limited = new MockTTSProvider({ name: 'server', fail: { status: 429 } });
+    const browser = new MockTTSProvider({ name: 'browser' });
+    const speech = new TextToSpeechService([rejected, limited, browser], { retryAfter: 60 });
+    await speech.textToSpeech(TEXT);
+    await speech.textToSpeech(TEXT);
+    const states = speech.getStatus().map(engine => `${engine.name} ${engine.state}`).join(', ');
+    if (rejected.calls.length !== 1 || limited.calls.length !== 1 || browser.calls.length !== 2) {
+      throw new Error('Failed engines should not be retried right away');
+    }
+    console.log(`✓ ${states}`);
+
+    console.log('\n4. Retrying a paused engine once its pause is over...');
+    limited.fail = null;
+    speech.failures.get(limited).until = Date.now() - 1;
+    await speech.textToSpeech(TEXT);
+    if (limited.calls.length !== 2 || speech.active !== limited) throw new Error('Expected the recovered engine to speak again');
+    console.log(`✓ ${speech.getStatus().map(engine => `${engine.name} ${engine.state}`).join(', ')}`);
+
+    console.log('\n5. Skipping only the request an engine refuses...');
+    const picky = new MockTTSProvider({ name: 'picky', fail: { status: 413 } });
+    const steady = new MockTTSProvider({ name: 'steady' });
+    const skipping = new TextToSpeechService([picky, steady]);
+    await skipping.textToSpeech(TEXT);
+    await skipping.textToSpeech(TEXT);
+    if (picky.calls.length !== 2) throw new Error('A refused request should not pause the engine');
+    console.log('✓ Engine kept for the next request');
+
+    console.log('\n6. No engine left...');
+    const silent = new TextToSpeechService([new MockTTSProvider({ fail: { code: 'unsupported' } })]);
+    try {
+      await silent.textToSpeech(TEXT);
+      throw new Error('Expected an error without engines');
+    } catch (error) {
+      if (error.code !== 'unsupported') throw error;
+      if (silent.isAvailable()) throw new Error('The chain should report itself unavailable');
+      console.log(`✓ ${error.message}`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✓ All tests passed!');
+    console.log('='.repeat(60));
+
+  } catch (error) {
+    console.error('\n✗ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testTextToSpeech();
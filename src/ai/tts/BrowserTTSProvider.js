@@ -0,0 +1,220 @@
+/**
+ * BrowserTTSProvider - The browser's own speechSynthesis engine
+ * No key and no network, in every modern browser. It speaks instead of
+ * producing a file, so synthesize() returns a SpeechSynthesisClip whose
+ * player mimics an HTMLAudioElement (see speechPlayback.createAudioPlayer).
+ * Clips can't be stitched or cached across reloads.
+ *
+ * Voice mapping: gender picks a system voice by name hints, rate and pitch
+ * are passed to the utterance as-is (1 = engine default).
+ */
+
+import { TextToSpeechProvider } from './TextToSpeechProvider.js';
+import { splitSentence } from './speechPlayback.js';
+
+const VOICE_HINTS = {
+  female: /female|woman|samantha|victoria|karen|moira|tessa|fiona|zira|susan|hazel|aria|jenny/i,
+  male: /\bmale|\bman\b|daniel|alex|fred|david|mark|george|guy|ryan|thomas/i
+};
+
+const INTERRUPTED = new Set(['canceled', 'interrupted']);
+
+class BrowserTTSProvider extends TextToSpeechProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.language - BCP 47 tag, e.g. 'en-US'
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'browser';
+    this.producesAudio = false;
+    this.language = options.language || 'en-US';
+  }
+
+  isAvailable() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+  }
+
+  async synthesize(text, { voice = null } = {}) {
+    if (!this.isAvailable()) {
+      throw TextToSpeechProvider.error('unsupported', 'Speech synthesis is not available in this browser');
+    }
+    return new SpeechSynthesisClip(text, TextToSpeechProvider.voiceProfile(voice), this.language);
+  }
+
+  /**
+   * System voice for a profile: same language, matching gender when the name tells
+   * @returns {SpeechSynthesisVoice|null} Null = engine default
+   */
+  static pickVoice(profile, language) {
+    const prefix = language.split('-')[0].toLowerCase();
+    const voices = window.speechSynthesis.getVoices()
+      .filter(voice => voice.lang.replace('_', '-').toLowerCase().startsWith(prefix));
+
+    return voices.find(voice => VOICE_HINTS[profile.gender].test(voice.name))
+      || voices.find(voice => voice.default)
+      || voices[0]
+      || null;
+  }
+}
+
+/**
+ * Text to be spoken by the browser, playable any number of times
+ */
+class SpeechSynthesisClip {
+  constructor(text, profile, language) {
+    this.type = 'speech/synthesis';
+    this.text = text;
+    this.profile = profile;
+    this.language = language;
+    this.duration = TextToSpeechProvider.estimateDuration(text, profile.rate);
+  }
+
+  createPlayer() {
+    return new SpeechSynthesisPlayer(this);
+  }
+
+  /**
+   * One utterance per sentence - some engines stop long utterances after ~15s
+   */
+  createUtterances() {
+    const sentences = [];
+    let rest = this.text;
+    let split;
+    while ((split = splitSentence(rest))) {
+      sentences.push(split.sentence);
+      rest = split.rest;
+    }
+    if (rest.trim() || sentences.length === 0) sentences.push(rest.trim());
+
+    const voice = BrowserTTSProvider.pickVoice(this.profile, this.language);
+    return sentences.map(sentence => {
+      const utterance = new window.SpeechSynthesisUtterance(sentence);
+      utterance.lang = this.language;
+      if (voice) utterance.voice = voice;
+      utterance.rate = this.profile.rate;
+      utterance.pitch = this.profile.pitch;
+      return utterance;
+    });
+  }
+}
+
+/**
+ * HTMLAudioElement look-alike for a clip
+ * The engine speaks one thing at a time: starting a player silences the
+ * others, which then count as ended. currentTime is estimated from the clock.
+ */
+class SpeechSynthesisPlayer extends EventTarget {
+  constructor(clip) {
+    super();
+    this.clip = clip;
+    this.src = ''; // No object URL to revoke
+    this.duration = clip.duration;
+    this.paused = true;
+    this.ended = false;
+    this.error = null;
+    this.utterances = null; // Queued with the engine while playing or paused
+    this.elapsed = 0; // Seconds spoken before the last resume
+    this.resumedAt = 0;
+  }
+
+  get currentTime() {
+    const running = this.paused ? 0 : (performance.now() - this.resumedAt) / 1000;
+    return Math.min(this.duration, this.elapsed + running);
+  }
+
+  /**
+   * Only rewinding is possible, and it stops the speech (like stopping an audio element)
+   */
+  set currentTime(time) {
+    if (time === 0) this.cancel();
+  }
+
+  play() {
+    const synth = window.speechSynthesis;
+    if (!this.paused) return Promise.resolve();
+
+    if (this.utterances) {
+      synth.resume();
+      this.setPaused(false);
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const utterances = this.clip.createUtterances();
+      const isCurrent = () => this.utterances === utterances;
+
+      utterances[0].onstart = () => {
+        if (!isCurrent()) return;
+        this.setPaused(false);
+        resolve();
+      };
+      utterances[utterances.length - 1].onend = () => {
+        if (isCurrent()) this.finish();
+      };
+      utterances.forEach(utterance => {
+        utterance.onerror = (event) => {
+          if (!isCurrent()) return;
+          if (INTERRUPTED.has(event.error)) {
+            this.finish(); // Another player took over the engine
+            return;
+          }
+
+          this.utterances = null;
+          synth.cancel();
+          this.paused = true;
+          this.error = { code: event.error };
+          reject(TextToSpeechProvider.error(event.error === 'not-allowed' ? 'not-allowed' : 'failed', `Speech synthesis failed: ${event.error}`));
+          this.dispatchEvent(new Event('error'));
+        };
+      });
+
+      this.utterances = utterances;
+      this.ended = false;
+      this.error = null;
+      this.elapsed = 0;
+
+      synth.cancel(); // One voice at a time, like a single audio element
+      synth.resume(); // A paused engine would hold the new speech
+      utterances.forEach(utterance => synth.speak(utterance));
+    });
+  }
+
+  pause() {
+    if (this.paused || !this.utterances) return;
+    window.speechSynthesis.pause();
+    this.setPaused(true);
+  }
+
+  cancel() {
+    const wasPlaying = !this.paused;
+    this.elapsed = 0;
+    this.paused = true;
+    if (!this.utterances) return;
+
+    this.utterances = null;
+    window.speechSynthesis.cancel();
+    if (wasPlaying) this.dispatchEvent(new Event('pause'));
+  }
+
+  finish() {
+    this.utterances = null;
+    this.elapsed = this.duration;
+    this.paused = true;
+    this.ended = true;
+    this.dispatchEvent(new Event('ended'));
+  }
+
+  setPaused(paused) {
+    if (paused) {
+      this.elapsed = this.currentTime;
+    } else {
+      this.resumedAt = performance.now();
+    }
+    this.paused = paused;
+    this.dispatchEvent(new Event(paused ? 'pause' : 'play'));
+  }
+}
+
+export { BrowserTTSProvider, SpeechSynthesisClip, SpeechSynthesisPlayer };
+export default BrowserTTSProvider;
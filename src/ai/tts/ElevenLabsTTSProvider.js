@@ -0,0 +1,46 @@
+/**
+ * ElevenLabsTTSProvider - ElevenLabsService as a fallback-chain engine
+ * Direct API access or the AI proxy's /tts route, whichever the service was
+ * built for. Audio is cached by the service (memory + AICache).
+ */
+
+import { TextToSpeechProvider } from './TextToSpeechProvider.js';
+
+const VOICE_SETTINGS = ['voiceId', 'model', 'stability', 'similarityBoost', 'style', 'useSpeakerBoost'];
+
+class ElevenLabsTTSProvider extends TextToSpeechProvider {
+  /**
+   * @param {Object} options
+   * @param {ElevenLabsService} options.service
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'elevenlabs';
+    this.service = options.service || null;
+  }
+
+  isAvailable() {
+    return !!this.service;
+  }
+
+  async synthesize(text, { voice = null, planetName = null, useCache = true } = {}) {
+    if (!this.service) {
+      throw TextToSpeechProvider.error('unsupported', 'ElevenLabs is not configured');
+    }
+
+    // Without a voice the service keeps its own configuration (and cache keys)
+    const settings = voice ? ElevenLabsTTSProvider.voiceSettings(voice) : null;
+    return this.service.textToSpeech(text, useCache, planetName, settings);
+  }
+
+  /**
+   * ElevenLabs settings of a voice (rate and pitch come from the voice itself)
+   */
+  static voiceSettings(voice) {
+    const profile = TextToSpeechProvider.voiceProfile(voice);
+    return Object.fromEntries(VOICE_SETTINGS.filter(key => profile[key] !== undefined).map(key => [key, profile[key]]));
+  }
+}
+
+export { ElevenLabsTTSProvider };
+export default ElevenLabsTTSProvider;
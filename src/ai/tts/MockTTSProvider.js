@@ -0,0 +1,46 @@
+/**
+ * MockTTSProvider - Deterministic silent speech, no network and no engine
+ * Each request returns a silent WAV as long as the text would take to say
+ * (TextToSpeechProvider.estimateDuration at the voice's rate), so the same
+ * text and voice always give the same bytes. Records every request in
+ * `calls` and can be told to fail, for fallback tests; also usable as the
+ * AI proxy's local engine for offline demos.
+ */
+
+import { TextToSpeechProvider } from './TextToSpeechProvider.js';
+import { encodeWav } from './wav.js';
+
+class MockTTSProvider extends TextToSpeechProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Reported name (several mocks can stand in for different engines)
+   * @param {number} options.sampleRate - Of the silent WAV (default 8000 - small)
+   * @param {Object|null} options.fail - Throw on every request: { status } or { code }
+   */
+  constructor(options = {}) {
+    super();
+    this.name = options.name || 'mock';
+    this.sampleRate = options.sampleRate || 8000;
+    this.fail = options.fail || null;
+    this.calls = []; // { text, voice } per request
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async synthesize(text, { voice = null } = {}) {
+    const profile = TextToSpeechProvider.voiceProfile(voice);
+    this.calls.push({ text, voice: profile });
+
+    if (this.fail) {
+      throw TextToSpeechProvider.error(this.fail.code || 'failed', `${this.name} speech failed (simulated)`, this.fail.status);
+    }
+
+    const seconds = TextToSpeechProvider.estimateDuration(text, profile.rate);
+    return encodeWav(new Float32Array(Math.round(seconds * this.sampleRate)), this.sampleRate);
+  }
+}
+
+export { MockTTSProvider };
+export default MockTTSProvider;
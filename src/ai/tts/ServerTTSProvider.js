@@ -0,0 +1,46 @@
+/**
+ * ServerTTSProvider - Speech from the AI proxy's local engine (no API key)
+ * The proxy (server/ai-proxy.js) runs an offline engine such as espeak-ng:
+ *   POST {baseURL}/speak   { text, gender, rate, pitch }  -> audio/wav
+ * Answers 503 when the server has no local engine.
+ */
+
+import { TextToSpeechProvider } from './TextToSpeechProvider.js';
+import { LLMProvider } from '../providers/LLMProvider.js';
+
+class ServerTTSProvider extends TextToSpeechProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseURL - AI proxy mount point, e.g. '/api/ai'
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'server';
+    this.baseURL = (options.baseURL || '/api/ai').replace(/\/$/, '');
+  }
+
+  isAvailable() {
+    return typeof fetch === 'function';
+  }
+
+  async synthesize(text, { voice = null } = {}) {
+    const { gender, rate, pitch } = TextToSpeechProvider.voiceProfile(voice);
+
+    let response;
+    try {
+      response = await fetch(`${this.baseURL}/speak`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, gender, rate, pitch })
+      });
+    } catch (error) {
+      throw TextToSpeechProvider.error('network', `Local speech request failed: ${error.message}`);
+    }
+
+    await LLMProvider.assertOk(response, 'Local speech');
+    return response.blob();
+  }
+}
+
+export { ServerTTSProvider };
+export default ServerTTSProvider;
@@ -0,0 +1,88 @@
+/**
+ * TextToSpeechProvider - Common interface for speech engines
+ *   isAvailable()               -> boolean (API / browser engine present)
+ *   synthesize(text, options)   -> Promise<Blob | clip> speech for the text
+ *
+ * Blob engines (ElevenLabs, the AI proxy's local engine, mock) return audio
+ * files; the browser engine returns a clip that speaks when played (see
+ * speechPlayback.createAudioPlayer). Voices are the logical names of
+ * CONFIG.narration.voices ('guide', 'computer', 'alien'), resolved by
+ * voiceProfile() so every engine maps gender, rate and pitch the same way.
+ *
+ * Errors carry a `status` (HTTP) or `code`: 'unsupported', 'not-allowed',
+ * 'network' or 'failed'. TextToSpeechService uses them to pick the next engine.
+ */
+
+import { CONFIG } from '../../config/config.js';
+
+const RATE = { min: 0.5, max: 2 };
+const PITCH = { min: 0.5, max: 2 };
+const WORDS_PER_SECOND = 2.6; // Typical narration pace at rate 1
+
+class TextToSpeechProvider {
+  constructor() {
+    this.name = 'base';
+    this.producesAudio = true; // false: synthesize() returns a clip that speaks when played
+  }
+
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * @param {string} text
+   * @param {Object} options
+   * @param {string|Object|null} options.voice - Voice name or settings ({ name, voiceId, rate, pitch, ... }), null = guide
+   * @param {string|null} options.planetName - Groups cached audio by planet
+   * @param {boolean} options.useCache - Engines with a cache may skip it
+   * @returns {Promise<Blob|Object>}
+   */
+  async synthesize(text, options = {}) {
+    throw TextToSpeechProvider.error('unsupported', `${this.constructor.name} does not implement synthesize()`);
+  }
+
+  /**
+   * Resolve a voice into engine-independent settings
+   * Unknown names fall back to the guide; rate and pitch are multipliers of
+   * the engine default (1), clamped to what every engine can produce.
+   * @param {string|Object|null} voice
+   * @returns {{name: string, gender: string, rate: number, pitch: number, voiceId?: string}}
+   */
+  static voiceProfile(voice = null) {
+    const voices = CONFIG.narration.voices;
+    const settings = typeof voice === 'object' && voice !== null ? voice : { name: voice };
+    const name = voices[settings.name] ? settings.name : 'guide';
+    const profile = { ...voices[name], ...settings, name };
+
+    profile.gender = profile.gender === 'male' ? 'male' : 'female';
+    profile.rate = clamp(profile.rate, RATE.min, RATE.max);
+    profile.pitch = clamp(profile.pitch, PITCH.min, PITCH.max);
+    return profile;
+  }
+
+  /**
+   * Expected length of spoken text, for engines that can't measure it
+   * @returns {number} Seconds
+   */
+  static estimateDuration(text, rate = 1) {
+    const words = text.trim().split(/\s+/).filter(Boolean).length;
+    return Math.max(0.3, words / (WORDS_PER_SECOND * rate));
+  }
+
+  /**
+   * Error with a machine-readable code for the fallback chain
+   */
+  static error(code, message, status = undefined) {
+    const error = new Error(message);
+    error.code = code;
+    if (status !== undefined) error.status = status;
+    return error;
+  }
+}
+
+function clamp(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : 1;
+}
+
+export { TextToSpeechProvider };
+export default TextToSpeechProvider;
@@ -0,0 +1,122 @@
+/**
+ * TextToSpeechService - Speech from the first engine that answers
+ * Tries its providers in order (CONFIG.tts.providers, e.g. ElevenLabs ->
+ * the AI proxy's local engine -> the browser) and remembers failures:
+ *   - rejected credentials, 503 (not configured) or 'unsupported': skipped for the session
+ *   - network errors, rate limits, server errors: skipped for CONFIG.tts.retryAfter seconds
+ *   - anything else (e.g. text too long): only that request moves on
+ *
+ * Same call shape as ElevenLabsService (textToSpeech, textToSpeechStream),
+ * so narration and the chat dialogs don't care which engine speaks.
+ */
+
+import { CONFIG } from '../../config/config.js';
+import { speakTextStream } from './speechPlayback.js';
+
+class TextToSpeechService {
+  /**
+   * @param {TextToSpeechProvider[]} providers - In order of preference (unavailable ones are dropped)
+   * @param {Object} options
+   * @param {number} options.retryAfter - Seconds before a failed engine is tried again
+   */
+  constructor(providers, options = {}) {
+    this.providers = providers.filter(provider => provider.isAvailable());
+    this.retryAfter = (options.retryAfter ?? CONFIG.tts.retryAfter) * 1000;
+    this.failures = new Map(); // provider -> { disabled: boolean, until: number, reason: string }
+    this.active = null; // Provider of the last successful request
+  }
+
+  isAvailable() {
+    return this.providers.some(provider => this.isUsable(provider));
+  }
+
+  /**
+   * Whether the engine that would answer next returns audio files (which can be stitched)
+   */
+  producesAudio() {
+    return this.providers.find(provider => this.isUsable(provider))?.producesAudio ?? false;
+  }
+
+  isUsable(provider, now = Date.now()) {
+    const failure = this.failures.get(provider);
+    return !failure || (!failure.disabled && now >= failure.until);
+  }
+
+  /**
+   * @param {string} text
+   * @param {boolean} useCache - Engines with a cache may skip it
+   * @param {string|null} planetName - Groups cached audio by planet
+   * @param {string|Object|null} voice - Voice name or settings (see TextToSpeechProvider.voiceProfile)
+   * @returns {Promise<Blob|Object>} Audio Blob, or a browser speech clip
+   */
+  async textToSpeech(text, useCache = true, planetName = null, voice = null) {
+    let lastError = null;
+
+    for (const provider of this.providers) {
+      if (!this.isUsable(provider)) continue;
+
+      try {
+        const audio = await provider.synthesize(text, { voice, planetName, useCache });
+        this.failures.delete(provider);
+        if (this.active !== provider) {
+          console.log(`🔈 Speaking with ${provider.name}`);
+          this.active = provider;
+        }
+        return audio;
+      } catch (error) {
+        lastError = error;
+        this.recordFailure(provider, error);
+      }
+    }
+
+    const error = new Error(`No text-to-speech engine available${lastError ? ` (last error: ${lastError.message})` : ''}`);
+    error.code = 'unsupported';
+    throw error;
+  }
+
+  /**
+   * Speak streamed text sentence by sentence (see speechPlayback.speakTextStream)
+   * @param {AsyncIterable<string>} textStream - Text deltas
+   * @param {Object} options - { signal, onSentence, onAudio }
+   * @returns {Promise<string>} The full text, once everything has been spoken
+   */
+  textToSpeechStream(textStream, options = {}) {
+    return speakTextStream(sentence => this.textToSpeech(sentence), textStream, options);
+  }
+
+  recordFailure(provider, error) {
+    const status = error.status;
+    const permanent = status === 401 || status === 403 || status === 503
+      || error.code === 'unsupported' || error.code === 'not-allowed';
+    const transient = !permanent && (status === 429 || status >= 500 || status === undefined);
+
+    if (permanent || transient) {
+      this.failures.set(provider, {
+        disabled: permanent,
+        until: Date.now() + this.retryAfter,
+        reason: error.message
+      });
+    }
+
+    const next = this.providers.find(other => other !== provider && this.isUsable(other));
+    const consequence = permanent ? 'disabled' : transient ? `paused for ${this.retryAfter / 1000}s` : 'skipped';
+    console.warn(`⚠️ ${provider.name} speech failed (${consequence})${next ? `, trying ${next.name}` : ''}:`, error.message);
+  }
+
+  /**
+   * Engines in order with their state, e.g. for a settings panel
+   * @returns {Array<{name: string, state: 'active'|'ready'|'paused'|'disabled', reason?: string}>}
+   */
+  getStatus() {
+    return this.providers.map(provider => {
+      const failure = this.failures.get(provider);
+      if (failure && (failure.disabled || !this.isUsable(provider))) {
+        return { name: provider.name, state: failure.disabled ? 'disabled' : 'paused', reason: failure.reason };
+      }
+      return { name: provider.name, state: provider === this.active ? 'active' : 'ready' };
+    });
+  }
+}
+
+export { TextToSpeechService };
+export default TextToSpeechService;
@@ -0,0 +1,49 @@
+/**
+ * createTextToSpeech - Build the speech fallback chain from CONFIG.tts.providers
+ *   'elevenlabs' - ElevenLabsService (direct key or the AI proxy's /tts)
+ *   'server'     - The AI proxy's local engine (/speak, e.g. espeak-ng)
+ *   'browser'    - speechSynthesis, speaks without producing a file
+ *   'mock'       - Deterministic silent WAVs
+ */
+
+import { CONFIG } from '../../config/config.js';
+import { ElevenLabsTTSProvider } from './ElevenLabsTTSProvider.js';
+import { ServerTTSProvider } from './ServerTTSProvider.js';
+import { BrowserTTSProvider } from './BrowserTTSProvider.js';
+import { MockTTSProvider } from './MockTTSProvider.js';
+import { TextToSpeechService } from './TextToSpeechService.js';
+
+/**
+ * @param {string} name - Provider name
+ * @param {Object} options - { elevenLabs: ElevenLabsService|null, baseURL, language }
+ * @returns {TextToSpeechProvider}
+ */
+export function createTextToSpeechProvider(name, options = {}) {
+  switch (name) {
+    case 'elevenlabs':
+      return new ElevenLabsTTSProvider({ service: options.elevenLabs });
+    case 'server':
+      return new ServerTTSProvider({ baseURL: options.baseURL ?? CONFIG.aiProxy.url });
+    case 'browser':
+      return new BrowserTTSProvider({ language: options.language ?? CONFIG.speech.language });
+    case 'mock':
+      return new MockTTSProvider();
+    default:
+      throw new Error(`Unknown text-to-speech provider "${name}" (expected elevenlabs, server, browser or mock)`);
+  }
+}
+
+/**
+ * @param {Object} options - { providers: string[], elevenLabs, baseURL, language, retryAfter }
+ * @returns {TextToSpeechService|null} Null when no engine is available
+ */
+export function createTextToSpeech(options = {}) {
+  const names = options.providers || CONFIG.tts.providers;
+  const service = new TextToSpeechService(names.map(name => createTextToSpeechProvider(name, options)), options);
+
+  if (!service.isAvailable()) return null;
+  console.log(`🔈 Speech engines: ${service.providers.map(provider => provider.name).join(' → ')}`);
+  return service;
+}
+
+export default createTextToSpeech;
@@ -0,0 +1,184 @@
+/**
+ * speechPlayback - Play synthesized speech, whatever engine produced it
+ * Engines return either an audio Blob (ElevenLabs, local engine, mock) or a
+ * clip with createPlayer() (browser speechSynthesis). createAudioPlayer()
+ * turns both into something that behaves like an HTMLAudioElement:
+ * play() / pause() / currentTime / paused / ended and 'ended' / 'error' events.
+ * Only audio elements seek (canSeek): a speech clip always starts at the top.
+ */
+
+/**
+ * @param {Blob|{createPlayer: Function}} audio
+ * @returns {HTMLAudioElement|SpeechSynthesisPlayer}
+ */
+export function createAudioPlayer(audio) {
+  if (typeof audio?.createPlayer === 'function') return audio.createPlayer();
+  return new Audio(URL.createObjectURL(audio));
+}
+
+/**
+ * Whether playback can start part-way in (browser speech only rewinds)
+ */
+export function canSeek(audio) {
+  return typeof audio?.createPlayer !== 'function';
+}
+
+/**
+ * Length of speech in seconds
+ * @param {Blob|{duration: number}} audio - Blob or speech clip
+ * @returns {Promise<number|null>} null when the audio can't tell
+ */
+export function getAudioDuration(audio) {
+  if (typeof audio?.duration === 'number') return Promise.resolve(audio.duration);
+  if (!(audio instanceof Blob)) return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const player = new Audio();
+    const url = URL.createObjectURL(audio);
+    const done = (duration) => {
+      URL.revokeObjectURL(url);
+      resolve(Number.isFinite(duration) && duration > 0 ? duration : null);
+    };
+    player.addEventListener('loadedmetadata', () => done(player.duration), { once: true });
+    player.addEventListener('error', () => done(null), { once: true });
+    player.preload = 'metadata';
+    player.src = url;
+  });
+}
+
+/**
+ * Play speech to the end (or until the signal aborts)
+ * @param {Blob|Object} audio - Blob or speech clip
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops playback and resolves
+ * @param {Function} options.onAudio - Called with the player before it plays
+ * @returns {Promise<void>}
+ */
+export function playAudio(audio, { signal, onAudio } = {}) {
+  return new Promise((resolve, reject) => {
+    const player = createAudioPlayer(audio);
+
+    const cleanup = () => {
+      signal?.removeEventListener('abort', stop);
+      if (player.src) URL.revokeObjectURL(player.src);
+    };
+    const stop = () => {
+      player.pause();
+      player.currentTime = 0; // Speech clips only let go of the speech engine when rewound
+      cleanup();
+      resolve();
+    };
+
+    player.addEventListener('ended', () => {
+      cleanup();
+      resolve();
+    });
+    player.addEventListener('error', () => {
+      cleanup();
+      reject(new Error('Audio playback failed'));
+    });
+    signal?.addEventListener('abort', stop, { once: true });
+
+    if (onAudio) onAudio(player);
+    player.play().catch(error => {
+      cleanup();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Split the first complete sentence off streamed text
+ * A sentence ends with . ! ? or … followed by whitespace, so decimals
+ * ("1.5 Earth radii") are never cut.
+ * @param {string} text - Text received so far
+ * @returns {{sentence: string, rest: string}|null} Null while no sentence is complete
+ */
+export function splitSentence(text) {
+  const match = text.match(/^([\s\S]*?[.!?…]+["'”’)\]]*)\s+([\s\S]*)$/);
+  if (!match || !match[1].trim()) return null;
+  return { sentence: match[1].trim(), rest: match[2] };
+}
+
+/**
+ * Speak streamed text sentence by sentence
+ * Each sentence is synthesised as soon as it is complete - while earlier
+ * ones are still playing - and played back in order, so speech starts long
+ * before the full text is known.
+ * @param {Function} synthesize - sentence -> Promise<Blob|clip>
+ * @param {AsyncIterable<string>} textStream - Text deltas
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops synthesis and playback (the text is still read to the end)
+ * @param {Function} options.onSentence - Called with each sentence as it starts playing
+ * @param {Function} options.onAudio - Called with each player before it plays
+ * @returns {Promise<string>} The full text, once everything has been spoken
+ */
+export async function speakTextStream(synthesize, textStream, options = {}) {
+  const { signal, onSentence, onAudio } = options;
+  const queue = []; // { sentence, audio: Promise<Blob|clip> } in reading order
+  let text = '';
+  let finished = false;
+  let readError = null;
+  let wake = null;
+
+  const enqueue = (sentence) => {
+    const audio = synthesize(sentence);
+    audio.catch(() => {}); // Reported when its turn to play comes
+    queue.push({ sentence, audio });
+    if (wake) wake();
+  };
+
+  // Read the text as fast as it arrives, independently of playback
+  const reading = (async () => {
+    let pending = '';
+    try {
+      for await (const delta of textStream) {
+        text += delta;
+        if (signal?.aborted) continue;
+        pending += delta;
+
+        let split;
+        while ((split = splitSentence(pending))) {
+          enqueue(split.sentence);
+          pending = split.rest;
+        }
+      }
+      if (pending.trim() && !signal?.aborted) {
+        enqueue(pending.trim());
+      }
+    } catch (error) {
+      readError = error;
+    } finally {
+      finished = true;
+      if (wake) wake();
+    }
+  })();
+
+  // Speech failures stop playback but the text keeps being read to the end
+  let speechError = null;
+  let index = 0;
+  try {
+    while (!signal?.aborted) {
+      if (index < queue.length) {
+        const { sentence, audio } = queue[index++];
+        const clip = await audio;
+        if (signal?.aborted) break;
+
+        if (onSentence) onSentence(sentence);
+        await playAudio(clip, { signal, onAudio });
+      } else if (finished) {
+        break;
+      } else {
+        await new Promise(resolve => { wake = resolve; });
+        wake = null;
+      }
+    }
+  } catch (error) {
+    speechError = error;
+  }
+
+  await reading;
+  const error = speechError || readError;
+  if (error && error.name !== 'AbortError') throw error;
+  return text;
+}
@@ -0,0 +1,41 @@
+/**
+ * wav - 16-bit PCM mono WAV encoding
+ * Used for stitched narrations (NarrationDirector) and the silent clips of
+ * MockTTSProvider. Works in the browser and in Node (Blob is global in both).
+ */
+
+/**
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate
+ * @returns {Blob} audio/wav
+ */
+export function encodeWav(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);             // fmt chunk size
+  view.setUint16(20, 1, true);              // PCM
+  view.setUint16(22, 1, true);              // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // Byte rate
+  view.setUint16(32, 2, true);              // Block align
+  view.setUint16(34, 16, true);             // Bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+  }
+
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+export default encodeWav;
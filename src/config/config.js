@@ -12,6 +12,10 @@ const getEnvVar = (key) => {
         if (typeof import.meta !== 'undefined' && import.meta.env) {
             return import.meta.env[key] || null;
         }
+        // Node scripts (npm run test-ai, ...) - accept the key with or without the VITE_ prefix
+        if (typeof process !== 'undefined' && process.env) {
+            return process.env[key] || process.env[key.replace(/^VITE_/, '')] || null;
+        }
         return null;
     } catch {
         return null;
@@ -19,11 +23,24 @@ const getEnvVar = (key) => {
 };
 
 export const CONFIG = {
-    // OpenAI Configuration
+    // OpenAI Configuration (also any OpenAI-compatible chat completions endpoint)
     openai: {
         apiKey: getEnvVar('VITE_OPENAI_API_KEY'),
-        model: 'gpt-3.5-turbo', // Using gpt-3.5-turbo for faster/cheaper responses
-        baseURL: 'https://api.openai.com/v1/chat/completions'
+        model: getEnvVar('VITE_OPENAI_MODEL') || 'gpt-3.5-turbo', // Using gpt-3.5-turbo for faster/cheaper responses
+        baseURL: getEnvVar('VITE_OPENAI_BASE_URL') || 'https://api.openai.com/v1/chat/completions'
+    },
+
+    // LLM backend used by every AI service (see src/ai/providers/)
+    // The browser goes through the AI proxy by default so keys stay on the server
+    llm: {
+        provider: getEnvVar('VITE_LLM_PROVIDER') || (typeof window !== 'undefined' ? 'proxy' : 'openai'), // 'openai' | 'local' | 'mock' (offline, no key) | 'proxy'
+        local: {
+            baseURL: getEnvVar('VITE_LOCAL_LLM_URL') || 'http://localhost:11434', // Ollama default port
+            model: getEnvVar('VITE_LOCAL_LLM_MODEL') || 'llama3.2'
+        },
+        mock: {
+            latency: 300 // Simulated response time (ms) so loading states stay visible
+        }
     },
 
     // Eleven Labs Configuration (optional)
@@ -33,6 +50,47 @@ export const CONFIG = {
         baseURL: 'https://api.elevenlabs.io/v1/text-to-speech'
     },
 
+    // Proximity narration voices and pacing (NarrationDirector)
+    narration: {
+        multiVoice: true, // false = one voice, whole text in a single request
+        voices: {
+            // voiceId / stability / similarityBoost / style: ElevenLabs
+            // gender / rate / pitch: browser and local engines (1 = engine default)
+            guide: { voiceId: '21m00Tcm4TlvDq8ikWAM', stability: 0.5, similarityBoost: 0.75, style: 0.0, gender: 'female', rate: 1.0, pitch: 1.0 },  // Rachel - SpAIce
+            computer: { voiceId: 'VR6AewLTigWG4xSOukaG', stability: 0.9, similarityBoost: 0.8, style: 0.0, gender: 'male', rate: 1.1, pitch: 0.8 }, // Arnold - flat ship readouts
+            alien: { voiceId: 'N2lVS1w4EtoT3dr4eOWO', stability: 0.25, similarityBoost: 0.6, style: 0.6, gender: 'male', rate: 0.85, pitch: 0.6 }   // Callum - hostile worlds
+        },
+        hostileToxicity: 70, // toxicity_percent at which the alien voice takes over from the guide
+        computerReadout: true, // Ship computer announces distance / habitability before the narration
+        pauses: { segment: 250, paragraph: 700, readout: 500 }, // ms of silence after a segment
+        crossfade: 40 // ms faded at each segment edge (overlapping when there is no pause)
+    },
+
+    // Text-to-speech engines, tried in order until one answers (see src/ai/tts/)
+    tts: {
+        providers: (getEnvVar('VITE_TTS_PROVIDERS') || 'elevenlabs,server,browser').split(',').map(name => name.trim()), // elevenlabs | server | browser | mock
+        retryAfter: 60 // Seconds before an engine that failed (network, rate limit) is tried again
+    },
+
+    // Server-side AI proxy (server/ai-proxy.js) - holds the OpenAI / ElevenLabs keys
+    aiProxy: {
+        url: getEnvVar('VITE_AI_PROXY_URL') || '/api/ai', // Vite dev server forwards /api/ai to AI_PROXY_PORT
+        port: Number(getEnvVar('AI_PROXY_PORT')) || 3001
+    },
+
+    // Voice input (push-to-talk questions in the chat dialogs, see src/ai/speech/)
+    speech: {
+        provider: getEnvVar('VITE_STT_PROVIDER') || 'browser', // 'browser' (Web Speech API) | 'server' (AI proxy /transcribe) | 'mock'
+        language: getEnvVar('VITE_STT_LANGUAGE') || 'en-US',
+        pushToTalkKey: 'KeyM', // Hold while a chat dialog is open (the 🎤 button works too)
+        autoSpeak: true, // Speak the replies to spoken questions (needs ElevenLabs)
+        // Server-side transcriber behind the AI proxy's /transcribe route
+        transcription: {
+            baseURL: getEnvVar('OPENAI_TRANSCRIBE_URL') || 'https://api.openai.com/v1/audio/transcriptions',
+            model: getEnvVar('OPENAI_TRANSCRIBE_MODEL') || 'whisper-1'
+        }
+    },
+
     // Feature flags
     features: {
         enableAI: true, // Set to false to disable AI features
@@ -40,6 +98,63 @@ export const CONFIG = {
         cacheResponses: true // Cache AI responses to save API calls
     },
 
+    // Persistent AI cache (generated text + narration audio, IndexedDB)
+    cache: {
+        dbName: 'exoplanet-ai-cache',
+        quotaMB: Number(getEnvVar('VITE_AI_CACHE_QUOTA_MB')) || 100 // Least recently used entries are evicted above this
+    },
+
+    // Pre-generated descriptions and narration (npm run pregenerate), preferred over live API calls
+    contentBundle: {
+        enabled: getEnvVar('VITE_CONTENT_BUNDLE') !== 'off',
+        url: getEnvVar('VITE_CONTENT_BUNDLE_URL') || 'content-bundle' // Relative to the page (Vite serves public/)
+    },
+
+    // Simulation clock (orbits, planet spin, clouds)
+    simulation: {
+        timeScale: 3600, // Simulated seconds per real second (1 hour/s), 1 to 1e7, negative = reverse
+        epoch: null,     // Start date (ISO string), null = now
+        scrubStep: 86400 // Simulated seconds per scrub key press (1 day)
+    },
+
+    // Flight recorder (session capture and replay)
+    recorder: {
+        sampleRate: 15 // Frames per second written to recordings (replay interpolates between them)
+    },
+
+    // Spacecraft speed range (units/s) - the multiplayer server checks movement against maxSpeed
+    spacecraft: {
+        minSpeed: 15.0,
+        maxSpeed: 200000.0
+    },
+
+    // Multiplayer limits (enforced by server/multiplayer-guard.js), ship state
+    // traffic (server/multiplayer-interest.js), remote ship smoothing and fleets
+    multiplayer: {
+        nicknameMaxLength: 24,
+        chatMaxLength: 200,
+        chatHistorySize: 50, // Messages per room replayed to players who join later
+        renderDelay: 100, // ms remote ships are drawn in the past (2 updates at 20 Hz), hides jitter
+        maxExtrapolation: 500, // ms remote ships keep flying on their own when updates are late
+        tickRate: 20, // Ship state packets per second from the server
+        positionStep: 0.01, // Position precision on the wire (units)
+        // How often a ship's state is sent, by distance to the receiver (interval in ticks).
+        // Ships beyond the last distance are only sent to players with the same target.
+        interestTiers: [
+            { distance: 5000, interval: 1 }, // 20 Hz
+            { distance: 50000, interval: 4 }, // 5 Hz
+            { distance: 500000, interval: 10 } // 2 Hz
+        ],
+        sameTargetInterval: 10,
+        fleetFormations: ['wedge', 'line', 'column', 'echelon'], // The first is the default
+        fleetSpacing: 60, // Units between ships in a formation
+        fleetJoinDistance: 5000, // Followers farther from their leader jump into formation
+        narrationLeadTime: 2000, // ms between starting a shared narration and its first word (listeners fetch the audio)
+        narrationMaxLength: 4000, // Characters of shared narration text
+        narrationMaxDuration: 300, // Seconds a shared narration may last
+        narrationSyncTolerance: 0.5 // Seconds a listener's audio may differ from the narrator's and still be seeked
+    },
+
     // AI Prompt Templates
     prompts: {
         planetDescription: `You are an expert astronomer providing fascinating information about planets. 
@@ -57,10 +172,12 @@ Make it educational but captivating.`
 // Simple flag to check if AI is configured
 export function isAIConfigured() {
     const hasKey = CONFIG.openai.apiKey && CONFIG.openai.apiKey !== 'YOUR_OPENAI_API_KEY_HERE';
-    const enabled = CONFIG.features.enableAI && hasKey;
+    // Only api.openai.com needs a key - local, mock and self-hosted compatible endpoints don't
+    const needsKey = CONFIG.llm.provider === 'openai' && CONFIG.openai.baseURL.includes('api.openai.com');
+    const enabled = CONFIG.features.enableAI && (hasKey || !needsKey);
 
     // Log configuration status (helpful for debugging in production)
-    if (!hasKey) {
+    if (needsKey && !hasKey) {
         console.warn('⚠️ OpenAI API key is missing or invalid in config');
     } else if (!CONFIG.features.enableAI) {
         console.log('ℹ️ AI features are disabled in config');
@@ -70,7 +187,7 @@ export function isAIConfigured() {
 }
 
 export function isNarrationConfigured() {
-    return CONFIG.features.enableNarration &&
-        CONFIG.elevenLabs.apiKey &&
-        CONFIG.elevenLabs.apiKey !== 'YOUR_ELEVENLABS_API_KEY_HERE';
+    const hasKey = CONFIG.elevenLabs.apiKey && CONFIG.elevenLabs.apiKey !== 'YOUR_ELEVENLABS_API_KEY_HERE';
+    // Through the AI proxy the server holds the key (it answers 503 if it has none)
+    return CONFIG.features.enableNarration && !!(hasKey || CONFIG.llm.provider === 'proxy');
 }
@@ -10,6 +10,7 @@ export class PlanetNavigator {
         this.filteredPlanets = [];
         this.currentPage = 0;
         this.planetsPerPage = 5;
+        this.currentSystem = null; // StarSystem shown in the system view (null = planet list)
 
         this.createUI();
         this.attachEventListeners();
@@ -171,6 +172,7 @@ export class PlanetNavigator {
     }
 
     handleSearch(query) {
+        this.currentSystem = null;
         if (!query) {
             this.nearbyPlanets = this.dataService.getAllPlanets();
         } else {
@@ -182,6 +184,7 @@ export class PlanetNavigator {
     }
 
     applyFilter(filter) {
+        this.currentSystem = null;
         const allPlanets = this.dataService.getAllPlanets();
 
         switch (filter) {
@@ -205,7 +208,13 @@ export class PlanetNavigator {
     }
 
     renderPlanetList() {
+        if (this.currentSystem) {
+            this.renderSystemView();
+            return;
+        }
+
         const list = document.getElementById('nav-planet-list');
+        this.container.querySelector('.nav-pagination').style.display = '';
 
         if (!this.filteredPlanets || this.filteredPlanets.length === 0) {
             const stats = this.dataService.getStats();
@@ -248,6 +257,7 @@ export class PlanetNavigator {
                 <div class="nav-planet-item" data-planet="${name}">
                     <div class="nav-planet-header">
                         <div class="nav-planet-name">${name}</div>
+                        <button class="nav-system-btn" data-planet-name="${name}" title="Show star system">☀ System</button>
                         <button class="nav-go-btn" data-planet-name="${name}">GO →</button>
                     </div>
                     
@@ -298,7 +308,23 @@ export class PlanetNavigator {
             `;
         }).join('');
 
-        // Attach GO button handlers
+        this.attachGoHandlers(list);
+
+        // System view buttons
+        list.querySelectorAll('.nav-system-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const planet = this.dataService.getPlanetByName(btn.dataset.planetName);
+                const system = planet && this.dataService.getSystemForPlanet(planet);
+                if (system) this.showSystem(system);
+            });
+        });
+
+        // Update pagination
+        this.updatePagination();
+    }
+
+    attachGoHandlers(list) {
         list.querySelectorAll('.nav-go-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -309,9 +335,80 @@ export class PlanetNavigator {
                 }
             });
         });
+    }
 
-        // Update pagination
-        this.updatePagination();
+    /**
+     * Switch the list to one star system (host star + all of its planets)
+     * @param {StarSystem|string} system - StarSystem or host star name
+     */
+    showSystem(system) {
+        if (typeof system === 'string') system = this.dataService.getStarSystem(system);
+        if (!system) return;
+
+        this.currentSystem = system;
+        this.show();
+        this.renderSystemView();
+    }
+
+    exitSystemView() {
+        this.currentSystem = null;
+        this.renderPlanetList();
+    }
+
+    renderSystemView() {
+        const system = this.currentSystem;
+        const list = document.getElementById('nav-planet-list');
+        this.container.querySelector('.nav-pagination').style.display = 'none';
+
+        const hz = system.habitableZone;
+        const distance = system.distance !== null ? `${(system.distance * 3.262).toFixed(1)} ly` : 'Unknown';
+        const known = system.reportedPlanetCount && system.reportedPlanetCount > system.planets.length
+            ? ` (${system.reportedPlanetCount} known)`
+            : '';
+        const color = `#${system.color.toString(16).padStart(6, '0')}`;
+
+        const planets = system.planets.map(planet => {
+            const name = planet.pl_name || 'Unknown Planet';
+            const orbit = planet.pl_orbsmax ? `${planet.pl_orbsmax.toFixed(3)} AU` : 'Unknown orbit';
+            const period = planet.pl_orbper ? `${planet.pl_orbper.toFixed(1)} d` : '';
+            const hzBadge = system.isInHabitableZone(planet) ? '<span class="nav-hz-badge">HZ</span>' : '';
+
+            return `
+                <div class="nav-system-planet">
+                    <div class="nav-system-planet-info">
+                        <div class="nav-planet-name">${name} ${hzBadge}</div>
+                        <div class="nav-system-planet-orbit">${orbit}${period ? ` · ${period}` : ''}</div>
+                    </div>
+                    <button class="nav-go-btn" data-planet-name="${name}">GO →</button>
+                </div>
+            `;
+        }).join('');
+
+        list.innerHTML = `
+            <div class="nav-system-view">
+                <button class="nav-btn nav-system-back">« Back</button>
+                <div class="nav-system-star">
+                    <div class="nav-system-star-dot" style="background: ${color}; box-shadow: 0 0 10px ${color};"></div>
+                    <div>
+                        <div class="nav-planet-name">☀ ${system.name}</div>
+                        <div class="nav-system-star-meta">
+                            ${system.spectralClass}-type · ${Math.round(system.temperature)} K ·
+                            ${system.stellarRadius.toFixed(2)} R☉ · ${system.luminosity.toPrecision(3)} L☉
+                        </div>
+                        <div class="nav-system-star-meta">📍 ${distance}</div>
+                        <div class="nav-system-star-meta">🌱 Habitable zone: ${hz.inner.toFixed(2)} – ${hz.outer.toFixed(2)} AU</div>
+                    </div>
+                </div>
+                <div class="nav-system-count">${system.planets.length} planet${system.planets.length === 1 ? '' : 's'}${known}</div>
+                ${planets}
+            </div>
+        `;
+
+        list.querySelector('.nav-system-back').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.exitSystemView();
+        });
+        this.attachGoHandlers(list);
     }
 
     updatePagination() {
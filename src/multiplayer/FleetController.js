@@ -0,0 +1,270 @@
+/**
+ * FleetController - Keeps the local ship in its slot of a fleet
+ * While following, the spacecraft's autopilot aims at a point just ahead of
+ * our slot in the leader's formation (so it never "arrives" and stops), and
+ * the speed is the leader's plus whatever closes the gap - down to a halt
+ * when we're ahead of the slot. Any manual steering or a teleport of our own
+ * breaks formation.
+ *
+ * When the leader jumps (playerTeleported), we jump along: to our slot at the
+ * arrival, facing where the leader will face.
+ *
+ * Fleet membership is the server's (fleetsUpdated); slots are the order the
+ * followers joined in.
+ */
+
+import * as THREE from 'three';
+import { CONFIG } from '../config/config.js';
+
+const NOSE = new THREE.Vector3(1, 0, 0); // Ships fly along local +X
+const CATCH_UP_RATE = 1.0; // Extra speed per unit away from the slot (1/s)
+const MIN_LEAD = 100; // Autopilot aims at least this far ahead of the slot
+
+export class FleetController {
+    /**
+     * @param {MultiplayerManager} manager
+     * @param {Object} options
+     * @param {number} options.spacing - Units between ships
+     * @param {Function} options.onJump - Called with the planet name (or null) after jumping along with the leader
+     * @param {Function} options.onChange - Called with this controller when our fleet changes
+     */
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.spacing = options.spacing || CONFIG.multiplayer.fleetSpacing;
+        this.onJump = options.onJump || null;
+        this.onChange = options.onChange || null;
+
+        this.fleets = []; // [{ leaderId, formation, followers: [ids] }]
+        this.leaderId = null;
+        this.slot = 0;
+        this.formation = CONFIG.multiplayer.fleetFormations[0];
+        this.engaged = false; // The autopilot is flying to our aim point
+        this.speed = 0; // Last speed we set
+        this.jumping = false;
+
+        this.aimPoint = new THREE.Vector3(); // Autopilot target (kept by reference)
+        this.slotPosition = new THREE.Vector3();
+        this.leaderQuaternion = new THREE.Quaternion();
+        this.forward = new THREE.Vector3();
+        this.offset = new THREE.Vector3();
+    }
+
+    get spacecraft() {
+        return this.manager.localSpacecraft;
+    }
+
+    /**
+     * Offset of a slot in the leader's frame (x forward, y up, z to the side)
+     * @param {string} formation - wedge | line | column | echelon
+     * @param {number} slot - 0 for the first follower
+     */
+    static formationOffset(formation, slot, spacing, out = new THREE.Vector3()) {
+        const rank = Math.floor(slot / 2) + 1;
+        const side = slot % 2 === 0 ? 1 : -1;
+        switch (formation) {
+            case 'line':
+                return out.set(0, 0, side * rank * spacing);
+            case 'column':
+                return out.set(-(slot + 1) * spacing, 0, 0);
+            case 'echelon':
+                return out.set(-(slot + 1) * spacing, 0, (slot + 1) * spacing);
+            case 'wedge':
+            default:
+                return out.set(-rank * spacing, 0, side * rank * spacing);
+        }
+    }
+
+    /**
+     * New fleets of the room from the server
+     */
+    setFleets(fleets = []) {
+        this.fleets = fleets;
+        const ownId = this.manager.playerId;
+        const fleet = fleets.find(candidate => candidate.followers.includes(ownId));
+
+        if (!fleet) {
+            if (this.leaderId) {
+                this.release();
+                this.manager.showNotification('You left the fleet', 'warning');
+            }
+        } else {
+            if (fleet.leaderId !== this.leaderId) {
+                this.release();
+                this.leaderId = fleet.leaderId;
+                this.manager.showNotification(`Following ${this.getNickname(fleet.leaderId)} (${fleet.formation})`, 'info');
+            }
+            this.slot = fleet.followers.indexOf(ownId);
+            this.formation = fleet.formation;
+        }
+        this.onChange?.(this);
+    }
+
+    isFollowing() {
+        return !!this.leaderId;
+    }
+
+    /**
+     * The fleet we lead, if anyone follows us
+     */
+    getOwnFleet() {
+        return this.fleets.find(fleet => fleet.leaderId === this.manager.playerId) || null;
+    }
+
+    isLeading() {
+        return !!this.getOwnFleet();
+    }
+
+    /**
+     * @returns {string|null} Leader of the player's fleet (null if they don't follow anyone)
+     */
+    getLeaderOf(playerId) {
+        return this.fleets.find(fleet => fleet.followers.includes(playerId))?.leaderId || null;
+    }
+
+    getNickname(playerId) {
+        return this.manager.remotePlayers.get(playerId)?.nickname ||
+            this.manager.room?.members.find(member => member.id === playerId)?.nickname ||
+            'the leader';
+    }
+
+    /**
+     * Our slot for a leader at position, facing along quaternion (+X forward)
+     */
+    computeSlot(position, quaternion, out = this.slotPosition) {
+        FleetController.formationOffset(this.formation, this.slot, this.spacing, this.offset);
+        return out.copy(this.offset).applyQuaternion(quaternion).add(position);
+    }
+
+    /**
+     * Fly to the slot - call once per frame
+     */
+    update() {
+        if (!this.leaderId || this.jumping) return;
+        const spacecraft = this.spacecraft;
+
+        // Steering or another autopilot target (e.g. a tour stop) breaks formation
+        if (this.engaged && spacecraft.autopilot.target !== this.aimPoint) {
+            if (!spacecraft.autopilot.enabled) spacecraft.forwardSpeed = this.speed; // Keep cruising
+            this.engaged = false;
+            this.leave();
+            return;
+        }
+
+        const leader = this.manager.remotePlayers.get(this.leaderId);
+        if (!leader?.inInterest) return;
+
+        // The leader is drawn renderDelay in the past - aim at where it is now
+        this.leaderQuaternion.copy(leader.group.quaternion);
+        this.forward.copy(NOSE).applyQuaternion(this.leaderQuaternion);
+        const leaderSpeed = leader.currentSpeed || 0;
+        this.computeSlot(leader.group.position, this.leaderQuaternion)
+            .addScaledVector(this.forward, leaderSpeed * CONFIG.multiplayer.renderDelay / 1000);
+
+        // Gap to the slot: along the leader's heading (negative when ahead) plus sideways
+        const toSlot = this.offset.subVectors(this.slotPosition, spacecraft.group.position);
+        const behind = toSlot.dot(this.forward);
+        const sideways = toSlot.addScaledVector(this.forward, -behind).length();
+        const lead = Math.max(MIN_LEAD, leaderSpeed * 0.5);
+        this.aimPoint.copy(this.slotPosition).addScaledVector(this.forward, lead);
+
+        if (!this.engaged) {
+            spacecraft.engageAutopilot(this.aimPoint);
+            this.engaged = true;
+        }
+        this.speed = THREE.MathUtils.clamp(leaderSpeed + (behind + sideways) * CATCH_UP_RATE, 0, spacecraft.maxSpeed);
+        spacecraft.forwardSpeed = this.speed;
+    }
+
+    /**
+     * The server accepted our follow: jump into formation if the leader is far away
+     * @param {Object} leader - { position, quaternion } on the server
+     */
+    joinLeader(leader) {
+        if (!leader?.position) return;
+        const position = new THREE.Vector3().copy(leader.position);
+        if (position.distanceTo(this.spacecraft.group.position) <= CONFIG.multiplayer.fleetJoinDistance) return;
+
+        const quaternion = leader.quaternion ? new THREE.Quaternion().copy(leader.quaternion) : new THREE.Quaternion();
+        this.jump(position, quaternion, null);
+    }
+
+    /**
+     * A player jumped: if it's our leader, jump to our slot at their arrival
+     * @param {Object} data - playerTeleported ({ id, position, planet, facing })
+     */
+    onPlayerTeleported(data) {
+        if (!this.leaderId || data.id !== this.leaderId) return;
+
+        const quaternion = new THREE.Quaternion();
+        if (data.facing) {
+            quaternion.setFromUnitVectors(NOSE, new THREE.Vector3().copy(data.facing).normalize());
+        } else {
+            quaternion.copy(this.manager.remotePlayers.get(data.id)?.group.quaternion || quaternion);
+        }
+        this.jump(new THREE.Vector3().copy(data.position), quaternion, data.planet);
+    }
+
+    /**
+     * Teleport to our slot around a leader position (announced to the server first)
+     */
+    jump(leaderPosition, leaderQuaternion, planet) {
+        const spacecraft = this.spacecraft;
+        const slot = this.computeSlot(leaderPosition, leaderQuaternion, new THREE.Vector3());
+
+        this.jumping = true;
+        this.manager.notifyTeleport(slot, planet, this.forward.copy(NOSE).applyQuaternion(leaderQuaternion));
+        this.jumping = false;
+
+        // Re-engaged on the next update, toward the fresh slot
+        if (this.engaged) spacecraft.disengageAutopilot();
+        this.engaged = false;
+        spacecraft.group.position.copy(slot);
+        spacecraft.group.quaternion.copy(leaderQuaternion);
+        spacecraft.velocity?.set(0, 0, 0);
+        spacecraft.lateralVelocity = 0;
+        spacecraft.forwardSpeed = this.manager.remotePlayers.get(this.leaderId)?.currentSpeed || spacecraft.minSpeed;
+
+        console.log(`🛸 Jumped into formation${planet ? ` at ${planet}` : ''}`);
+        this.onJump?.(planet);
+    }
+
+    /**
+     * Our own teleport (not a fleet jump) - formation is broken
+     */
+    onOwnTeleport() {
+        if (!this.jumping) this.leave();
+    }
+
+    /**
+     * Break formation: back to manual flight, and out of the fleet on the server
+     */
+    leave() {
+        if (!this.leaderId) return;
+        this.release();
+        this.manager.unfollow().catch(() => {});
+        this.manager.showNotification('Left formation', 'warning');
+    }
+
+    /**
+     * Hand the ship back to the pilot, cruising at the current speed
+     */
+    release() {
+        const spacecraft = this.spacecraft;
+        if (this.engaged && spacecraft.autopilot.target === this.aimPoint) {
+            const speed = spacecraft.forwardSpeed;
+            spacecraft.disengageAutopilot();
+            spacecraft.forwardSpeed = speed;
+        }
+        this.engaged = false;
+        this.leaderId = null;
+        this.slot = 0;
+    }
+
+    reset() {
+        this.release();
+        this.fleets = [];
+        this.onChange?.(this);
+    }
+}
+
+export default FleetController;
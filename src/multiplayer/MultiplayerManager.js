@@ -1,23 +1,82 @@
 /**
  * MultiplayerManager Class
  * Handles real-time multiplayer synchronization
+ * Every player is in one room on the server: the public lobby, or a room
+ * joined with its invite code. Only members of the same room see each other.
+ *
+ * The server checks every update: jumps must be announced with notifyTeleport()
+ * (sendUpdate() announces any it didn't hear about), rejected positions are
+ * snapped back to the server's, and too many rejections get the player kicked.
+ *
+ * Remote ships are drawn CONFIG.multiplayer.renderDelay ms in the past on the
+ * server's clock (ServerClock, synced with clockSync round trips), between
+ * the timestamped states in their SnapshotBuffer.
+ *
+ * Their states arrive as binary 'playerStates' packets (StateDecoder), keyed
+ * by each player's netId, and only for ships the server considers relevant:
+ * nearby, or heading for the same planet. Ships that drop out are hidden.
+ *
+ * Players can follow each other in fleets: the FleetController flies our
+ * autopilot in formation and jumps along when the leader teleports, and the
+ * leader can open a planet's dialog for the whole fleet (shareFleetPlanet).
+ *
+ * One player at a time can narrate a planet to the room (startNarration):
+ * the server relays the text and an audio reference with its start time,
+ * and every client speaks it from that moment on the server clock - late
+ * joiners at their offset (getNarrationOffset).
  */
 
 import { RemotePlayer } from './RemotePlayer.js';
+import { ServerClock } from './ServerClock.js';
+import { StateDecoder } from './StateCodec.js';
+import { FleetController } from './FleetController.js';
+import { CONFIG } from '../config/config.js';
 
 // Get io from global window object (loaded via CDN) or dynamic import
 let io = null;
 
 export class MultiplayerManager {
-    constructor(sceneManager, localSpacecraft) {
+    /**
+     * @param {SceneManager} sceneManager
+     * @param {Spacecraft} localSpacecraft
+     * @param {Object} options
+     * @param {Function} options.onRoomChange - Called with the room after joins, leaves and member changes
+     * @param {Function} options.onChatHistory - Called with the room's earlier messages after every join
+     * @param {Function} options.onChatMessage - Called with each new chat message ({ id, playerId, nickname, message, timestamp })
+     * @param {Function} options.onFleetChange - Called with the FleetController when the room's fleets change
+     * @param {Function} options.onFleetJump - Called with the planet name (or null) after jumping along with our leader
+     * @param {Function} options.onFleetPlanet - Called with { leaderId, nickname, planet } when our leader shares a planet
+     * @param {Function} options.onNarration - Called with a shared narration someone else started (also one running when we join a room)
+     * @param {Function} options.onNarrationStopped - Called with { id, reason } when the room's narration ends early
+     * @param {Function} options.getNearestPlanet - position -> name of the closest planet (announces unannounced jumps)
+     */
+    constructor(sceneManager, localSpacecraft, options = {}) {
         this.scene = sceneManager.scene;
         this.localSpacecraft = localSpacecraft;
         this.remotePlayers = new Map();
+        this.netIds = new Map(); // netId -> player id, for playerStates packets
+        this.decoder = new StateDecoder();
         this.socket = null;
         this.connected = false;
         this.playerId = null;
         this.lastUpdateTime = 0;
+        this.lastSentPosition = null; // For detecting unannounced jumps (e.g. flight replay)
+        this.clock = new ServerClock();
+        this.clockSyncTimer = null;
         this.updateInterval = 50; // Send updates every 50ms (20 ticks/sec)
+        this.room = null; // { code, name, owner, maxPlayers, isPrivate, isLobby, members: [{ id, nickname }] }
+        this.onRoomChange = options.onRoomChange || null;
+        this.onChatHistory = options.onChatHistory || null;
+        this.onChatMessage = options.onChatMessage || null;
+        this.onFleetPlanet = options.onFleetPlanet || null;
+        this.onNarration = options.onNarration || null;
+        this.onNarrationStopped = options.onNarrationStopped || null;
+        this.getNearestPlanet = options.getNearestPlanet || null;
+        this.narration = null; // The room's shared narration: { id, hostId, nickname, planet, text, segments, duration, startAt }
+        this.fleet = new FleetController(this, {
+            onJump: options.onFleetJump,
+            onChange: options.onFleetChange
+        });
         
         // Server detection
         this.serverAvailable = false;
@@ -70,10 +129,19 @@ export class MultiplayerManager {
         }
     }
     
+    /**
+     * Invite code from the page URL (?room=CODE), if any
+     */
+    static getRoomCodeFromUrl() {
+        return new URLSearchParams(window.location.search).get('room');
+    }
+
     /**
      * Connect to multiplayer server
+     * @param {string} serverUrl
+     * @param {string|null} roomCode - Invite code to join, null for the public lobby
      */
-    async connect(serverUrl = 'http://localhost:3000') {
+    async connect(serverUrl = 'http://localhost:3000', roomCode = null) {
         // Load socket.io-client dynamically
         const ioClient = await MultiplayerManager.loadSocketIO();
         
@@ -84,11 +152,16 @@ export class MultiplayerManager {
         return new Promise((resolve, reject) => {
             console.log('🔌 Connecting to multiplayer server...');
             
+            let initialized = false;
+            this.kickReason = null;
+
             this.socket = ioClient(serverUrl, {
                 transports: ['websocket', 'polling'],
                 timeout: 5000,
                 reconnection: true,
-                reconnectionAttempts: 3
+                reconnectionAttempts: 3,
+                // Read on every (re)connect, so a reconnect returns to the current room
+                auth: (callback) => callback({ room: this.room ? this.room.code : roomCode })
             });
             
             // Connection successful
@@ -103,6 +176,12 @@ export class MultiplayerManager {
             this.socket.on('init', (data) => {
                 console.log('📡 Received initialization data:', data);
                 this.playerId = data.playerId;
+                initialized = true;
+                this.setRoom(data.room);
+                this.onChatHistory?.(data.chatHistory || []);
+                this.fleet.setFleets(data.fleets || []);
+                this.clock.seed(data.serverTime); // Refined by clockSync, good enough for a narration in progress
+                this.startClockSync();
                 
                 // Add existing players
                 data.players.forEach(player => {
@@ -111,9 +190,53 @@ export class MultiplayerManager {
                     }
                 });
                 
+                this.setNarration(data.narration);
                 resolve(data);
             });
             
+            // The server refused the invite code (unknown room or full)
+            this.socket.on('roomError', (data) => {
+                console.warn(`🚫 Room refused: ${data.error}`);
+                if (!initialized) {
+                    const error = new Error(data.error);
+                    error.code = data.code;
+                    reject(error);
+                    return;
+                }
+
+                // Reconnecting into a room that closed meanwhile: fall back to the lobby
+                this.showNotification(`${data.error} - back to the lobby`, 'warning');
+                this.room = null;
+                roomCode = null;
+                this.socket.connect();
+            });
+            
+            // Moved to another room (created, joined, left or kicked)
+            this.socket.on('roomJoined', (data) => {
+                this.remotePlayers.forEach((player, id) => {
+                    this.removeRemotePlayer(id);
+                });
+                data.players.forEach(player => this.addRemotePlayer(player));
+                this.setRoom(data.room);
+                this.onChatHistory?.(data.chatHistory || []);
+                this.fleet.reset(); // Fleets don't move rooms
+                this.fleet.setFleets(data.fleets || []);
+                this.showNotification(data.reason || `Joined ${data.room.name}`, data.reason ? 'warning' : 'info');
+
+                // The old room's narration stays behind
+                const previous = this.narration;
+                if (previous && previous.id !== data.narration?.id) {
+                    this.narration = null;
+                    this.onNarrationStopped?.({ id: previous.id, reason: `Left ${previous.nickname}'s narration` });
+                }
+                this.setNarration(data.narration);
+            });
+            
+            // Members or owner changed
+            this.socket.on('roomUpdated', (room) => {
+                this.setRoom(room);
+            });
+            
             // Player joined
             this.socket.on('playerJoined', (player) => {
                 console.log(`🚀 Player joined: ${player.nickname}`);
@@ -121,9 +244,54 @@ export class MultiplayerManager {
                 this.showNotification(`${player.nickname} joined`, 'info');
             });
             
-            // Player moved
-            this.socket.on('playerMoved', (data) => {
-                this.updateRemotePlayer(data);
+            // Ship states of the players in range (binary, delta-encoded)
+            this.socket.on('playerStates', (packet) => {
+                this.applyStates(packet);
+            });
+            
+            // Player jumped (announced teleport) - snap instead of gliding across the map
+            this.socket.on('playerTeleported', (data) => {
+                this.remotePlayers.get(data.id)?.teleport(data.position);
+                this.fleet.onPlayerTeleported(data); // Our leader: jump along
+            });
+            
+            // Someone followed, left or changed formation
+            this.socket.on('fleetsUpdated', (fleets) => {
+                this.fleet.setFleets(fleets);
+            });
+            
+            // Our leader opened a planet for the whole fleet
+            this.socket.on('fleetPlanet', (data) => {
+                console.log(`🛸 ${data.nickname} shared ${data.planet}`);
+                this.onFleetPlanet?.(data);
+            });
+            
+            // Someone narrates a planet to the room
+            this.socket.on('narrationStarted', (narration) => {
+                console.log(`🎙️ ${narration.nickname} narrates ${narration.planet}`);
+                this.setNarration(narration);
+            });
+            
+            // The room's narration was stopped, or its narrator left
+            this.socket.on('narrationStopped', (data) => {
+                if (this.narration?.id !== data.id) return;
+                this.narration = null;
+                this.onNarrationStopped?.(data);
+            });
+            
+            // The server refused our last move - its position is authoritative
+            this.socket.on('positionRejected', (data) => {
+                console.warn('⚠️ Position rejected by server:', data.reason);
+                this.localSpacecraft.group.position.copy(data.position);
+                this.lastSentPosition = null;
+                this.showNotification('Position corrected by server', 'warning');
+            });
+            
+            // Kicked by the server (invalid or flooding messages)
+            this.socket.on('kicked', (data) => {
+                console.error('🚫 Kicked from multiplayer:', data.reason);
+                this.kickReason = data.reason;
+                this.showNotification(`Kicked: ${data.reason}`, 'error');
             });
             
             // Player updated (nickname, etc)
@@ -140,9 +308,10 @@ export class MultiplayerManager {
                 this.showNotification('A player left', 'warning');
             });
             
-            // Chat message (future feature)
+            // Chat message (ours come back too - the server may have trimmed them)
             this.socket.on('chatMessage', (data) => {
                 console.log(`💬 ${data.nickname}: ${data.message}`);
+                this.onChatMessage?.(data);
             });
             
             // Server shutdown
@@ -163,13 +332,19 @@ export class MultiplayerManager {
             this.socket.on('disconnect', (reason) => {
                 console.log('Disconnected:', reason);
                 this.connected = false;
+                this.stopClockSync();
+                this.fleet.reset();
+                this.narration = null;
                 
                 // Clean up all remote players
                 this.remotePlayers.forEach((player, id) => {
                     this.removeRemotePlayer(id);
                 });
+                this.decoder.reset();
                 
-                if (reason === 'io server disconnect') {
+                if (!initialized || this.kickReason) {
+                    // Refused on connect (reported by connect()) or kicked (already shown)
+                } else if (reason === 'io server disconnect') {
                     // Server kicked us, don't reconnect
                     this.showNotification('Disconnected from server', 'error');
                 } else {
@@ -187,6 +362,10 @@ export class MultiplayerManager {
             console.log('👋 Disconnecting from multiplayer...');
             this.socket.disconnect();
             this.connected = false;
+            this.room = null;
+            this.stopClockSync();
+            this.fleet.reset();
+            this.narration = null;
             
             // Remove all remote players
             this.remotePlayers.forEach((player, id) => {
@@ -195,6 +374,158 @@ export class MultiplayerManager {
         }
     }
     
+    /**
+     * Ask the server for a room action and wait for its answer
+     * @returns {Promise<Object>} The room after the action
+     */
+    requestRoomAction(event, ...args) {
+        return this.request(event, ...args).then(response => response.room);
+    }
+    
+    /**
+     * Emit with an ack ({ ok: true, ... } or { ok: false, code, error })
+     * @returns {Promise<Object>} The answer, rejected with error.code when not ok
+     */
+    request(event, ...args) {
+        if (!this.connected || !this.socket) {
+            return Promise.reject(new Error('Not connected to the multiplayer server'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.socket.timeout(5000).emit(event, ...args, (timeoutError, response) => {
+                if (timeoutError) {
+                    reject(new Error('The multiplayer server did not answer'));
+                } else if (!response.ok) {
+                    const error = new Error(response.error);
+                    error.code = response.code;
+                    reject(error);
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Open a new room and move into it (you become its owner)
+     * @param {Object} settings - { name, maxPlayers, isPrivate }
+     */
+    createRoom(settings = {}) {
+        return this.requestRoomAction('createRoom', settings);
+    }
+    
+    /**
+     * Move into a room by invite code
+     */
+    joinRoom(code) {
+        return this.requestRoomAction('joinRoom', code);
+    }
+    
+    /**
+     * Leave the current room for the public lobby
+     */
+    leaveRoom() {
+        return this.requestRoomAction('leaveRoom');
+    }
+    
+    /**
+     * Send a player from your room back to the lobby (owner only)
+     */
+    kickPlayer(playerId) {
+        return this.requestRoomAction('kickPlayer', playerId);
+    }
+    
+    /**
+     * Fly in a player's fleet (jumps into formation if they're far away)
+     * @returns {Promise<Object>} The fleet ({ leaderId, formation, followers })
+     */
+    async followPlayer(playerId) {
+        const { fleet, leader } = await this.request('followPlayer', playerId);
+        this.fleet.joinLeader(leader);
+        return fleet;
+    }
+    
+    /**
+     * Leave the fleet we're flying in
+     */
+    unfollow() {
+        return this.request('unfollow');
+    }
+    
+    /**
+     * Formation of the fleet we lead (wedge, line, column, echelon)
+     */
+    setFormation(formation) {
+        return this.request('setFormation', formation);
+    }
+    
+    /**
+     * Open a planet's dialog for everyone following us
+     * @returns {Promise<Object>} { followers } - how many got it
+     */
+    shareFleetPlanet(planetName) {
+        return this.request('fleetPlanet', planetName);
+    }
+    
+    /**
+     * Narrate to the room: everyone speaks the text from the returned session's startAt
+     * @param {Object} narration - { planet, text, segments, duration, audio } (duration in seconds;
+     *                              audio: { clip } when everyone can play the same bundled recording)
+     * @returns {Promise<Object>} The session ({ id, hostId, ..., startAt })
+     */
+    async startNarration(narration) {
+        const response = await this.request('startNarration', narration);
+        this.narration = response.narration;
+        return response.narration;
+    }
+    
+    /**
+     * End the room's narration early (its narrator or the room owner)
+     */
+    stopNarration() {
+        return this.request('stopNarration');
+    }
+    
+    /**
+     * Someone else's narration: passed on while it's still playing
+     */
+    setNarration(narration) {
+        this.narration = narration && this.getNarrationOffset(narration) < narration.duration ? narration : null;
+        if (this.narration && this.narration.hostId !== this.playerId) this.onNarration?.(this.narration);
+    }
+    
+    /**
+     * Seconds into a shared narration on the server clock (negative before it starts)
+     */
+    getNarrationOffset(narration) {
+        return (this.clock.now() - narration.startAt) / 1000;
+    }
+    
+    isNarrating() {
+        return !!this.narration && this.narration.hostId === this.playerId &&
+            this.getNarrationOffset(this.narration) < this.narration.duration;
+    }
+    
+    setRoom(room) {
+        this.room = room;
+        this.onRoomChange?.(room);
+    }
+    
+    isRoomOwner() {
+        return !!this.room && this.room.owner === this.playerId;
+    }
+    
+    /**
+     * Link that opens the app straight into the current room
+     * @returns {string|null} Null in the lobby
+     */
+    getInviteLink() {
+        if (!this.room || this.room.isLobby) return null;
+        const url = new URL(window.location.href);
+        url.searchParams.set('room', this.room.code);
+        return url.toString();
+    }
+    
     /**
      * Add a remote player to the scene
      */
@@ -206,19 +537,74 @@ export class MultiplayerManager {
         const remotePlayer = new RemotePlayer(playerData.id, playerData);
         this.scene.add(remotePlayer.group);
         this.remotePlayers.set(playerData.id, remotePlayer);
+        this.netIds.set(playerData.netId, playerData.id);
         console.log(`✓ Added remote player: ${remotePlayer.nickname}`);
     }
     
+    /**
+     * Decode a playerStates packet and hand each state to its ship
+     * @param {ArrayBuffer} packet
+     */
+    applyStates(packet) {
+        const { states } = this.decoder.decode(packet);
+        states.forEach(state => {
+            const id = this.netIds.get(state.netId);
+            if (state.removed) {
+                this.remotePlayers.get(id)?.leaveInterest();
+            } else if (id) {
+                this.updateRemotePlayer({ id, ...state });
+            }
+        });
+    }
+    
     /**
      * Update remote player state
      */
     updateRemotePlayer(data) {
         const player = this.remotePlayers.get(data.id);
         if (player) {
-            player.updateFromNetwork(data);
+            this.clock.seed(data.t);
+            player.updateFromNetwork(data, this.getRenderTime());
         }
     }
     
+    /**
+     * Measure the server clock: a few quick round trips, then one every 10 s
+     */
+    startClockSync() {
+        this.stopClockSync();
+        let count = 0;
+        const sync = () => {
+            this.syncClock();
+            count++;
+            this.clockSyncTimer = setTimeout(sync, count < 5 ? 1000 : 10000);
+        };
+        sync();
+    }
+    
+    stopClockSync() {
+        clearTimeout(this.clockSyncTimer);
+        this.clockSyncTimer = null;
+    }
+    
+    syncClock() {
+        if (!this.connected || !this.socket) return;
+        
+        const sentAt = performance.now();
+        this.socket.timeout(2000).emit('clockSync', (timeoutError, serverTime) => {
+            if (!timeoutError && Number.isFinite(serverTime)) {
+                this.clock.addSample(sentAt, serverTime, performance.now());
+            }
+        });
+    }
+    
+    /**
+     * Server time remote ships are drawn at
+     */
+    getRenderTime() {
+        return this.clock.now() - CONFIG.multiplayer.renderDelay;
+    }
+    
     /**
      * Remove remote player from scene
      */
@@ -229,9 +615,30 @@ export class MultiplayerManager {
             this.scene.remove(player.group);
             player.dispose();
             this.remotePlayers.delete(playerId);
+            this.netIds.delete(player.netId);
+            this.decoder.forget(player.netId);
         }
     }
     
+    /**
+     * Announce a jump before the position update that makes it, so the server
+     * accepts the new position (TeleportManager and main.js call this)
+     * @param {THREE.Vector3} position - Arrival position
+     * @param {string} planetName - The planet jumped to (the server refuses jumps without one)
+     * @param {THREE.Vector3|null} facing - Direction the ship will face (fleet followers line up on it)
+     */
+    notifyTeleport(position, planetName, facing = null) {
+        if (!this.connected || !this.socket || !planetName) return;
+        this.fleet.onOwnTeleport(); // Unless it's the fleet jumping along
+        
+        this.socket.emit('teleport', {
+            position: { x: position.x, y: position.y, z: position.z },
+            planet: planetName,
+            facing: facing && facing.lengthSq() > 0 ? { x: facing.x, y: facing.y, z: facing.z } : null
+        });
+        this.lastSentPosition = null;
+    }
+    
     /**
      * Send local player update to server (throttled)
      */
@@ -243,11 +650,19 @@ export class MultiplayerManager {
             return; // Throttle updates
         }
         
+        const elapsed = (now - this.lastUpdateTime) / 1000;
         this.lastUpdateTime = now;
         
         // Get current spacecraft position and rotation
         const position = this.localSpacecraft.group.position;
         const quaternion = this.localSpacecraft.group.quaternion;
+        const speed = Number.isFinite(this.localSpacecraft.forwardSpeed) ? this.localSpacecraft.forwardSpeed : 0;
+        
+        // A jump nobody announced (e.g. a flight replay seeking) - announce it now, to the planet it landed at
+        if (this.lastSentPosition && this.lastSentPosition.distanceTo(position) > CONFIG.spacecraft.maxSpeed * elapsed) {
+            this.notifyTeleport(position, this.getNearestPlanet?.(position));
+        }
+        this.lastSentPosition = position.clone();
         
         const updateData = {
             position: {
@@ -266,7 +681,7 @@ export class MultiplayerManager {
                 z: quaternion.z,
                 w: quaternion.w
             },
-            speed: this.localSpacecraft.forwardSpeed,
+            speed: Math.min(speed, CONFIG.spacecraft.maxSpeed),
             viewMode: this.localSpacecraft.viewMode
         };
         
@@ -274,7 +689,7 @@ export class MultiplayerManager {
         if (now % 2000 < this.updateInterval) {
             console.log('📡 Sending position:', {
                 pos: `(${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)})`,
-                speed: this.localSpacecraft.forwardSpeed.toFixed(1)
+                speed: speed.toFixed(1)
             });
         }
         
@@ -286,9 +701,29 @@ export class MultiplayerManager {
      * Update all remote players (interpolation)
      */
     update(deltaTime) {
+        const renderTime = this.getRenderTime();
         this.remotePlayers.forEach(player => {
-            player.update(deltaTime);
+            player.update(deltaTime, renderTime);
         });
+        this.fleet.update();
+    }
+    
+    /**
+     * Send a chat message to the room
+     */
+    sendChat(message) {
+        if (this.connected && this.socket) {
+            this.socket.emit('chatMessage', message);
+        }
+    }
+    
+    /**
+     * Change our nickname (the room hears playerUpdated and roomUpdated)
+     * @returns {Promise<string>} The nickname as the server accepted it (sanitized)
+     */
+    async setNickname(nickname) {
+        const response = await this.request('updateNickname', nickname);
+        return response.nickname;
     }
     
     /**
@@ -349,7 +784,24 @@ export class MultiplayerManager {
             connected: this.connected,
             playerId: this.playerId,
             playerCount: this.getPlayerCount(),
-            remotePlayers: this.remotePlayers.size
+            remotePlayers: this.remotePlayers.size,
+            room: this.room
+        };
+    }
+    
+    /**
+     * Clock and per-ship buffer health, for the network debug overlay
+     */
+    getNetworkStats() {
+        const renderTime = this.getRenderTime();
+        return {
+            rtt: this.clock.rtt,
+            clockSynced: this.clock.isSynced(),
+            renderDelay: CONFIG.multiplayer.renderDelay,
+            players: [...this.remotePlayers.values()].map(player => ({
+                nickname: player.nickname,
+                ...player.snapshots.getHealth(renderTime)
+            }))
         };
     }
 }
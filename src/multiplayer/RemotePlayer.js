@@ -1,34 +1,44 @@
 /**
  * RemotePlayer Class
  * Represents other players in the multiplayer session
+ * Network states go into a SnapshotBuffer and the ship is drawn a little in
+ * the past (CONFIG.multiplayer.renderDelay), interpolated between them.
+ * The ship is hidden until its first state and while it's out of interest
+ * range (the server stops sending it).
  */
 
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { SnapshotBuffer } from './SnapshotBuffer.js';
 
 export class RemotePlayer {
     constructor(playerId, playerData) {
         this.playerId = playerId;
+        this.netId = playerData.netId;
         this.nickname = playerData.nickname || `Player ${playerId.slice(0, 6)}`;
         this.group = new THREE.Group();
         
         // Network interpolation for smooth movement
-        this.targetPosition = new THREE.Vector3();
-        this.targetRotation = new THREE.Euler();
-        this.targetQuaternion = null; // For accurate rotation sync
-        this.currentSpeed = 0;
+        this.snapshots = new SnapshotBuffer();
+        this.sampledPosition = new THREE.Vector3();
+        this.sampledQuaternion = new THREE.Quaternion();
+        this.correction = new THREE.Vector3(); // Dead-reckoning error, blended out after late packets
+        this.currentSpeed = playerData.speed || 0;
         this.viewMode = playerData.viewMode || 'CHASE';
         this.lastLogTime = 0; // For debug logging
+        this.inInterest = false; // Receiving states
+        this.group.visible = false;
         
+        // Last known state until the first update arrives
         if (playerData.position) {
-            this.targetPosition.copy(playerData.position);
             this.group.position.copy(playerData.position);
         }
         
-        if (playerData.rotation) {
-            this.targetRotation.copy(playerData.rotation);
-            this.group.rotation.copy(playerData.rotation);
+        if (playerData.quaternion) {
+            this.group.quaternion.copy(playerData.quaternion);
+        } else if (playerData.rotation) {
+            this.group.rotation.set(playerData.rotation.x, playerData.rotation.y, playerData.rotation.z);
         }
         
         this.mesh = null;
@@ -124,25 +134,22 @@ export class RemotePlayer {
         this.group.add(this.trail);
     }
     
-    updateFromNetwork(data) {
-        // Update target position
-        if (data.position) {
-            this.targetPosition.set(data.position.x, data.position.y, data.position.z);
+    /**
+     * Buffer a state from the server
+     * @param {Object} data - Decoded state ({ position, quaternion, speed, viewMode, t })
+     * @param {number} renderTime - Server time being drawn (to count late states)
+     */
+    updateFromNetwork(data, renderTime) {
+        if (!this.inInterest && data.position) {
+            // Back in range (or first state): appear there instead of gliding from the old spot
+            this.inInterest = true;
+            this.group.visible = true;
+            this.teleport(data.position);
+            if (data.quaternion) this.group.quaternion.copy(data.quaternion);
         }
         
-        // Update target rotation
-        if (data.rotation) {
-            this.targetRotation.set(data.rotation.x, data.rotation.y, data.rotation.z);
-        }
-        
-        // Use quaternion if available (more accurate)
-        if (data.quaternion) {
-            this.targetQuaternion = new THREE.Quaternion(
-                data.quaternion.x,
-                data.quaternion.y,
-                data.quaternion.z,
-                data.quaternion.w
-            );
+        if (data.position && data.quaternion && data.t !== undefined) {
+            this.snapshots.push(data.t, data, renderTime);
         }
         
         if (data.speed !== undefined) {
@@ -154,12 +161,31 @@ export class RemotePlayer {
         
         // Debug log occasionally
         const now = Date.now();
-        if (!this.lastLogTime || now - this.lastLogTime > 3000) {
+        if (data.position && (!this.lastLogTime || now - this.lastLogTime > 3000)) {
             console.log(`🎮 Remote player "${this.nickname}" at (${data.position.x.toFixed(1)}, ${data.position.y.toFixed(1)}, ${data.position.z.toFixed(1)})`);
             this.lastLogTime = now;
         }
     }
     
+    /**
+     * Jump straight to a position (announced teleport) instead of gliding there
+     */
+    teleport(position) {
+        this.snapshots.clear();
+        this.correction.set(0, 0, 0);
+        this.group.position.copy(position);
+        this.trailPositions.length = 0;
+    }
+    
+    /**
+     * Out of interest range: no more states until it comes back
+     */
+    leaveInterest() {
+        this.inInterest = false;
+        this.group.visible = false;
+        this.snapshots.clear();
+    }
+    
     updateNickname(nickname) {
         this.nickname = nickname;
         // Recreate name tag with new nickname
@@ -167,19 +193,23 @@ export class RemotePlayer {
         this.createNameTag();
     }
     
-    update(deltaTime) {
-        // Smooth interpolation for position (lerp)
-        const lerpFactor = Math.min(deltaTime * 10, 1); // Adjust for smoothness
-        this.group.position.lerp(this.targetPosition, lerpFactor);
-        
-        // Use quaternion for rotation if available (more accurate)
-        if (this.targetQuaternion) {
-            this.group.quaternion.slerp(this.targetQuaternion, lerpFactor);
-        } else {
-            // Fallback to Euler rotation
-            this.group.rotation.x = THREE.MathUtils.lerp(this.group.rotation.x, this.targetRotation.x, lerpFactor);
-            this.group.rotation.y = THREE.MathUtils.lerp(this.group.rotation.y, this.targetRotation.y, lerpFactor);
-            this.group.rotation.z = THREE.MathUtils.lerp(this.group.rotation.z, this.targetRotation.z, lerpFactor);
+    /**
+     * @param {number} deltaTime - Seconds since the last frame
+     * @param {number} renderTime - Server time to draw (MultiplayerManager.getRenderTime())
+     */
+    update(deltaTime, renderTime) {
+        const previousMode = this.snapshots.mode;
+        const mode = this.snapshots.sample(renderTime, this.sampledPosition, this.sampledQuaternion);
+        
+        if (mode !== 'empty') {
+            // Back on real data after dead reckoning: fade the guess's error out instead of snapping
+            if (mode === 'interpolating' && (previousMode === 'extrapolating' || previousMode === 'holding')) {
+                this.correction.subVectors(this.group.position, this.sampledPosition);
+            }
+            this.correction.multiplyScalar(Math.exp(-deltaTime * 10));
+            
+            this.group.position.copy(this.sampledPosition).add(this.correction);
+            this.group.quaternion.copy(this.sampledQuaternion);
         }
         
         // Update trail effect
@@ -0,0 +1,59 @@
+/**
+ * ServerClock - Estimate of the multiplayer server's clock
+ * Remote ship states carry the server time they were received at; drawing
+ * them on a shared timeline needs the offset between that clock and ours.
+ * Offsets come from clockSync round trips, NTP style: the sample with the
+ * shortest round trip is the most trustworthy.
+ */
+
+const MAX_SAMPLES = 8;
+
+export class ServerClock {
+    constructor() {
+        this.samples = []; // { offset, rtt }, newest last
+        this.offset = null; // Server time - performance.now(), ms
+        this.rtt = null;
+    }
+
+    /**
+     * Record a round trip
+     * @param {number} sentAt - performance.now() when the request left
+     * @param {number} serverTime - Server's Date.now() in the answer
+     * @param {number} receivedAt - performance.now() when the answer arrived
+     */
+    addSample(sentAt, serverTime, receivedAt) {
+        const rtt = receivedAt - sentAt;
+        this.samples.push({ offset: serverTime - (sentAt + rtt / 2), rtt });
+        if (this.samples.length > MAX_SAMPLES) this.samples.shift();
+
+        const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        this.offset = best.offset;
+        this.rtt = rtt;
+    }
+
+    /**
+     * Rough offset from a server timestamp, until the first round trip is back
+     */
+    seed(serverTime) {
+        if (this.offset === null && Number.isFinite(serverTime)) this.offset = serverTime - performance.now();
+    }
+
+    isSynced() {
+        return this.samples.length > 0;
+    }
+
+    /**
+     * Current server time (ms)
+     */
+    now() {
+        return performance.now() + (this.offset ?? 0);
+    }
+
+    reset() {
+        this.samples.length = 0;
+        this.offset = null;
+        this.rtt = null;
+    }
+}
+
+export default ServerClock;
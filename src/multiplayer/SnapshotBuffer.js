@@ -0,0 +1,190 @@
+/**
+ * SnapshotBuffer - Timestamped network states of one remote ship
+ * Ships are drawn renderDelay ms in the past, between two received states:
+ * hermite interpolation on position (tangents from speed along the ship's
+ * nose, so curves and warp-speed straights both stay smooth) and slerp on
+ * the quaternion. When the next state is late the ship keeps flying on its
+ * last heading and speed (dead reckoning) for up to maxExtrapolation ms,
+ * then holds until data arrives.
+ *
+ * Distant ships are sent less often (server interest tiers); the buffer
+ * measures the spacing of its states and draws such ships further in the
+ * past, so they still have a pair to interpolate between.
+ */
+
+import * as THREE from 'three';
+import { CONFIG } from '../config/config.js';
+
+const FORWARD = new THREE.Vector3(1, 0, 0); // Ship's nose (Spacecraft flies along local +X)
+const MAX_SNAPSHOTS = 40; // 2 s at 20 Hz
+
+export class SnapshotBuffer {
+    /**
+     * @param {Object} options
+     * @param {number} options.renderDelay - ms behind the newest server time
+     * @param {number} options.maxExtrapolation - ms of dead reckoning past the newest state
+     */
+    constructor({ renderDelay = CONFIG.multiplayer.renderDelay, maxExtrapolation = CONFIG.multiplayer.maxExtrapolation } = {}) {
+        this.renderDelay = renderDelay;
+        this.maxExtrapolation = maxExtrapolation;
+        this.snapshots = []; // { time, position, quaternion, velocity }, oldest first
+
+        // Health counters (see getHealth)
+        this.mode = 'empty'; // 'interpolating' | 'extrapolating' | 'holding' | 'empty'
+        this.extrapolatedMs = 0;
+        this.received = 0;
+        this.late = 0; // Arrived after their time was already rendered
+        this.jitter = 0; // Smoothed deviation of arrival spacing from server spacing (ms)
+        this.interval = null; // Smoothed server spacing of states (ms)
+        this.lastArrival = null; // { time, receivedAt }
+
+        this.scratch = { quaternion: new THREE.Quaternion(), vector: new THREE.Vector3() };
+    }
+
+    /**
+     * Add a state received from the server
+     * @param {number} time - Server time of the state (ms)
+     * @param {Object} state - { position: {x,y,z}, quaternion: {x,y,z,w}, speed }
+     * @param {number} renderTime - Server time currently being drawn
+     */
+    push(time, { position, quaternion, speed = 0 }, renderTime = -Infinity) {
+        const newest = this.snapshots[this.snapshots.length - 1];
+        if (newest && time <= newest.time) return; // Out of order or duplicate
+
+        const receivedAt = performance.now();
+        if (this.lastArrival) {
+            const spacing = time - this.lastArrival.time;
+            const deviation = Math.abs((receivedAt - this.lastArrival.receivedAt) - spacing);
+            this.jitter += (deviation - this.jitter) * 0.1;
+            this.interval = this.interval === null ? spacing : this.interval + (spacing - this.interval) * 0.2;
+        }
+        this.lastArrival = { time, receivedAt };
+        this.received++;
+        if (time < renderTime - this.getExtraDelay()) this.late++;
+
+        const snapshot = {
+            time,
+            position: new THREE.Vector3(position.x, position.y, position.z),
+            quaternion: new THREE.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w).normalize(),
+            velocity: new THREE.Vector3()
+        };
+        snapshot.velocity.copy(FORWARD).applyQuaternion(snapshot.quaternion).multiplyScalar(speed);
+
+        this.snapshots.push(snapshot);
+        if (this.snapshots.length > MAX_SNAPSHOTS) this.snapshots.shift();
+    }
+
+    /**
+     * Forget everything (teleports: never interpolate across the jump)
+     */
+    clear() {
+        this.snapshots.length = 0;
+        this.lastArrival = null;
+        this.interval = null;
+        this.mode = 'empty';
+        this.extrapolatedMs = 0;
+    }
+
+    /**
+     * How much further than renderDelay this ship is drawn in the past:
+     * enough to cover one state interval plus jitter
+     */
+    getExtraDelay() {
+        if (this.interval === null) return 0;
+        return Math.max(0, this.interval + this.jitter - this.renderDelay);
+    }
+
+    /**
+     * Pose of the ship at a server time
+     * @param {number} renderTime - Server time to draw (now - renderDelay)
+     * @param {THREE.Vector3} outPosition
+     * @param {THREE.Quaternion} outQuaternion
+     * @returns {string} The mode used, 'empty' leaves the outputs untouched
+     */
+    sample(renderTime, outPosition, outQuaternion) {
+        const snapshots = this.snapshots;
+        renderTime -= this.getExtraDelay();
+        if (snapshots.length === 0) {
+            this.mode = 'empty';
+            return this.mode;
+        }
+
+        // Drop states older than the pair we're drawing between
+        while (snapshots.length > 2 && snapshots[1].time <= renderTime) {
+            snapshots.shift();
+        }
+
+        const [from, to] = snapshots;
+        if (renderTime <= from.time || !to) {
+            // Before the first state, or only one state: hold it or fly on from it
+            const ahead = to ? 0 : renderTime - from.time;
+            this.extrapolate(from, ahead, outPosition, outQuaternion);
+        } else if (renderTime <= to.time) {
+            this.extrapolatedMs = 0;
+            this.mode = 'interpolating';
+            this.interpolate(from, to, renderTime, outPosition, outQuaternion);
+        } else {
+            // Past the newest state - packets are late
+            this.extrapolate(to, renderTime - to.time, outPosition, outQuaternion);
+        }
+        return this.mode;
+    }
+
+    /**
+     * Cubic hermite between two states, tangents = velocity x interval
+     */
+    interpolate(from, to, renderTime, outPosition, outQuaternion) {
+        const interval = (to.time - from.time) / 1000;
+        const t = (renderTime - from.time) / (to.time - from.time);
+        const t2 = t * t;
+        const t3 = t2 * t;
+
+        const h00 = 2 * t3 - 3 * t2 + 1;
+        const h10 = t3 - 2 * t2 + t;
+        const h01 = -2 * t3 + 3 * t2;
+        const h11 = t3 - t2;
+
+        const { vector } = this.scratch;
+        outPosition.copy(from.position).multiplyScalar(h00)
+            .addScaledVector(vector.copy(from.velocity), h10 * interval)
+            .addScaledVector(to.position, h01)
+            .addScaledVector(vector.copy(to.velocity), h11 * interval);
+
+        outQuaternion.slerpQuaternions(from.quaternion, to.quaternion, t);
+    }
+
+    /**
+     * Dead reckoning: keep the last heading and speed for up to maxExtrapolation
+     */
+    extrapolate(snapshot, aheadMs, outPosition, outQuaternion) {
+        const ahead = Math.max(0, aheadMs);
+        this.extrapolatedMs = Math.min(ahead, this.maxExtrapolation);
+        this.mode = ahead === 0 ? 'interpolating' : ahead <= this.maxExtrapolation ? 'extrapolating' : 'holding';
+
+        outPosition.copy(snapshot.position).addScaledVector(snapshot.velocity, this.extrapolatedMs / 1000);
+        outQuaternion.copy(snapshot.quaternion);
+    }
+
+    /**
+     * Buffer health for the network debug overlay
+     * @param {number} renderTime
+     * @returns {{ mode, snapshots, intervalMs, delayMs, bufferedMs, extrapolatedMs, jitterMs, late, received }}
+     */
+    getHealth(renderTime) {
+        const newest = this.snapshots[this.snapshots.length - 1];
+        const extraDelay = this.getExtraDelay();
+        return {
+            mode: this.mode,
+            snapshots: this.snapshots.length,
+            intervalMs: this.interval === null ? null : Math.round(this.interval),
+            delayMs: Math.round(this.renderDelay + extraDelay),
+            bufferedMs: newest ? Math.round(newest.time - (renderTime - extraDelay)) : 0, // Negative = starving
+            extrapolatedMs: Math.round(this.extrapolatedMs),
+            jitterMs: Math.round(this.jitter),
+            late: this.late,
+            received: this.received
+        };
+    }
+}
+
+export default SnapshotBuffer;
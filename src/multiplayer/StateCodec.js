@@ -0,0 +1,268 @@
+/**
+ * StateCodec - Binary, delta-encoded ship states (the 'playerStates' event)
+ * Shared by the server (StateEncoder, one per receiving socket) and the client
+ * (StateDecoder). Both sides keep the last state sent for every ship, so an
+ * entry only carries what changed since then:
+ *
+ *   packet  float64 server time, then entries until the end
+ *   entry   uint16 netId, uint8 flags, then
+ *           uint16 age (ms before the packet time)  - unless REMOVED
+ *           3 x float64 position steps              - KEYFRAME (no baseline yet)
+ *           3 x int16 / 3 x int32 position deltas    - POS16 / POS32
+ *           uint8 index + 3 x int16                 - QUATERNION (smallest three)
+ *           float32 speed                           - SPEED
+ *
+ * Positions are quantized to CONFIG.multiplayer.positionStep and kept as
+ * integers on both sides, so deltas never drift. Socket.io delivers in order,
+ * which is all the baselines need; REMOVED (ship left this player's interest)
+ * and forget() drop a baseline so the next entry is a keyframe.
+ */
+
+import { CONFIG } from '../config/config.js';
+
+const FLAGS = {
+    KEYFRAME: 1,
+    POS16: 2,
+    POS32: 4,
+    QUATERNION: 8,
+    SPEED: 16,
+    COCKPIT: 32, // viewMode, always current
+    REMOVED: 64
+};
+
+const HEADER_BYTES = 8;
+const MAX_ENTRY_BYTES = 2 + 1 + 2 + 24 + 7 + 4;
+const MAX_AGE = 0xffff;
+const QUATERNION_SCALE = 32767 * Math.SQRT2; // Smallest three are within ±1/√2
+const SPEED_STEP = 0.1;
+
+function quantizePosition(position, step) {
+    return [Math.round(position.x / step), Math.round(position.y / step), Math.round(position.z / step)];
+}
+
+/**
+ * Smallest three: drop the largest component (recomputed from the unit length)
+ * @returns {number[]} [index of the dropped component, a, b, c]
+ */
+function quantizeQuaternion({ x, y, z, w }) {
+    const components = [x, y, z, w];
+    let largest = 0;
+    for (let i = 1; i < 4; i++) {
+        if (Math.abs(components[i]) > Math.abs(components[largest])) largest = i;
+    }
+    const sign = components[largest] < 0 ? -1 : 1; // q and -q are the same rotation
+    const rest = components.filter((_, i) => i !== largest)
+        .map(value => Math.max(-32767, Math.min(32767, Math.round(value * sign * QUATERNION_SCALE))));
+    return [largest, ...rest];
+}
+
+function dequantizeQuaternion([largest, ...rest]) {
+    const values = rest.map(value => value / QUATERNION_SCALE);
+    const missing = Math.sqrt(Math.max(0, 1 - values.reduce((sum, value) => sum + value * value, 0)));
+    values.splice(largest, 0, missing);
+    const [x, y, z, w] = values;
+    return { x, y, z, w };
+}
+
+const sameValues = (a, b) => !!a && !!b && a.every((value, i) => value === b[i]);
+const fits = (deltas, limit) => deltas.every(delta => Math.abs(delta) <= limit);
+
+/**
+ * Server side: the entries for one receiving socket
+ */
+export class StateEncoder {
+    constructor({ positionStep = CONFIG.multiplayer.positionStep } = {}) {
+        this.positionStep = positionStep;
+        this.baselines = new Map(); // netId -> { position, quaternion, speed, t }
+        this.reset();
+    }
+
+    /**
+     * Start a packet
+     * @param {number} time - Server time (ms)
+     */
+    begin(time) {
+        this.time = time;
+        this.entries = [];
+    }
+
+    /**
+     * Whether the receiver has a newer state of this ship than it was sent
+     */
+    hasNewState(netId, t) {
+        const baseline = this.baselines.get(netId);
+        return !baseline || t > baseline.t;
+    }
+
+    knows(netId) {
+        return this.baselines.has(netId);
+    }
+
+    /**
+     * Add a ship's state to the packet (only the parts that changed)
+     * @param {number} netId
+     * @param {Object} state - { position, quaternion, speed, viewMode, t }
+     */
+    add(netId, { position, quaternion, speed, viewMode, t }) {
+        const baseline = this.baselines.get(netId);
+        const steps = quantizePosition(position, this.positionStep);
+        const rotation = quantizeQuaternion(quaternion);
+        const quantizedSpeed = Math.round(speed / SPEED_STEP) * SPEED_STEP;
+
+        let flags = viewMode === 'COCKPIT' ? FLAGS.COCKPIT : 0;
+        let deltas = null;
+        if (!baseline) {
+            flags |= FLAGS.KEYFRAME;
+        } else {
+            deltas = steps.map((value, i) => value - baseline.position[i]);
+            if (deltas.every(delta => delta === 0)) {
+                deltas = null;
+            } else if (fits(deltas, 32767)) {
+                flags |= FLAGS.POS16;
+            } else if (fits(deltas, 2147483647)) {
+                flags |= FLAGS.POS32;
+            } else {
+                flags |= FLAGS.KEYFRAME; // Too far for a delta (a jump across the map)
+                deltas = null;
+            }
+        }
+        if (!baseline || !sameValues(rotation, baseline.quaternion)) flags |= FLAGS.QUATERNION;
+        if (!baseline || quantizedSpeed !== baseline.speed) flags |= FLAGS.SPEED;
+
+        this.entries.push({ netId, flags, age: Math.min(MAX_AGE, Math.max(0, this.time - t)), steps, deltas, rotation, speed: quantizedSpeed });
+        this.baselines.set(netId, { position: steps, quaternion: rotation, speed: quantizedSpeed, t });
+    }
+
+    /**
+     * Tell the receiver a ship left its interest (it stops getting updates)
+     */
+    remove(netId) {
+        if (!this.baselines.delete(netId)) return;
+        this.entries.push({ netId, flags: FLAGS.REMOVED });
+    }
+
+    /**
+     * Drop a ship without telling (the receiver removed it already: left the room)
+     */
+    forget(netId) {
+        this.baselines.delete(netId);
+    }
+
+    reset() {
+        this.baselines.clear();
+        this.time = 0;
+        this.entries = [];
+    }
+
+    /**
+     * @returns {ArrayBuffer|null} The packet, null if nothing changed
+     */
+    finish() {
+        if (this.entries.length === 0) return null;
+
+        const buffer = new ArrayBuffer(HEADER_BYTES + this.entries.length * MAX_ENTRY_BYTES);
+        const view = new DataView(buffer);
+        let offset = 0;
+        const write = (method, size, value) => {
+            view[method](offset, value);
+            offset += size;
+        };
+
+        write('setFloat64', 8, this.time);
+        this.entries.forEach(({ netId, flags, age, steps, deltas, rotation, speed }) => {
+            write('setUint16', 2, netId);
+            write('setUint8', 1, flags);
+            if (flags & FLAGS.REMOVED) return;
+
+            write('setUint16', 2, age);
+            if (flags & FLAGS.KEYFRAME) steps.forEach(value => write('setFloat64', 8, value));
+            if (flags & FLAGS.POS16) deltas.forEach(value => write('setInt16', 2, value));
+            if (flags & FLAGS.POS32) deltas.forEach(value => write('setInt32', 4, value));
+            if (flags & FLAGS.QUATERNION) {
+                write('setUint8', 1, rotation[0]);
+                rotation.slice(1).forEach(value => write('setInt16', 2, value));
+            }
+            if (flags & FLAGS.SPEED) write('setFloat32', 4, speed);
+        });
+
+        this.entries = [];
+        return buffer.slice(0, offset);
+    }
+}
+
+/**
+ * Client side: full ship states from the packets
+ */
+export class StateDecoder {
+    constructor({ positionStep = CONFIG.multiplayer.positionStep } = {}) {
+        this.positionStep = positionStep;
+        this.baselines = new Map(); // netId -> { position, quaternion, speed }
+    }
+
+    /**
+     * @param {ArrayBuffer|ArrayBufferView} data - Packet (ArrayBuffer in browsers, Buffer in Node)
+     * @returns {{ time: number, states: Array<Object> }} States are { netId, removed: true } or
+     *   { netId, position, quaternion, speed, viewMode, t }; ships without a baseline
+     *   (missed keyframe) are skipped
+     */
+    decode(data) {
+        const view = ArrayBuffer.isView(data)
+            ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+            : new DataView(data);
+        let offset = 0;
+        const read = (method, size) => {
+            const value = view[method](offset);
+            offset += size;
+            return value;
+        };
+        const readVector = (method, size) => [read(method, size), read(method, size), read(method, size)];
+
+        const time = read('getFloat64', 8);
+        const states = [];
+        while (offset < view.byteLength) {
+            const netId = read('getUint16', 2);
+            const flags = read('getUint8', 1);
+            if (flags & FLAGS.REMOVED) {
+                this.baselines.delete(netId);
+                states.push({ netId, removed: true });
+                continue;
+            }
+
+            const age = read('getUint16', 2);
+            let baseline = this.baselines.get(netId);
+            if (flags & FLAGS.KEYFRAME) {
+                baseline = { ...baseline, position: readVector('getFloat64', 8) };
+            }
+            let deltas = null;
+            if (flags & FLAGS.POS16) deltas = readVector('getInt16', 2);
+            if (flags & FLAGS.POS32) deltas = readVector('getInt32', 4);
+            const rotation = (flags & FLAGS.QUATERNION)
+                ? [read('getUint8', 1), ...readVector('getInt16', 2)]
+                : baseline?.quaternion;
+            const speed = (flags & FLAGS.SPEED) ? read('getFloat32', 4) : baseline?.speed;
+
+            if (!baseline?.position || !rotation || speed === undefined) continue;
+            const steps = deltas ? baseline.position.map((value, i) => value + deltas[i]) : baseline.position;
+            this.baselines.set(netId, { position: steps, quaternion: rotation, speed });
+
+            const [x, y, z] = steps.map(value => value * this.positionStep);
+            states.push({
+                netId,
+                position: { x, y, z },
+                quaternion: dequantizeQuaternion(rotation),
+                speed,
+                viewMode: (flags & FLAGS.COCKPIT) ? 'COCKPIT' : 'CHASE',
+                t: time - age
+            });
+        }
+        return { time, states };
+    }
+
+    forget(netId) {
+        this.baselines.delete(netId);
+    }
+
+    reset() {
+        this.baselines.clear();
+    }
+}
@@ -9,14 +9,25 @@ import {
 } from '../utils/textureGenerator.js';
 import { generateEarthTexture } from '../utils/PlanetTextureGenerator.js';
 import { createAtmosphere, createCloudLayer } from '../shaders/AtmosphereShader.js';
+import { InstancedPlanetLayer } from './InstancedPlanetLayer.js';
+import { HostStarField } from './HostStarField.js';
+import { StarSystem } from './StarSystem.js';
+import { KeplerOrbit } from '../utils/KeplerOrbit.js';
+import { SimulationClock } from '../services/SimulationClock.js';
 
 /**
  * ExoplanetField - Renders thousands of NASA exoplanets as realistic 3D spheres
- * Uses instanced rendering for performance with astronomically accurate sizes
+ * Distant planets go through InstancedPlanetLayer for performance, with astronomically accurate sizes
+ * Planets orbit their host stars (Kepler elements) driven by a SimulationClock
  */
 export class ExoplanetField {
-    constructor(planetDataService) {
+    /**
+     * @param {PlanetDataService} planetDataService
+     * @param {SimulationClock} simulationClock - Drives orbital motion (optional, planets are frozen without it)
+     */
+    constructor(planetDataService, simulationClock = null) {
         this.dataService = planetDataService;
+        this.simulationClock = simulationClock;
         this.meshGroup = new THREE.Group();
         this.meshGroup.name = 'NASA_Exoplanets_3D';
         this.planets = [];
@@ -46,6 +57,38 @@ export class ExoplanetField {
         this.planetMeshMap = new Map(); // Map planet name -> mesh for quick lookup
         this.loadedHighResTextures = new Set(); // Track which planets have high-res textures loaded
         this.pendingLazyLoads = []; // Track pending lazy load operations
+
+        // Shared sphere geometries (cloned per mesh so flattening can be applied)
+        this.sphereGeometries = {
+            high: new THREE.SphereGeometry(1, 24, 20),
+            mid: new THREE.SphereGeometry(1, 12, 10)
+        };
+
+        // Distant planets: one InstancedMesh draw call per batch instead of one mesh each
+        this.instancedLayer = new InstancedPlanetLayer(this.meshGroup);
+        this.promotedPlanets = new Set(); // Instanced planets currently drawn as dedicated meshes
+
+        // Orbital motion - planets circle their host star at coordinates_3d
+        // Orbits are not to scale (planets are hugely oversized), so distances are mapped:
+        // square-root up to compressBeyond AU (spreads compact systems), logarithmic further out,
+        // always clear of the star
+        this.orbitConfig = {
+            auScale: 10,              // Scene units per AU (same as the solar system position data)
+            compressBeyond: 5,        // AU - wider orbits are log-compressed
+            starRadiusScale: 6,       // Scene units per solar radius
+            minStarRadius: 1,
+            maxStarRadius: 20,
+            indexUpdateInterval: 250  // ms between spatial index refreshes
+        };
+        this.hostStarField = new HostStarField(this.meshGroup);
+        this.hostSystems = new Map(); // hostname -> StarSystem (with render state)
+        this.detailedSystems = new Set(); // Systems drawn with a Star mesh and habitable zone
+        this.orbits = new Map();      // planet name -> { planet, orbit, system, planetRadius, position }
+        this.frozenJulianDate = SimulationClock.dateToJulian(new Date()); // Used without a clock
+        this.lastOrbitIndexUpdate = 0;
+        this.lastOrbitJulianDate = null; // Date the planets were last moved to
+        this.orbitIndexDirty = false; // Positions changed since the spatial index was refreshed
+        this.tempOrbitPosition = new THREE.Vector3();
     }
 
     /**
@@ -79,19 +122,24 @@ export class ExoplanetField {
 
     /**
      * Load clusters one by one and update visualization
+     * Each cluster is streamed, so its first planets render before the whole file arrives
      */
     async loadClustersProgressively(clusterNames) {
         let loadedCount = 0;
         const totalClusters = clusterNames.length;
 
         for (const name of clusterNames) {
-            const clusterPlanets = await this.dataService.loadCluster(name);
-            if (clusterPlanets && clusterPlanets.length > 0) {
+            let clusterPlanetCount = 0;
+
+            for await (const batch of this.dataService.streamCluster(name)) {
                 // Add new planets to local collection
-                this.planets.push(...clusterPlanets);
+                this.planets.push(...batch);
                 // Render only the new batch
-                this.create3DMeshes(clusterPlanets);
+                this.create3DMeshes(batch);
+                clusterPlanetCount += batch.length;
+            }
 
+            if (clusterPlanetCount > 0) {
                 loadedCount++;
                 console.log(`  📦 Progress: ${loadedCount}/${totalClusters} clusters loaded (${this.dataService.getAllPlanets().length} total planets)`);
 
@@ -104,27 +152,14 @@ export class ExoplanetField {
 
     /**
      * Create 3D sphere meshes for a batch of planets
+     * Far-tier planets are drawn through the instanced layer; Tier 1/2 get dedicated meshes
      */
     async create3DMeshes(planetBatch = this.planets) {
         if (!planetBatch || planetBatch.length === 0) return;
 
-        // Shared geometries - Performance optimized
-        const lowPolyGeom = new THREE.SphereGeometry(1, 8, 6); // Tier 3: Far (very low poly)
-        lowPolyGeom.computeVertexNormals(); // Ensure normals face outward
-
-        const midPolyGeom = new THREE.SphereGeometry(1, 12, 10); // Tier 2: Medium
-        midPolyGeom.computeVertexNormals();
-
-        const highPolyGeom = new THREE.SphereGeometry(1, 24, 20); // Tier 1: Near (optimized)
-        highPolyGeom.computeVertexNormals();
-
-        const distantMaterials = new Map();
         const batchSize = 30; // Smaller batches for smoother execution
         let index = 0;
 
-        // Solar system planet names - render them with special handling
-        const solarSystemPlanets = ['Mercury', 'Venus', 'Earth', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
-
         const processBatch = () => {
             const end = Math.min(index + batchSize, planetBatch.length);
 
@@ -132,7 +167,7 @@ export class ExoplanetField {
                 const planet = planetBatch[index];
 
                 // Check if this is a solar system planet
-                const isSolarPlanet = planet.hostname === 'Sun' && solarSystemPlanets.includes(planet.pl_name);
+                const isSolarPlanet = this.isSolarSystemPlanet(planet);
 
                 // Avoid rendering duplicates
                 if (this.renderedPlanets.has(planet.pl_name)) continue;
@@ -150,302 +185,22 @@ export class ExoplanetField {
                     coords.y_light_years ** 2 +
                     coords.z_light_years ** 2
                 );
-                const radiusInEarthRadii = planet.pl_rade || 1.0;
-
-                // TRUE 1:1 SCALE: No boosts, no exceptions
-                const radius = radiusInEarthRadii * this.earthRadiusScale;
 
                 let tier = 3;
                 if (distLY < 25) tier = 1;
                 else if (distLY < 100) tier = 2;
 
-                const temperature = planet.pl_eqt || 300;
-                let material;
+                // Place the planet on its orbit (also registers/renders the host star)
+                this.registerOrbit(planet, isSolarPlanet);
 
-                // Use enriched planet type if available, otherwise estimate
-                let planetType = planet.planetType;
-                if (!planetType) {
-                    const radPos = (planet.characteristics?.radius_position || '').toLowerCase();
-                    planetType = 'rocky';
-                    if (radPos.includes('jupiter') || radiusInEarthRadii > 6) planetType = 'gasGiant';
-                    else if (radPos.includes('neptune') || radiusInEarthRadii > 2) planetType = 'iceGiant';
-                }
-
-                // Define textures and flags in outer scope of tier processing
-                let texture, specularMap, normalMap, emissiveMap;
-                let useRealTextures = false;
-
-                if (tier === 1) {
-                    // Use enriched colors if available, otherwise generate
-                    let colors;
-                    if (planet.color && planet.detailColor) {
-                        colors = { base: planet.color, detail: planet.detailColor };
-                    } else {
-                        colors = getColorByComposition(planet.characteristics?.principal_material || planetType, temperature, radiusInEarthRadii, planet.pl_masse || 1.0);
-                    }
-
-                    // PBR Material Settings based on Planetary Composition
-                    let roughness = 0.9;
-                    let metalness = 0.0;
-                    let emissive = 0x000000;
-                    let emissiveIntensity = 0;
-
-                    const subType = planet.planetSubType || '';
-
-                    if (subType === 'habitable' || subType === 'ice_world') {
-                        // Water/Ice: Specular highlights but not "wet plastic"
-                        roughness = 0.5; // Increased from 0.2
-                    } else if (subType === 'lava_world' || subType === 'hot_jupiter') {
-                        // Lava: Emissive glow
-                        roughness = 0.8;
-                        emissive = 0xff0000;
-                        emissiveIntensity = 0.3;
-                    } else if (subType === 'gas_giant' || subType === 'ice_giant') {
-                        // Giants: Dense atmosphere, slight sheen
-                        roughness = 0.6;
-                    }
-
-                    // SPECIAL HANDLING: Earth and Solar System
-                    const planetName = planet.pl_name || planet.name;
-                    const isEarth = planetName === 'Earth';
-
-                    if (isSolarPlanet || planet.isSolar || isEarth) {
-                        console.log(`🪐 Loading solar system planet: ${planetName}`);
-
-                        switch (planetName) {
-                            case 'Earth':
-                                texture = this.textureLoader.load('textures/planets/earth/earth_day_2048.jpg');
-                                specularMap = this.textureLoader.load('textures/planets/earth/earth_specular_2048.jpg');
-                                normalMap = this.textureLoader.load('textures/planets/earth/earth_normal_2048.jpg');
-                                emissiveMap = this.textureLoader.load('textures/planets/earth/earth_lights_2048.png');
-                                texture.colorSpace = THREE.SRGBColorSpace;
-                                if (emissiveMap) emissiveMap.colorSpace = THREE.SRGBColorSpace;
-                                useRealTextures = true;
-                                break;
-                            case 'Mars':
-                                texture = this.textureLoader.load('textures/planets/mars/2k_mars.jpg');
-                                texture.colorSpace = THREE.SRGBColorSpace;
-                                normalMap = generateNormalMapAsync(512, 2.5).then(t => { if (mesh.material) mesh.material.normalMap = t; });
-                                // Note: normalMap above is a promise, handled differently or we wait. 
-                                // Actually, for solar system, let's keep it simple. 
-                                // The textureLoader is async but returns object immediately.
-                                // We can't easily mix sync and async here for Solar System without refactoring.
-                                // BUT exoplanets are the main issue.
-                                useRealTextures = true;
-                                break;
-                            case 'Jupiter':
-                                texture = this.textureLoader.load('textures/planets/jupiter/2k_jupiter.jpg');
-                                texture.colorSpace = THREE.SRGBColorSpace;
-                                useRealTextures = true;
-                                break;
-                            case 'Saturn':
-                                texture = this.textureLoader.load('textures/planets/saturn/2k_saturn.jpg');
-                                texture.colorSpace = THREE.SRGBColorSpace;
-                                useRealTextures = true;
-                                break;
-                            case 'Neptune':
-                                texture = this.textureLoader.load('textures/planets/neptune/2k_neptune.jpg');
-                                texture.colorSpace = THREE.SRGBColorSpace;
-                                useRealTextures = true;
-                                break;
-                            case 'Uranus':
-                                texture = this.textureLoader.load('textures/planets/uranus/2k_uranus.jpg');
-                                texture.colorSpace = THREE.SRGBColorSpace;
-                                useRealTextures = true;
-                                break;
-                            case 'Venus':
-                                texture = this.textureLoader.load('textures/planets/venus/2k_venus_atmosphere.jpg');
-                                texture.colorSpace = THREE.SRGBColorSpace;
-                                useRealTextures = true;
-                                break;
-                            case 'Mercury':
-                                texture = this.textureLoader.load('textures/planets/mercury/2k_mercury.jpg');
-                                texture.colorSpace = THREE.SRGBColorSpace;
-                                useRealTextures = true;
-                                break;
-                        }
-                    }
-
-                    // For non-solar planets (Exoplanets) in Tier 1:
-                    // Initialize with simple base color first, then UPGRADE to texture asynchronously.
-                    // This prevents blocking and fixes the ReferenceError.
-
-                    material = new THREE.MeshStandardMaterial({
-                        color: texture ? new THREE.Color(0xffffff) : new THREE.Color(colors.base), // White if textured
-                        roughness: isEarth ? 0.35 : roughness,
-                        metalness: isEarth ? 0.0 : metalness,
-                        emissive: (emissiveMap) ? new THREE.Color(0xffaa44) : (emissive || new THREE.Color(0x000000)),
-                        emissiveIntensity: emissiveMap ? 0.8 : emissiveIntensity,
-                        transparent: false, // NEVER transparent
-                        opacity: 1.0,
-                        alphaTest: 0,
-                        depthWrite: true,
-                        depthTest: true,
-                        side: THREE.FrontSide
-                    });
-
-                    // Add textures (for Solar System planets that used TextureLoader)
-                    if (texture) {
-                        material.map = texture;
-                        // Note: normalMap for solar system was not fully handled above for async.
-                        // Ideally we should move solar system to async too, or keep using loaders.
-                    }
-
-                    // Add emissive map if it exists (Earth night lights)
-                    if (emissiveMap) {
-                        material.emissiveMap = emissiveMap;
-                    }
-
-                    // Add specular/metalness for Earth water
-                    if (useRealTextures && isEarth && specularMap) {
-                        material.metalnessMap = specularMap;
-                        material.metalness = 0.5;
-                        material.roughness = 0.2;
-                    }
-
-                } else if (tier === 2) {
-                    // Medium distance - simple colors, no textures
-                    let colors;
-                    if (planet.color && planet.detailColor) {
-                        colors = { base: planet.color, detail: planet.detailColor };
-                    } else {
-                        colors = getColorByComposition(planet.characteristics?.principal_material || planetType, temperature, radiusInEarthRadii, planet.pl_masse || 1.0);
-                    }
-
-                    material = new THREE.MeshStandardMaterial({
-                        color: new THREE.Color(colors.base),
-                        roughness: 0.9,
-                        metalness: 0.1,
-                        transparent: false, // NEVER transparent
-                        opacity: 1.0,
-                        alphaTest: 0,
-                        depthWrite: true,
-                        depthTest: true,
-                        side: THREE.FrontSide
-                    });
-
-                } else {
-                    // Use enriched color if available
-                    let baseColor = planet.color;
-                    if (!baseColor) {
-                        const style = getColorByComposition(planetType, temperature, radiusInEarthRadii, planet.pl_masse || 1.0);
-                        baseColor = style.base;
-                    }
-
-                    // Cache key based on color value (efficient batching)
-                    const colorKey = `mat_${baseColor}`;
-
-                    if (distantMaterials.has(colorKey)) {
-                        material = distantMaterials.get(colorKey);
-                    } else {
-                        material = new THREE.MeshStandardMaterial({
-                            color: new THREE.Color(baseColor),
-                            emissive: new THREE.Color(baseColor),
-                            emissiveIntensity: 0.8, // Bright glow
-                            roughness: 1.0,
-                            metalness: 0,
-                            transparent: false, // NEVER transparent
-                            opacity: 1.0,
-                            alphaTest: 0,
-                            depthWrite: true,
-                            depthTest: true,
-                            side: THREE.FrontSide
-                        });
-                        distantMaterials.set(colorKey, material);
-                    }
-                }
-
-                const geometry = (tier === 1) ? highPolyGeom.clone() : (tier === 2 ? midPolyGeom.clone() : lowPolyGeom.clone());
-                geometry.scale(radius, radius, radius);
-
-                const mesh = new THREE.Mesh(geometry, material);
-
-                // Force planets to render AFTER stars (write depth buffer)
-                mesh.renderOrder = 10;
-
-                // Apply Oblateness (Flattening)
-                if (planet.flattening) {
-                    mesh.scale.set(1, 1.0 - planet.flattening, 1);
+                // Tier 3: one instance in a shared InstancedMesh (promoted on approach, see updateLOD)
+                if (tier === 3 && !isSolarPlanet) {
+                    this.addInstancedPlanet(planet);
+                    this.renderedPlanets.add(planet.pl_name);
+                    continue;
                 }
 
-                // UNIFIED POSITIONING: All planets use coordinates_3d (light-years → scene units)
-                mesh.position.set(
-                    coords.x_light_years * this.sceneScale,
-                    coords.y_light_years * this.sceneScale,
-                    coords.z_light_years * this.sceneScale
-                );
-
-                mesh.userData.planetData = planet;
-                mesh.userData.planet = planet; // Compatibility
-                mesh.userData.planetName = planet.pl_name; // Compatibility
-                mesh.userData.isSolar = isSolarPlanet; // Mark solar system planets
-
-                // PBR Shadows
-                mesh.castShadow = true;
-                mesh.receiveShadow = true;
-
-                // --- Geometry Enhancements (Tier 1 Only) ---
-                if (tier === 1) {
-                    const isEarth = (planet.pl_name || planet.name) === 'Earth';
-
-                    // 1. Earth Atmosphere & Clouds
-                    if (isEarth) {
-                        // Use cloud shader for Earth
-                        const cloudTex = this.textureLoader.load('textures/planets/earth/earth_clouds_2048.png');
-                        cloudTex.colorSpace = THREE.SRGBColorSpace;
-
-                        const cloudMesh = createCloudLayer(radius, cloudTex);
-                        cloudMesh.material.uniforms.cloudOpacity.value = 0.5;
-                        cloudMesh.material.uniforms.cloudCoverage.value = 0.5;
-                        cloudMesh.name = 'EarthClouds';
-                        cloudMesh.userData.isClouds = true;
-                        mesh.add(cloudMesh);
-
-                        // Use atmosphere shader for Earth
-                        const atmosphereConfig = {
-                            color: 0x4a90e2,
-                            enabled: true
-                        };
-                        const atmosphereLayers = createAtmosphere(radius, atmosphereConfig);
-                        atmosphereLayers.forEach(layer => {
-                            mesh.add(layer);
-                        });
-                        mesh.name = 'Earth';
-                    }
-                    // Removed atmosphere for other planets for performance
-
-                    // 2. Ring System
-                    if (planet.rings && planet.rings.enabled) {
-                        const inner = planet.rings.innerRadius || 1.4;
-                        const outer = planet.rings.outerRadius || 2.2;
-                        const ringGeom = new THREE.RingGeometry(inner, outer, 32);
-                        const ringMat = new THREE.MeshStandardMaterial({
-                            color: planet.rings.color1 || 0x8c7853,
-                            side: THREE.DoubleSide,
-                            transparent: true,
-                            opacity: 0.8,
-                            depthWrite: true, // Rings write depth
-                            depthTest: true,  // Rings respect depth
-                            roughness: 0.8,
-                            metalness: 0.2
-                        });
-
-                        // Align texture UVs
-                        const pos = ringGeom.attributes.position;
-                        const v3 = new THREE.Vector3();
-                        for (let i = 0; i < pos.count; i++) {
-                            v3.fromBufferAttribute(pos, i);
-                            ringGeom.attributes.uv.setXY(i, v3.length() < (inner + outer) / 2 ? 0 : 1, 1);
-                        }
-
-                        const ringMesh = new THREE.Mesh(ringGeom, ringMat);
-                        ringMesh.renderOrder = 10; // Same as planets
-                        ringMesh.rotation.x = Math.PI / 2; // Flat relative to planet
-                        ringMesh.receiveShadow = true;
-                        ringMesh.castShadow = true;
-                        mesh.add(ringMesh);
-                    }
-                }
+                const { mesh, useRealTextures } = this.createPlanetMesh(planet, tier, isSolarPlanet);
 
                 this.meshGroup.add(mesh);
                 this.planetMeshMap.set(planet.pl_name, mesh); // Track for LOD updates
@@ -458,6 +213,10 @@ export class ExoplanetField {
                 }
             }
 
+            // Upload new instances and refresh batch bounds
+            this.instancedLayer.flush();
+            this.hostStarField.flush();
+
             if (index < planetBatch.length) {
                 if (window.requestIdleCallback) window.requestIdleCallback(processBatch);
                 else setTimeout(processBatch, 16);
@@ -467,6 +226,474 @@ export class ExoplanetField {
         processBatch();
     }
 
+    /**
+     * Solar system planet names - rendered with special handling
+     */
+    isSolarSystemPlanet(planet) {
+        const solarSystemPlanets = ['Mercury', 'Venus', 'Earth', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
+        return planet.hostname === 'Sun' && solarSystemPlanets.includes(planet.pl_name);
+    }
+
+    /**
+     * Use enriched planet type if available, otherwise estimate from radius
+     */
+    getPlanetType(planet) {
+        if (planet.planetType) return planet.planetType;
+
+        const radiusInEarthRadii = planet.pl_rade || 1.0;
+        const radPos = (planet.characteristics?.radius_position || '').toLowerCase();
+        if (radPos.includes('jupiter') || radiusInEarthRadii > 6) return 'gasGiant';
+        if (radPos.includes('neptune') || radiusInEarthRadii > 2) return 'iceGiant';
+        return 'rocky';
+    }
+
+    /**
+     * Local (meshGroup space) position of a planet - its current orbital position when it has one
+     */
+    getPlanetLocalPosition(planet, target = new THREE.Vector3()) {
+        const entry = this.orbits.get(planet.pl_name);
+        if (entry) return target.copy(entry.position);
+
+        return this.getStaticPosition(planet, target);
+    }
+
+    /**
+     * Add a far-tier planet to the instanced layer
+     */
+    addInstancedPlanet(planet) {
+        const radiusInEarthRadii = planet.pl_rade || 1.0;
+        const radius = planet.radius || radiusInEarthRadii * this.earthRadiusScale;
+
+        // Use enriched color if available
+        let baseColor = planet.color;
+        if (!baseColor) {
+            const temperature = planet.pl_eqt || 300;
+            baseColor = getColorByComposition(this.getPlanetType(planet), temperature, radiusInEarthRadii, planet.pl_masse || 1.0).base;
+        }
+
+        this.instancedLayer.add(planet, this.getPlanetLocalPosition(planet), radius, baseColor);
+    }
+
+    /**
+     * Current simulation time (Julian Date)
+     */
+    getJulianDate() {
+        return this.simulationClock ? this.simulationClock.getJulianDate() : this.frozenJulianDate;
+    }
+
+    /**
+     * Host star system for a planet, placed (and its star rendered) on first use
+     * Shares the StarSystem built by the data service when there is one.
+     * The Sun sits at the catalogue origin where the spacecraft starts, so it is not drawn.
+     */
+    getHostSystem(planet, isSolarPlanet = false) {
+        const name = isSolarPlanet ? 'Sun' : (planet.hostname || planet.pl_name);
+        if (this.hostSystems.has(name)) return this.hostSystems.get(name);
+
+        const system = this.dataService.getStarSystem?.(name) || new StarSystem(name, planet);
+        const config = this.orbitConfig;
+        const radius = Math.min(Math.max(system.stellarRadius * config.starRadiusScale, config.minStarRadius), config.maxStarRadius);
+        const position = isSolarPlanet ? new THREE.Vector3() : this.getStaticPosition(planet);
+
+        // Sky frame -> scene: Z axis points from the star back to the observer at the origin
+        // (the solar system uses its own ecliptic-like frame, where +Z is the orbit normal)
+        const basis = system.basis.identity();
+        if (!isSolarPlanet && position.lengthSq() > 0) {
+            const towardsObserver = position.clone().negate().normalize();
+            const reference = Math.abs(towardsObserver.z) > 0.99 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 0, 1);
+            const east = new THREE.Vector3().crossVectors(reference, towardsObserver).normalize();
+            const north = new THREE.Vector3().crossVectors(towardsObserver, east);
+            basis.makeBasis(east, north, towardsObserver);
+        }
+
+        system.position.copy(position);
+        system.radius = radius;
+        this.hostSystems.set(name, system);
+
+        if (!isSolarPlanet) {
+            this.hostStarField.add(name, position, radius, system.color);
+        }
+        return system;
+    }
+
+    /**
+     * Catalogue position (coordinates_3d) in scene units
+     */
+    getStaticPosition(planet, target = new THREE.Vector3()) {
+        const coords = planet.characteristics.coordinates_3d;
+        return target.set(
+            coords.x_light_years * this.sceneScale,
+            coords.y_light_years * this.sceneScale,
+            coords.z_light_years * this.sceneScale
+        );
+    }
+
+    /**
+     * Attach a planet to its host star with a Kepler orbit and compute its current position
+     */
+    registerOrbit(planet, isSolarPlanet = false) {
+        if (this.orbits.has(planet.pl_name)) return this.orbits.get(planet.pl_name);
+
+        const system = this.getHostSystem(planet, isSolarPlanet);
+        const entry = {
+            planet,
+            orbit: KeplerOrbit.fromPlanet(planet),
+            system,
+            planetRadius: planet.radius || (planet.pl_rade || 1.0) * this.earthRadiusScale,
+            position: new THREE.Vector3()
+        };
+        system.addPlanet(planet);
+        this.orbits.set(planet.pl_name, entry);
+
+        this.computeOrbitPosition(entry, this.getJulianDate(), entry.position);
+        this.orbitIndexDirty = true;
+        return entry;
+    }
+
+    /**
+     * Map a true orbital distance (AU) to scene units, keeping sibling order and clearing the star
+     */
+    getVisualOrbitDistance(distanceAU, system, planetRadius = 0) {
+        const { auScale, compressBeyond } = this.orbitConfig;
+        const scaled = distanceAU <= compressBeyond
+            ? Math.sqrt(distanceAU * compressBeyond)
+            : compressBeyond * (1 + 0.5 * Math.log(distanceAU / compressBeyond));
+        return system.radius * 1.2 + planetRadius + scaled * auScale;
+    }
+
+    /**
+     * Local (meshGroup space) position of a planet on its orbit at a Julian Date
+     */
+    computeOrbitPosition(entry, julianDate, target = new THREE.Vector3()) {
+        const offset = entry.orbit.getPosition(julianDate, this.tempOrbitPosition);
+        const distanceAU = offset.length();
+        if (distanceAU > 0) {
+            offset.multiplyScalar(this.getVisualOrbitDistance(distanceAU, entry.system, entry.planetRadius) / distanceAU);
+        }
+        offset.applyMatrix4(entry.system.basis);
+        return target.copy(entry.system.position).add(offset);
+    }
+
+    /**
+     * Move every planet along its orbit
+     * The spatial index is refreshed at a lower rate (queries re-check live positions).
+     * Nothing moves while the clock is paused, so the same date is skipped.
+     */
+    updateOrbits(julianDate) {
+        if (julianDate !== this.lastOrbitJulianDate) {
+            this.lastOrbitJulianDate = julianDate;
+            this.moveOrbits(julianDate);
+        }
+
+        const now = performance.now();
+        const index = this.dataService.spatialIndex;
+        if (index && this.orbitIndexDirty && now - this.lastOrbitIndexUpdate >= this.orbitConfig.indexUpdateInterval) {
+            this.lastOrbitIndexUpdate = now;
+            this.orbitIndexDirty = false;
+            for (const entry of this.orbits.values()) {
+                if (index.has(entry.planet)) {
+                    index.update(entry.planet, this.tempOrbitPosition.copy(entry.position).divideScalar(this.sceneScale));
+                }
+            }
+        }
+    }
+
+    moveOrbits(julianDate) {
+        for (const entry of this.orbits.values()) {
+            this.computeOrbitPosition(entry, julianDate, entry.position);
+
+            const mesh = this.planetMeshMap.get(entry.planet.pl_name);
+            if (mesh) {
+                mesh.position.copy(entry.position);
+            } else {
+                this.instancedLayer.setPosition(entry.planet, entry.position);
+            }
+        }
+        this.instancedLayer.flush();
+        this.orbitIndexDirty = true;
+    }
+
+    /**
+     * Current world-space position of a planet (follows its orbit)
+     * @returns {THREE.Vector3|null} null if the planet has no position
+     */
+    getPlanetWorldPosition(planet, target = new THREE.Vector3()) {
+        if (!planet) return null;
+        if (!this.orbits.has(planet.pl_name)) {
+            const coords = planet.characteristics?.coordinates_3d;
+            if (!coords || coords.x_light_years === null || coords.x_light_years === undefined) return null;
+        }
+
+        return this.getPlanetLocalPosition(planet, target)
+            .multiply(this.meshGroup.scale)
+            .add(this.meshGroup.position);
+    }
+
+    /**
+     * Build a dedicated mesh for one planet
+     * @param {Object} planet - Enriched planet data
+     * @param {number} tier - 1 (near, textured) or 2 (medium, flat color)
+     * @param {boolean} isSolarPlanet
+     * @returns {{mesh: THREE.Mesh, useRealTextures: boolean}}
+     */
+    createPlanetMesh(planet, tier, isSolarPlanet = false) {
+        const radiusInEarthRadii = planet.pl_rade || 1.0;
+
+        // TRUE 1:1 SCALE: No boosts, no exceptions
+        const radius = radiusInEarthRadii * this.earthRadiusScale;
+
+        const temperature = planet.pl_eqt || 300;
+        let material;
+
+        // Use enriched planet type if available, otherwise estimate
+        const planetType = this.getPlanetType(planet);
+
+        // Define textures and flags in outer scope of tier processing
+        let texture, specularMap, normalMap, emissiveMap;
+        let useRealTextures = false;
+
+        if (tier === 1) {
+            // Use enriched colors if available, otherwise generate
+            let colors;
+            if (planet.color && planet.detailColor) {
+                colors = { base: planet.color, detail: planet.detailColor };
+            } else {
+                colors = getColorByComposition(planet.characteristics?.principal_material || planetType, temperature, radiusInEarthRadii, planet.pl_masse || 1.0);
+            }
+
+            // PBR Material Settings based on Planetary Composition
+            let roughness = 0.9;
+            let metalness = 0.0;
+            let emissive = 0x000000;
+            let emissiveIntensity = 0;
+
+            const subType = planet.planetSubType || '';
+
+            if (subType === 'habitable' || subType === 'ice_world') {
+                // Water/Ice: Specular highlights but not "wet plastic"
+                roughness = 0.5; // Increased from 0.2
+            } else if (subType === 'lava_world' || subType === 'hot_jupiter') {
+                // Lava: Emissive glow
+                roughness = 0.8;
+                emissive = 0xff0000;
+                emissiveIntensity = 0.3;
+            } else if (subType === 'gas_giant' || subType === 'ice_giant') {
+                // Giants: Dense atmosphere, slight sheen
+                roughness = 0.6;
+            }
+
+            // SPECIAL HANDLING: Earth and Solar System
+            const planetName = planet.pl_name || planet.name;
+            const isEarth = planetName === 'Earth';
+
+            if (isSolarPlanet || planet.isSolar || isEarth) {
+                console.log(`🪐 Loading solar system planet: ${planetName}`);
+
+                switch (planetName) {
+                    case 'Earth':
+                        texture = this.textureLoader.load('textures/planets/earth/earth_day_2048.jpg');
+                        specularMap = this.textureLoader.load('textures/planets/earth/earth_specular_2048.jpg');
+                        normalMap = this.textureLoader.load('textures/planets/earth/earth_normal_2048.jpg');
+                        emissiveMap = this.textureLoader.load('textures/planets/earth/earth_lights_2048.png');
+                        texture.colorSpace = THREE.SRGBColorSpace;
+                        if (emissiveMap) emissiveMap.colorSpace = THREE.SRGBColorSpace;
+                        useRealTextures = true;
+                        break;
+                    case 'Mars':
+                        texture = this.textureLoader.load('textures/planets/mars/2k_mars.jpg');
+                        texture.colorSpace = THREE.SRGBColorSpace;
+                        normalMap = generateNormalMapAsync(512, 2.5).then(t => { if (mesh.material) mesh.material.normalMap = t; });
+                        // Note: normalMap above is a promise, handled differently or we wait. 
+                        // Actually, for solar system, let's keep it simple. 
+                        // The textureLoader is async but returns object immediately.
+                        // We can't easily mix sync and async here for Solar System without refactoring.
+                        // BUT exoplanets are the main issue.
+                        useRealTextures = true;
+                        break;
+                    case 'Jupiter':
+                        texture = this.textureLoader.load('textures/planets/jupiter/2k_jupiter.jpg');
+                        texture.colorSpace = THREE.SRGBColorSpace;
+                        useRealTextures = true;
+                        break;
+                    case 'Saturn':
+                        texture = this.textureLoader.load('textures/planets/saturn/2k_saturn.jpg');
+                        texture.colorSpace = THREE.SRGBColorSpace;
+                        useRealTextures = true;
+                        break;
+                    case 'Neptune':
+                        texture = this.textureLoader.load('textures/planets/neptune/2k_neptune.jpg');
+                        texture.colorSpace = THREE.SRGBColorSpace;
+                        useRealTextures = true;
+                        break;
+                    case 'Uranus':
+                        texture = this.textureLoader.load('textures/planets/uranus/2k_uranus.jpg');
+                        texture.colorSpace = THREE.SRGBColorSpace;
+                        useRealTextures = true;
+                        break;
+                    case 'Venus':
+                        texture = this.textureLoader.load('textures/planets/venus/2k_venus_atmosphere.jpg');
+                        texture.colorSpace = THREE.SRGBColorSpace;
+                        useRealTextures = true;
+                        break;
+                    case 'Mercury':
+                        texture = this.textureLoader.load('textures/planets/mercury/2k_mercury.jpg');
+                        texture.colorSpace = THREE.SRGBColorSpace;
+                        useRealTextures = true;
+                        break;
+                }
+            }
+
+            // For non-solar planets (Exoplanets) in Tier 1:
+            // Initialize with simple base color first, then UPGRADE to texture asynchronously.
+            // This prevents blocking and fixes the ReferenceError.
+
+            material = new THREE.MeshStandardMaterial({
+                color: texture ? new THREE.Color(0xffffff) : new THREE.Color(colors.base), // White if textured
+                roughness: isEarth ? 0.35 : roughness,
+                metalness: isEarth ? 0.0 : metalness,
+                emissive: (emissiveMap) ? new THREE.Color(0xffaa44) : (emissive || new THREE.Color(0x000000)),
+                emissiveIntensity: emissiveMap ? 0.8 : emissiveIntensity,
+                transparent: false, // NEVER transparent
+                opacity: 1.0,
+                alphaTest: 0,
+                depthWrite: true,
+                depthTest: true,
+                side: THREE.FrontSide
+            });
+
+            // Add textures (for Solar System planets that used TextureLoader)
+            if (texture) {
+                material.map = texture;
+                // Note: normalMap for solar system was not fully handled above for async.
+                // Ideally we should move solar system to async too, or keep using loaders.
+            }
+
+            // Add emissive map if it exists (Earth night lights)
+            if (emissiveMap) {
+                material.emissiveMap = emissiveMap;
+            }
+
+            // Add specular/metalness for Earth water
+            if (useRealTextures && isEarth && specularMap) {
+                material.metalnessMap = specularMap;
+                material.metalness = 0.5;
+                material.roughness = 0.2;
+            }
+
+        } else {
+            // Medium distance (or promoted far planet) - simple colors, no textures
+            let colors;
+            if (planet.color && planet.detailColor) {
+                colors = { base: planet.color, detail: planet.detailColor };
+            } else {
+                colors = getColorByComposition(planet.characteristics?.principal_material || planetType, temperature, radiusInEarthRadii, planet.pl_masse || 1.0);
+            }
+
+            material = new THREE.MeshStandardMaterial({
+                color: new THREE.Color(colors.base),
+                roughness: 0.9,
+                metalness: 0.1,
+                transparent: false, // NEVER transparent
+                opacity: 1.0,
+                alphaTest: 0,
+                depthWrite: true,
+                depthTest: true,
+                side: THREE.FrontSide
+            });
+
+        }
+
+        const geometry = (tier === 1) ? this.sphereGeometries.high.clone() : this.sphereGeometries.mid.clone();
+        geometry.scale(radius, radius, radius);
+
+        const mesh = new THREE.Mesh(geometry, material);
+
+        // Force planets to render AFTER stars (write depth buffer)
+        mesh.renderOrder = 10;
+
+        // Apply Oblateness (Flattening)
+        if (planet.flattening) {
+            mesh.scale.set(1, 1.0 - planet.flattening, 1);
+        }
+
+        // UNIFIED POSITIONING: coordinates_3d (light-years → scene units), offset along the orbit
+        this.getPlanetLocalPosition(planet, mesh.position);
+
+        mesh.userData.planetData = planet;
+        mesh.userData.planet = planet; // Compatibility
+        mesh.userData.planetName = planet.pl_name; // Compatibility
+        mesh.userData.isSolar = isSolarPlanet; // Mark solar system planets
+
+        // PBR Shadows
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+
+        // --- Geometry Enhancements (Tier 1 Only) ---
+        if (tier === 1) {
+            const isEarth = (planet.pl_name || planet.name) === 'Earth';
+
+            // 1. Earth Atmosphere & Clouds
+            if (isEarth) {
+                // Use cloud shader for Earth
+                const cloudTex = this.textureLoader.load('textures/planets/earth/earth_clouds_2048.png');
+                cloudTex.colorSpace = THREE.SRGBColorSpace;
+
+                const cloudMesh = createCloudLayer(radius, cloudTex);
+                cloudMesh.material.uniforms.cloudOpacity.value = 0.5;
+                cloudMesh.material.uniforms.cloudCoverage.value = 0.5;
+                cloudMesh.name = 'EarthClouds';
+                cloudMesh.userData.isClouds = true;
+                mesh.add(cloudMesh);
+
+                // Use atmosphere shader for Earth
+                const atmosphereConfig = {
+                    color: 0x4a90e2,
+                    enabled: true
+                };
+                const atmosphereLayers = createAtmosphere(radius, atmosphereConfig);
+                atmosphereLayers.forEach(layer => {
+                    mesh.add(layer);
+                });
+                mesh.name = 'Earth';
+            }
+            // Removed atmosphere for other planets for performance
+
+            // 2. Ring System
+            if (planet.rings && planet.rings.enabled) {
+                const inner = planet.rings.innerRadius || 1.4;
+                const outer = planet.rings.outerRadius || 2.2;
+                const ringGeom = new THREE.RingGeometry(inner, outer, 32);
+                const ringMat = new THREE.MeshStandardMaterial({
+                    color: planet.rings.color1 || 0x8c7853,
+                    side: THREE.DoubleSide,
+                    transparent: true,
+                    opacity: 0.8,
+                    depthWrite: true, // Rings write depth
+                    depthTest: true,  // Rings respect depth
+                    roughness: 0.8,
+                    metalness: 0.2
+                });
+
+                // Align texture UVs
+                const pos = ringGeom.attributes.position;
+                const v3 = new THREE.Vector3();
+                for (let i = 0; i < pos.count; i++) {
+                    v3.fromBufferAttribute(pos, i);
+                    ringGeom.attributes.uv.setXY(i, v3.length() < (inner + outer) / 2 ? 0 : 1, 1);
+                }
+
+                const ringMesh = new THREE.Mesh(ringGeom, ringMat);
+                ringMesh.renderOrder = 10; // Same as planets
+                ringMesh.rotation.x = Math.PI / 2; // Flat relative to planet
+                ringMesh.receiveShadow = true;
+                ringMesh.castShadow = true;
+                mesh.add(ringMesh);
+            }
+        }
+
+        return { mesh, useRealTextures };
+    }
+
     /** No longer clearing everything by default */
     update3DMeshes() {
         this.create3DMeshes();
@@ -492,24 +719,40 @@ export class ExoplanetField {
      * Update animation and LOD system
      * @param {number} deltaTime - Time since last frame
      * @param {THREE.Vector3} spacecraftPosition - Current spacecraft world position (optional)
+     * @param {THREE.Camera} camera - Active camera, lets LOD prioritise visible planets (optional)
      */
-    update(deltaTime, spacecraftPosition = null) {
+    update(deltaTime, spacecraftPosition = null, camera = null) {
+        // Orbital motion follows the simulation clock
+        if (this.simulationClock) {
+            this.updateOrbits(this.simulationClock.getJulianDate());
+        }
+
         // High-fidelity animation for Earth
         const earthMesh = this.meshGroup.getObjectByName('Earth');
         if (earthMesh) {
-            // Standard planetary rotation
-            earthMesh.rotation.y += deltaTime * 0.1;
-
-            // Dynamic clouds: rotating at a slightly different speed for realism
             const clouds = earthMesh.getObjectByName('EarthClouds');
-            if (clouds) {
-                clouds.rotation.y += deltaTime * 0.03;
+
+            if (this.simulationClock) {
+                // Earth Rotation Angle (IERS) at the simulated epoch, clouds drift at 30% of the spin
+                const turns = 0.7790572732640 + 1.00273781191135448 * this.simulationClock.getDaysSinceJ2000();
+                earthMesh.rotation.y = (turns % 1) * Math.PI * 2;
+                if (clouds) {
+                    clouds.rotation.y = ((turns * 0.3) % 1) * Math.PI * 2;
+                }
+            } else {
+                // Standard planetary rotation
+                earthMesh.rotation.y += deltaTime * 0.1;
+
+                // Dynamic clouds: rotating at a slightly different speed for realism
+                if (clouds) {
+                    clouds.rotation.y += deltaTime * 0.03;
+                }
             }
         }
 
         // LOD System: Update planet textures based on distance from spacecraft
         if (spacecraftPosition) {
-            this.updateLOD(spacecraftPosition);
+            this.updateLOD(spacecraftPosition, camera);
         }
     }
 
@@ -534,6 +777,7 @@ export class ExoplanetField {
 
         // Quick downgrade of previously loaded textures (this is fast)
         for (const planetName of this.loadedHighResTextures) {
+            if (this.promotedPlanets.has(planetName)) continue; // Demoted below
             const mesh = this.planetMeshMap.get(planetName);
             if (mesh) {
                 const planetData = mesh.userData.planetData || mesh.userData.planet;
@@ -545,25 +789,22 @@ export class ExoplanetField {
         }
         this.loadedHighResTextures.clear();
 
+        // Promoted far planets go back to their instances
+        for (const planetName of [...this.promotedPlanets]) {
+            this.demotePlanet(planetName);
+        }
+
         // Find all planets that need upgrading, sorted by distance (closest first)
         const planetsToUpgrade = [];
 
-        for (const [planetName, mesh] of this.planetMeshMap) {
-            const planetWorldPos = new THREE.Vector3();
-            mesh.getWorldPosition(planetWorldPos);
-            const distance = spacecraftPosition.distanceTo(planetWorldPos);
-
-            const planetData = mesh.userData.planetData || mesh.userData.planet;
-            if (planetData?.isSolar || mesh.userData.isSolar) continue;
+        for (const { planet: planetData, distance } of this.getPlanetsWithinDistance(spacecraftPosition, this.lodConfig.highDetailDistance)) {
+            const mesh = this.planetMeshMap.get(planetData.pl_name) || null;
+            if (!mesh && !this.instancedLayer.has(planetData)) continue;
+            if (planetData.isSolar || mesh?.userData.isSolar) continue;
 
-            if (distance < this.lodConfig.highDetailDistance) {
-                planetsToUpgrade.push({ planetName, mesh, planetData, distance });
-            }
+            planetsToUpgrade.push({ planetName: planetData.pl_name, mesh, planetData, distance });
         }
 
-        // Sort by distance - load closest planets first
-        planetsToUpgrade.sort((a, b) => a.distance - b.distance);
-
         console.log(`📊 ${planetsToUpgrade.length} planets queued for lazy loading`);
 
         // Load textures lazily, one at a time, using idle callbacks
@@ -574,7 +815,10 @@ export class ExoplanetField {
                 return;
             }
 
-            const { planetName, mesh, planetData } = planetsToUpgrade[loadIndex];
+            const { planetName, planetData } = planetsToUpgrade[loadIndex];
+
+            // Instanced planets get a dedicated mesh first
+            const mesh = planetsToUpgrade[loadIndex].mesh || this.promotePlanet(planetData);
 
             // Upgrade this planet's texture
             this.upgradeToHighResTexture(mesh, planetData);
@@ -600,45 +844,228 @@ export class ExoplanetField {
 
     /**
      * LOD Update - Upgrade/downgrade planet textures based on distance from spacecraft
+     * Only high-res planets and planets returned by the spatial index are visited,
+     * so the cost no longer grows with the number of loaded clusters.
+     * Instanced (far-tier) planets are promoted to a dedicated mesh inside
+     * highDetailDistance and demoted back to their instance beyond mediumDetailDistance
+     * @param {THREE.Vector3} spacecraftPosition
+     * @param {THREE.Camera} camera - Optional, visible planets are upgraded first
      */
-    updateLOD(spacecraftPosition) {
+    updateLOD(spacecraftPosition, camera = null) {
         const now = performance.now();
         if (now - this.lastLodUpdate < this.lodConfig.updateInterval) return;
         this.lastLodUpdate = now;
 
         let updatesThisFrame = 0;
+        const planetWorldPos = new THREE.Vector3();
+        const nearby = this.getPlanetsWithinDistance(spacecraftPosition, this.lodConfig.highDetailDistance);
 
-        for (const [planetName, mesh] of this.planetMeshMap) {
-            if (updatesThisFrame >= this.lodConfig.maxUpdatesPerFrame) break;
+        this.updateSystemDetail(spacecraftPosition, nearby);
+
+        // Downgrade texture if far and currently high-res (save memory)
+        for (const planetName of this.loadedHighResTextures) {
+            if (updatesThisFrame >= this.lodConfig.maxUpdatesPerFrame) return;
+
+            const mesh = this.planetMeshMap.get(planetName);
+            if (!mesh) continue;
 
-            // Get world position of planet mesh
-            const planetWorldPos = new THREE.Vector3();
             mesh.getWorldPosition(planetWorldPos);
+            if (spacecraftPosition.distanceTo(planetWorldPos) > this.lodConfig.mediumDetailDistance) {
+                if (this.promotedPlanets.has(planetName)) {
+                    this.demotePlanet(planetName);
+                } else {
+                    this.downgradeToLowResTexture(mesh, mesh.userData.planetData || mesh.userData.planet);
+                    this.loadedHighResTextures.delete(planetName);
+                }
+                updatesThisFrame++;
+            }
+        }
 
-            // Calculate distance from spacecraft
-            const distance = spacecraftPosition.distanceTo(planetWorldPos);
+        // Upgrade texture if close and not already high-res
+        let candidates = nearby
+            .map(result => result.planet)
+            .filter(planet => !this.loadedHighResTextures.has(planet.pl_name));
+
+        if (camera && candidates.length > this.lodConfig.maxUpdatesPerFrame) {
+            const visible = new Set(this.getPlanetsInFrustum(camera));
+            candidates = [
+                ...candidates.filter(planet => visible.has(planet)),
+                ...candidates.filter(planet => !visible.has(planet))
+            ];
+        }
 
-            // Determine desired LOD level
-            const needsHighRes = distance < this.lodConfig.highDetailDistance;
-            const hasHighRes = this.loadedHighResTextures.has(planetName);
+        for (const planetData of candidates) {
+            if (updatesThisFrame >= this.lodConfig.maxUpdatesPerFrame) break;
 
             // Skip solar system planets (they always have high-res textures)
-            const planetData = mesh.userData.planetData || mesh.userData.planet;
-            if (planetData?.isSolar || mesh.userData.isSolar) continue;
+            if (planetData.isSolar) continue;
 
-            // Upgrade texture if close and not already high-res
-            if (needsHighRes && !hasHighRes) {
-                this.upgradeToHighResTexture(mesh, planetData);
-                this.loadedHighResTextures.add(planetName);
-                updatesThisFrame++;
+            let mesh = this.planetMeshMap.get(planetData.pl_name);
+            if (!mesh && this.instancedLayer.has(planetData)) {
+                mesh = this.promotePlanet(planetData);
             }
-            // Downgrade texture if far and currently high-res (save memory)
-            else if (!needsHighRes && hasHighRes && distance > this.lodConfig.mediumDetailDistance) {
-                this.downgradeToLowResTexture(mesh, planetData);
-                this.loadedHighResTextures.delete(planetName);
-                updatesThisFrame++;
+            if (!mesh || mesh.userData.isSolar) continue;
+
+            this.upgradeToHighResTexture(mesh, planetData);
+            this.loadedHighResTextures.add(planetData.pl_name);
+            updatesThisFrame++;
+        }
+    }
+
+    /**
+     * Draw host systems of nearby planets in detail (Star mesh + habitable zone shell)
+     * and fall back to the instanced star beyond mediumDetailDistance
+     */
+    updateSystemDetail(spacecraftPosition, nearbyPlanets) {
+        const starWorldPos = new THREE.Vector3();
+        const toWorld = (system) => starWorldPos.copy(system.position).multiply(this.meshGroup.scale).add(this.meshGroup.position);
+
+        for (const system of [...this.detailedSystems]) {
+            if (spacecraftPosition.distanceTo(toWorld(system)) > this.lodConfig.mediumDetailDistance) {
+                this.hideSystemDetail(system);
             }
         }
+
+        for (const { planet } of nearbyPlanets) {
+            const system = this.orbits.get(planet.pl_name)?.system;
+            if (!system || system.isSolar || this.detailedSystems.has(system)) continue;
+            this.showSystemDetail(system);
+        }
+    }
+
+    showSystemDetail(system) {
+        const { inner, outer } = system.habitableZone;
+        const visual = system.createVisual(
+            this.getVisualOrbitDistance(inner, system),
+            this.getVisualOrbitDistance(outer, system)
+        );
+        this.meshGroup.add(visual);
+        this.hostStarField.setVisible(system.name, false);
+        this.detailedSystems.add(system);
+    }
+
+    hideSystemDetail(system) {
+        system.disposeVisual();
+        this.hostStarField.setVisible(system.name, true);
+        this.detailedSystems.delete(system);
+    }
+
+    /**
+     * Replace a planet's instance with a dedicated (Tier 2) mesh
+     * @returns {THREE.Mesh} The new mesh
+     */
+    promotePlanet(planet) {
+        const existing = this.planetMeshMap.get(planet.pl_name);
+        if (existing) return existing;
+
+        const { mesh } = this.createPlanetMesh(planet, 2);
+        this.meshGroup.add(mesh);
+        this.planetMeshMap.set(planet.pl_name, mesh);
+
+        this.instancedLayer.hide(planet);
+        this.instancedLayer.flush();
+        this.promotedPlanets.add(planet.pl_name);
+        return mesh;
+    }
+
+    /**
+     * Dispose a promoted planet's mesh and show its instance again
+     */
+    demotePlanet(planetName) {
+        const mesh = this.planetMeshMap.get(planetName);
+        this.promotedPlanets.delete(planetName);
+        this.loadedHighResTextures.delete(planetName);
+        if (!mesh) return;
+
+        const planet = mesh.userData.planetData;
+        this.meshGroup.remove(mesh);
+        this.planetMeshMap.delete(planetName);
+        mesh.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (child.material.map) child.material.map.dispose();
+                if (child.material.normalMap) child.material.normalMap.dispose();
+                child.material.dispose();
+            }
+        });
+
+        this.instancedLayer.show(planet);
+        this.instancedLayer.flush();
+        console.log(`📉 LOD: ${planetName} returned to instanced rendering`);
+    }
+
+    /**
+     * Resolve a raycast intersection to planet data (handles per-instance hits)
+     * @param {Object} intersect - Entry from Raycaster.intersectObjects()
+     * @returns {{planetData: Object, object: THREE.Object3D}|null}
+     *          object is the planet mesh, or an invisible proxy for instanced planets
+     */
+    resolveIntersection(intersect) {
+        if (!intersect) return null;
+
+        const hit = intersect.object;
+        if (hit.isInstancedMesh && hit.userData.isPlanetInstances) {
+            const planet = this.instancedLayer.getPlanet(hit, intersect.instanceId);
+            return planet ? { planetData: planet, object: this.instancedLayer.getProxy(planet) } : null;
+        }
+
+        // Walk up to the planet mesh (atmosphere, clouds and rings are children)
+        let object = hit;
+        while (object && !object.userData.planetData) {
+            object = object.parent;
+        }
+        return object ? { planetData: object.userData.planetData, object } : null;
+    }
+
+    /**
+     * Object3D representing a planet (dedicated mesh or instance proxy)
+     */
+    getPlanetObject(planetName) {
+        const mesh = this.planetMeshMap.get(planetName);
+        if (mesh) return mesh;
+
+        const planet = this.dataService.getPlanetByName(planetName);
+        return planet ? this.instancedLayer.getProxy(planet) : null;
+    }
+
+    /**
+     * World units per light-year (sceneScale x meshGroup scale)
+     */
+    getWorldScale() {
+        return this.sceneScale * this.meshGroup.scale.x;
+    }
+
+    /**
+     * Spatial index query: planets within a world-space distance, closest first
+     * @returns {Array<{planet, distance}>} distance in world units
+     */
+    getPlanetsWithinDistance(worldPosition, worldDistance) {
+        const index = this.dataService.spatialIndex;
+        if (!index) return [];
+
+        const worldScale = this.getWorldScale();
+        const point = worldPosition.clone().divideScalar(worldScale);
+
+        return index.withinRadius(point, worldDistance / worldScale)
+            .map(result => ({ planet: result.item, distance: result.distance * worldScale }));
+    }
+
+    /**
+     * Spatial index query: planets inside the camera frustum
+     * @returns {Array<Object>} Planet data objects
+     */
+    getPlanetsInFrustum(camera) {
+        const index = this.dataService.spatialIndex;
+        if (!index || !camera) return [];
+
+        // Build the frustum directly in index space (light-years)
+        camera.updateMatrixWorld();
+        const lightYearsToWorld = new THREE.Matrix4().makeScale(this.getWorldScale(), this.getWorldScale(), this.getWorldScale());
+        const projection = new THREE.Matrix4()
+            .multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+            .multiply(lightYearsToWorld);
+
+        return index.inFrustum(new THREE.Frustum().setFromProjectionMatrix(projection));
     }
 
     /**
@@ -746,26 +1173,25 @@ export class ExoplanetField {
 
     /**
      * Get planet at position (for interaction)
+     * @param {THREE.Vector3} position - Position in scene units (light-years x sceneScale)
      */
     getPlanetAtPosition(position, radius = 5) {
-        return this.planets.find(planet => {
-            const coords = planet.characteristics?.coordinates_3d;
-            if (!coords) return false;
-
-            const planetPos = new THREE.Vector3(
-                coords.x_light_years * this.sceneScale,
-                coords.y_light_years * this.sceneScale,
-                coords.z_light_years * this.sceneScale
-            );
+        const index = this.dataService.spatialIndex;
+        if (!index) return undefined;
 
-            return planetPos.distanceTo(position) < radius;
-        });
+        const point = position.clone().divideScalar(this.sceneScale);
+        const [nearest] = index.nearest(point, 1, radius / this.sceneScale);
+        return nearest?.item;
     }
 
     /**
      * Dispose of resources
      */
     dispose() {
+        for (const system of this.detailedSystems) system.disposeVisual();
+        this.detailedSystems.clear();
+        this.instancedLayer.dispose();
+        this.hostStarField.dispose();
         while (this.meshGroup.children.length > 0) {
             const child = this.meshGroup.children[0];
             if (child.geometry) child.geometry.dispose();
@@ -773,5 +1199,11 @@ export class ExoplanetField {
             this.meshGroup.remove(child);
         }
         this.renderedPlanets.clear();
+        this.planetMeshMap.clear();
+        this.promotedPlanets.clear();
+        this.orbits.clear();
+        this.hostSystems.clear();
+        this.sphereGeometries.high.dispose();
+        this.sphereGeometries.mid.dispose();
     }
 }
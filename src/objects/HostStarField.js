@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+
+/**
+ * HostStarField - Draws the host star of every exoplanet system
+ * Stars are instanced (one draw call per batch) and self-illuminated,
+ * colored by temperature and sized from st_rad.
+ */
+export class HostStarField {
+    /**
+     * @param {THREE.Object3D} parent - Group the batches are added to
+     * @param {Object} options
+     * @param {number} options.batchSize - Max stars per InstancedMesh
+     */
+    constructor(parent, options = {}) {
+        this.parent = parent;
+        this.batchSize = options.batchSize || 1024;
+
+        this.geometry = new THREE.SphereGeometry(1, 16, 12);
+        this.material = new THREE.MeshBasicMaterial({ color: 0xffffff });
+
+        this.batches = [];         // { mesh, stars: [] }
+        this.stars = new Map();    // hostname -> { name, position, radius, color, batch, index, visible }
+        this.dirtyBatches = new Set();
+
+        this.tempMatrix = new THREE.Matrix4();
+        this.tempQuaternion = new THREE.Quaternion();
+        this.tempScale = new THREE.Vector3();
+    }
+
+    /**
+     * Add a host star
+     * @param {string} name - Host star name (hostname)
+     * @param {THREE.Vector3} position - Position in parent space
+     * @param {number} radius - Sphere radius in parent space
+     * @param {number} color - Hex color
+     */
+    add(name, position, radius, color) {
+        if (this.stars.has(name)) return this.stars.get(name);
+
+        let batch = this.batches[this.batches.length - 1];
+        if (!batch || batch.stars.length >= this.batchSize) batch = this.createBatch();
+
+        const index = batch.stars.length;
+        const star = { name, position: position.clone(), radius, color, batch, index, visible: true };
+        batch.stars.push(star);
+
+        this.tempMatrix.compose(position, this.tempQuaternion, this.tempScale.setScalar(radius));
+        batch.mesh.setMatrixAt(index, this.tempMatrix);
+        batch.mesh.setColorAt(index, new THREE.Color(color));
+        batch.mesh.count = batch.stars.length;
+
+        this.stars.set(name, star);
+        this.dirtyBatches.add(batch);
+        return star;
+    }
+
+    has(name) {
+        return this.stars.has(name);
+    }
+
+    get(name) {
+        return this.stars.get(name) || null;
+    }
+
+    /**
+     * Show or hide one star (e.g. while its system is drawn in detail)
+     * Hidden stars are scaled to zero so they are neither drawn nor hit by raycasts
+     */
+    setVisible(name, visible) {
+        const star = this.stars.get(name);
+        if (!star || star.visible === visible) return;
+
+        star.visible = visible;
+        this.tempMatrix.compose(star.position, this.tempQuaternion, this.tempScale.setScalar(visible ? star.radius : 0));
+        star.batch.mesh.setMatrixAt(star.index, this.tempMatrix);
+        this.dirtyBatches.add(star.batch);
+        this.flush();
+    }
+
+    createBatch() {
+        const mesh = new THREE.InstancedMesh(this.geometry, this.material, this.batchSize);
+        mesh.name = `NASA_HostStars_Instanced_${this.batches.length}`;
+        mesh.count = 0;
+        mesh.renderOrder = 10;
+        mesh.userData.isHostStars = true;
+
+        const batch = { mesh, stars: [] };
+        this.batches.push(batch);
+        this.parent.add(mesh);
+        return batch;
+    }
+
+    /**
+     * Push pending instance changes to the GPU and refresh bounds
+     */
+    flush() {
+        for (const batch of this.dirtyBatches) {
+            batch.mesh.instanceMatrix.needsUpdate = true;
+            if (batch.mesh.instanceColor) batch.mesh.instanceColor.needsUpdate = true;
+            batch.mesh.computeBoundingSphere();
+            batch.mesh.computeBoundingBox();
+        }
+        this.dirtyBatches.clear();
+    }
+
+    /**
+     * Star record for a raycast hit on one of the batches
+     */
+    getStar(instancedMesh, instanceId) {
+        const batch = this.batches.find(b => b.mesh === instancedMesh);
+        if (!batch || instanceId === undefined) return null;
+        return batch.stars[instanceId] || null;
+    }
+
+    dispose() {
+        for (const batch of this.batches) {
+            this.parent.remove(batch.mesh);
+            batch.mesh.dispose();
+        }
+        this.geometry.dispose();
+        this.material.dispose();
+        this.batches = [];
+        this.stars.clear();
+        this.dirtyBatches.clear();
+    }
+}
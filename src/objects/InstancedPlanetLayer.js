@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+
+/**
+ * InstancedPlanetLayer - Draws distant planets through InstancedMesh batches
+ * One draw call per batch instead of one per planet. Each instance carries its
+ * own color (planet.color) and scale (planet.radius, with flattening).
+ *
+ * Planets can be hidden (e.g. while promoted to a dedicated mesh) and shown again;
+ * hidden planets are swapped out of their batch so raycasts never hit them.
+ */
+export class InstancedPlanetLayer {
+    /**
+     * @param {THREE.Object3D} parent - Group the batches are added to
+     * @param {Object} options
+     * @param {number} options.batchSize - Max instances per InstancedMesh
+     */
+    constructor(parent, options = {}) {
+        this.parent = parent;
+        this.batchSize = options.batchSize || 1024;
+
+        // Shared low-poly sphere (same as the old Tier 3 meshes)
+        this.geometry = new THREE.SphereGeometry(1, 8, 6);
+        this.geometry.computeVertexNormals();
+        this.material = this.createMaterial();
+
+        this.batches = [];          // { mesh, planets: [] }
+        this.records = new Map();   // planet -> { matrix, color }
+        this.slots = new Map();     // planet -> { batch, index } (visible planets only)
+        this.proxies = new Map();   // planet -> Object3D stand-in for targeting
+        this.dirtyBatches = new Set();
+
+        this.tempMatrix = new THREE.Matrix4();
+        this.tempColor = new THREE.Color();
+    }
+
+    /**
+     * "Shine like stars" material: the emissive glow follows each instance's color
+     */
+    createMaterial() {
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            emissive: 0xffffff,
+            emissiveIntensity: 0.8, // Bright glow
+            roughness: 1.0,
+            metalness: 0,
+            transparent: false, // NEVER transparent
+            depthWrite: true,
+            depthTest: true,
+            side: THREE.FrontSide
+        });
+
+        material.onBeforeCompile = (shader) => {
+            shader.fragmentShader = shader.fragmentShader.replace(
+                '#include <emissivemap_fragment>',
+                `#include <emissivemap_fragment>
+                #ifdef USE_COLOR
+                    totalEmissiveRadiance *= vColor.rgb;
+                #endif`
+            );
+        };
+
+        return material;
+    }
+
+    /**
+     * Add a planet to the layer
+     * @param {Object} planet - Planet data
+     * @param {THREE.Vector3} position - Position in parent space
+     * @param {number} radius - Sphere radius in parent space
+     * @param {number} color - Hex color
+     */
+    add(planet, position, radius, color) {
+        if (this.records.has(planet)) return;
+
+        const flattening = planet.flattening || 0;
+        const matrix = new THREE.Matrix4().compose(
+            position,
+            new THREE.Quaternion(),
+            new THREE.Vector3(radius, radius * (1.0 - flattening), radius)
+        );
+
+        this.records.set(planet, { matrix, color: new THREE.Color(color), position: position.clone(), radius });
+        this.show(planet);
+    }
+
+    /**
+     * Move a planet (e.g. along its orbit). Call flush() once after a round of moves.
+     */
+    setPosition(planet, position) {
+        const record = this.records.get(planet);
+        if (!record) return;
+
+        record.position.copy(position);
+        record.matrix.setPosition(position);
+
+        const slot = this.slots.get(planet);
+        if (slot) {
+            slot.batch.mesh.setMatrixAt(slot.index, record.matrix);
+            this.dirtyBatches.add(slot.batch);
+        }
+
+        const proxy = this.proxies.get(planet);
+        if (proxy) proxy.position.copy(position);
+    }
+
+    has(planet) {
+        return this.records.has(planet);
+    }
+
+    isVisible(planet) {
+        return this.slots.has(planet);
+    }
+
+    /**
+     * Put a (previously hidden) planet back into a batch
+     */
+    show(planet) {
+        const record = this.records.get(planet);
+        if (!record || this.slots.has(planet)) return;
+
+        let batch = this.batches.find(b => b.planets.length < this.batchSize);
+        if (!batch) batch = this.createBatch();
+
+        const index = batch.planets.length;
+        batch.planets.push(planet);
+        batch.mesh.setMatrixAt(index, record.matrix);
+        batch.mesh.setColorAt(index, record.color);
+        batch.mesh.count = batch.planets.length;
+
+        this.slots.set(planet, { batch, index });
+        this.dirtyBatches.add(batch);
+    }
+
+    /**
+     * Remove a planet from its batch (swap with the last instance)
+     */
+    hide(planet) {
+        const slot = this.slots.get(planet);
+        if (!slot) return;
+
+        const { batch, index } = slot;
+        const lastIndex = batch.planets.length - 1;
+
+        if (index !== lastIndex) {
+            const lastPlanet = batch.planets[lastIndex];
+            batch.mesh.getMatrixAt(lastIndex, this.tempMatrix);
+            batch.mesh.setMatrixAt(index, this.tempMatrix);
+            batch.mesh.getColorAt(lastIndex, this.tempColor);
+            batch.mesh.setColorAt(index, this.tempColor);
+            batch.planets[index] = lastPlanet;
+            this.slots.get(lastPlanet).index = index;
+        }
+
+        batch.planets.pop();
+        batch.mesh.count = batch.planets.length;
+        this.slots.delete(planet);
+        this.dirtyBatches.add(batch);
+    }
+
+    createBatch() {
+        const mesh = new THREE.InstancedMesh(this.geometry, this.material, this.batchSize);
+        mesh.name = `NASA_Exoplanets_Instanced_${this.batches.length}`;
+        mesh.count = 0;
+        mesh.renderOrder = 10; // Force planets to render AFTER stars (write depth buffer)
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.userData.isPlanetInstances = true;
+
+        const batch = { mesh, planets: [] };
+        this.batches.push(batch);
+        this.parent.add(mesh);
+        return batch;
+    }
+
+    /**
+     * Push pending instance changes to the GPU and refresh bounds
+     * (stale bounds would break frustum culling and raycasting)
+     */
+    flush() {
+        for (const batch of this.dirtyBatches) {
+            batch.mesh.instanceMatrix.needsUpdate = true;
+            if (batch.mesh.instanceColor) batch.mesh.instanceColor.needsUpdate = true;
+            batch.mesh.computeBoundingSphere();
+            batch.mesh.computeBoundingBox();
+        }
+        this.dirtyBatches.clear();
+    }
+
+    /**
+     * Planet for a raycast hit on one of the batches
+     */
+    getPlanet(instancedMesh, instanceId) {
+        const batch = this.batches.find(b => b.mesh === instancedMesh);
+        if (!batch || instanceId === undefined) return null;
+        return batch.planets[instanceId] || null;
+    }
+
+    /**
+     * Invisible Object3D at the planet's position, sized like the instance.
+     * Lets code that expects a mesh (targeting square, proximity) work with instances.
+     */
+    getProxy(planet) {
+        const record = this.records.get(planet);
+        if (!record) return null;
+
+        if (!this.proxies.has(planet)) {
+            const proxy = new THREE.Object3D();
+            proxy.name = `${planet.pl_name}_instance`;
+            proxy.position.copy(record.position);
+            proxy.scale.setScalar(record.radius);
+            proxy.userData.planetData = planet;
+            proxy.userData.planet = planet; // Compatibility
+            proxy.userData.planetName = planet.pl_name; // Compatibility
+            proxy.userData.isInstanceProxy = true;
+            this.parent.add(proxy);
+            this.proxies.set(planet, proxy);
+        }
+        return this.proxies.get(planet);
+    }
+
+    dispose() {
+        for (const batch of this.batches) {
+            this.parent.remove(batch.mesh);
+            batch.mesh.dispose();
+        }
+        for (const proxy of this.proxies.values()) {
+            this.parent.remove(proxy);
+        }
+        this.geometry.dispose();
+        this.material.dispose();
+        this.batches = [];
+        this.records.clear();
+        this.slots.clear();
+        this.proxies.clear();
+        this.dirtyBatches.clear();
+    }
+}
@@ -27,6 +27,7 @@ import {
     generateVenusTexture
 } from '../utils/PlanetTextureGenerator.js';
 import { createAtmosphere, createCloudLayer, updateAtmosphere } from '../shaders/AtmosphereShader.js';
+import { KeplerOrbit } from '../utils/KeplerOrbit.js';
 
 export class Planet {
     constructor(config) {
@@ -42,6 +43,7 @@ export class Planet {
             orbitRadius: config.orbitRadius || 0,
             orbitSpeed: config.orbitSpeed || 0,
             rotationSpeed: config.rotationSpeed || 0.01,
+            rotationPeriod: config.rotationPeriod || 24, // Hours (simulation clock), negative = retrograde
             tilt: config.tilt || 0,
             atmosphere: config.atmosphere || {
                 enabled: false,
@@ -62,7 +64,9 @@ export class Planet {
             ...config
         };
 
-        this.angle = Math.random() * Math.PI * 2; // Random starting position in orbit
+        this.angle = Math.random() * Math.PI * 2; // Random starting position in orbit (no simulation clock)
+        // Orbit phase at J2000 when driven by the simulation clock - stable per planet, so peers and replays agree
+        this.initialAngle = KeplerOrbit.hashPhase(this.config.pl_name || this.config.name) * Math.PI * 2;
         this.group = new THREE.Group();
         this.textureLoader = new THREE.TextureLoader();
         this.atmosphereLayers = [];
@@ -361,18 +365,40 @@ export class Planet {
     }
 
 
-    update(deltaTime = 0.016) {
-        // Rotate planet on its axis
-        this.mesh.rotation.y += this.config.rotationSpeed;
+    /**
+     * @param {number} deltaTime - Real seconds since last frame
+     * @param {SimulationClock} simulationClock - Optional; spin, clouds and orbit then follow the simulated epoch
+     */
+    update(deltaTime = 0.016, simulationClock = null) {
+        const orbitPeriod = this.config.orbitPeriod || this.config.pl_orbper; // Days
 
-        // Update atmosphere and cloud animations
-        if (this.atmosphereLayers.length > 0 || this.cloudMesh) {
-            updateAtmosphere(this.atmosphereLayers, this.cloudMesh, deltaTime);
+        if (simulationClock) {
+            // Spin and cloud drift are functions of the epoch, so every viewer of the same time agrees
+            const hours = simulationClock.getSecondsSinceJ2000() / 3600;
+            this.mesh.rotation.y = ((hours / this.config.rotationPeriod) % 1) * Math.PI * 2;
+
+            if (this.atmosphereLayers.length > 0 || this.cloudMesh) {
+                updateAtmosphere(this.atmosphereLayers, this.cloudMesh, 0, hours);
+            }
+        } else {
+            // Rotate planet on its axis
+            this.mesh.rotation.y += this.config.rotationSpeed;
+
+            // Update atmosphere and cloud animations
+            if (this.atmosphereLayers.length > 0 || this.cloudMesh) {
+                updateAtmosphere(this.atmosphereLayers, this.cloudMesh, deltaTime);
+            }
         }
 
         // Update orbital position if applicable
-        if (this.config.orbitRadius > 0 && this.config.orbitSpeed > 0) {
-            this.angle += this.config.orbitSpeed;
+        const hasEpochOrbit = simulationClock && orbitPeriod > 0;
+        if (this.config.orbitRadius > 0 && (this.config.orbitSpeed > 0 || hasEpochOrbit)) {
+            if (hasEpochOrbit) {
+                const turns = (simulationClock.getDaysSinceJ2000() / orbitPeriod) % 1;
+                this.angle = this.initialAngle + turns * Math.PI * 2;
+            } else {
+                this.angle += this.config.orbitSpeed;
+            }
             this.mesh.position.x = Math.cos(this.angle) * this.config.orbitRadius;
             this.mesh.position.z = Math.sin(this.angle) * this.config.orbitRadius;
 
@@ -7,6 +7,7 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
 import { generateThermalTileTexture, generateHeatShieldTexture } from '../utils/textureGenerator.js';
+import { CONFIG } from '../config/config.js';
 
 export class Spacecraft {
     constructor() {
@@ -16,9 +17,10 @@ export class Spacecraft {
         this.group.position.set(0, 0, 0);
 
         // Constant forward speed
-        this.minSpeed = 15.0;
-        this.maxSpeed = 200000.0;
-        this.forwardSpeed = 30.0;
+        this.minSpeed = CONFIG.spacecraft.minSpeed;
+        this.maxSpeed = CONFIG.spacecraft.maxSpeed;
+        this.defaultSpeed = 30.0; // Cruise speed after the autopilot lets go
+        this.forwardSpeed = this.defaultSpeed;
         this.autopilotSpeed = 100.0;
 
         // Arcade flight parameters
@@ -1,6 +1,7 @@
 /**
  * Star Class
  * Creates a sun/star object with emissive material
+ * Color can be given directly or derived from an effective temperature (blackbody)
  */
 
 import * as THREE from 'three';
@@ -9,20 +10,40 @@ export class Star {
     constructor(config = {}) {
         this.config = {
             radius: config.radius || 10,
-            color: config.color || 0xffff00,
+            color: config.color || (config.temperature ? Star.temperatureToColor(config.temperature) : 0xffff00),
             emissiveIntensity: config.emissiveIntensity || 1.5,
-            position: config.position || { x: 0, y: 0, z: 0 }
+            position: config.position || { x: 0, y: 0, z: 0 },
+            segments: config.segments || 64,
+            name: config.name || 'Sun'
         };
 
         this.createStar();
     }
 
+    /**
+     * Approximate blackbody color for an effective temperature
+     * @param {number} temperature - Kelvin (st_teff)
+     * @returns {number} Hex color
+     */
+    static temperatureToColor(temperature = 5772) {
+        const t = Math.min(Math.max(temperature, 1000), 40000) / 100;
+        const clamp = (v) => Math.round(Math.min(Math.max(v, 0), 255));
+
+        const r = t <= 66 ? 255 : clamp(329.698727446 * Math.pow(t - 60, -0.1332047592));
+        const g = t <= 66
+            ? clamp(99.4708025861 * Math.log(t) - 161.1195681661)
+            : clamp(288.1221695283 * Math.pow(t - 60, -0.0755148492));
+        const b = t >= 66 ? 255 : (t <= 19 ? 0 : clamp(138.5177312231 * Math.log(t - 10) - 305.0447927307));
+
+        return (r << 16) | (g << 8) | b;
+    }
+
     createStar() {
         // Create star geometry
         const geometry = new THREE.SphereGeometry(
             this.config.radius,
-            64,
-            64
+            this.config.segments,
+            this.config.segments
         );
 
         // Create emissive material (self-illuminated)
@@ -45,7 +66,7 @@ export class Star {
         // Store metadata
         this.mesh.userData = {
             type: 'star',
-            name: 'Sun'
+            name: this.config.name
         };
     }
 
@@ -53,8 +74,8 @@ export class Star {
         // Create a glow sprite for nice visual effect
         const glowGeometry = new THREE.SphereGeometry(
             this.config.radius * 1.2,
-            32,
-            32
+            Math.max(8, this.config.segments / 2),
+            Math.max(8, this.config.segments / 2)
         );
 
         const glowMaterial = new THREE.MeshBasicMaterial({
@@ -0,0 +1,156 @@
+/**
+ * StarSystem - A host star and the planets that orbit it
+ * Built from the stellar columns of the NASA archive (st_teff, st_rad, st_lum,
+ * st_mass, sy_pnum). Computes the habitable zone and builds a detailed visual
+ * (Star mesh + habitable-zone shell) for systems close to the spacecraft.
+ */
+
+import * as THREE from 'three';
+import { Star } from './Star.js';
+
+const SOLAR_TEMPERATURE = 5772; // K
+
+const isValid = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export class StarSystem {
+    /**
+     * @param {string} name - Host star name (hostname)
+     * @param {Object} hostData - Any planet of the system (stellar columns are shared)
+     */
+    constructor(name, hostData = {}) {
+        this.name = name;
+        this.isSolar = name === 'Sun';
+
+        this.temperature = isValid(hostData.st_teff) && hostData.st_teff > 0 ? hostData.st_teff : SOLAR_TEMPERATURE;
+        this.stellarRadius = isValid(hostData.st_rad) && hostData.st_rad > 0 ? hostData.st_rad : 1.0;
+        this.stellarMass = isValid(hostData.st_mass) && hostData.st_mass > 0 ? hostData.st_mass : 1.0;
+
+        // st_lum is log10(L/L☉); otherwise Stefan-Boltzmann from radius and temperature
+        this.luminosity = isValid(hostData.st_lum)
+            ? Math.pow(10, hostData.st_lum)
+            : this.stellarRadius ** 2 * (this.temperature / SOLAR_TEMPERATURE) ** 4;
+
+        this.distance = isValid(hostData.sy_dist) ? hostData.sy_dist : null; // parsecs
+        this.reportedPlanetCount = hostData.sy_pnum || null; // Known planets (may exceed loaded ones)
+
+        this.color = Star.temperatureToColor(this.temperature);
+        this.spectralClass = StarSystem.getSpectralClass(this.temperature);
+        this.habitableZone = StarSystem.computeHabitableZone(this.luminosity, this.temperature);
+        this.planets = [];
+
+        // Render state (assigned by ExoplanetField)
+        this.position = new THREE.Vector3(); // Scene units
+        this.radius = 1;                     // Visual star radius (scene units)
+        this.basis = new THREE.Matrix4();    // Orbit sky frame -> scene
+        this.visual = null;
+    }
+
+    /**
+     * Conservative habitable zone (Kopparapu et al. 2014, 1 Earth mass):
+     * runaway greenhouse (inner) to maximum greenhouse (outer)
+     * @returns {{inner: number, outer: number}} Distances in AU
+     */
+    static computeHabitableZone(luminosity, temperature) {
+        const t = Math.min(Math.max(temperature, 2600), 7200) - 5780;
+        const effectiveFlux = (s0, a, b, c, d) => s0 + a * t + b * t ** 2 + c * t ** 3 + d * t ** 4;
+
+        const innerFlux = effectiveFlux(1.107, 1.332e-4, 1.580e-8, -8.308e-12, -1.931e-15);
+        const outerFlux = effectiveFlux(0.356, 6.171e-5, 1.698e-9, -3.198e-12, -5.575e-16);
+
+        return {
+            inner: Math.sqrt(luminosity / innerFlux),
+            outer: Math.sqrt(luminosity / outerFlux)
+        };
+    }
+
+    /**
+     * Harvard spectral class from effective temperature
+     */
+    static getSpectralClass(temperature) {
+        if (temperature >= 30000) return 'O';
+        if (temperature >= 10000) return 'B';
+        if (temperature >= 7500) return 'A';
+        if (temperature >= 6000) return 'F';
+        if (temperature >= 5200) return 'G';
+        if (temperature >= 3700) return 'K';
+        return 'M';
+    }
+
+    /**
+     * Add a member planet (kept sorted by orbital distance)
+     */
+    addPlanet(planet) {
+        if (this.planets.some(p => p.pl_name === planet.pl_name)) return;
+        this.planets.push(planet);
+        this.planets.sort((a, b) => (a.pl_orbsmax ?? Infinity) - (b.pl_orbsmax ?? Infinity));
+    }
+
+    /**
+     * Other planets of the same system
+     */
+    getSiblings(planet) {
+        return this.planets.filter(p => p.pl_name !== planet.pl_name);
+    }
+
+    isInHabitableZone(planet) {
+        const a = planet.pl_orbsmax;
+        return isValid(a) && a >= this.habitableZone.inner && a <= this.habitableZone.outer;
+    }
+
+    /**
+     * Build the detailed visual: emissive star and a translucent habitable-zone shell
+     * @param {number} innerRadius - Habitable zone inner edge (scene units)
+     * @param {number} outerRadius - Habitable zone outer edge (scene units)
+     * @returns {THREE.Group}
+     */
+    createVisual(innerRadius, outerRadius) {
+        this.disposeVisual();
+
+        this.visual = new THREE.Group();
+        this.visual.name = `StarSystem_${this.name}`;
+        this.visual.position.copy(this.position);
+
+        // Brighter stars glow harder
+        const emissiveIntensity = Math.min(Math.max(1.5 + 0.25 * Math.log10(this.luminosity), 0.8), 2.5);
+        this.star = new Star({
+            radius: this.radius,
+            color: this.color,
+            emissiveIntensity,
+            segments: 32,
+            name: this.name
+        });
+        this.visual.add(this.star.mesh);
+
+        // Habitable zone shell: inner and outer boundary spheres
+        const shellMaterial = new THREE.MeshBasicMaterial({
+            color: 0x00ff88,
+            transparent: true,
+            opacity: 0.06,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        for (const radius of [innerRadius, outerRadius]) {
+            const shell = new THREE.Mesh(new THREE.SphereGeometry(radius, 32, 16), shellMaterial);
+            shell.userData.isHabitableZone = true;
+            shell.raycast = () => {}; // Never block planet picking
+            this.visual.add(shell);
+        }
+
+        return this.visual;
+    }
+
+    disposeVisual() {
+        if (!this.visual) return;
+
+        if (this.visual.parent) this.visual.parent.remove(this.visual);
+        this.star?.dispose();
+        this.visual.traverse(child => {
+            if (child.userData.isHabitableZone) {
+                child.geometry.dispose();
+                child.material.dispose();
+            }
+        });
+        this.visual = null;
+        this.star = null;
+    }
+}
@@ -0,0 +1,357 @@
+/**
+ * AICache - Persistent cache for generated text and audio (IndexedDB)
+ * Shared by OpenAIService, ElevenLabsService, NarrationService and
+ * FrontendPlanetService so descriptions and narration survive reloads.
+ * Entries are keyed by kind + planet + a hash of everything that shapes the
+ * output (prompt, model, voice), evicted least-recently-used once the quota
+ * (CONFIG.cache.quotaMB) is exceeded, and can be exported to / imported from
+ * a JSON "demo pack" so a pre-warmed cache works offline.
+ * Without IndexedDB (Node scripts, some private windows) it falls back to memory.
+ */
+import { CONFIG } from '../config/config.js';
+
+const FORMAT = 'exoplanet-ai-cache';
+const VERSION = 1;
+const STORE = 'entries';
+const QUOTA_STORAGE_KEY = 'aiCacheQuotaMB';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+export class AICache {
+    /**
+     * @param {Object} options
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {number} options.quotaMB - Size limit before LRU eviction (default: last panel choice, then CONFIG)
+     */
+    constructor(options = {}) {
+        const savedQuota = typeof localStorage !== 'undefined' ? Number(localStorage.getItem(QUOTA_STORAGE_KEY)) : 0;
+        this.dbName = options.dbName || CONFIG.cache.dbName;
+        this.quotaBytes = (options.quotaMB ?? (savedQuota || CONFIG.cache.quotaMB)) * 1024 * 1024;
+        this.enabled = CONFIG.features.cacheResponses;
+
+        this.dbPromise = null;
+        this.memory = null;   // Map of records when IndexedDB is unavailable
+        this.usage = 0;       // Bytes stored, kept in step with writes
+        this.hits = 0;
+        this.misses = 0;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Cache key: `${kind}:${planet}:${hash of parts}`
+     * @param {string} kind - e.g. 'description', 'narration', 'tts'
+     * @param {string|null} planet - Planet name (empty for planet-independent entries)
+     * @param {Array} parts - Prompt, model, voice, ... anything that changes the output
+     */
+    static key(kind, planet, parts = []) {
+        return `${kind}:${planet || ''}:${AICache.hash(parts.map(part => String(part ?? '')).join('\u0000'))}`;
+    }
+
+    /**
+     * FNV-1a, 8 hex digits - short, stable and good enough for cache keys
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // ==================== STORAGE ====================
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+                store.createIndex('accessed', 'accessed');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('⚠️ IndexedDB unavailable, AI cache is memory-only:', request.error);
+                resolve(null);
+            };
+        }).then(async (db) => {
+            if (!db) this.memory = new Map();
+            const records = await this.allRecords(db);
+            this.usage = records.reduce((sum, record) => sum + record.size, 0);
+            return db;
+        });
+
+        return this.dbPromise;
+    }
+
+    async store(mode) {
+        const db = await this.open();
+        return db ? db.transaction(STORE, mode).objectStore(STORE) : null;
+    }
+
+    async getRecord(key) {
+        const store = await this.store('readonly');
+        return store ? promisify(store.get(key)) : this.memory.get(key);
+    }
+
+    async putRecord(record) {
+        const store = await this.store('readwrite');
+        if (store) await promisify(store.put(record));
+        else this.memory.set(record.key, record);
+    }
+
+    async deleteRecord(key) {
+        const store = await this.store('readwrite');
+        if (store) await promisify(store.delete(key));
+        else this.memory.delete(key);
+    }
+
+    async allRecords(db) {
+        if (!db) return this.memory ? Array.from(this.memory.values()) : [];
+        return promisify(db.transaction(STORE, 'readonly').objectStore(STORE).getAll());
+    }
+
+    // ==================== CACHE API ====================
+
+    /**
+     * @returns {Promise<string|Blob|undefined>} Cached value (marks it recently used)
+     */
+    async get(key) {
+        if (!this.enabled) return undefined;
+
+        try {
+            const record = await this.getRecord(key);
+            if (!record) {
+                this.misses++;
+                return undefined;
+            }
+
+            this.hits++;
+            record.accessed = Date.now();
+            this.putRecord(record).catch(() => {}); // Recency only - never block a hit on it
+            return record.value;
+        } catch (error) {
+            console.warn('⚠️ AI cache read failed:', error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Store text or an audio Blob, then evict down to the quota
+     * @param {string} key - From AICache.key()
+     * @param {string|Blob} value
+     */
+    async set(key, value, meta = {}) {
+        if (!this.enabled || value === null || value === undefined) return;
+
+        const [kind, planet] = key.split(':');
+        const now = Date.now();
+        const record = {
+            key,
+            kind,
+            planet: planet || null,
+            value,
+            size: typeof value === 'string' ? value.length * 2 : value.size || 0,
+            created: meta.created || now,
+            accessed: now
+        };
+
+        if (record.size > this.quotaBytes) return; // Would evict everything else
+
+        try {
+            await this.open();
+            const previous = await this.getRecord(key);
+            await this.putRecord(record);
+            this.usage += record.size - (previous?.size || 0);
+            await this.evict();
+            this.notify();
+        } catch (error) {
+            console.warn('⚠️ AI cache write failed:', error);
+        }
+    }
+
+    async delete(key) {
+        const record = await this.getRecord(key);
+        if (!record) return;
+        await this.deleteRecord(key);
+        this.usage -= record.size;
+        this.notify();
+    }
+
+    /**
+     * Drop least-recently-used entries until usage fits the quota
+     */
+    async evict() {
+        if (this.usage <= this.quotaBytes) return 0;
+
+        const records = (await this.allRecords(await this.open())).sort((a, b) => a.accessed - b.accessed);
+        let evicted = 0;
+
+        for (const record of records) {
+            if (this.usage <= this.quotaBytes) break;
+            await this.deleteRecord(record.key);
+            this.usage -= record.size;
+            evicted++;
+        }
+
+        console.log(`🧹 AI cache evicted ${evicted} entr${evicted === 1 ? 'y' : 'ies'}`);
+        return evicted;
+    }
+
+    async clear() {
+        const store = await this.store('readwrite');
+        if (store) await promisify(store.clear());
+        else this.memory.clear();
+
+        this.usage = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.notify();
+        console.log('🗑️ AI cache cleared');
+    }
+
+    /**
+     * Change the size limit (remembered for the next session) and evict to it
+     */
+    async setQuota(quotaMB) {
+        this.quotaBytes = quotaMB * 1024 * 1024;
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(QUOTA_STORAGE_KEY, String(quotaMB));
+        }
+        await this.evict();
+        this.notify();
+    }
+
+    async getStats() {
+        const records = await this.allRecords(await this.open());
+        const byKind = {};
+        const planets = new Set();
+
+        for (const record of records) {
+            const kind = byKind[record.kind] || (byKind[record.kind] = { count: 0, bytes: 0 });
+            kind.count++;
+            kind.bytes += record.size;
+            if (record.planet) planets.add(record.planet);
+        }
+
+        return {
+            persistent: !this.memory,
+            entries: records.length,
+            totalBytes: this.usage,
+            quotaBytes: this.quotaBytes,
+            planets: planets.size,
+            byKind,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+
+    /**
+     * Called after every change (stats panel refresh)
+     * @returns {Function} Unsubscribe
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    // ==================== DEMO PACKS ====================
+
+    /**
+     * Serialize every entry (audio as base64) into a demo pack
+     * @returns {Promise<Blob>} JSON file contents
+     */
+    async export() {
+        const records = await this.allRecords(await this.open());
+        const entries = [];
+
+        for (const record of records) {
+            const entry = { key: record.key, created: record.created };
+            if (typeof record.value === 'string') {
+                entry.text = record.value;
+            } else {
+                entry.mime = record.value.type || 'audio/mpeg';
+                entry.audio = AICache.toBase64(await record.value.arrayBuffer());
+            }
+            entries.push(entry);
+        }
+
+        const pack = { format: FORMAT, version: VERSION, createdAt: new Date().toISOString(), entries };
+        return new Blob([JSON.stringify(pack)], { type: 'application/json' });
+    }
+
+    /**
+     * Load a demo pack (existing entries with the same key are replaced)
+     * @param {string|Blob} file - Pack contents
+     * @returns {Promise<number>} Entries imported
+     */
+    async import(file) {
+        const pack = AICache.parse(typeof file === 'string' ? file : await file.text());
+
+        for (const entry of pack.entries) {
+            const value = entry.text !== undefined
+                ? entry.text
+                : new Blob([AICache.fromBase64(entry.audio)], { type: entry.mime || 'audio/mpeg' });
+            await this.set(entry.key, value, { created: entry.created });
+        }
+
+        console.log(`📦 Imported ${pack.entries.length} AI cache entries`);
+        return pack.entries.length;
+    }
+
+    /**
+     * Parse and validate a demo pack
+     * @throws {Error} If the file is not a compatible pack
+     */
+    static parse(text) {
+        const pack = typeof text === 'string' ? JSON.parse(text) : text;
+
+        if (!pack || pack.format !== FORMAT) {
+            throw new Error('Not an AI cache file');
+        }
+        if (pack.version > VERSION) {
+            throw new Error(`Unsupported AI cache version ${pack.version}`);
+        }
+        if (!Array.isArray(pack.entries)) {
+            throw new Error('AI cache file has no entries');
+        }
+
+        pack.entries = pack.entries.filter(entry =>
+            typeof entry?.key === 'string' && (typeof entry.text === 'string' || typeof entry.audio === 'string')
+        );
+        return pack;
+    }
+
+    static toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+}
+
+// Shared instance used by the AI services
+export const aiCache = new AICache();
+export default AICache;
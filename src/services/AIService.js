@@ -1,12 +1,17 @@
 /**
  * AI Service
- * Handles OpenAI and Eleven Labs API integrations
+ * Handles LLM (via the CONFIG.llm provider) and Eleven Labs API integrations
  */
 
 import { CONFIG, isAIConfigured, isNarrationConfigured } from '../config/config.js';
+import { createLLMProvider } from '../ai/providers/createLLMProvider.js';
 
 class AIService {
-    constructor() {
+    /**
+     * @param {LLMProvider|null} provider - Defaults to the provider selected in CONFIG.llm
+     */
+    constructor(provider = null) {
+        this.provider = provider || createLLMProvider();
         this.cache = new Map(); // Cache AI responses
     }
 
@@ -33,36 +38,19 @@ class AIService {
             // Prepare the prompt
             const prompt = this.buildPlanetPrompt(planetData);
 
-            // Call OpenAI API
-            const response = await fetch(CONFIG.openai.baseURL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${CONFIG.openai.apiKey}`
+            // Call the LLM provider
+            const response = await this.provider.chat([
+                {
+                    role: 'system',
+                    content: 'You are an expert astronomer who provides fascinating, educational descriptions of celestial bodies.'
                 },
-                body: JSON.stringify({
-                    model: CONFIG.openai.model,
-                    messages: [
-                        {
-                            role: 'system',
-                            content: 'You are an expert astronomer who provides fascinating, educational descriptions of celestial bodies.'
-                        },
-                        {
-                            role: 'user',
-                            content: prompt
-                        }
-                    ],
-                    max_tokens: 150,
-                    temperature: 0.7
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
-            }
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ], { maxTokens: 150, temperature: 0.7 });
 
-            const data = await response.json();
-            const description = data.choices[0].message.content.trim();
+            const description = response.trim();
 
             // Cache the response
             if (CONFIG.features.cacheResponses) {
@@ -101,7 +89,8 @@ class AIService {
      * @returns {Promise<AudioBuffer>} Audio data
      */
     async narratePlanetInfo(text) {
-        if (!isNarrationConfigured()) {
+        // Direct API call - through the AI proxy use ElevenLabsService instead
+        if (!isNarrationConfigured() || !CONFIG.elevenLabs.apiKey) {
             console.warn('Narration not configured');
             return null;
         }
@@ -0,0 +1,170 @@
+/**
+ * ContentBundle - Pre-generated planet text and narration audio served as static files
+ * Written offline by `npm run pregenerate` (see pregenerateContent.js):
+ *   manifest.json        { format, version, revision, provider, model, planets: { name: file } }
+ *   planets/<slug>.json  { planet, grounded, insights, narration: { prompt, text, audio } }
+ *   audio/<slug>.mp3     narration audio (optional)
+ * Every text entry stores a hash of the prompt it was generated from, so an
+ * entry is only used while the planet data and prompt still match. The AI
+ * services check the bundle before calling the LLM / text-to-speech APIs.
+ * Browser only - Node scripts always talk to the provider.
+ */
+import { CONFIG } from '../config/config.js';
+import { AICache } from './AICache.js';
+
+const FORMAT = 'exoplanet-content-bundle';
+const VERSION = 1;
+
+export class ContentBundle {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Bundle directory (default: CONFIG.contentBundle.url)
+     */
+    constructor(options = {}) {
+        this.url = (options.url ?? CONFIG.contentBundle.url)?.replace(/\/$/, '') || null;
+        this.enabled = CONFIG.contentBundle.enabled && !!this.url && typeof document !== 'undefined';
+
+        this.manifestPromise = null;
+        this.planets = new Map(); // name -> Promise<planet file|null>
+    }
+
+    /**
+     * File name for a planet: readable slug + hash (names differ only in punctuation)
+     */
+    static slug(planetName) {
+        const readable = planetName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `${readable || 'planet'}-${AICache.hash(planetName)}`;
+    }
+
+    /**
+     * Hash stored next to each entry - the prompt it was generated from
+     */
+    static promptHash(prompt) {
+        return AICache.hash(prompt);
+    }
+
+    /**
+     * Parse and validate a bundle manifest
+     * @throws {Error} If the file is not a compatible bundle
+     */
+    static parse(text) {
+        const manifest = typeof text === 'string' ? JSON.parse(text) : text;
+
+        if (!manifest || manifest.format !== FORMAT) {
+            throw new Error('Not a content bundle manifest');
+        }
+        if (manifest.version > VERSION) {
+            throw new Error(`Unsupported content bundle version ${manifest.version}`);
+        }
+        if (!manifest.planets || typeof manifest.planets !== 'object') {
+            throw new Error('Content bundle manifest has no planets');
+        }
+        return manifest;
+    }
+
+    /**
+     * Empty manifest for a new bundle
+     */
+    static createManifest(meta = {}) {
+        const now = new Date().toISOString();
+        return { format: FORMAT, version: VERSION, revision: 0, createdAt: now, updatedAt: now, ...meta, planets: {} };
+    }
+
+    // ==================== LOADING ====================
+
+    /**
+     * Fetch the manifest once (null when there is no bundle)
+     */
+    load() {
+        if (this.manifestPromise) return this.manifestPromise;
+
+        this.manifestPromise = !this.enabled ? Promise.resolve(null) : fetch(`${this.url}/manifest.json`)
+            .then(async (response) => {
+                if (!response.ok) return null; // No bundle deployed - nothing to report
+                const manifest = ContentBundle.parse(await response.text());
+                console.log(`📦 Content bundle r${manifest.revision}: ${Object.keys(manifest.planets).length} planets (${manifest.provider || 'unknown'} provider)`);
+                return manifest;
+            })
+            .catch((error) => {
+                console.warn('⚠️ Content bundle unavailable:', error.message);
+                return null;
+            });
+
+        return this.manifestPromise;
+    }
+
+    /**
+     * Planet file from the bundle (fetched once per planet)
+     * @returns {Promise<Object|null>}
+     */
+    async getPlanet(planetName) {
+        if (!planetName) return null;
+
+        const manifest = await this.load();
+        const file = manifest?.planets[planetName];
+        if (!file) return null;
+
+        if (!this.planets.has(planetName)) {
+            const request = fetch(`${this.url}/${file}?v=${manifest.revision}`)
+                .then(response => response.ok ? response.json() : null)
+                .catch((error) => {
+                    console.warn(`⚠️ Content bundle entry for ${planetName} unavailable:`, error.message);
+                    return null;
+                });
+            this.planets.set(planetName, request);
+        }
+        return this.planets.get(planetName);
+    }
+
+    /**
+     * Pre-generated text, if it was made from the same prompt
+     * @param {string} kind - 'grounded' | 'insights' | 'narration'
+     * @param {string} planetName
+     * @param {string} prompt - The prompt the caller would send now
+     * @returns {Promise<string|undefined>}
+     */
+    async getText(kind, planetName, prompt) {
+        const entry = (await this.getPlanet(planetName))?.[kind];
+        if (!entry?.text || entry.prompt !== ContentBundle.promptHash(prompt)) return undefined;
+        return entry.text;
+    }
+
+    /**
+     * Pre-generated narration audio for exactly this text
+     * @returns {Promise<Blob|null>}
+     */
+    async getAudio(planetName, text) {
+        const clip = await this.getAudioClip(planetName, text);
+        return clip ? this.loadAudio(clip) : null;
+    }
+
+    /**
+     * Bundle path of the narration audio for exactly this text - the same
+     * file for every player, so it can be shared by reference
+     * @returns {Promise<string|null>} e.g. 'audio/<slug>.mp3'
+     */
+    async getAudioClip(planetName, text) {
+        const narration = (await this.getPlanet(planetName))?.narration;
+        return narration?.audio && narration.text === text ? narration.audio : null;
+    }
+
+    /**
+     * Fetch a bundled audio file by its path
+     * @returns {Promise<Blob|null>}
+     */
+    async loadAudio(clip) {
+        if (!this.enabled) return null;
+
+        try {
+            const response = await fetch(`${this.url}/${clip}`);
+            return response.ok ? await response.blob() : null;
+        } catch (error) {
+            console.warn(`⚠️ Bundled audio ${clip} unavailable:`, error.message);
+            return null;
+        }
+    }
+}
+
+// Shared instance used by the AI services
+export const contentBundle = new ContentBundle();
+export default ContentBundle;
@@ -0,0 +1,372 @@
+/**
+ * FlightRecorder - Records spacecraft sessions and replays them exactly
+ * Frames (ship pose, forwardSpeed, camera pose/FOV, simulation time) are sampled
+ * at a fixed rate into a flat numeric array; discrete events (teleports, planet
+ * selections, dialog opens, narrations, view changes) are stored with timestamps.
+ * Replay interpolates between frames, so playback is driven by the file alone
+ * (no physics, no camera smoothing) and supports seek, speed and pause.
+ */
+import * as THREE from 'three';
+import { CONFIG } from '../config/config.js';
+
+const FORMAT = 'exoplanet-flight';
+const VERSION = 1;
+
+// Frame layout (one flat array, FRAME_STRIDE numbers per frame)
+// t | ship position | ship quaternion | forwardSpeed | camera offset from ship | camera quaternion | fov | days since epoch
+const FRAME_FIELDS = ['t', 'px', 'py', 'pz', 'qx', 'qy', 'qz', 'qw', 'speed', 'cx', 'cy', 'cz', 'cqx', 'cqy', 'cqz', 'cqw', 'fov', 'jd'];
+const FRAME_STRIDE = FRAME_FIELDS.length;
+const PRECISION = [3, 2, 2, 2, 5, 5, 5, 5, 2, 2, 2, 2, 5, 5, 5, 5, 2, 7];
+
+const round = (value, digits) => {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+};
+
+export class FlightRecorder {
+    /**
+     * @param {Object} options
+     * @param {Spacecraft} options.spacecraft
+     * @param {THREE.PerspectiveCamera} options.camera
+     * @param {SimulationClock} options.simulationClock - Optional, replays orbital time too
+     * @param {Function} options.onEvent - Called with each event reached during replay
+     * @param {Function} options.onStateChange - Called when recording/replay state changes
+     */
+    constructor(options = {}) {
+        this.spacecraft = options.spacecraft;
+        this.camera = options.camera;
+        this.simulationClock = options.simulationClock || null;
+        this.onEvent = options.onEvent || null;
+        this.onStateChange = options.onStateChange || null;
+        this.sampleInterval = 1 / (CONFIG.recorder?.sampleRate || 15);
+
+        this.mode = 'idle'; // idle | recording | replaying
+        this.recording = null;
+
+        // Recording state
+        this.recordTime = 0;
+        this.lastSampleTime = -Infinity;
+
+        // Replay state
+        this.replayTime = 0;
+        this.playbackRate = 1;
+        this.playing = false;
+        this.frameCursor = 0;
+        this.eventCursor = 0;
+        this.savedClockState = null;
+
+        this.tempVector = new THREE.Vector3();
+        this.tempQuaternion = new THREE.Quaternion();
+        this.tempQuaternionB = new THREE.Quaternion();
+    }
+
+    isRecording() {
+        return this.mode === 'recording';
+    }
+
+    isReplaying() {
+        return this.mode === 'replaying';
+    }
+
+    isPlaying() {
+        return this.isReplaying() && this.playing;
+    }
+
+    // ==================== RECORDING ====================
+
+    startRecording() {
+        if (this.isReplaying()) this.stopReplay();
+
+        this.recording = {
+            format: FORMAT,
+            version: VERSION,
+            createdAt: new Date().toISOString(),
+            sampleRate: Math.round(1 / this.sampleInterval),
+            fields: FRAME_FIELDS,
+            epoch: this.simulationClock ? this.simulationClock.getJulianDate() : null,
+            clock: this.simulationClock ? this.simulationClock.getState() : null,
+            duration: 0,
+            frames: [],
+            events: []
+        };
+        this.recordTime = 0;
+        this.lastSampleTime = -Infinity;
+        this.mode = 'recording';
+
+        this.sampleFrame(); // Initial pose at t = 0
+        this.recordEvent('view', { mode: this.spacecraft.viewMode }); // Replays start in the recorded view
+        console.log('⏺️ Flight recording started');
+        this.notifyStateChange();
+    }
+
+    /**
+     * @returns {Object|null} The finished recording
+     */
+    stopRecording() {
+        if (!this.isRecording()) return null;
+
+        this.sampleFrame(); // Final pose
+        this.recording.duration = round(this.recordTime, 3);
+        this.mode = 'idle';
+
+        console.log(`⏹️ Flight recording stopped: ${this.recording.duration.toFixed(1)}s, ${this.getFrameCount()} frames, ${this.recording.events.length} events`);
+        this.notifyStateChange();
+        return this.recording;
+    }
+
+    /**
+     * Advance the recording clock and sample a frame when due - call once per frame
+     * after the spacecraft and camera have been updated
+     */
+    recordFrame(deltaTime) {
+        if (!this.isRecording()) return;
+
+        this.recordTime += deltaTime;
+        if (this.recordTime - this.lastSampleTime >= this.sampleInterval) {
+            this.sampleFrame();
+        }
+    }
+
+    sampleFrame() {
+        const ship = this.spacecraft.group;
+        const camera = this.camera;
+        const cameraOffset = this.tempVector.copy(camera.position).sub(ship.position);
+        const days = this.simulationClock ? this.simulationClock.getJulianDate() - this.recording.epoch : 0;
+
+        const values = [
+            this.recordTime,
+            ship.position.x, ship.position.y, ship.position.z,
+            ship.quaternion.x, ship.quaternion.y, ship.quaternion.z, ship.quaternion.w,
+            this.spacecraft.forwardSpeed,
+            cameraOffset.x, cameraOffset.y, cameraOffset.z,
+            camera.quaternion.x, camera.quaternion.y, camera.quaternion.z, camera.quaternion.w,
+            camera.fov,
+            days
+        ];
+
+        // Never write two frames with the same timestamp (the final sample may coincide)
+        const frames = this.recording.frames;
+        if (frames.length >= FRAME_STRIDE && frames[frames.length - FRAME_STRIDE] === round(this.recordTime, PRECISION[0])) {
+            frames.length -= FRAME_STRIDE;
+        }
+
+        values.forEach((value, i) => frames.push(round(value, PRECISION[i])));
+        this.lastSampleTime = this.recordTime;
+    }
+
+    /**
+     * Timestamp a discrete event (ignored unless recording)
+     * @param {string} type - teleport | select | dialog | narrate | view
+     * @param {Object} data - Plain JSON data (e.g. { planet: 'Kepler-22 b' })
+     */
+    recordEvent(type, data = {}) {
+        if (!this.isRecording()) return;
+        this.recording.events.push({ t: round(this.recordTime, 3), type, data });
+    }
+
+    // ==================== FILE FORMAT ====================
+
+    serialize(recording = this.recording) {
+        if (!recording) throw new Error('No flight recording to export');
+        return JSON.stringify(recording);
+    }
+
+    /**
+     * Parse and validate a recording file
+     * @throws {Error} If the file is not a compatible recording
+     */
+    static parse(text) {
+        const recording = typeof text === 'string' ? JSON.parse(text) : text;
+
+        if (!recording || recording.format !== FORMAT) {
+            throw new Error('Not a flight recording file');
+        }
+        if (recording.version > VERSION) {
+            throw new Error(`Unsupported flight recording version ${recording.version}`);
+        }
+        if (!Array.isArray(recording.frames) || recording.frames.length < FRAME_STRIDE || recording.frames.length % FRAME_STRIDE !== 0) {
+            throw new Error('Flight recording has no valid frames');
+        }
+
+        recording.events = (recording.events || []).slice().sort((a, b) => a.t - b.t);
+        recording.duration = recording.duration || recording.frames[recording.frames.length - FRAME_STRIDE];
+        return recording;
+    }
+
+    getFrameCount(recording = this.recording) {
+        return recording ? recording.frames.length / FRAME_STRIDE : 0;
+    }
+
+    // ==================== REPLAY ====================
+
+    /**
+     * Load a recording and start replaying it from the beginning
+     */
+    startReplay(recording = this.recording) {
+        if (!recording) return false;
+        if (this.isRecording()) this.stopRecording();
+
+        this.recording = FlightRecorder.parse(recording);
+        this.mode = 'replaying';
+        this.playing = true;
+        this.spacecraft.disengageAutopilot();
+
+        // The replay owns simulation time; the clock is restored afterwards
+        if (this.simulationClock && this.recording.epoch !== null) {
+            this.savedClockState = this.simulationClock.getState();
+            this.simulationClock.pause();
+        }
+
+        this.seek(0);
+        console.log(`▶️ Replaying flight: ${this.recording.duration.toFixed(1)}s, ${this.recording.events.length} events`);
+        this.notifyStateChange();
+        return true;
+    }
+
+    stopReplay() {
+        if (!this.isReplaying()) return;
+
+        this.mode = 'idle';
+        this.playing = false;
+        if (this.savedClockState) {
+            this.simulationClock.setState({ ...this.savedClockState, julianDate: this.simulationClock.getJulianDate() });
+            this.savedClockState = null;
+        }
+
+        console.log('⏹️ Flight replay stopped');
+        this.notifyStateChange();
+    }
+
+    play() {
+        if (!this.isReplaying()) return;
+        if (this.replayTime >= this.recording.duration) this.seek(0);
+        this.playing = true;
+        this.notifyStateChange();
+    }
+
+    pause() {
+        if (!this.isReplaying()) return;
+        this.playing = false;
+        this.notifyStateChange();
+    }
+
+    togglePause() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+
+    setPlaybackRate(rate) {
+        this.playbackRate = Math.min(Math.max(rate, 0.1), 16);
+    }
+
+    /**
+     * Jump to a replay time; events in between are skipped, not fired
+     */
+    seek(time) {
+        if (!this.isReplaying()) return;
+
+        this.replayTime = Math.min(Math.max(time, 0), this.recording.duration);
+        this.frameCursor = this.findFrame(this.replayTime);
+
+        const events = this.recording.events;
+        this.eventCursor = events.findIndex(event => event.t >= this.replayTime);
+        if (this.eventCursor === -1) this.eventCursor = events.length;
+
+        this.applyFrame(this.replayTime);
+        this.notifyStateChange();
+    }
+
+    getTime() {
+        return this.isReplaying() ? this.replayTime : this.recordTime;
+    }
+
+    getDuration() {
+        return this.recording ? (this.isRecording() ? this.recordTime : this.recording.duration) : 0;
+    }
+
+    /**
+     * Advance playback, pose the spacecraft/camera and fire events that were reached
+     * Call once per frame instead of Spacecraft.steer()/updateCamera()
+     */
+    updateReplay(deltaTime) {
+        if (!this.isReplaying()) return;
+
+        if (this.playing) {
+            this.replayTime = Math.min(this.replayTime + deltaTime * this.playbackRate, this.recording.duration);
+
+            const events = this.recording.events;
+            while (this.eventCursor < events.length && events[this.eventCursor].t <= this.replayTime) {
+                this.onEvent?.(events[this.eventCursor]);
+                this.eventCursor++;
+            }
+
+            if (this.replayTime >= this.recording.duration) {
+                this.playing = false;
+                console.log('⏸️ Flight replay reached the end');
+                this.notifyStateChange();
+            }
+        }
+
+        this.applyFrame(this.replayTime);
+    }
+
+    /**
+     * Index of the last frame at or before `time` (binary search)
+     */
+    findFrame(time) {
+        const frames = this.recording.frames;
+        let low = 0;
+        let high = this.getFrameCount() - 1;
+
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (frames[mid * FRAME_STRIDE] <= time) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    }
+
+    /**
+     * Interpolate the recording at `time` and apply it to the spacecraft, camera and clock
+     */
+    applyFrame(time) {
+        const frames = this.recording.frames;
+        const lastFrame = this.getFrameCount() - 1;
+
+        // Playback moves forward, so the cursor usually only needs a small step
+        while (this.frameCursor < lastFrame && frames[(this.frameCursor + 1) * FRAME_STRIDE] <= time) this.frameCursor++;
+        if (frames[this.frameCursor * FRAME_STRIDE] > time) this.frameCursor = this.findFrame(time);
+
+        const a = this.frameCursor * FRAME_STRIDE;
+        const b = Math.min(this.frameCursor + 1, lastFrame) * FRAME_STRIDE;
+        const span = frames[b] - frames[a];
+        const alpha = span > 0 ? Math.min(Math.max((time - frames[a]) / span, 0), 1) : 0;
+        const lerp = (offset) => frames[a + offset] + (frames[b + offset] - frames[a + offset]) * alpha;
+
+        const ship = this.spacecraft.group;
+        ship.position.set(lerp(1), lerp(2), lerp(3));
+        this.tempQuaternion.set(frames[a + 4], frames[a + 5], frames[a + 6], frames[a + 7]).normalize();
+        this.tempQuaternionB.set(frames[b + 4], frames[b + 5], frames[b + 6], frames[b + 7]).normalize();
+        ship.quaternion.slerpQuaternions(this.tempQuaternion, this.tempQuaternionB, alpha);
+
+        this.spacecraft.forwardSpeed = lerp(8);
+        if (this.spacecraft.velocity) {
+            this.spacecraft.velocity.set(1, 0, 0).applyQuaternion(ship.quaternion).multiplyScalar(this.spacecraft.forwardSpeed);
+        }
+
+        this.camera.position.set(lerp(9), lerp(10), lerp(11)).add(ship.position);
+        this.tempQuaternion.set(frames[a + 12], frames[a + 13], frames[a + 14], frames[a + 15]).normalize();
+        this.tempQuaternionB.set(frames[b + 12], frames[b + 13], frames[b + 14], frames[b + 15]).normalize();
+        this.camera.quaternion.slerpQuaternions(this.tempQuaternion, this.tempQuaternionB, alpha);
+        this.camera.fov = lerp(16);
+        this.camera.updateProjectionMatrix();
+
+        if (this.simulationClock && this.recording.epoch !== null) {
+            this.simulationClock.setJulianDate(this.recording.epoch + lerp(17));
+        }
+    }
+
+    notifyStateChange() {
+        this.onStateChange?.(this.mode);
+    }
+}
@@ -1,19 +1,26 @@
 /**
  * Frontend Planet Manager
  * Browser-compatible service for managing planet data and AI descriptions
- * Works with Vite and Three.js
+ * Works with Vite and Three.js. Descriptions come from the CONFIG.llm provider
+ * and are kept in the shared persistent AICache between sessions.
  */
 
+import { CONFIG } from '../config/config.js';
+import { createLLMProvider } from '../ai/providers/createLLMProvider.js';
+import { AICache, aiCache } from './AICache.js';
+
 class FrontendPlanetService {
     constructor() {
         this.planetsData = new Map();
         this.descriptionCache = new Map();
+        this.persistentCache = aiCache;
         this.isInitialized = false;
+        this.provider = null;
 
         // Configuration
         this.config = {
             apiKey: null,
-            model: 'gpt-3.5-turbo',
+            model: null, // null = provider default
             temperature: 0.7,
             max_tokens: 250,
             batchSize: 3,
@@ -24,21 +31,28 @@ class FrontendPlanetService {
 
     /**
      * Initialize with API key from environment
+     * @param {string} apiKey - OpenAI key (only needed by the 'openai' provider)
+     * @param {LLMProvider} provider - Defaults to the provider selected in CONFIG.llm
      */
-    init(apiKey) {
-        this.config.apiKey = apiKey || import.meta.env.VITE_OPENAI_API_KEY;
+    init(apiKey, provider = null) {
+        this.config.apiKey = apiKey || CONFIG.openai.apiKey;
+        this.provider = provider || createLLMProvider({ apiKey: this.config.apiKey });
 
-        if (!this.config.apiKey) {
+        if (!this.isAIEnabled()) {
             console.warn('⚠️  OpenAI API key not configured. AI descriptions will be disabled.');
-            console.warn('   Add VITE_OPENAI_API_KEY to your .env file');
+            console.warn('   Add VITE_OPENAI_API_KEY to your .env file (or set VITE_LLM_PROVIDER=mock)');
         } else {
-            console.log('✅ FrontendPlanetService initialized with API key');
+            console.log(`✅ FrontendPlanetService initialized (${this.provider.name} provider)`);
         }
 
         this.isInitialized = true;
         return this;
     }
 
+    isAIEnabled() {
+        return !!this.provider && this.provider.isConfigured();
+    }
+
     /**
      * Load planets data
      * @param {Array} planetsArray - Array of planet configurations
@@ -63,7 +77,7 @@ class FrontendPlanetService {
             return { success: 0, failed: 0, cached: 0 };
         }
 
-        if (!this.config.apiKey) {
+        if (!this.isAIEnabled()) {
             console.log('⚠️  Skipping preload: No API key configured');
             return { success: 0, failed: 0, cached: 0 };
         }
@@ -94,6 +108,13 @@ class FrontendPlanetService {
                         return;
                     }
 
+                    const stored = await this.persistentCache?.get(this.getCacheKey(planet));
+                    if (stored) {
+                        this.descriptionCache.set(planet.name, stored);
+                        results.cached++;
+                        return;
+                    }
+
                     await this.fetchDescription(planet);
                     results.success++;
                 } catch (error) {
@@ -136,13 +157,19 @@ class FrontendPlanetService {
         }
 
         // Fetch new description
-        if (!this.config.apiKey) {
+        if (!this.isAIEnabled()) {
             const fallback = this.getFallbackDescription(planet);
             this.descriptionCache.set(planet.name, fallback);
             return fallback;
         }
 
         try {
+            const stored = await this.persistentCache?.get(this.getCacheKey(planet));
+            if (stored) {
+                this.descriptionCache.set(planet.name, stored);
+                return stored;
+            }
+
             return await this.fetchDescription(planet);
         } catch (error) {
             console.error(`Error getting description for ${planet.name}:`, error);
@@ -153,40 +180,27 @@ class FrontendPlanetService {
     }
 
     /**
-     * Fetch description from OpenAI API
+     * Fetch description from the LLM provider
      */
     async fetchDescription(planet) {
         const prompt = this.buildPrompt(planet);
 
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.config.apiKey}`
+        const response = await this.provider.chat([
+            {
+                role: 'system',
+                content: 'You are an expert astronomer creating engaging descriptions for an interactive 3D space visualization. Keep descriptions vivid but concise (2 short paragraphs).'
             },
-            body: JSON.stringify({
-                model: this.config.model,
-                temperature: this.config.temperature,
-                max_tokens: this.config.max_tokens,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are an expert astronomer creating engaging descriptions for an interactive 3D space visualization. Keep descriptions vivid but concise (2 short paragraphs).'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ]
-            })
+            {
+                role: 'user',
+                content: prompt
+            }
+        ], {
+            model: this.config.model,
+            temperature: this.config.temperature,
+            maxTokens: this.config.max_tokens
         });
 
-        if (!response.ok) {
-            throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        const description = data.choices[0]?.message?.content?.trim();
+        const description = response?.trim();
 
         if (!description) {
             throw new Error('No description generated');
@@ -194,9 +208,17 @@ class FrontendPlanetService {
 
         // Cache it
         this.descriptionCache.set(planet.name, description);
+        this.persistentCache?.set(this.getCacheKey(planet), description);
         return description;
     }
 
+    /**
+     * Persistent cache key: planet + hash of the provider, model and prompt
+     */
+    getCacheKey(planet) {
+        return AICache.key('description', planet.name, [this.provider.name, this.config.model || this.provider.model, this.buildPrompt(planet)]);
+    }
+
     /**
      * Build prompt for OpenAI
      */
@@ -0,0 +1,255 @@
+/**
+ * NarrationDirector - Multi-voice narration with SSML-like pacing
+ * Turns a narration script into spoken segments, each with its own voice:
+ *   - computer: short approach readout (distance, habitability, toxicity warning)
+ *   - guide:    SpAIce, the default narrator
+ *   - alien:    replaces the guide on hostile worlds (toxicity_percent >= CONFIG.narration.hostileToxicity)
+ *
+ * Scripts may carry markup (tour stops use it, AI narrations are plain text):
+ *   <break time="800ms"/>               pause (also "1.5s")
+ *   <emphasis>...</emphasis>            livelier delivery
+ *   <voice name="computer">...</voice>  switch voice (guide | computer | alien)
+ * Blank lines start a new segment after a longer pause.
+ *
+ * Segments are synthesized in parallel, decoded, and stitched with short
+ * crossfades into one WAV blob; their start and end times come back with it
+ * so NarratorDialog can keep the subtitles on the segment being spoken.
+ */
+
+import { CONFIG } from '../config/config.js';
+import { encodeWav } from '../ai/tts/wav.js';
+
+const MARKUP = /<break\s+time="(\d+(?:\.\d+)?)(ms|s)"\s*\/>|<emphasis>|<\/emphasis>|<voice\s+name="(\w+)">|<\/voice>/g;
+const SAMPLE_RATE = 44100;
+
+export class NarrationDirector {
+    /**
+     * @param {TextToSpeechService|ElevenLabsService} textToSpeech - Synthesizes each segment (cached per segment)
+     * @param {Object} options - Overrides for CONFIG.narration
+     */
+    constructor(textToSpeech, options = {}) {
+        this.textToSpeech = textToSpeech;
+        this.config = { ...CONFIG.narration, ...options };
+    }
+
+    /**
+     * Stitching decodes audio with the Web Audio API
+     */
+    static isSupported() {
+        return typeof window !== 'undefined' && !!(window.OfflineAudioContext || window.webkitOfflineAudioContext);
+    }
+
+    /**
+     * Script text without markup (what the subtitles and chat show)
+     */
+    static stripMarkup(script) {
+        return script
+            .replace(MARKUP, tag => (tag.startsWith('<break') ? ' ' : ''))
+            .replace(/[ \t]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .trim();
+    }
+
+    /**
+     * Narrator for a planet: the alien voice on hostile worlds, otherwise the guide
+     */
+    voiceFor(planet) {
+        const toxicity = planet.characteristics?.toxicity_percent;
+        return toxicity >= this.config.hostileToxicity ? 'alien' : 'guide';
+    }
+
+    /**
+     * Ship computer approach readout
+     */
+    readout(planet) {
+        const characteristics = planet.characteristics || {};
+        const lines = [`Approaching ${planet.pl_name || 'unknown planet'}.`];
+
+        const isSolarPlanet = planet.hostname === 'Sun' || planet.isSolar === true;
+        if (!isSolarPlanet && planet.sy_dist) {
+            lines.push(`Distance from Earth: ${(planet.sy_dist * 3.26156).toFixed(1)} light years.`);
+        }
+        if (characteristics.habitability_percent !== undefined) {
+            lines.push(`Habitability: ${characteristics.habitability_percent} percent.`);
+        }
+        if (characteristics.toxicity_percent >= this.config.hostileToxicity) {
+            lines.push(`Warning: toxicity ${characteristics.toxicity_percent} percent.`);
+        }
+        return lines.join(' ');
+    }
+
+    /**
+     * Split a script into segments
+     * @param {string} script - Narration text, optionally with markup
+     * @param {string} baseVoice - Voice outside <voice> tags
+     * @returns {Array<{text: string, voice: string, emphasis: boolean, pauseAfter: number}>} pauseAfter in ms
+     */
+    parse(script, baseVoice = 'guide') {
+        const segments = [];
+        const voices = [baseVoice];
+        let emphasis = false;
+
+        const addText = (chunk) => {
+            chunk.split(/\n\s*\n/).forEach((paragraph, index) => {
+                const last = segments[segments.length - 1];
+                if (index > 0 && last) last.pauseAfter = Math.max(last.pauseAfter, this.config.pauses.paragraph);
+
+                const text = paragraph.replace(/\s+/g, ' ').trim();
+                if (!text) return;
+
+                // Punctuation left after a closing tag belongs to the words before it
+                if (/^[\p{P}\s]+$/u.test(text) && index === 0 && last) {
+                    last.text += text;
+                } else {
+                    segments.push({ text, voice: voices[voices.length - 1], emphasis, pauseAfter: 0 });
+                }
+
+                // Sentences end with a short pause; a tag mid-sentence just changes delivery
+                const segment = segments[segments.length - 1];
+                if (/[.!?…:;]["')\]]*$/.test(segment.text)) {
+                    segment.pauseAfter = Math.max(segment.pauseAfter, this.config.pauses.segment);
+                }
+            });
+        };
+
+        let position = 0;
+        for (const match of script.matchAll(MARKUP)) {
+            addText(script.slice(position, match.index));
+            position = match.index + match[0].length;
+
+            const [tag, amount, unit, voice] = match;
+            if (amount) {
+                const last = segments[segments.length - 1];
+                if (last) last.pauseAfter += Number(amount) * (unit === 's' ? 1000 : 1);
+            } else if (tag === '<emphasis>') {
+                emphasis = true;
+            } else if (tag === '</emphasis>') {
+                emphasis = false;
+            } else if (voice) {
+                voices.push(this.config.voices[voice] ? voice : baseVoice);
+            } else if (voices.length > 1) {
+                voices.pop();
+            }
+        }
+        addText(script.slice(position));
+
+        return segments;
+    }
+
+    /**
+     * Full script for a planet: computer readout, then the narration
+     */
+    direct(script, planet) {
+        const segments = this.parse(script, this.voiceFor(planet));
+
+        if (this.config.computerReadout && planet.pl_name) {
+            segments.unshift({ text: this.readout(planet), voice: 'computer', emphasis: false, pauseAfter: this.config.pauses.readout });
+        }
+        return segments;
+    }
+
+    /**
+     * Per-request voice settings for a segment (see TextToSpeechProvider.voiceProfile)
+     */
+    voiceSettings(segment) {
+        const voice = { ...this.config.voices[segment.voice], name: segment.voice };
+        if (segment.emphasis) {
+            voice.stability = Math.max(0, (voice.stability ?? 0.5) - 0.25);
+            voice.style = Math.min(1, (voice.style ?? 0) + 0.35);
+            voice.pitch = (voice.pitch ?? 1) * 1.1; // Engines without style settings
+        }
+        return voice;
+    }
+
+    /**
+     * Synthesize and stitch a directed narration
+     * @param {string} script - Narration text, optionally with markup
+     * @param {Object} planet - Planet data (voice choice, readout)
+     * @returns {Promise<{audio: Blob, segments: Array<{text, voice, start, end}>}>} Times in seconds
+     */
+    async perform(script, planet) {
+        const planetName = planet.pl_name || null;
+        const segments = this.direct(script, planet);
+
+        const clips = await Promise.all(segments.map(segment =>
+            this.textToSpeech.textToSpeech(segment.text, true, planetName, this.voiceSettings(segment))
+        ));
+        if (!clips.every(clip => clip instanceof Blob)) {
+            throw new Error('Segments were spoken by the browser engine, which can\'t be stitched');
+        }
+
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const context = new OfflineContext(1, 1, SAMPLE_RATE); // Only used to decode (resamples to SAMPLE_RATE)
+        const decoded = await Promise.all(clips.map(async clip =>
+            NarrationDirector.toMono(await context.decodeAudioData(await clip.arrayBuffer()))
+        ));
+
+        const { samples, timings } = NarrationDirector.stitch(decoded, segments, SAMPLE_RATE, this.config.crossfade);
+        console.log(`🎬 Directed narration: ${segments.length} segments (${segments.map(s => s.voice).join(', ')}), ${(samples.length / SAMPLE_RATE).toFixed(1)}s`);
+
+        return { audio: encodeWav(samples, SAMPLE_RATE), segments: timings };
+    }
+
+    /**
+     * Average the channels of a decoded AudioBuffer
+     * @returns {Float32Array}
+     */
+    static toMono(buffer) {
+        if (buffer.numberOfChannels === 1) return buffer.getChannelData(0);
+
+        const mono = new Float32Array(buffer.length);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < buffer.length; i++) mono[i] += data[i] / buffer.numberOfChannels;
+        }
+        return mono;
+    }
+
+    /**
+     * Lay the clips out one after another with each segment's pause between
+     * them. Every inner edge is faded over crossfadeMs; without a pause the
+     * fades overlap, crossfading one voice into the next.
+     * @param {Float32Array[]} clips - Mono samples per segment
+     * @param {Array} segments - From direct() (text, voice, pauseAfter)
+     * @returns {{samples: Float32Array, timings: Array<{text, voice, start, end}>}}
+     */
+    static stitch(clips, segments, sampleRate, crossfadeMs) {
+        const fade = Math.round((crossfadeMs / 1000) * sampleRate);
+        const starts = [];
+
+        let cursor = 0;
+        clips.forEach((clip, i) => {
+            if (i > 0) {
+                const pause = Math.round((segments[i - 1].pauseAfter / 1000) * sampleRate);
+                cursor = Math.max(starts[i - 1], cursor + pause - fade);
+            }
+            starts.push(cursor);
+            cursor += clip.length;
+        });
+
+        const samples = new Float32Array(cursor);
+        clips.forEach((clip, i) => {
+            const fadeIn = i > 0 ? Math.min(fade, clip.length) : 0;
+            const fadeOut = i < clips.length - 1 ? Math.min(fade, clip.length) : 0;
+
+            for (let n = 0; n < clip.length; n++) {
+                let gain = 1;
+                if (n < fadeIn) gain = n / fadeIn;
+                const fromEnd = clip.length - 1 - n;
+                if (fromEnd < fadeOut) gain = Math.min(gain, fromEnd / fadeOut);
+                samples[starts[i] + n] += clip[n] * gain;
+            }
+        });
+
+        const timings = segments.map((segment, i) => ({
+            text: segment.text,
+            voice: segment.voice,
+            start: starts[i] / sampleRate,
+            end: (starts[i] + clips[i].length) / sampleRate
+        }));
+
+        return { samples, timings };
+    }
+}
+
+export default NarrationDirector;
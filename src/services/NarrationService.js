@@ -1,12 +1,32 @@
 /**
  * NarrationService - Generates AI descriptions and audio for planets
+ * Narration text is kept in the shared persistent AICache; the audio is
+ * cached by ElevenLabsService under the same planet. Narrations in the
+ * ContentBundle (text and audio) are used first, even without API keys.
+ * Live audio is directed by NarrationDirector (several voices, paced
+ * segments) when the browser can stitch it, otherwise read by one voice -
+ * ElevenLabs, or whichever fallback engine TextToSpeechService reaches.
  */
+import { AICache, aiCache } from './AICache.js';
+import { contentBundle as sharedContentBundle } from './ContentBundle.js';
+import { NarrationDirector } from './NarrationDirector.js';
+import { CONFIG } from '../config/config.js';
+
 export class NarrationService {
-    constructor(openAIService, elevenLabsService) {
+    /**
+     * @param {OpenAIService|null} openAIService
+     * @param {TextToSpeechService|ElevenLabsService|null} textToSpeech - Speech engine(s)
+     * @param {AICache|null} persistentCache - Survives reloads (defaults to the shared cache)
+     * @param {ContentBundle|null} contentBundle - Pre-generated narrations (null = always generate)
+     */
+    constructor(openAIService, textToSpeech, persistentCache = aiCache, contentBundle = sharedContentBundle) {
         this.openAIService = openAIService;
-        this.elevenLabsService = elevenLabsService;
+        this.textToSpeech = textToSpeech;
+        this.persistentCache = persistentCache;
+        this.contentBundle = contentBundle;
+        this.director = textToSpeech && CONFIG.narration.multiVoice ? new NarrationDirector(textToSpeech) : null;
         this.textCache = new Map();
-        this.audioCache = new Map();
+        this.audioCache = new Map(); // cacheKey -> { audio, segments }
         this.isGenerating = false;
         this.queue = [];
     }
@@ -14,46 +34,55 @@ export class NarrationService {
     /**
      * Generate narration (text + audio) for a planet
      * @param {Object} planet - Planet data
-     * @returns {Promise<{text: string, audio: Blob}>}
+     * @param {Object} options
+     * @param {string} options.text - Narrate this text as-is (no AI call, NarrationDirector markup allowed)
+     * @param {string} options.prompt - Custom AI prompt template ({name}, {host}, ... placeholders)
+     * @returns {Promise<{text: string, audio: Blob|Object|null, segments: Array|null, clip?: string}>} segments:
+     *          spoken segments with start/end times when the audio was directed (subtitles);
+     *          clip: content bundle path when the audio is the bundled recording
      */
-    async generateNarration(planet) {
+    async generateNarration(planet, options = {}) {
         const planetName = planet.pl_name || 'Unknown Planet';
+        const cacheKey = options.text || options.prompt
+            ? `${planetName}::${options.text || options.prompt}`
+            : planetName;
         
         console.log(`🎙️ Generating narration for ${planetName}...`);
 
         // Check cache first
-        if (this.textCache.has(planetName) && this.audioCache.has(planetName)) {
+        if (this.textCache.has(cacheKey) && this.audioCache.has(cacheKey)) {
             console.log(`✅ Using cached narration for ${planetName}`);
             return {
-                text: this.textCache.get(planetName),
-                audio: this.audioCache.get(planetName)
+                text: this.textCache.get(cacheKey),
+                ...this.audioCache.get(cacheKey)
             };
         }
 
         try {
             // Generate text description
             console.log('📝 Step 1: Generating text description...');
-            const text = await this.generateDescription(planet);
-            this.textCache.set(planetName, text);
+            const script = options.text || await this.generateDescription(planet, options.prompt);
+            const text = NarrationDirector.stripMarkup(script);
+            this.textCache.set(cacheKey, text);
             console.log(`✅ Text generated: "${text.substring(0, 60)}..."`);
 
             // Generate audio
-            let audio = null;
-            if (this.elevenLabsService) {
+            let speech = { audio: null, segments: null };
+            if (this.textToSpeech || this.contentBundle) {
                 console.log('🎤 Step 2: Generating audio narration...');
-                audio = await this.generateAudio(text);
-                if (audio) {
-                    this.audioCache.set(planetName, audio);
+                speech = await this.generateSpeech(script, planet);
+                if (speech.audio) {
+                    this.audioCache.set(cacheKey, speech);
                     console.log('✅ Audio cached successfully');
                 } else {
                     console.log('⚠️ Continuing without audio');
                 }
             } else {
-                console.log('ℹ️ ElevenLabs not configured - text-only mode');
+                console.log('ℹ️ No speech engine - text-only mode');
             }
 
             console.log(`✅ Narration ready for ${planetName}`);
-            return { text, audio };
+            return { text, ...speech };
 
         } catch (error) {
             console.error('❌ Narration generation failed:', error);
@@ -63,15 +92,56 @@ export class NarrationService {
 
     /**
      * Generate text description using OpenAI
+     * @param {Object} planet - Planet data
+     * @param {string|null} promptTemplate - Custom prompt (placeholders filled by fillPrompt)
      */
-    async generateDescription(planet) {
+    async generateDescription(planet, promptTemplate = null) {
         console.log('🤖 generateDescription called for', planet.pl_name);
-        
+
+        const planetName = planet.pl_name || 'Unknown Planet';
+        const prompt = this.buildNarrationPrompt(planet, promptTemplate);
+
+        const bundled = await this.contentBundle?.getText('narration', planetName, prompt);
+        if (bundled) {
+            console.log(`📦 Using pre-generated narration for ${planetName}`);
+            return bundled;
+        }
+
         if (!this.openAIService) {
             console.log('⚠️ No OpenAI service, using fallback');
             return this.generateFallbackDescription(planet);
         }
 
+        // Narration from an earlier session (fallback texts are never stored)
+        const storedKey = AICache.key('narration', planetName, [this.openAIService.config.model, prompt]);
+        const stored = await this.persistentCache?.get(storedKey);
+        if (stored) {
+            console.log(`✅ Using stored narration text for ${planetName}`);
+            return stored;
+        }
+
+        try {
+            console.log('📡 Calling OpenAI...');
+            const response = await this.openAIService.generateCompletion(prompt);
+            console.log('✅ OpenAI response received');
+            const text = response.trim();
+            this.persistentCache?.set(storedKey, text);
+            return text;
+        } catch (error) {
+            console.error('❌ OpenAI call failed:', error);
+            return this.generateFallbackDescription(planet);
+        }
+    }
+
+    /**
+     * Narration prompt for a planet (also used by the content bundle generator)
+     * @param {Object} planet - Planet data
+     * @param {string|null} promptTemplate - Custom prompt (placeholders filled by fillPrompt)
+     * @returns {string}
+     */
+    buildNarrationPrompt(planet, promptTemplate = null) {
+        if (promptTemplate) return this.fillPrompt(promptTemplate, planet);
+
         const planetName = planet.pl_name || 'Unknown Planet';
         const characteristics = planet.characteristics || {};
         const type = characteristics.radius_position || 'Unknown type';
@@ -84,7 +154,7 @@ export class NarrationService {
         const isSolarPlanet = planet.hostname === 'Sun' || planet.isSolar === true;
         const celestialBodyType = isSolarPlanet ? 'planet in our Solar System' : 'exoplanet';
 
-        const prompt = `You are SpAIce, an enthusiastic AI space guide. Create a brief, engaging 2-3 sentence narration about this ${celestialBodyType} for a space explorer who just approached it:
+        return `You are SpAIce, an enthusiastic AI space guide. Create a brief, engaging 2-3 sentence narration about this ${celestialBodyType} for a space explorer who just approached it:
 
 Planet: ${planetName}
 Type: ${type}
@@ -94,16 +164,33 @@ Composition: ${material}
 Atmosphere: ${atmosphere}
 
 Make it sound like a friendly documentary narrator - informative but captivating. Focus on the most interesting characteristics. Keep it under 50 words.`;
+    }
 
-        try {
-            console.log('📡 Calling OpenAI...');
-            const response = await this.openAIService.generateCompletion(prompt);
-            console.log('✅ OpenAI response received');
-            return response.trim();
-        } catch (error) {
-            console.error('❌ OpenAI call failed:', error);
-            return this.generateFallbackDescription(planet);
-        }
+    /**
+     * Fill {placeholders} in a prompt template from planet data
+     * Known keys: name, host, distance (light years), year, radius (Earth radii),
+     * period (days), temperature (K), habitability (%), method, type.
+     * Any other {key} is read from the planet record; unknown keys become "unknown".
+     */
+    fillPrompt(template, planet) {
+        const characteristics = planet.characteristics || {};
+        const values = {
+            name: planet.pl_name,
+            host: planet.hostname,
+            distance: planet.sy_dist ? (planet.sy_dist * 3.26156).toFixed(1) : null,
+            year: planet.disc_year > 0 ? planet.disc_year : null,
+            radius: planet.pl_rade ? planet.pl_rade.toFixed(2) : null,
+            period: planet.pl_orbper ? planet.pl_orbper.toFixed(2) : null,
+            temperature: planet.pl_eqt,
+            habitability: characteristics.habitability_percent,
+            method: planet.discoverymethod,
+            type: characteristics.radius_position
+        };
+
+        return template.replace(/\{(\w+)\}/g, (match, key) => {
+            const value = key in values ? values[key] : planet[key];
+            return value === null || value === undefined ? 'unknown' : String(value);
+        });
     }
 
     /**
@@ -145,27 +232,68 @@ Make it sound like a friendly documentary narrator - informative but captivating
     }
 
     /**
-     * Generate audio using Eleven Labs
+     * Spoken narration: the bundled recording, a directed multi-voice take,
+     * or the whole text read by one voice
+     * @param {string} script - Narration text (NarrationDirector markup allowed)
+     * @param {Object} planet - Planet data
+     * @returns {Promise<{audio: Blob|Object|null, segments: Array|null, clip?: string}>}
+     */
+    async generateSpeech(script, planet) {
+        const planetName = planet.pl_name || 'Unknown Planet';
+        const text = NarrationDirector.stripMarkup(script);
+
+        const clip = await this.contentBundle?.getAudioClip(planetName, text);
+        const bundled = clip && await this.contentBundle.loadAudio(clip);
+        if (bundled) {
+            console.log(`📦 Using pre-generated audio for ${planetName}`);
+            return { audio: bundled, segments: null, clip };
+        }
+
+        // The browser engine speaks directly - there is nothing to stitch
+        if (this.director && NarrationDirector.isSupported() && this.textToSpeech.producesAudio?.() !== false) {
+            try {
+                return await this.director.perform(script, planet);
+            } catch (error) {
+                console.warn('⚠️ Multi-voice narration failed, using a single voice:', error.message);
+            }
+        }
+
+        return { audio: await this.generateAudio(text, planetName), segments: null };
+    }
+
+    /**
+     * Generate audio with the first speech engine that answers
+     * @returns {Promise<Blob|Object|null>} Audio Blob, a browser speech clip, or null
      */
-    async generateAudio(text) {
-        if (!this.elevenLabsService) {
-            console.warn('⚠️ Eleven Labs not configured, skipping audio');
+    async generateAudio(text, planetName = null) {
+        const bundled = await this.contentBundle?.getAudio(planetName, text);
+        if (bundled) {
+            console.log(`📦 Using pre-generated audio for ${planetName}`);
+            return bundled;
+        }
+
+        if (!this.textToSpeech) {
+            console.warn('⚠️ No speech engine configured, skipping audio');
             return null;
         }
 
-        console.log('🎤 Generating audio with ElevenLabs...');
+        console.log('🎤 Generating audio...');
         console.log(`📝 Text length: ${text.length} characters`);
 
         try {
-            const audioBlob = await this.elevenLabsService.textToSpeech(text);
+            const audio = await this.textToSpeech.textToSpeech(text, true, planetName);
             
-            if (!audioBlob) {
-                console.warn('⚠️ ElevenLabs returned no audio data');
+            if (!audio) {
+                console.warn('⚠️ Speech engine returned no audio data');
                 return null;
             }
             
-            console.log(`✅ Audio generated: ${audioBlob.size} bytes (${(audioBlob.size / 1024).toFixed(2)} KB)`);
-            return audioBlob;
+            if (audio instanceof Blob) {
+                console.log(`✅ Audio generated: ${audio.size} bytes (${(audio.size / 1024).toFixed(2)} KB)`);
+            } else {
+                console.log(`✅ Speech ready (${audio.type}, ~${audio.duration.toFixed(1)}s)`);
+            }
+            return audio;
             
         } catch (error) {
             console.error('❌ Audio generation failed:', error);
@@ -176,6 +304,14 @@ Make it sound like a friendly documentary narrator - informative but captivating
         }
     }
 
+    /**
+     * Bundled recording shared by reference (a multiplayer narration's clip)
+     * @returns {Promise<Blob|null>}
+     */
+    async loadClip(clip) {
+        return (await this.contentBundle?.loadAudio(clip)) || null;
+    }
+
     /**
      * Clear caches
      */
@@ -1,3 +1,7 @@
+import { ClusterStreamDecoder } from '../utils/ClusterStreamDecoder.js';
+import { SpatialIndex } from '../utils/SpatialIndex.js';
+import { StarSystem } from '../objects/StarSystem.js';
+
 /**
  * PlanetDataService - Handles loading and managing NASA exoplanet cluster data
  * with position-based dynamic loading
@@ -8,8 +12,16 @@ export class PlanetDataService {
         this.allPlanets = [];
         this.isLoading = false;
         this.loadedClusters = new Set();
+        this.clusterStreams = new Map(); // clusterName -> promise resolved when streaming ends
         this.clusterIndex = null;
         this.sceneScale = 10; // 1 light-year = 10 scene units
+
+        // Shared octree over all positioned planets (light-year coordinates)
+        this.spatialIndex = new SpatialIndex();
+        this.indexedPlanetNames = new Set();
+
+        // Host star systems (hostname -> StarSystem)
+        this.starSystems = new Map();
     }
 
     /**
@@ -544,55 +556,183 @@ export class PlanetDataService {
     }
 
     /**
-     * Load a specific cluster JSON file
+     * Load a specific cluster (binary when available, JSON otherwise)
      */
     async loadCluster(clusterName) {
+        const planets = [];
+        for await (const batch of this.streamCluster(clusterName)) {
+            planets.push(...batch);
+        }
+        // A retry only streams what an interrupted load missed
+        return this.clusters.get(clusterName) || planets;
+    }
+
+    /**
+     * Stream a cluster in decoded batches so callers can render the first
+     * planets before the whole file has arrived.
+     * Prefers the binary EXOC file listed in the cluster index and falls back
+     * to the JSON file when it is missing or unreadable.
+     * @param {string} clusterName - e.g. 'far_quad1'
+     * @yields {Array<Object>} Enriched planets, already added to allPlanets (after an
+     *         interrupted stream, only the ones it didn't get to)
+     */
+    async *streamCluster(clusterName) {
+        // Another caller is already streaming this cluster - wait for it
+        if (this.clusterStreams.has(clusterName)) {
+            await this.clusterStreams.get(clusterName);
+        }
+
         // Check if already loaded - return cached data WITHOUT adding to allPlanets again
         if (this.loadedClusters.has(clusterName)) {
             console.log(`  ↪ Cluster ${clusterName} already loaded (cached)`);
-            return this.clusters.get(clusterName);
+            const cached = this.clusters.get(clusterName) || [];
+            if (cached.length > 0) yield cached;
+            return;
         }
 
+        let finishStream;
+        this.clusterStreams.set(clusterName, new Promise(resolve => { finishStream = resolve; }));
+
+        // Planets an interrupted stream already added (failed, or its consumer stopped
+        // early) stay loaded - only the rest are added this time
+        const loaded = [...(this.clusters.get(clusterName) || [])];
+        const added = new Set(loaded.map(planet => planet.pl_name));
+        let complete = false;
+        const addBatch = (batch) => {
+            const enrichedBatch = batch
+                .filter(planet => !added.has(planet.pl_name))
+                .map(planet => this.enrichPlanetData(planet));
+            enrichedBatch.forEach(planet => added.add(planet.pl_name));
+            loaded.push(...enrichedBatch);
+            this.allPlanets.push(...enrichedBatch);
+            this.indexPlanets(enrichedBatch);
+            this.groupIntoSystems(enrichedBatch);
+            return enrichedBatch;
+        };
+
         try {
             this.isLoading = true;
             console.log(`  ⬇ Loading cluster ${clusterName}...`);
-            const response = await fetch(`nasa_data/clusters/${clusterName}.json`);
 
-            if (!response.ok) {
-                if (response.status === 404) {
-                    console.warn(`  ⚠️ Cluster ${clusterName} not found (404) - skipping`);
-                    this.loadedClusters.add(clusterName); // Mark as attempted to avoid retries
-                    return [];
+            const binaryFilename = this.clusterIndex?.clusters?.[clusterName]?.binary_filename;
+            let useJson = true;
+
+            if (binaryFilename) {
+                try {
+                    for await (const batch of this.readBinaryCluster(`nasa_data/clusters/${binaryFilename}`)) {
+                        const fresh = addBatch(batch);
+                        if (fresh.length > 0) yield fresh;
+                    }
+                    useJson = false;
+                } catch (error) {
+                    // Planets already handed out are skipped when the JSON arrives
+                    console.warn(`  ⚠️ Binary cluster ${binaryFilename} unavailable, falling back to JSON:`, error.message);
                 }
-                throw new Error(`Failed to load cluster: ${clusterName} (${response.status})`);
             }
 
-            const data = await response.json();
-
-            // Data is an array of planets directly
-            if (Array.isArray(data)) {
-                // Enrich planets with computed 3D coordinates if missing
-                const enrichedData = data.map(planet => this.enrichPlanetData(planet));
-
-                // IMPORTANT: Mark as loaded BEFORE adding to allPlanets to prevent race conditions
-                this.clusters.set(clusterName, enrichedData);
-                this.loadedClusters.add(clusterName);
+            if (useJson) {
+                const data = await this.fetchJsonCluster(clusterName);
+                if (data === null) {
+                    this.loadedClusters.add(clusterName); // Mark as attempted to avoid retries
+                    return;
+                }
+                const fresh = addBatch(data);
+                if (fresh.length > 0) yield fresh;
+            }
 
-                // Only add to allPlanets if not already added
-                this.allPlanets.push(...enrichedData);
+            complete = true;
+            this.loadedClusters.add(clusterName);
 
-                console.log(`  ✓ Loaded ${clusterName}: ${enrichedData.length} planets (total: ${this.allPlanets.length})`);
-                return enrichedData;
-            } else {
-                console.error(`  ❌ Invalid cluster format for ${clusterName}`);
-                this.loadedClusters.add(clusterName); // Mark as attempted
-                return [];
-            }
+            console.log(`  ✓ Loaded ${clusterName}: ${loaded.length} planets (total: ${this.allPlanets.length})`);
         } catch (error) {
             console.error(`  ❌ Error loading cluster ${clusterName}:`, error);
-            return [];
         } finally {
+            // Partial clusters are kept too, so a retry doesn't add their planets twice
+            if (complete || loaded.length > 0) this.clusters.set(clusterName, loaded);
             this.isLoading = false;
+            this.clusterStreams.delete(clusterName);
+            finishStream();
+        }
+    }
+
+    /**
+     * Fetch and decode a binary cluster chunk by chunk
+     * @yields {Array<Object>} Raw (not yet enriched) planets
+     */
+    async *readBinaryCluster(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url} (${response.status})`);
+        }
+
+        const decoder = new ClusterStreamDecoder();
+
+        if (response.body && response.body.getReader) {
+            const reader = response.body.getReader();
+            try {
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+                    for (const batch of decoder.push(value)) {
+                        yield batch;
+                    }
+                }
+            } finally {
+                reader.releaseLock();
+            }
+        } else {
+            // No streaming support - decode the whole file at once
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            for (const batch of decoder.push(bytes)) {
+                yield batch;
+            }
+        }
+
+        decoder.finish();
+    }
+
+    /**
+     * Fetch a JSON cluster file
+     * @returns {Promise<Array<Object>|null>} Raw planets, or null if the cluster does not exist
+     */
+    async fetchJsonCluster(clusterName) {
+        const response = await fetch(`nasa_data/clusters/${clusterName}.json`);
+
+        if (!response.ok) {
+            if (response.status === 404) {
+                console.warn(`  ⚠️ Cluster ${clusterName} not found (404) - skipping`);
+                return null;
+            }
+            throw new Error(`Failed to load cluster: ${clusterName} (${response.status})`);
+        }
+
+        const data = await response.json();
+
+        // Data is an array of planets directly
+        if (!Array.isArray(data)) {
+            console.error(`  ❌ Invalid cluster format for ${clusterName}`);
+            return null;
+        }
+
+        return data;
+    }
+
+    /**
+     * Add planets with valid 3D coordinates to the spatial index
+     * (one entry per planet name, matching getAllPlanets() deduplication)
+     */
+    indexPlanets(planets) {
+        for (const planet of planets) {
+            const coords = planet.characteristics?.coordinates_3d;
+            if (!coords || coords.x_light_years === null || coords.x_light_years === undefined) continue;
+            if (this.indexedPlanetNames.has(planet.pl_name)) continue;
+
+            const inserted = this.spatialIndex.insert(planet, {
+                x: coords.x_light_years,
+                y: coords.y_light_years,
+                z: coords.z_light_years
+            });
+            if (inserted) this.indexedPlanetNames.add(planet.pl_name);
         }
     }
 
@@ -806,9 +946,59 @@ export class PlanetDataService {
             );
         }
 
+        // Rendering class from classifyPlanet(): 'rocky', 'iceGiant' or 'gasGiant'
+        if (options.bodyType) {
+            results = results.filter(p => p.planetType === options.bodyType);
+        }
+
         return results;
     }
 
+    /**
+     * Group planets into StarSystems by host star
+     */
+    groupIntoSystems(planets) {
+        for (const planet of planets) {
+            const name = this.getSystemName(planet);
+            if (!name) continue;
+
+            let system = this.starSystems.get(name);
+            if (!system) {
+                system = new StarSystem(name, planet);
+                this.starSystems.set(name, system);
+            }
+            system.addPlanet(planet);
+        }
+    }
+
+    /**
+     * System key for a planet (planets without a hostname form their own system)
+     */
+    getSystemName(planet) {
+        return planet.hostname || planet.pl_name || null;
+    }
+
+    /**
+     * Get star system by host star name
+     */
+    getStarSystem(name) {
+        return this.starSystems.get(name) || null;
+    }
+
+    /**
+     * Get the star system a planet belongs to
+     */
+    getSystemForPlanet(planet) {
+        return this.getStarSystem(this.getSystemName(planet));
+    }
+
+    /**
+     * Get the other planets orbiting the same star
+     */
+    getSiblings(planet) {
+        return this.getSystemForPlanet(planet)?.getSiblings(planet) || [];
+    }
+
     /**
      * Get planet by name
      */
@@ -1,22 +1,28 @@
 /**
  * PlanetService - Efficient Planet Data Management
  * Handles batch loading, caching, and AI description generation for all planets
+ * (text comes from the LLM provider selected in CONFIG.llm)
  */
 
+import { createLLMProvider } from '../ai/providers/createLLMProvider.js';
+
 class PlanetService {
-    constructor(apiKey) {
-        this.enabled = false;
-        this.client = null;
-        
-        if (!apiKey) {
+    /**
+     * @param {string|null} apiKey - OpenAI key (only needed by the 'openai' provider)
+     * @param {LLMProvider|null} provider - Defaults to the provider selected in CONFIG.llm
+     */
+    constructor(apiKey = null, provider = null) {
+        this.provider = provider || createLLMProvider({ apiKey });
+        this.enabled = this.provider.isConfigured();
+
+        if (!this.enabled) {
             console.warn('OpenAI API key not provided. AI descriptions will be disabled.');
         } else {
-            // Initialize client asynchronously
-            this.initPromise = this.initializeClient(apiKey);
+            console.log(`✅ PlanetService using the ${this.provider.name} LLM provider`);
         }
         
         this.config = {
-            model: 'gpt-3.5-turbo',
+            model: this.provider.model,
             temperature: 0.7,
             max_tokens: 250
         };
@@ -32,23 +38,6 @@ class PlanetService {
         this.batchDelay = 1000; // 1 second between batches to avoid rate limits
     }
     
-    async initializeClient(apiKey) {
-        try {
-            // Dynamic import - only works in environments where openai is available
-            const { default: OpenAI } = await import('openai');
-            this.client = new OpenAI({
-                apiKey: apiKey,
-                dangerouslyAllowBrowser: true
-            });
-            this.enabled = true;
-            console.log('✅ PlanetService OpenAI client initialized');
-        } catch (error) {
-            console.warn('⚠️ OpenAI module not available (static build). AI features disabled.');
-            this.enabled = false;
-            this.client = null;
-        }
-    }
-
     /**
      * Initialize service with planet data
      * @param {Array} planetsArray - Array of planet configuration objects
@@ -70,8 +59,8 @@ class PlanetService {
      * @returns {Promise<Object>} Results with success/failure counts
      */
     async preloadAllDescriptions() {
-        if (!this.client) {
-            console.warn('Cannot preload descriptions: OpenAI client not configured');
+        if (!this.enabled) {
+            console.warn('Cannot preload descriptions: LLM provider not configured');
             return { success: 0, failed: 0, cached: 0 };
         }
 
@@ -153,12 +142,7 @@ class PlanetService {
      * @returns {Promise<string>} Generated description
      */
     async generateDescription(planet, useCache = true) {
-        // Wait for initialization if still pending
-        if (this.initPromise) {
-            await this.initPromise;
-        }
-        
-        if (!this.enabled || !this.client) {
+        if (!this.enabled) {
             console.log('AI not available, using fallback description');
             return this.getFallbackDescription(planet);
         }
@@ -166,23 +150,22 @@ class PlanetService {
         try {
             const prompt = this.buildPrompt(planet);
             
-            const response = await this.client.chat.completions.create({
+            const response = await this.provider.chat([
+                {
+                    role: 'system',
+                    content: 'You are an expert astronomer and science communicator who creates vivid, educational descriptions of celestial bodies for an interactive 3D space visualization.'
+                },
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ], {
                 model: this.config.model,
                 temperature: this.config.temperature,
-                max_tokens: this.config.max_tokens,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are an expert astronomer and science communicator who creates vivid, educational descriptions of celestial bodies for an interactive 3D space visualization.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ]
+                maxTokens: this.config.max_tokens
             });
 
-            const description = response.choices[0]?.message?.content?.trim();
+            const description = response?.trim();
             
             if (!description) {
                 throw new Error('No description generated');
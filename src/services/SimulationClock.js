@@ -0,0 +1,188 @@
+/**
+ * SimulationClock - Central simulated time for everything time-dependent
+ * Time is kept as a Julian Date (absolute epoch, J2000-based helpers) and
+ * advances at `warp` simulated seconds per real second, forwards or in reverse.
+ * Orbits, planet spin and cloud motion read from it, so recorded sessions and
+ * multiplayer peers can share one epoch via getState()/setState().
+ */
+import { CONFIG } from '../config/config.js';
+
+const SECONDS_PER_DAY = 86400;
+const UNIX_EPOCH_JD = 2440587.5;
+
+export class SimulationClock {
+    static J2000 = 2451545.0; // 2000-01-01 12:00 TT
+    static MIN_WARP = 1;
+    static MAX_WARP = 1e7;
+    static WARP_LEVELS = [1, 10, 100, 1e3, 1e4, 1e5, 1e6, 1e7];
+
+    /**
+     * @param {Object} options
+     * @param {number} options.julianDate - Starting time (defaults to CONFIG.simulation.epoch, then now)
+     * @param {number} options.timeScale - Simulated seconds per real second (negative runs backwards)
+     */
+    constructor(options = {}) {
+        const epoch = CONFIG.simulation?.epoch;
+        this.julianDate = options.julianDate ?? SimulationClock.dateToJulian(epoch ? new Date(epoch) : new Date());
+        this.paused = false;
+        this.lastDeltaSeconds = 0; // Simulated seconds advanced by the last update()
+        this.setTimeScale(options.timeScale ?? CONFIG.simulation?.timeScale ?? 1);
+    }
+
+    static dateToJulian(date) {
+        return date.getTime() / (SECONDS_PER_DAY * 1000) + UNIX_EPOCH_JD;
+    }
+
+    static julianToDate(julianDate) {
+        return new Date((julianDate - UNIX_EPOCH_JD) * SECONDS_PER_DAY * 1000);
+    }
+
+    /**
+     * Advance simulated time - call once per frame
+     * @param {number} deltaTime - Real seconds since last frame
+     * @returns {number} Current Julian Date
+     */
+    update(deltaTime) {
+        this.lastDeltaSeconds = this.paused ? 0 : deltaTime * this.getRate();
+        this.julianDate += this.lastDeltaSeconds / SECONDS_PER_DAY;
+        return this.julianDate;
+    }
+
+    getJulianDate() {
+        return this.julianDate;
+    }
+
+    getDate() {
+        return SimulationClock.julianToDate(this.julianDate);
+    }
+
+    setJulianDate(julianDate) {
+        this.julianDate = julianDate;
+    }
+
+    /**
+     * Seconds since the J2000 epoch (negative before 2000)
+     */
+    getSecondsSinceJ2000() {
+        return (this.julianDate - SimulationClock.J2000) * SECONDS_PER_DAY;
+    }
+
+    getDaysSinceJ2000() {
+        return this.julianDate - SimulationClock.J2000;
+    }
+
+    setSecondsSinceJ2000(seconds) {
+        this.julianDate = SimulationClock.J2000 + seconds / SECONDS_PER_DAY;
+    }
+
+    /**
+     * Simulated seconds advanced by the last update() (0 while paused, negative in reverse)
+     */
+    getDeltaSeconds() {
+        return this.lastDeltaSeconds;
+    }
+
+    /**
+     * Signed rate: simulated seconds per real second (0 while paused)
+     */
+    getRate() {
+        return this.paused ? 0 : this.warp * this.direction;
+    }
+
+    /**
+     * Signed time scale, ignoring pause (kept for older callers)
+     */
+    get timeScale() {
+        return this.warp * this.direction;
+    }
+
+    setTimeScale(timeScale) {
+        this.direction = timeScale < 0 ? -1 : 1;
+        this.setWarp(Math.abs(timeScale));
+    }
+
+    /**
+     * Warp factor magnitude, clamped to 1x..1e7x
+     */
+    setWarp(warp) {
+        this.warp = Math.min(Math.max(warp || SimulationClock.MIN_WARP, SimulationClock.MIN_WARP), SimulationClock.MAX_WARP);
+        return this.warp;
+    }
+
+    getWarp() {
+        return this.warp;
+    }
+
+    /**
+     * Step to the next warp level (1x, 10x, ... 1e7x)
+     */
+    warpUp() {
+        const next = SimulationClock.WARP_LEVELS.find(level => level > this.warp);
+        return this.setWarp(next ?? SimulationClock.MAX_WARP);
+    }
+
+    warpDown() {
+        const previous = [...SimulationClock.WARP_LEVELS].reverse().find(level => level < this.warp);
+        return this.setWarp(previous ?? SimulationClock.MIN_WARP);
+    }
+
+    isReversed() {
+        return this.direction < 0;
+    }
+
+    setReversed(reversed) {
+        this.direction = reversed ? -1 : 1;
+    }
+
+    toggleReverse() {
+        this.direction = -this.direction;
+        return this.isReversed();
+    }
+
+    /**
+     * Jump forwards/backwards by a number of simulated seconds (works while paused)
+     */
+    scrub(seconds) {
+        this.julianDate += seconds / SECONDS_PER_DAY;
+        return this.julianDate;
+    }
+
+    /**
+     * Jump back to the current real-world time
+     */
+    resetToNow() {
+        this.julianDate = SimulationClock.dateToJulian(new Date());
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+        return this.paused;
+    }
+
+    /**
+     * Serializable snapshot (flight recordings, multiplayer sync)
+     */
+    getState() {
+        return {
+            julianDate: this.julianDate,
+            warp: this.warp,
+            direction: this.direction,
+            paused: this.paused
+        };
+    }
+
+    setState(state = {}) {
+        if (typeof state.julianDate === 'number') this.julianDate = state.julianDate;
+        if (typeof state.warp === 'number') this.setWarp(state.warp);
+        if (state.direction !== undefined) this.direction = state.direction < 0 ? -1 : 1;
+        if (state.paused !== undefined) this.paused = !!state.paused;
+    }
+}
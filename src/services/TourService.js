@@ -0,0 +1,410 @@
+/**
+ * TourService - Guided tours through the exoplanet catalogue
+ * A tour is a JSON document: { id, title, description, defaults, stops | query }.
+ * Each stop names a planet and may set its framing, dwell time, narration text
+ * or AI prompt, and whether the exploration dialog opens. Built-in tours (see
+ * src/config/tours.json) use a `query` instead of fixed stops so they work with
+ * whichever clusters are loaded.
+ *
+ * Playing a stop chains TeleportManager.teleportWithEffect() ->
+ * NarrationService.generateNarration() -> PlanetExplorationDialog.show(), then
+ * counts down the dwell time (once the narrator has finished speaking).
+ */
+import BUILTIN_TOURS from '../config/tours.json';
+
+const VIEW_MODES = ['CHASE', 'COCKPIT'];
+
+export class TourService {
+    static DEFAULT_STOP = {
+        dwell: 15,                            // Seconds to stay after the narration ends
+        framing: { distance: 3, view: null }, // Arrival distance in planet radii, optional view mode
+        dialog: true                          // Open the exploration dialog at the stop
+    };
+
+    /**
+     * @param {Object} options
+     * @param {PlanetDataService} options.planetDataService
+     * @param {TeleportManager} options.teleportManager
+     * @param {NarrationService} options.narrationService
+     * @param {NarratorDialog} options.narratorDialog
+     * @param {PlanetExplorationDialog} options.explorationDialog
+     * @param {Spacecraft} options.spacecraft - View mode changes from stop framing
+     * @param {Function} options.onStop - Called with (stop, index) when a stop is entered
+     * @param {Function} options.onStateChange - Called when playback state changes
+     */
+    constructor(options = {}) {
+        this.dataService = options.planetDataService;
+        this.teleportManager = options.teleportManager;
+        this.narrationService = options.narrationService || null;
+        this.narratorDialog = options.narratorDialog || null;
+        this.explorationDialog = options.explorationDialog || null;
+        this.spacecraft = options.spacecraft || null;
+        this.onStop = options.onStop || null;
+        this.onStateChange = options.onStateChange || null;
+
+        this.tour = null;       // Resolved tour: { id, title, description, stops }
+        this.index = -1;
+        this.phase = 'idle';    // idle | arriving | narrating | dwelling
+        this.paused = false;
+        this.dwellRemaining = 0;
+        this.stopToken = 0;     // Invalidates async work from a stop we already left
+    }
+
+    /**
+     * Built-in tour definitions
+     */
+    getBuiltInTours() {
+        return BUILTIN_TOURS;
+    }
+
+    /**
+     * Parse and validate a tour file
+     * @param {string} text - JSON tour definition
+     * @returns {Object} Tour definition
+     */
+    static parse(text) {
+        let tour;
+        try {
+            tour = JSON.parse(text);
+        } catch {
+            throw new Error('Tour file is not valid JSON');
+        }
+        TourService.validate(tour);
+        return tour;
+    }
+
+    /**
+     * Check the shape of a tour definition, throwing on the first problem
+     */
+    static validate(tour) {
+        if (!tour || typeof tour !== 'object' || Array.isArray(tour)) {
+            throw new Error('Tour must be an object');
+        }
+        if (typeof tour.title !== 'string' || !tour.title.trim()) {
+            throw new Error('Tour needs a title');
+        }
+        if (!Array.isArray(tour.stops) && !(tour.query && typeof tour.query === 'object')) {
+            throw new Error(`Tour "${tour.title}" needs a stops list or a query`);
+        }
+
+        if (tour.defaults) TourService.validateStop(tour.defaults, 'defaults', false);
+        (tour.stops || []).forEach((stop, i) => TourService.validateStop(stop, `stop ${i + 1}`, true));
+        return true;
+    }
+
+    static validateStop(stop, label, requirePlanet) {
+        if (!stop || typeof stop !== 'object') {
+            throw new Error(`Tour ${label} must be an object`);
+        }
+        if (requirePlanet && (typeof stop.planet !== 'string' || !stop.planet)) {
+            throw new Error(`Tour ${label} needs a planet name`);
+        }
+        if (stop.dwell !== undefined && !(typeof stop.dwell === 'number' && stop.dwell >= 0)) {
+            throw new Error(`Tour ${label}: dwell must be a number of seconds`);
+        }
+        if (stop.narration !== undefined && typeof stop.narration !== 'string') {
+            throw new Error(`Tour ${label}: narration must be text`);
+        }
+        if (stop.prompt !== undefined && typeof stop.prompt !== 'string') {
+            throw new Error(`Tour ${label}: prompt must be text`);
+        }
+        if (stop.framing !== undefined) {
+            const { distance, view } = stop.framing || {};
+            if (distance !== undefined && !(typeof distance === 'number' && distance > 0)) {
+                throw new Error(`Tour ${label}: framing.distance must be a positive number of planet radii`);
+            }
+            if (view !== undefined && view !== null && !VIEW_MODES.includes(view)) {
+                throw new Error(`Tour ${label}: framing.view must be one of ${VIEW_MODES.join(', ')}`);
+            }
+        }
+    }
+
+    /**
+     * Turn a tour definition into a playable list of stops
+     * Stops whose planet isn't loaded (or has no position) are skipped.
+     * @returns {{id, title, description, stops: Array}}
+     */
+    resolve(tour) {
+        TourService.validate(tour);
+
+        const entries = tour.stops
+            ? tour.stops.map(stop => ({ ...stop, planetData: this.dataService.getPlanetByName(stop.planet) }))
+            : this.resolveQuery(tour.query).map(planet => ({ planet: planet.pl_name, planetData: planet }));
+
+        const stops = [];
+        for (const entry of entries) {
+            if (!entry.planetData) {
+                console.warn(`⚠️ Tour "${tour.title}": ${entry.planet} is not loaded - skipping`);
+                continue;
+            }
+            stops.push(this.normalizeStop(entry, tour.defaults));
+        }
+
+        return {
+            id: tour.id || tour.title,
+            title: tour.title,
+            description: tour.description || '',
+            stops
+        };
+    }
+
+    /**
+     * Merge a stop with the tour defaults and DEFAULT_STOP
+     */
+    normalizeStop(stop, defaults = {}) {
+        const base = TourService.DEFAULT_STOP;
+        return {
+            planet: stop.planet,
+            planetData: stop.planetData,
+            dwell: stop.dwell ?? defaults.dwell ?? base.dwell,
+            framing: { ...base.framing, ...defaults.framing, ...stop.framing },
+            dialog: stop.dialog ?? defaults.dialog ?? base.dialog,
+            // Stop narration text wins over any prompt; a stop prompt wins over default text
+            narration: stop.narration ?? (stop.prompt ? undefined : defaults.narration),
+            prompt: stop.narration ? undefined : (stop.prompt ?? defaults.prompt)
+        };
+    }
+
+    /**
+     * Select planets from the loaded catalogue
+     * @param {Object} query
+     * @param {Object} query.where - { 'dotted.field': { min, max } }, planets missing a field are excluded
+     * @param {Array<string>} query.sort - Ascending sort keys (missing values last); prefix '-' for descending
+     * @param {string} query.distinct - Keep only the first planet for each value of this field
+     * @param {number} query.limit - Maximum number of stops
+     * @returns {Array<Object>} Planets
+     */
+    resolveQuery(query = {}) {
+        const read = (planet, path) => path.split('.').reduce((value, key) => value?.[key], planet);
+
+        let planets = this.dataService.getAllPlanets();
+
+        for (const [path, range] of Object.entries(query.where || {})) {
+            planets = planets.filter(planet => {
+                const value = read(planet, path);
+                if (value === null || value === undefined) return false;
+                if (range.min !== undefined && value < range.min) return false;
+                if (range.max !== undefined && value > range.max) return false;
+                return true;
+            });
+        }
+
+        const sortKeys = query.sort || [];
+        if (sortKeys.length > 0) {
+            planets.sort((a, b) => {
+                for (const key of sortKeys) {
+                    const descending = key.startsWith('-');
+                    const path = descending ? key.slice(1) : key;
+                    const va = read(a, path);
+                    const vb = read(b, path);
+                    if (va === vb) continue;
+                    if (va === null || va === undefined) return 1;
+                    if (vb === null || vb === undefined) return -1;
+                    return (va < vb ? -1 : 1) * (descending ? -1 : 1);
+                }
+                return 0;
+            });
+        }
+
+        if (query.distinct) {
+            const seen = new Set();
+            planets = planets.filter(planet => {
+                const value = read(planet, query.distinct);
+                if (seen.has(value)) return false;
+                seen.add(value);
+                return true;
+            });
+        }
+
+        return query.limit ? planets.slice(0, query.limit) : planets;
+    }
+
+    /**
+     * Start a tour from the first stop
+     * @param {Object|string} tour - Tour definition or built-in tour id
+     * @returns {boolean} false if the tour has no reachable stops
+     */
+    start(tour) {
+        const definition = typeof tour === 'string'
+            ? BUILTIN_TOURS.find(builtIn => builtIn.id === tour)
+            : tour;
+        if (!definition) {
+            console.warn(`⚠️ Unknown tour: ${tour}`);
+            return false;
+        }
+
+        const resolved = this.resolve(definition);
+        if (resolved.stops.length === 0) {
+            console.warn(`⚠️ Tour "${resolved.title}" has no loaded planets`);
+            return false;
+        }
+
+        this.stop();
+        this.tour = resolved;
+        this.paused = false;
+        console.log(`🧭 Starting tour "${resolved.title}" (${resolved.stops.length} stops)`);
+        this.goTo(0);
+        return true;
+    }
+
+    /**
+     * Jump to a stop: teleport, then narrate and open the dialog
+     */
+    goTo(index) {
+        if (!this.tour || index < 0 || index >= this.tour.stops.length) return;
+
+        const token = ++this.stopToken;
+        const stop = this.tour.stops[index];
+        const planet = stop.planetData;
+
+        this.closeDialogs();
+        this.index = index;
+        this.phase = 'arriving';
+        this.dwellRemaining = stop.dwell;
+        this.notifyStateChange();
+
+        if (stop.framing.view && this.spacecraft && this.spacecraft.viewMode !== stop.framing.view) {
+            this.spacecraft.toggleView();
+        }
+
+        console.log(`🧭 Tour stop ${index + 1}/${this.tour.stops.length}: ${planet.pl_name}`);
+        if (this.onStop) this.onStop(stop, index);
+
+        this.teleportManager.teleportWithEffect(planet, () => {
+            if (token !== this.stopToken) return;
+            this.narrateStop(stop, token);
+        }, {
+            offset: this.getFramingOffset(planet, stop.framing),
+            onFail: () => {
+                if (token !== this.stopToken) return;
+                console.warn(`⚠️ Tour stop ${planet.pl_name} can't be reached - skipping`);
+                this.next();
+            }
+        });
+    }
+
+    /**
+     * Arrival distance in world units (framing.distance is in planet radii)
+     */
+    getFramingOffset(planet, framing) {
+        const localRadius = planet.radius || (planet.pl_rade || 1.0) * 0.5;
+        const worldScale = this.teleportManager.exoplanetField?.meshGroup.scale.x ?? 1;
+        return localRadius * worldScale * framing.distance;
+    }
+
+    async narrateStop(stop, token) {
+        const planet = stop.planetData;
+        this.phase = 'narrating';
+        this.notifyStateChange();
+
+        if (this.narrationService && this.narratorDialog) {
+            this.narratorDialog.showLoadingFor(planet);
+
+            try {
+                const { text, audio, segments } = await this.narrationService.generateNarration(planet, {
+                    text: stop.narration,
+                    prompt: stop.prompt
+                });
+                if (token !== this.stopToken) return;
+                await this.narratorDialog.show(planet, text, audio, segments);
+            } catch (error) {
+                console.error('❌ Tour narration failed:', error);
+                if (token !== this.stopToken) return;
+                this.narratorDialog.hide();
+            }
+        }
+
+        if (token !== this.stopToken) return;
+        if (stop.dialog && this.explorationDialog) {
+            this.explorationDialog.show(planet);
+        }
+
+        this.phase = 'dwelling';
+        this.notifyStateChange();
+    }
+
+    /**
+     * Count down the dwell time - call once per frame
+     * @param {number} deltaTime - Real seconds since last frame
+     */
+    update(deltaTime) {
+        if (!this.tour) return;
+
+        if (this.paused) {
+            // Audio starts shortly after the text, so it may begin after pause()
+            this.narratorDialog?.pauseAudio();
+            return;
+        }
+
+        if (this.phase !== 'dwelling' || this.narratorDialog?.isSpeaking()) return;
+
+        this.dwellRemaining -= deltaTime;
+        if (this.dwellRemaining <= 0) this.next();
+    }
+
+    next() {
+        if (!this.tour) return;
+        if (this.index >= this.tour.stops.length - 1) {
+            console.log(`🏁 Tour "${this.tour.title}" finished`);
+            this.stop();
+            return;
+        }
+        this.goTo(this.index + 1);
+    }
+
+    previous() {
+        if (!this.tour) return;
+        this.goTo(Math.max(0, this.index - 1));
+    }
+
+    pause() {
+        if (!this.tour || this.paused) return;
+        this.paused = true;
+        this.narratorDialog?.pauseAudio();
+        this.notifyStateChange();
+    }
+
+    resume() {
+        if (!this.tour || !this.paused) return;
+        this.paused = false;
+        this.narratorDialog?.resumeAudio();
+        this.notifyStateChange();
+    }
+
+    togglePause() {
+        if (this.paused) this.resume();
+        else this.pause();
+        return this.paused;
+    }
+
+    /**
+     * End the tour and close its dialogs
+     */
+    stop() {
+        if (!this.tour) return;
+        this.stopToken++;
+        this.closeDialogs();
+        this.tour = null;
+        this.index = -1;
+        this.phase = 'idle';
+        this.paused = false;
+        this.notifyStateChange();
+    }
+
+    closeDialogs() {
+        if (this.narratorDialog?.isShowing()) this.narratorDialog.hide();
+        if (this.explorationDialog?.isVisible()) this.explorationDialog.hide();
+    }
+
+    isActive() {
+        return this.tour !== null;
+    }
+
+    getCurrentStop() {
+        return this.tour ? this.tour.stops[this.index] : null;
+    }
+
+    notifyStateChange() {
+        if (this.onStateChange) this.onStateChange();
+    }
+}
@@ -0,0 +1,369 @@
+/**
+ * pregenerateContent - Offline generator for the ContentBundle
+ * Walks the clusters listed in nasa_data/clusters/cluster_index.json and, for
+ * every planet, writes the grounded description, the characteristics
+ * questions and the proximity narration (optionally with ElevenLabs audio)
+ * into a static bundle the frontend serves instead of calling the APIs.
+ *
+ * Each planet is written to its own file as soon as it is done, so an
+ * interrupted run (Ctrl+C, crash, rate limit) resumes where it stopped:
+ * entries whose prompt hash still matches are skipped.
+ *
+ * Usage: npm run pregenerate -- [options]
+ *   --out <dir>        Bundle directory (default: public/content-bundle)
+ *   --clusters <a,b>   Clusters to walk (default: solar_system + every indexed cluster on disk)
+ *   --limit <n>        Stop after n planets have been generated
+ *   --rpm <n>          Max API requests per minute (default: 30, dry run: unlimited)
+ *   --audio            Synthesize narration audio with ElevenLabs
+ *   --force            Regenerate entries that are already up to date
+ *   --dry-run          Offline mock provider, no audio requests (default out: .content-bundle-dry-run)
+ */
+
+import 'dotenv/config'; // Load .env before CONFIG reads the environment
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { CONFIG } from '../config/config.js';
+import { createLLMProvider } from '../ai/providers/createLLMProvider.js';
+import OpenAIService from '../ai/OpenAIService.js';
+import { PlanetFactSheet } from '../ai/PlanetFactSheet.js';
+import ElevenLabsService from '../ai/ElevenLabsService.js';
+import { NarrationService } from './NarrationService.js';
+import { PlanetDataService } from './PlanetDataService.js';
+import { ContentBundle } from './ContentBundle.js';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+const CLUSTER_DIR = path.join(ROOT, 'nasa_data/clusters');
+const MANIFEST_EVERY = 10; // Planets written between manifest saves
+const MAX_ATTEMPTS = 4;
+
+/**
+ * Command line options
+ */
+function parseArgs(argv) {
+    const options = { out: null, clusters: null, limit: Infinity, rpm: null, audio: false, force: false, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--out': options.out = value(); break;
+            case '--clusters': options.clusters = value().split(',').map(name => name.trim()).filter(Boolean); break;
+            case '--limit': options.limit = parseInt(value(), 10); break;
+            case '--rpm': options.rpm = parseFloat(value()); break;
+            case '--audio': options.audio = true; break;
+            case '--force': options.force = true; break;
+            case '--dry-run': options.dryRun = true; break;
+            default: throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    if (!(options.limit > 0)) throw new Error('--limit must be a positive number');
+    options.out = path.resolve(ROOT, options.out || (options.dryRun ? '.content-bundle-dry-run' : 'public/content-bundle'));
+    options.rpm = options.rpm ?? (options.dryRun ? 0 : 30);
+    return options;
+}
+
+/**
+ * Spaces requests evenly: at most `rpm` per minute (0 = unlimited)
+ */
+class RateLimiter {
+    constructor(rpm) {
+        this.interval = rpm > 0 ? 60000 / rpm : 0;
+        this.next = 0;
+    }
+
+    async take() {
+        const now = Date.now();
+        const wait = Math.max(0, this.next - now);
+        this.next = Math.max(now, this.next) + this.interval;
+        if (wait > 0) await delay(wait);
+    }
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Rate limit errors, server errors and dropped connections are worth retrying
+ */
+function isRetryable(error) {
+    if (error.status) return error.status === 429 || error.status >= 500;
+    return /\b(?:429|5\d\d)\b|rate limit/i.test(error.message) || ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED'].includes(error.cause?.code);
+}
+
+/**
+ * Rate-limited call with exponential backoff (2s, 4s, 8s)
+ */
+async function request(limiter, label, fn) {
+    for (let attempt = 1; ; attempt++) {
+        await limiter.take();
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= MAX_ATTEMPTS || !isRetryable(error)) throw error;
+            const backoff = 2000 * 2 ** (attempt - 1);
+            console.warn(`  ⏳ ${label} failed (${error.message}) - retry ${attempt}/${MAX_ATTEMPTS - 1} in ${backoff / 1000}s`);
+            await delay(backoff);
+        }
+    }
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await readFile(file, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        console.warn(`  ⚠ Ignoring unreadable ${path.basename(file)}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Write via a temporary file so an interruption never leaves half a file behind
+ */
+async function writeAtomic(file, data) {
+    const temp = `${file}.tmp`;
+    await writeFile(temp, data);
+    await rename(temp, file);
+}
+
+/**
+ * Cluster names to walk, in index order
+ */
+async function resolveClusters(requested) {
+    if (requested) return requested;
+    const index = await readJson(path.join(CLUSTER_DIR, 'cluster_index.json'));
+    if (!index?.clusters) throw new Error('nasa_data/clusters/cluster_index.json not found');
+    return ['solar_system', ...Object.keys(index.clusters)];
+}
+
+/**
+ * Planets of one cluster, enriched the same way the browser loads them
+ */
+async function loadCluster(planetDataService, name) {
+    const planets = await readJson(path.join(CLUSTER_DIR, `${name}.json`));
+    if (!Array.isArray(planets)) {
+        console.warn(`  ⚠ Skipping ${name}: not on disk`);
+        return [];
+    }
+
+    return planets.map(planet => {
+        const enriched = planetDataService.enrichPlanetData(planet);
+        if (name === 'solar_system') enriched.isSolar = true;
+        return enriched;
+    });
+}
+
+/**
+ * Bring one planet's bundle entry up to date
+ * Sections finished before an error are still written.
+ * @returns {Promise<{ file: string, changed: string[] }>} Sections that were (re)generated
+ */
+async function generatePlanet(planet, context) {
+    const { options, bundleDir, openAI, narration, elevenLabs, llmLimiter, ttsLimiter, stats } = context;
+    const name = planet.pl_name;
+    const slug = ContentBundle.slug(name);
+    const file = path.join(bundleDir, 'planets', `${slug}.json`);
+    const entry = (options.force ? null : await readJson(file)) || { planet: name };
+    const changed = [];
+
+    const upToDate = (section, prompt) =>
+        entry[section]?.text && entry[section].prompt === ContentBundle.promptHash(prompt);
+
+    try {
+        // Grounded description (fact sheet + claim check, see OpenAIService)
+        const groundedPrompt = openAI.buildPrompt(planet, PlanetFactSheet.fromPlanet(planet));
+        if (!upToDate('grounded', groundedPrompt)) {
+            const { text, check } = await request(llmLimiter, `${name} description`, () => openAI.generateGroundedDescription(planet, false));
+            entry.grounded = { prompt: ContentBundle.promptHash(groundedPrompt), text, contradictions: check.contradictions.length };
+            if (check.contradictions.length > 0) stats.contradicted++;
+            changed.push('grounded');
+        }
+
+        const insightsPrompt = openAI.buildInsightsPrompt(planet);
+        if (!upToDate('insights', insightsPrompt)) {
+            const text = await request(llmLimiter, `${name} questions`, () => openAI.generateCharacteristicsInsights(planet, false));
+            entry.insights = { prompt: ContentBundle.promptHash(insightsPrompt), text };
+            changed.push('insights');
+        }
+
+        // Narration text straight from the provider - NarrationService would swallow errors into fallback text
+        const narrationPrompt = narration.buildNarrationPrompt(planet);
+        if (!upToDate('narration', narrationPrompt)) {
+            const text = (await request(llmLimiter, `${name} narration`, () => openAI.generateCompletion(narrationPrompt))).trim();
+            entry.narration = { prompt: ContentBundle.promptHash(narrationPrompt), text };
+            changed.push('narration');
+        }
+
+        const voice = CONFIG.elevenLabs.voiceId;
+        if (options.audio && (!entry.narration.audio || entry.narration.voice !== voice || changed.includes('narration'))) {
+            if (options.dryRun) {
+                stats.audioCharacters += entry.narration.text.length; // What a real run would send to ElevenLabs
+            } else {
+                const audio = await request(ttsLimiter, `${name} audio`, () => elevenLabs.textToSpeech(entry.narration.text, false, name));
+                const audioFile = `audio/${slug}.mp3`;
+                await writeAtomic(path.join(bundleDir, audioFile), Buffer.from(await audio.arrayBuffer()));
+                Object.assign(entry.narration, { audio: audioFile, voice });
+                stats.audioCharacters += entry.narration.text.length;
+                changed.push('audio');
+            }
+        }
+    } finally {
+        if (changed.length > 0) {
+            Object.assign(entry, {
+                cluster: context.cluster,
+                provider: openAI.provider.name,
+                model: openAI.config.model,
+                generatedAt: new Date().toISOString()
+            });
+            await writeAtomic(file, JSON.stringify(entry, null, 2));
+        }
+    }
+
+    return { file: `planets/${slug}.json`, changed };
+}
+
+async function pregenerateContent() {
+    console.log('='.repeat(60));
+    console.log('Content Bundle Pre-generation');
+    console.log('='.repeat(60));
+
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Dry runs never touch a paid API
+    const provider = options.dryRun
+        ? createLLMProvider({ provider: 'mock', latency: 0 })
+        : createLLMProvider();
+    const openAI = new OpenAIService(null, provider, null, null);
+    const narration = new NarrationService(openAI, null, null, null);
+
+    if (!openAI.enabled) {
+        console.error('✗ LLM provider not configured - set OPENAI_API_KEY, LLM_PROVIDER=local, or use --dry-run');
+        process.exitCode = 1;
+        return;
+    }
+
+    let elevenLabs = null;
+    if (options.audio && !options.dryRun) {
+        if (!CONFIG.elevenLabs.apiKey) {
+            console.error('✗ --audio needs ELEVENLABS_API_KEY');
+            process.exitCode = 1;
+            return;
+        }
+        elevenLabs = new ElevenLabsService(CONFIG.elevenLabs.apiKey, null);
+        elevenLabs.configure({ voiceId: CONFIG.elevenLabs.voiceId });
+    }
+
+    const bundleDir = options.out;
+    await mkdir(path.join(bundleDir, 'planets'), { recursive: true });
+    if (elevenLabs) await mkdir(path.join(bundleDir, 'audio'), { recursive: true });
+
+    const manifestFile = path.join(bundleDir, 'manifest.json');
+    let manifest;
+    try {
+        manifest = ContentBundle.parse(await readJson(manifestFile));
+    } catch {
+        manifest = ContentBundle.createManifest(); // New bundle (existing planet files are picked up as they are visited)
+    }
+    manifest.revision++;
+    Object.assign(manifest, { provider: provider.name, model: openAI.config.model, dryRun: options.dryRun });
+
+    const saveManifest = async () => {
+        const { planets, ...meta } = manifest; // Planet list last - it is the long part
+        await writeAtomic(manifestFile, JSON.stringify({ ...meta, updatedAt: new Date().toISOString(), planets }, null, 2));
+    };
+
+    console.log(`\n📦 ${path.relative(ROOT, bundleDir) || '.'} (revision ${manifest.revision})`);
+    console.log(`🤖 ${provider.name} provider, ${openAI.config.model}${options.dryRun ? ' (dry run)' : ''}`);
+    console.log(`⏱️ ${options.rpm > 0 ? `${options.rpm} requests/min` : 'no rate limit'}${options.audio ? ', with audio' : ''}`);
+
+    // Ctrl+C finishes the current planet, saves the manifest and exits (a second one exits at once)
+    let stopping = false;
+    process.on('SIGINT', () => {
+        if (stopping) process.exit(130);
+        stopping = true;
+        console.log('\n⏸️ Stopping after the current planet - run again to resume');
+    });
+
+    const stats = { generated: 0, upToDate: 0, failed: 0, contradicted: 0, audioCharacters: 0 };
+    const context = {
+        options,
+        bundleDir,
+        openAI,
+        narration,
+        elevenLabs,
+        llmLimiter: new RateLimiter(options.rpm),
+        ttsLimiter: new RateLimiter(options.rpm),
+        stats
+    };
+    const planetDataService = new PlanetDataService();
+    const startTime = Date.now();
+    let unsaved = 0;
+
+    walk:
+    for (const cluster of await resolveClusters(options.clusters)) {
+        const planets = await loadCluster(planetDataService, cluster);
+        if (planets.length === 0) continue;
+        console.log(`\n🪐 ${cluster}: ${planets.length} planets`);
+        context.cluster = cluster;
+
+        for (const planet of planets) {
+            if (stopping || stats.generated >= options.limit) break walk;
+
+            try {
+                const { file, changed } = await generatePlanet(planet, context);
+                if (manifest.planets[planet.pl_name] !== file) unsaved++;
+                manifest.planets[planet.pl_name] = file;
+
+                if (changed.length > 0) {
+                    stats.generated++;
+                    unsaved++;
+                    console.log(`  ✓ ${planet.pl_name} (${changed.join(', ')})`);
+                } else {
+                    stats.upToDate++;
+                }
+            } catch (error) {
+                stats.failed++;
+                console.error(`  ✗ ${planet.pl_name}: ${error.message}`);
+            }
+
+            if (unsaved >= MANIFEST_EVERY) {
+                await saveManifest();
+                unsaved = 0;
+            }
+        }
+    }
+
+    await saveManifest();
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log('\n' + '='.repeat(60));
+    console.log(`✓ ${stats.generated} generated, ${stats.upToDate} up to date, ${stats.failed} failed in ${duration}s`);
+    console.log(`  ${Object.keys(manifest.planets).length} planets in the bundle`);
+    if (stats.contradicted > 0) {
+        console.log(`  ⚠ ${stats.contradicted} description(s) still contradict their fact sheet`);
+    }
+    if (options.audio) {
+        console.log(`  🔊 ${stats.audioCharacters} characters ${options.dryRun ? 'would be sent' : 'sent'} to ElevenLabs`);
+    }
+    if (stopping) console.log('  ⏸️ Interrupted - run the same command to resume');
+    console.log('='.repeat(60));
+
+    if (stats.failed > 0) process.exitCode = 1;
+    if (stopping) process.exitCode = 130;
+}
+
+pregenerateContent();
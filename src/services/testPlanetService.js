@@ -3,11 +3,9 @@
  * Demonstrates efficient batch loading and rendering of all planets
  */
 
+import 'dotenv/config'; // Load .env before CONFIG reads the environment
 import PlanetService from './PlanetService.js';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import { CONFIG } from '../config/config.js';
 
 // Sample planet data for testing
 const TEST_PLANETS = [
@@ -70,10 +68,11 @@ async function testPlanetService() {
     
     const apiKey = process.env.OPENAI_API_KEY;
     
-    if (!apiKey) {
-        console.error('\n❌ Error: OPENAI_API_KEY not found in .env file');
-        console.log('   The service will run in fallback mode.');
+    if (!apiKey && CONFIG.llm.provider === 'openai') {
+        console.log('\nℹ️  OPENAI_API_KEY not found - using the offline mock provider');
+        console.log('   (add OPENAI_API_KEY to .env, or set LLM_PROVIDER=local for a local model)');
         console.log('');
+        CONFIG.llm.provider = 'mock';
     }
     
     try {
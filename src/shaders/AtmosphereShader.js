@@ -261,10 +261,14 @@ export function createCloudLayer(planetRadius, cloudTexture = null) {
 /**
  * Updates atmosphere animation
  */
-export function updateAtmosphere(atmosphereLayers, cloudLayer, deltaTime) {
-    // Update cloud animation
+export function updateAtmosphere(atmosphereLayers, cloudLayer, deltaTime, time = null) {
+    // Update cloud animation (absolute time, e.g. simulated hours, wins over the frame delta)
     if (cloudLayer && cloudLayer.material.uniforms) {
-        cloudLayer.material.uniforms.time.value += deltaTime;
+        if (time !== null) {
+            cloudLayer.material.uniforms.time.value = time;
+        } else {
+            cloudLayer.material.uniforms.time.value += deltaTime;
+        }
     }
 
     // Could add subtle atmosphere pulsing here if desired
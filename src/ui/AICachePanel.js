@@ -0,0 +1,217 @@
+/**
+ * AICachePanel - Stats and demo-pack controls for the persistent AICache
+ * Shows entry counts and size per kind against the quota, lets the user
+ * change the quota, clear the cache, and export/import it as a file.
+ */
+
+const QUOTA_OPTIONS_MB = [25, 50, 100, 250, 500, 1000];
+
+const KIND_LABELS = {
+    description: '📝 Descriptions',
+    grounded: '📚 Sourced descriptions',
+    insights: '❓ Insights',
+    narration: '🎙️ Narrations',
+    completion: '💬 Completions',
+    tts: '🔊 Audio'
+};
+
+export class AICachePanel {
+    /**
+     * @param {AICache} cache
+     */
+    constructor(cache) {
+        this.cache = cache;
+        this.renderPending = false;
+        this.renderAgain = false;
+
+        this.createUI();
+        this.attachEventListeners();
+        this.unsubscribe = this.cache.onChange(() => this.render());
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'ai-cache-panel';
+        this.container.className = 'ui-panel ai-cache-panel closed'; // Opened with C
+
+        this.container.innerHTML = `
+            <div class="tour-header">💾 AI Cache</div>
+            <div class="cache-usage">
+                <div class="cache-usage-bar"><div class="cache-usage-fill" id="cache-usage-fill"></div></div>
+                <div class="cache-usage-text" id="cache-usage-text"></div>
+            </div>
+            <div class="cache-kinds" id="cache-kinds"></div>
+            <div class="tour-row">
+                <select class="tour-select" id="cache-quota" title="Size limit - least recently used entries are evicted above it"></select>
+                <button class="tour-btn" id="cache-export" title="Export as demo pack">⬇</button>
+                <button class="tour-btn" id="cache-import" title="Import demo pack">⬆</button>
+                <button class="tour-btn" id="cache-clear" title="Clear cache">🗑</button>
+                <input type="file" id="cache-file" accept=".json,application/json" hidden />
+            </div>
+            <div class="tour-status" id="cache-status"></div>
+        `;
+
+        document.body.appendChild(this.container);
+
+        this.elements = {
+            usageFill: this.container.querySelector('#cache-usage-fill'),
+            usageText: this.container.querySelector('#cache-usage-text'),
+            kinds: this.container.querySelector('#cache-kinds'),
+            quota: this.container.querySelector('#cache-quota'),
+            exportBtn: this.container.querySelector('#cache-export'),
+            importBtn: this.container.querySelector('#cache-import'),
+            clearBtn: this.container.querySelector('#cache-clear'),
+            file: this.container.querySelector('#cache-file'),
+            status: this.container.querySelector('#cache-status')
+        };
+
+        const quotaMB = Math.round(this.cache.quotaBytes / (1024 * 1024));
+        const options = QUOTA_OPTIONS_MB.includes(quotaMB) ? QUOTA_OPTIONS_MB : [...QUOTA_OPTIONS_MB, quotaMB].sort((a, b) => a - b);
+        this.elements.quota.innerHTML = options
+            .map(mb => `<option value="${mb}">Limit ${mb >= 1000 ? `${mb / 1000} GB` : `${mb} MB`}</option>`)
+            .join('');
+        this.elements.quota.value = String(quotaMB);
+    }
+
+    attachEventListeners() {
+        const { quota, exportBtn, importBtn, clearBtn, file } = this.elements;
+
+        // Buttons must not keep focus (Space/arrows are flight controls)
+        const onClick = (element, handler) => {
+            element.addEventListener('click', (e) => {
+                e.stopPropagation();
+                element.blur();
+                handler();
+            });
+        };
+
+        onClick(exportBtn, () => this.exportPack());
+        onClick(importBtn, () => file.click());
+        onClick(clearBtn, () => this.clearCache());
+
+        quota.addEventListener('change', () => {
+            this.cache.setQuota(parseFloat(quota.value));
+            quota.blur();
+        });
+
+        file.addEventListener('change', () => {
+            const selected = file.files[0];
+            file.value = '';
+            if (selected) this.importPack(selected);
+        });
+
+        // Keep clicks on the panel away from the canvas picking handler
+        this.container.addEventListener('click', (e) => e.stopPropagation());
+    }
+
+    async exportPack() {
+        try {
+            this.setStatus('⏳ Packing...');
+            const blob = await this.cache.export();
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+            link.href = url;
+            link.download = `ai-cache-${stamp}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            this.setStatus(`💾 Exported ${AICachePanel.formatBytes(blob.size)}`);
+        } catch (error) {
+            console.error('❌ Failed to export AI cache:', error);
+            this.setStatus(`❌ ${error.message}`);
+        }
+    }
+
+    async importPack(file) {
+        try {
+            this.setStatus(`⏳ Importing ${file.name}...`);
+            const count = await this.cache.import(file);
+            this.setStatus(`📂 Imported ${count} entries`);
+        } catch (error) {
+            console.error('❌ Failed to import AI cache:', error);
+            this.setStatus(`❌ ${error.message}`);
+        }
+    }
+
+    async clearCache() {
+        if (!window.confirm('Delete all cached AI descriptions and audio?')) return;
+        await this.cache.clear();
+        this.setStatus('🗑️ Cache cleared');
+    }
+
+    setStatus(text) {
+        this.statusOverride = text;
+        this.statusUntil = performance.now() + 4000;
+        this.render();
+    }
+
+    toggle() {
+        this.container.classList.toggle('closed');
+        this.render();
+    }
+
+    /**
+     * Refresh from cache stats - coalesces bursts of writes, skipped while closed
+     */
+    render() {
+        if (this.container.classList.contains('closed')) return;
+        if (this.renderPending) {
+            this.renderAgain = true;
+            return;
+        }
+        this.renderPending = true;
+        this.renderAgain = false;
+
+        this.cache.getStats()
+            .then(stats => this.renderStats(stats))
+            .catch(error => console.warn('⚠️ AI cache stats unavailable:', error))
+            .finally(() => {
+                this.renderPending = false;
+                if (this.renderAgain) this.render();
+            });
+    }
+
+    renderStats(stats) {
+        const { usageFill, usageText, kinds, exportBtn, status } = this.elements;
+        const fraction = stats.quotaBytes > 0 ? Math.min(1, stats.totalBytes / stats.quotaBytes) : 0;
+
+        usageFill.style.width = `${(fraction * 100).toFixed(1)}%`;
+        usageFill.classList.toggle('warning', fraction > 0.9);
+        usageText.textContent = `${AICachePanel.formatBytes(stats.totalBytes)} / ${AICachePanel.formatBytes(stats.quotaBytes)} · ${stats.entries} entries · ${stats.planets} planets`;
+
+        kinds.innerHTML = '';
+        for (const [kind, info] of Object.entries(stats.byKind)) {
+            const row = document.createElement('div');
+            row.className = 'cache-kind';
+            row.textContent = `${KIND_LABELS[kind] || kind}: ${info.count} (${AICachePanel.formatBytes(info.bytes)})`;
+            kinds.appendChild(row);
+        }
+
+        exportBtn.disabled = stats.entries === 0;
+
+        const lookups = stats.hits + stats.misses;
+        if (this.statusOverride && performance.now() < this.statusUntil) {
+            status.textContent = this.statusOverride;
+        } else if (!stats.persistent) {
+            status.textContent = '⚠️ IndexedDB unavailable - cache lasts this session only';
+        } else {
+            status.textContent = lookups > 0
+                ? `Hit rate ${Math.round((stats.hits / lookups) * 100)}% this session`
+                : 'Stored in IndexedDB - kept between sessions';
+        }
+    }
+
+    static formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    dispose() {
+        this.unsubscribe?.();
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
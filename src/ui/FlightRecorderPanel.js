@@ -0,0 +1,202 @@
+/**
+ * FlightRecorderPanel - Record / replay controls for the FlightRecorder
+ * Record toggle, play/pause, stop, seek bar, playback speed and
+ * export/import of recording files.
+ */
+import { FlightRecorder } from '../services/FlightRecorder.js';
+
+export class FlightRecorderPanel {
+    /**
+     * @param {FlightRecorder} flightRecorder
+     */
+    constructor(flightRecorder) {
+        this.recorder = flightRecorder;
+        this.isSeeking = false;
+        this.lastRender = 0;
+
+        this.createUI();
+        this.attachEventListeners();
+        this.render();
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'flight-recorder';
+        this.container.className = 'ui-panel flight-recorder';
+
+        this.container.innerHTML = `
+            <div class="recorder-row">
+                <button class="recorder-btn record" id="recorder-record" title="Start/stop recording">⏺ REC</button>
+                <button class="recorder-btn" id="recorder-play" title="Replay / pause">▶</button>
+                <button class="recorder-btn" id="recorder-stop" title="Stop replay">⏹</button>
+                <input type="range" class="recorder-seek" id="recorder-seek" min="0" max="1000" value="0" />
+                <span class="recorder-time" id="recorder-time">0:00 / 0:00</span>
+                <select class="recorder-speed" id="recorder-speed" title="Playback speed">
+                    <option value="0.25">0.25x</option>
+                    <option value="0.5">0.5x</option>
+                    <option value="1" selected>1x</option>
+                    <option value="2">2x</option>
+                    <option value="4">4x</option>
+                    <option value="8">8x</option>
+                </select>
+                <button class="recorder-btn" id="recorder-export" title="Export recording">⬇</button>
+                <button class="recorder-btn" id="recorder-import" title="Import recording">⬆</button>
+                <input type="file" id="recorder-file" accept=".json,application/json" hidden />
+            </div>
+            <div class="recorder-status" id="recorder-status">No recording</div>
+        `;
+
+        document.body.appendChild(this.container);
+
+        this.elements = {
+            record: this.container.querySelector('#recorder-record'),
+            play: this.container.querySelector('#recorder-play'),
+            stop: this.container.querySelector('#recorder-stop'),
+            seek: this.container.querySelector('#recorder-seek'),
+            time: this.container.querySelector('#recorder-time'),
+            speed: this.container.querySelector('#recorder-speed'),
+            exportBtn: this.container.querySelector('#recorder-export'),
+            importBtn: this.container.querySelector('#recorder-import'),
+            file: this.container.querySelector('#recorder-file'),
+            status: this.container.querySelector('#recorder-status')
+        };
+    }
+
+    attachEventListeners() {
+        const { record, play, stop, seek, speed, exportBtn, importBtn, file } = this.elements;
+
+        // Buttons must not keep focus (Space/arrows are flight controls)
+        const onClick = (element, handler) => {
+            element.addEventListener('click', (e) => {
+                e.stopPropagation();
+                element.blur();
+                handler();
+                this.render();
+            });
+        };
+
+        onClick(record, () => {
+            if (this.recorder.isRecording()) this.recorder.stopRecording();
+            else this.recorder.startRecording();
+        });
+
+        onClick(play, () => {
+            if (this.recorder.isReplaying()) this.recorder.togglePause();
+            else this.recorder.startReplay();
+        });
+
+        onClick(stop, () => this.recorder.stopReplay());
+        onClick(exportBtn, () => this.exportRecording());
+        onClick(importBtn, () => file.click());
+
+        seek.addEventListener('input', () => {
+            this.isSeeking = true;
+            if (!this.recorder.isReplaying()) return;
+            this.recorder.seek((seek.value / 1000) * this.recorder.getDuration());
+        });
+        seek.addEventListener('change', () => {
+            this.isSeeking = false;
+            seek.blur();
+        });
+
+        speed.addEventListener('change', () => {
+            this.recorder.setPlaybackRate(parseFloat(speed.value));
+            speed.blur();
+        });
+
+        file.addEventListener('change', () => {
+            const selected = file.files[0];
+            file.value = '';
+            if (selected) this.importRecording(selected);
+        });
+
+        // Keep clicks on the panel away from the canvas picking handler
+        this.container.addEventListener('click', (e) => e.stopPropagation());
+    }
+
+    exportRecording() {
+        if (!this.recorder.recording || this.recorder.isRecording()) {
+            this.setStatus('⚠️ Nothing to export - stop the recording first');
+            return;
+        }
+
+        const blob = new Blob([this.recorder.serialize()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+        link.href = url;
+        link.download = `flight-${stamp}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        this.setStatus(`💾 Exported ${(blob.size / 1024).toFixed(0)} KB`);
+    }
+
+    async importRecording(file) {
+        try {
+            const recording = FlightRecorder.parse(await file.text());
+            this.recorder.startReplay(recording);
+            this.setStatus(`📂 Loaded ${file.name}`);
+        } catch (error) {
+            console.error('❌ Failed to import flight recording:', error);
+            this.setStatus(`❌ ${error.message}`);
+        }
+    }
+
+    setStatus(text) {
+        this.statusOverride = text;
+        this.statusUntil = performance.now() + 4000;
+        this.render();
+    }
+
+    /**
+     * Refresh time/seek display (throttled) - call once per frame
+     */
+    update() {
+        if (performance.now() - this.lastRender < 100) return;
+        this.render();
+    }
+
+    render() {
+        this.lastRender = performance.now();
+        const recorder = this.recorder;
+        const { record, play, stop, seek, time, exportBtn, status } = this.elements;
+
+        const duration = recorder.getDuration();
+        const current = recorder.getTime();
+
+        record.classList.toggle('active', recorder.isRecording());
+        record.textContent = recorder.isRecording() ? '⏹ STOP' : '⏺ REC';
+        play.textContent = recorder.isPlaying() ? '⏸' : '▶';
+        play.disabled = !recorder.recording || recorder.isRecording();
+        stop.disabled = !recorder.isReplaying();
+        seek.disabled = !recorder.isReplaying();
+        exportBtn.disabled = !recorder.recording || recorder.isRecording();
+
+        if (!this.isSeeking) {
+            seek.value = recorder.isReplaying() && duration > 0 ? Math.round((current / duration) * 1000) : 0;
+        }
+        time.textContent = `${FlightRecorderPanel.formatTime(current)} / ${FlightRecorderPanel.formatTime(duration)}`;
+
+        if (this.statusOverride && performance.now() < this.statusUntil) {
+            status.textContent = this.statusOverride;
+        } else if (recorder.isRecording()) {
+            status.textContent = `🔴 Recording - ${recorder.recording.events.length} events`;
+        } else if (recorder.isReplaying()) {
+            status.textContent = recorder.isPlaying() ? '▶️ Replaying - flight controls locked' : '⏸️ Replay paused';
+        } else {
+            status.textContent = recorder.recording ? `Recording ready (${recorder.getFrameCount()} frames)` : 'No recording';
+        }
+    }
+
+    static formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    dispose() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
@@ -0,0 +1,450 @@
+/**
+ * MultiplayerChatPanel - Room chat while connected to multiplayer
+ * Shows the room's messages (the server replays recent ones on join), sends
+ * new ones and runs /commands locally: /goto <planet>, /nick <name>, /who,
+ * fleet commands (/follow <name>, /unfollow, /formation <name>), /narrate
+ * [planet|stop] (a narration the whole room hears) and /help.
+ * Planet names in messages become links that teleport there.
+ *
+ * Enter (or /) focuses the input; Enter sends and Escape leaves it, both
+ * handing the keyboard straight back to the flight controls - W/S/arrows
+ * only ever go to the input while you're typing.
+ */
+
+import { CONFIG } from '../config/config.js';
+
+const MAX_MESSAGES = 100;
+const MIN_MENTION_LENGTH = 3; // Skip names short enough to match ordinary words
+
+const COMMANDS = {
+    goto: '/goto <planet> - teleport to a planet',
+    nick: '/nick <name> - change your nickname',
+    who: '/who - list the players in this room',
+    follow: '/follow <name> - fly in formation behind a player',
+    unfollow: '/unfollow - leave the fleet',
+    formation: `/formation <${CONFIG.multiplayer.fleetFormations.join('|')}> - your fleet's formation`,
+    narrate: '/narrate [planet] - narrate a planet (or the closest) to the room, /narrate stop ends it',
+    help: '/help - show this list'
+};
+
+/**
+ * A planet name as a whole word, any case
+ */
+function mentionPattern(name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+export class MultiplayerChatPanel {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getManager - Returns the current MultiplayerManager (or null)
+     * @param {PlanetDataService} options.planetDataService - Planet lookup for /goto and mentions
+     * @param {TeleportManager} options.teleportManager
+     * @param {Function} options.onTeleport - Called with the planet after a chat teleport
+     * @param {Function} options.onNarrate - Called with the planet (null for the closest one) to narrate to the room
+     */
+    constructor({ getManager, planetDataService, teleportManager, onTeleport = null, onNarrate = null }) {
+        this.getManager = getManager;
+        this.dataService = planetDataService;
+        this.teleportManager = teleportManager;
+        this.onTeleport = onTeleport;
+        this.onNarrate = onNarrate;
+
+        // Planet names for mentions, longest first (rebuilt when more planets load)
+        this.planetNames = [];
+        this.indexedCount = -1;
+
+        this.createUI();
+        this.attachEventListeners();
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'multiplayer-chat-panel';
+        this.container.className = 'ui-panel multiplayer-chat-panel closed'; // Shown while connected
+
+        this.container.innerHTML = `
+            <div class="tour-header chat-header">
+                <span>💬 Room Chat</span>
+                <button class="tour-btn" id="chat-collapse" title="Hide messages">–</button>
+            </div>
+            <div class="chat-messages" id="chat-messages"></div>
+            <input type="text" class="chat-input" id="chat-input" autocomplete="off"
+                placeholder="Enter to chat · /help for commands" />
+        `;
+
+        document.body.appendChild(this.container);
+
+        this.elements = {
+            collapse: this.container.querySelector('#chat-collapse'),
+            messages: this.container.querySelector('#chat-messages'),
+            input: this.container.querySelector('#chat-input')
+        };
+    }
+
+    attachEventListeners() {
+        const { collapse, messages, input } = this.elements;
+
+        collapse.addEventListener('click', (e) => {
+            e.stopPropagation();
+            collapse.blur();
+            const collapsed = this.container.classList.toggle('collapsed');
+            collapse.textContent = collapsed ? '+' : '–';
+            collapse.title = collapsed ? 'Show messages' : 'Hide messages';
+        });
+
+        // Enter/Escape stop here: once the input is blurred the game's own
+        // keydown handler would see them (Enter would reopen the chat)
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.submit(input.value);
+                input.value = '';
+                input.blur();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                input.value = '';
+                input.blur();
+            }
+        });
+
+        // Planet links (buttons must not keep focus - Space/arrows are flight controls)
+        messages.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-planet]');
+            if (!link) return;
+            e.stopPropagation();
+            link.blur();
+            this.gotoPlanet(link.dataset.planet);
+        });
+
+        // Keep clicks on the panel away from the canvas picking handler
+        this.container.addEventListener('click', (e) => e.stopPropagation());
+    }
+
+    /**
+     * Show or hide with the multiplayer connection
+     */
+    setConnected(connected) {
+        if (!connected && this.isOpen()) {
+            this.elements.input.blur();
+            this.elements.messages.replaceChildren();
+        }
+        this.container.classList.toggle('closed', !connected);
+    }
+
+    isOpen() {
+        return !this.container.classList.contains('closed');
+    }
+
+    /**
+     * Start typing (Enter or / in flight)
+     * @param {string} prefill - Text to start with, e.g. '/'
+     */
+    focusInput(prefill = '') {
+        if (!this.isOpen()) return;
+        const { input } = this.elements;
+        this.container.classList.remove('collapsed');
+        input.value = prefill;
+        input.focus();
+    }
+
+    /**
+     * Replace the messages with the room's history (after joining a room)
+     * @param {Array<Object>} messages - { id, playerId, nickname, message, timestamp }
+     */
+    setHistory(messages) {
+        this.elements.messages.replaceChildren();
+        messages.forEach(message => this.addMessage(message));
+        const room = this.getManager()?.room;
+        if (room) this.addSystemMessage(`You are in ${room.name}${messages.length ? ` - ${messages.length} earlier messages` : ''}`);
+    }
+
+    /**
+     * Append a chat message from the server
+     */
+    addMessage({ playerId, nickname, message, timestamp }) {
+        const isSelf = playerId === this.getManager()?.playerId;
+        const row = this.createRow(isSelf ? 'chat-message self' : 'chat-message', timestamp);
+
+        const name = document.createElement('span');
+        name.className = 'chat-nick';
+        name.textContent = nickname;
+        row.append(name, ' ', this.renderText(message));
+        this.appendRow(row);
+    }
+
+    /**
+     * Local notice (command output), never sent
+     */
+    addSystemMessage(text) {
+        const row = this.createRow('chat-message system', Date.now());
+        const body = document.createElement('span');
+        body.className = 'chat-text';
+        body.textContent = text;
+        row.appendChild(body);
+        this.appendRow(row);
+    }
+
+    createRow(className, timestamp) {
+        const row = document.createElement('div');
+        row.className = className;
+        const time = document.createElement('span');
+        time.className = 'chat-time';
+        time.textContent = new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        row.append(time, ' ');
+        return row;
+    }
+
+    appendRow(row) {
+        const { messages } = this.elements;
+        const atBottom = messages.scrollHeight - messages.scrollTop - messages.clientHeight < 24;
+        messages.appendChild(row);
+        while (messages.children.length > MAX_MESSAGES) {
+            messages.firstChild.remove();
+        }
+        if (atBottom) messages.scrollTop = messages.scrollHeight;
+    }
+
+    /**
+     * Message text with planet mentions as links (user text only ever goes in textContent)
+     */
+    renderText(text) {
+        const body = document.createElement('span');
+        body.className = 'chat-text';
+
+        let position = 0;
+        this.findMentions(text).forEach(({ start, end, name }) => {
+            body.append(text.slice(position, start));
+            const link = document.createElement('button');
+            link.className = 'chat-planet-link';
+            link.dataset.planet = name;
+            link.title = `Teleport to ${name}`;
+            link.textContent = text.slice(start, end);
+            body.appendChild(link);
+            position = end;
+        });
+        body.append(text.slice(position));
+        return body;
+    }
+
+    /**
+     * Known planet names in a text, as whole words, longest match first
+     * @returns {Array<{ start, end, name }>} Sorted by position, not overlapping
+     */
+    findMentions(text) {
+        this.indexPlanets();
+        const taken = [];
+
+        // Matched on the text itself: lowercasing can change its length ("İ")
+        for (const { name, pattern } of this.planetNames) {
+            for (const match of text.matchAll(pattern)) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (!taken.some(mention => start < mention.end && end > mention.start)) {
+                    taken.push({ start, end, name });
+                }
+            }
+        }
+        return taken.sort((a, b) => a.start - b.start);
+    }
+
+    indexPlanets() {
+        const count = this.dataService?.allPlanets?.length ?? 0;
+        if (count === this.indexedCount) return;
+        this.indexedCount = count;
+
+        const names = new Set((this.dataService?.getAllPlanets() || [])
+            .map(planet => planet.pl_name)
+            .filter(name => name && name.length >= MIN_MENTION_LENGTH));
+        this.planetNames = [...names]
+            .sort((a, b) => b.length - a.length)
+            .map(name => ({ name, pattern: mentionPattern(name) }));
+    }
+
+    /**
+     * Send a message, or run it if it's a /command
+     */
+    submit(raw) {
+        const text = raw.trim();
+        if (!text) return;
+
+        const manager = this.getManager();
+        if (!manager?.connected) {
+            this.addSystemMessage('Not connected to multiplayer');
+            return;
+        }
+
+        if (!text.startsWith('/')) {
+            manager.sendChat(text);
+            return;
+        }
+
+        const [, command, argument = ''] = text.match(/^\/(\S*)\s*(.*)$/);
+        switch (command.toLowerCase()) {
+            case 'goto':
+                this.gotoPlanet(argument.trim());
+                break;
+            case 'nick':
+                this.changeNickname(argument.trim());
+                break;
+            case 'who':
+                this.listPlayers();
+                break;
+            case 'follow':
+                this.followPlayer(argument.trim());
+                break;
+            case 'unfollow':
+                if (manager.fleet.isFollowing()) {
+                    this.runRequest(() => manager.unfollow());
+                } else {
+                    this.addSystemMessage('You are not following anyone');
+                }
+                break;
+            case 'formation':
+                this.setFormation(argument.trim().toLowerCase());
+                break;
+            case 'narrate':
+                this.narrate(argument.trim());
+                break;
+            case 'help':
+                Object.values(COMMANDS).forEach(line => this.addSystemMessage(line));
+                break;
+            default:
+                this.addSystemMessage(`Unknown command /${command} - try /help`);
+        }
+    }
+
+    /**
+     * Exact name first, then the first partial match
+     */
+    resolvePlanet(name) {
+        if (!name || !this.dataService) return null;
+        return this.dataService.getPlanetByName(name) ||
+            this.dataService.searchByName(name)[0] ||
+            null;
+    }
+
+    gotoPlanet(name) {
+        if (!name) {
+            this.addSystemMessage(`Usage: ${COMMANDS.goto}`);
+            return;
+        }
+
+        const planet = this.resolvePlanet(name);
+        if (!planet) {
+            this.addSystemMessage(`No planet called "${name}"`);
+            return;
+        }
+        if (!this.teleportManager) {
+            this.addSystemMessage('Teleporting is not available');
+            return;
+        }
+
+        this.addSystemMessage(`🚀 Teleporting to ${planet.pl_name}`);
+        this.teleportManager.teleportWithEffect(planet, () => {
+            if (this.onTeleport) this.onTeleport(planet);
+        });
+    }
+
+    changeNickname(nickname) {
+        if (!nickname) {
+            this.addSystemMessage(`Usage: ${COMMANDS.nick}`);
+            return;
+        }
+        // The server may trim or refuse the name - confirm the one it kept
+        this.runRequest(() => this.getManager().setNickname(nickname), accepted => `Nickname changed to ${accepted}`);
+    }
+
+    listPlayers() {
+        const manager = this.getManager();
+        const room = manager?.room;
+        if (!room) return;
+
+        this.addSystemMessage(`${room.name}: ${room.members.length}/${room.maxPlayers} players`);
+        const ownPosition = manager.localSpacecraft.group.position;
+        room.members.forEach(member => {
+            const remote = manager.remotePlayers.get(member.id);
+            let where = '';
+            if (member.id === manager.playerId) {
+                where = ' (you)';
+            } else if (remote?.inInterest) {
+                where = ` - ${MultiplayerChatPanel.formatDistance(remote.group.position.distanceTo(ownPosition))} away`;
+            } else {
+                where = ' - out of range';
+            }
+            this.addSystemMessage(`${member.id === room.owner ? '👑 ' : '• '}${member.nickname}${where}`);
+        });
+    }
+
+    followPlayer(name) {
+        const manager = this.getManager();
+        const key = name.toLowerCase();
+        const members = (manager.room?.members || []).filter(member => member.id !== manager.playerId);
+        const member = members.find(candidate => candidate.nickname.toLowerCase() === key) ||
+            members.find(candidate => candidate.nickname.toLowerCase().startsWith(key));
+        if (!name || !member) {
+            this.addSystemMessage(name ? `Nobody called "${name}" in this room` : `Usage: ${COMMANDS.follow}`);
+            return;
+        }
+        this.runRequest(() => manager.followPlayer(member.id));
+    }
+
+    setFormation(formation) {
+        if (!CONFIG.multiplayer.fleetFormations.includes(formation)) {
+            this.addSystemMessage(`Usage: ${COMMANDS.formation}`);
+            return;
+        }
+        this.runRequest(() => this.getManager().setFormation(formation), `Fleet formation: ${formation}`);
+    }
+
+    narrate(argument) {
+        const manager = this.getManager();
+        if (argument.toLowerCase() === 'stop') {
+            if (!manager.narration) {
+                this.addSystemMessage('Nobody is narrating');
+                return;
+            }
+            this.runRequest(() => manager.stopNarration());
+            return;
+        }
+        if (!this.onNarrate) {
+            this.addSystemMessage('Narration is not available');
+            return;
+        }
+
+        const planet = argument ? this.resolvePlanet(argument) : null;
+        if (argument && !planet) {
+            this.addSystemMessage(`No planet called "${argument}"`);
+            return;
+        }
+        this.onNarrate(planet);
+    }
+
+    /**
+     * Server request, with its refusal (or a confirmation) as a notice
+     * @param {string|Function|null} confirmation - Notice on success, or a function of the answer
+     */
+    async runRequest(action, confirmation = null) {
+        try {
+            const answer = await action();
+            if (typeof confirmation === 'function') confirmation = confirmation(answer);
+            if (confirmation) this.addSystemMessage(confirmation);
+        } catch (error) {
+            this.addSystemMessage(error.message);
+        }
+    }
+
+    static formatDistance(units) {
+        if (units >= 1e6) return `${(units / 1e6).toFixed(1)}M units`;
+        if (units >= 1e3) return `${(units / 1e3).toFixed(1)}k units`;
+        return `${Math.round(units)} units`;
+    }
+
+    dispose() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
@@ -1,15 +1,32 @@
 /**
  * NarratorDialog - Bottom UI for displaying planet narrations with chat
  * Like a tour guide speaking to you + Q&A capability
+ * Questions can be typed or spoken (push-to-talk, see setSpeechInput)
+ * Shared multiplayer narrations start at an offset on a common clock:
+ * late listeners seek into the audio, early ones wait for the first word.
+ * Audio that isn't on the narrator's timeline (another speech engine) is
+ * never seeked - the subtitles follow the clock instead.
  */
+import { PushToTalk } from './PushToTalk.js';
+import { createAudioPlayer, canSeek } from '../ai/tts/speechPlayback.js';
+
+const SEEK_TOLERANCE = 0.5; // Seconds late a narration may start from the top when its audio can't seek
+
 export class NarratorDialog {
     constructor(narrationService = null) {
         this.narrationService = narrationService;
         this.isVisible = false;
         this.audioElement = null;
+        this.audioTimeout = null; // Pending start of the narration audio
+        this.onHide = null; // Called after the dialog closes (shared narrations end with it)
+        this.clockEnd = null; // performance.now() when a shared narration ends on the clock
         this.currentPlanet = null;
         this.typewriterInterval = null;
         this.chatHistory = [];
+        this.chatAbortController = null; // Set while an answer is streaming in
+        this.speechAbortController = null; // Set while an answer is being spoken
+        this.audioBlocked = false;
+        this.pushToTalk = null; // Voice questions, see setSpeechInput()
         
         this.createDialog();
         this.attachEventListeners();
@@ -106,6 +123,9 @@ export class NarratorDialog {
                                 placeholder="Ask SpAIce anything..."
                                 maxlength="200"
                             />
+                            <button class="narrator-chat-mic" id="narrator-chat-mic" hidden>
+                                <span class="mic-icon">🎤</span>
+                            </button>
                             <button class="narrator-chat-send" id="narrator-chat-send" title="Send (Enter)">
                                 <span class="send-icon">➤</span>
                             </button>
@@ -134,6 +154,7 @@ export class NarratorDialog {
             chatMessages: document.getElementById('narrator-chat-messages'),
             chatInput: document.getElementById('narrator-chat-input'),
             chatSend: document.getElementById('narrator-chat-send'),
+            chatMic: document.getElementById('narrator-chat-mic'),
             chatbotFace: document.getElementById('chatbot-face'),
             loadingOverlay: document.getElementById('spaice-loading')
         };
@@ -196,6 +217,16 @@ export class NarratorDialog {
         this.elements.loadingOverlay.style.display = 'flex';
     }
 
+    /**
+     * Open the dialog on its loading screen while a planet's narration is made
+     */
+    showLoadingFor(planet) {
+        this.container.classList.add('visible');
+        this.isVisible = true;
+        this.elements.planetName.textContent = planet.pl_name || 'Unknown Planet';
+        this.showLoading();
+    }
+
     /**
      * Hide loading state
      */
@@ -207,16 +238,29 @@ export class NarratorDialog {
      * Show narrator dialog with narration
      * @param {Object} planet - Planet data
      * @param {string} text - Narration text
-     * @param {Blob|null} audioBlob - Audio data
+     * @param {Blob|Object|null} audioBlob - Audio data, or a browser speech clip
+     * @param {Array|null} segments - Spoken segments with start/end times (NarrationDirector)
+     * @param {Object} options
+     * @param {number|null} options.offset - Seconds into the narration right now (shared narrations):
+     *        negative waits for the first word, positive catches up. Subtitles without
+     *        audio follow this clock.
+     * @param {number|null} options.duration - Seconds the shared narration lasts: the dialog
+     *        stays until then, even when the audio ends sooner
+     * @param {boolean} options.seek - false: the audio isn't on the shared timeline - it only
+     *        plays from the top (text only when joining late) and the subtitles follow the clock
      */
-    async show(planet, text, audioBlob = null) {
+    async show(planet, text, audioBlob = null, segments = null, { offset = null, duration = null, seek = true } = {}) {
         console.log('🎬 NarratorDialog.show() called with:', {
             planet: planet?.pl_name,
             textLength: text?.length,
-            hasAudio: !!audioBlob
+            hasAudio: !!audioBlob,
+            segments: segments?.length || 0,
+            offset,
+            seek
         });
         
         this.currentPlanet = planet;
+        clearTimeout(this.audioTimeout);
         
         // Clear chat history for new planet
         this.chatHistory = [];
@@ -226,9 +270,11 @@ export class NarratorDialog {
         if (this.narrationService && this.narrationService.openAIService) {
             this.elements.chatInput.disabled = false;
             this.elements.chatSend.disabled = false;
+            this.elements.chatMic.disabled = false;
         } else {
             this.elements.chatInput.disabled = true;
             this.elements.chatSend.disabled = true;
+            this.elements.chatMic.disabled = true;
             this.elements.chatInput.placeholder = 'AI not configured';
         }
         
@@ -251,14 +297,25 @@ export class NarratorDialog {
         console.log('📝 Container classes:', this.container.className);
         console.log('📏 Container computed display:', window.getComputedStyle(this.container).display);
         
-        // Start typewriter effect for text
-        this.typewriterEffect(text);
+        // Narration time on the shared clock
+        const startedAt = performance.now() - (offset ?? 0) * 1000;
+        const clock = offset === null ? null : () => (performance.now() - startedAt) / 1000;
+        this.clockEnd = clock && duration ? startedAt + duration * 1000 : null;
+        
+        // Start typewriter effect for text (paced by the audio when it has segments)
+        const typeSpeed = 30;
+        this.typewriterEffect(text, typeSpeed, audioBlob || clock ? segments : null, {
+            clock,
+            followClock: !!clock && !seek,
+            startIndex: offset > 0 ? Math.round(offset * 1000 / typeSpeed) : 0
+        });
         
         // Play audio if available (with delay to let text start appearing)
         if (audioBlob) {
-            setTimeout(() => {
-                this.playAudio(audioBlob);
-            }, 500);
+            this.audioTimeout = setTimeout(() => {
+                this.audioTimeout = null;
+                this.playAudio(audioBlob, clock, { seek });
+            }, offset === null ? 500 : Math.max(0, -offset * 1000));
         } else {
             this.elements.audioIndicator.style.display = 'none';
         }
@@ -268,15 +325,26 @@ export class NarratorDialog {
     
     /**
      * Typewriter effect for text display
+     * With segments, each one is typed while its voice speaks it (driven by
+     * the audio clock, so pauses and playback delays stay in sync).
+     * @param {Object} options
+     * @param {Function|null} options.clock - Narration time (s) for subtitles while no audio plays
+     * @param {boolean} options.followClock - Subtitles follow the clock even while audio plays
+     * @param {number} options.startIndex - Characters already typed (joined late)
      */
-    typewriterEffect(text, speed = 30) {
-        let index = 0;
-        this.elements.text.textContent = '';
+    typewriterEffect(text, speed = 30, segments = null, { clock = null, followClock = false, startIndex = 0 } = {}) {
+        let index = Math.min(startIndex, text.length);
+        this.elements.text.textContent = text.slice(0, index);
         
         // Clear any existing typewriter interval
         if (this.typewriterInterval) {
             clearInterval(this.typewriterInterval);
         }
+
+        if (segments?.length) {
+            this.subtitleEffect(segments, speed, clock, followClock);
+            return;
+        }
         
         this.typewriterInterval = setInterval(() => {
             if (index < text.length) {
@@ -289,10 +357,58 @@ export class NarratorDialog {
         }, speed);
     }
 
+    /**
+     * Subtitles for a directed narration: one span per segment, styled by voice
+     * @param {Function|null} clock - Narration time (s) until (or instead of) the audio
+     * @param {boolean} followClock - Only the clock drives them (audio off the shared timeline)
+     */
+    subtitleEffect(segments, speed, clock = null, followClock = false) {
+        this.stopAudio(); // The previous narration would drive the clock until playAudio() runs
+
+        const lines = segments.map((segment, i) => {
+            const line = document.createElement('span');
+            line.className = `narrator-segment voice-${segment.voice}`;
+            if (i > 0) this.elements.text.appendChild(document.createTextNode(' '));
+            this.elements.text.appendChild(line);
+            return line;
+        });
+
+        let narration = null; // The narration's audio element, once playAudio() created it
+        this.typewriterInterval = setInterval(() => {
+            narration = followClock ? null : narration || this.audioElement;
+            const time = narration ? narration.currentTime : (clock ? clock() : 0);
+            // Stopped or replaced (a spoken chat answer) counts as finished too
+            const finished = !!narration && (narration !== this.audioElement || narration.ended || !!narration.error || this.audioBlocked);
+
+            segments.forEach((segment, i) => {
+                const duration = Math.max(0.001, segment.end - segment.start);
+                const progress = finished ? 1 : Math.min(1, Math.max(0, (time - segment.start) / duration));
+                lines[i].textContent = segment.text.slice(0, Math.round(segment.text.length * progress));
+                lines[i].classList.toggle('speaking', progress > 0 && progress < 1);
+            });
+
+            if (finished || time >= segments[segments.length - 1].end) {
+                clearInterval(this.typewriterInterval);
+                this.typewriterInterval = null;
+            }
+        }, speed);
+    }
+
     /**
      * Play audio narration
+     * @param {Function|null} clock - Narration time (s): playback starts there
+     * @param {Object} options
+     * @param {boolean} options.seek - false: the audio isn't on the clock's timeline, only play it from the top
      */
-    async playAudio(audioBlob) {
+    async playAudio(audioBlob, clock = null, { seek = true } = {}) {
+        const position = clock ? clock() : 0;
+        if (position > SEEK_TOLERANCE && (!seek || !canSeek(audioBlob))) {
+            // Browser speech or another engine's audio can't start mid-way - follow the subtitles instead
+            console.log(`🔇 Joined ${position.toFixed(1)}s into the narration, showing text only`);
+            this.elements.audioIndicator.style.display = 'none';
+            return;
+        }
+        
         // Stop any existing audio
         this.stopAudio();
         
@@ -304,9 +420,10 @@ export class NarratorDialog {
             this.elements.chatbotFace.classList.add('talking');
         }
         
-        // Create audio element
-        this.audioElement = new Audio();
-        this.audioElement.src = URL.createObjectURL(audioBlob);
+        // Create audio element (a look-alike for browser speech)
+        this.audioBlocked = false; // play() refused (autoplay policy) - subtitles show everything
+        this.audioElement = createAudioPlayer(audioBlob);
+        if (position > 0 && seek) this.audioElement.currentTime = position;
         
         // Handle audio events
         this.audioElement.addEventListener('ended', () => {
@@ -318,12 +435,14 @@ export class NarratorDialog {
                 this.elements.chatbotFace.classList.remove('talking');
             }
             
-            // Auto-hide after audio ends
+            // Auto-hide after audio ends (unless a question is being answered) -
+            // a shared narration's subtitles may still run on the clock
+            const remaining = Math.max(0, (this.clockEnd ?? 0) - performance.now());
             setTimeout(() => {
-                if (this.isVisible) {
+                if (this.isVisible && !this.chatAbortController && !this.speechAbortController) {
                     this.hide();
                 }
-            }, 2000); // Stay visible 2 seconds after audio ends
+            }, remaining + 2000); // Stay visible 2 seconds after audio ends
         });
         
         this.audioElement.addEventListener('error', (e) => {
@@ -337,6 +456,7 @@ export class NarratorDialog {
             console.log('🔊 Audio playing');
         } catch (error) {
             console.error('❌ Failed to play audio:', error);
+            this.audioBlocked = true;
             this.elements.audioIndicator.style.display = 'none';
         }
     }
@@ -345,6 +465,14 @@ export class NarratorDialog {
      * Stop audio playback
      */
     stopAudio() {
+        // Stop a spoken chat answer (the text keeps streaming)
+        if (this.speechAbortController) {
+            this.speechAbortController.abort();
+            this.speechAbortController = null;
+            this.elements.audioIndicator.style.display = 'none';
+            this.elements.chatbotFace?.classList.remove('talking');
+        }
+
         if (this.audioElement) {
             this.audioElement.pause();
             this.audioElement.currentTime = 0;
@@ -358,6 +486,31 @@ export class NarratorDialog {
         }
     }
 
+    /**
+     * Pause / resume audio narration (guided tours)
+     */
+    pauseAudio() {
+        if (this.audioElement && !this.audioElement.paused) {
+            this.audioElement.pause();
+            this.elements.chatbotFace?.classList.remove('talking');
+        }
+    }
+
+    resumeAudio() {
+        if (this.audioElement && this.audioElement.paused && !this.audioElement.ended) {
+            this.audioElement.play().catch(error => console.error('❌ Failed to resume audio:', error));
+            this.elements.chatbotFace?.classList.add('talking');
+        }
+    }
+
+    /**
+     * True while the narration is still being typed out or spoken
+     */
+    isSpeaking() {
+        const audioPlaying = this.audioElement && !this.audioElement.paused && !this.audioElement.ended;
+        return !!this.typewriterInterval || !!audioPlaying || !!this.speechAbortController;
+    }
+
     /**
      * Skip current narration
      */
@@ -379,6 +532,8 @@ export class NarratorDialog {
         this.container.classList.remove('visible');
         this.container.classList.remove('minimized');
         this.isVisible = false;
+        clearTimeout(this.audioTimeout);
+        this.audioTimeout = null;
         
         // Stop typewriter effect
         if (this.typewriterInterval) {
@@ -388,6 +543,8 @@ export class NarratorDialog {
         
         // Stop and clean up audio
         this.stopAudio();
+        this.cancelChatResponse();
+        this.pushToTalk?.cancel();
         
         // Hide loading overlay
         this.hideLoading();
@@ -403,6 +560,7 @@ export class NarratorDialog {
         this.elements.chatInput.value = '';
         
         console.log('✅ NarratorDialog closed and cleaned up');
+        this.onHide?.();
     }
 
     /**
@@ -416,6 +574,12 @@ export class NarratorDialog {
      * Handle chat message send
      */
     async handleChatSend() {
+        // While an answer is streaming the send button acts as a stop button
+        if (this.chatAbortController) {
+            this.cancelChatResponse();
+            return;
+        }
+
         const input = this.elements.chatInput;
         const message = input.value.trim();
         
@@ -427,54 +591,117 @@ export class NarratorDialog {
         // Add user message to chat
         this.addChatMessage('user', message);
         
-        // Show loading overlay
-        this.showLoading();
-        
-        // Disable input while processing
-        this.elements.chatInput.disabled = true;
-        this.elements.chatSend.disabled = true;
-        
-        try {
-            // Generate response using AI
-            const response = await this.askQuestion(message);
-            
-            // Hide loading overlay
-            this.hideLoading();
-            
-            // Re-enable input
-            this.elements.chatInput.disabled = false;
-            this.elements.chatSend.disabled = false;
-            
-            // Add AI response
-            this.addChatMessage('assistant', response);
-            
-        } catch (error) {
-            console.error('❌ Chat error:', error);
-            this.hideLoading();
-            
-            // Re-enable input
-            this.elements.chatInput.disabled = false;
-            this.elements.chatSend.disabled = false;
-            
-            this.addChatMessage('assistant', 'Sorry, I encountered an error. Please try again.');
-        }
+        await this.askQuestion(message);
         
         // Focus back on input
-        this.elements.chatInput.focus();
+        if (this.isVisible) {
+            this.elements.chatInput.focus();
+        }
+    }
+
+    /**
+     * Enable push-to-talk questions (hold 🎤 or the shortcut key while open)
+     * Speaking stops the current answer, so the conversation can go back and
+     * forth hands-free; the reply is spoken like every answer.
+     * @param {SpeechToTextProvider|null} provider - null turns voice input off
+     */
+    setSpeechInput(provider) {
+        this.pushToTalk?.dispose();
+        this.pushToTalk = null;
+        this.elements.chatMic.hidden = true;
+        if (!provider) return;
+
+        this.pushToTalk = new PushToTalk({
+            button: this.elements.chatMic,
+            input: this.elements.chatInput,
+            provider,
+            isActive: () => this.isVisible && !!this.currentPlanet,
+            onStart: () => {
+                this.cancelChatResponse();
+                this.stopAudio();
+            },
+            onTranscript: (text) => {
+                if (!this.currentPlanet) return;
+                this.addChatMessage('user', text);
+                this.askQuestion(text);
+            }
+        });
     }
 
     /**
      * Ask AI a question about the current planet
+     * The answer is rendered token by token and, when ElevenLabs is
+     * configured, spoken sentence by sentence while it streams in.
      */
     async askQuestion(question) {
-        if (!this.narrationService || !this.narrationService.openAIService) {
-            return 'AI service is not available.';
+        const openAIService = this.narrationService?.openAIService;
+        if (!openAIService) {
+            this.addChatMessage('assistant', 'AI service is not available.');
+            return;
+        }
+
+        const controller = new AbortController();
+        this.chatAbortController = controller;
+        this.setChatStreaming(true);
+        this.showLoading();
+
+        const messageId = this.addChatMessage('assistant', '');
+        const messageEl = document.getElementById(messageId);
+        messageEl.classList.add('streaming');
+
+        const answer = { text: '', error: null };
+        const tokens = this.renderAnswer(
+            openAIService.streamCompletion(this.buildQuestionPrompt(question), { signal: controller.signal }),
+            messageEl.querySelector('.message-text'),
+            answer
+        );
+
+        const textToSpeech = this.narrationService.textToSpeech;
+        if (textToSpeech) {
+            await this.speakAnswer(textToSpeech, tokens);
+        } else {
+            for await (const delta of tokens) {
+                // Rendering happens inside renderAnswer()
+            }
+        }
+
+        if (this.chatAbortController === controller) {
+            this.chatAbortController = null;
+            this.setChatStreaming(false);
+        }
+        this.hideLoading();
+
+        // Chat was cleared (dialog closed) while streaming
+        if (!messageEl.isConnected) return;
+
+        messageEl.classList.remove('streaming');
+
+        if (!answer.text.trim()) {
+            this.removeChatMessage(messageId);
+            if (answer.error) {
+                this.addChatMessage('assistant', 'Sorry, I encountered an error. Please try again.');
+            }
+            return;
+        }
+
+        const note = answer.error ? ' (answer interrupted - please try again)' :
+            controller.signal.aborted ? ' (stopped)' : '';
+        if (note) {
+            const noteEl = document.createElement('span');
+            noteEl.className = 'message-note';
+            noteEl.textContent = note;
+            messageEl.querySelector('.message-text').appendChild(noteEl);
         }
+    }
 
+    /**
+     * Prompt for a chat question about the current planet
+     */
+    buildQuestionPrompt(question) {
         const planet = this.currentPlanet;
         const characteristics = planet.characteristics || {};
         
-        const context = `You are SpAIce, an enthusiastic AI space guide. Answer this question about ${planet.pl_name}:
+        return `You are SpAIce, an enthusiastic AI space guide. Answer this question about ${planet.pl_name}:
 
 Question: ${question}
 
@@ -488,16 +715,87 @@ Planet Information:
 - Mass: ${planet.pl_bmasse || 'Unknown'} Earth masses
 
 Provide a concise, friendly answer (2-3 sentences). Be enthusiastic and educational.`;
+    }
 
+    /**
+     * Pass text deltas through while rendering them into the message
+     * Errors end the stream quietly and are reported in answer.error, so
+     * the partial text stays on screen.
+     */
+    async *renderAnswer(stream, textEl, answer) {
         try {
-            const response = await this.narrationService.openAIService.generateCompletion(context);
-            return response.trim();
+            for await (const delta of stream) {
+                if (!answer.text) this.hideLoading();
+
+                answer.text += delta;
+                textEl.textContent = answer.text;
+                this.elements.chatMessages.scrollTop = this.elements.chatMessages.scrollHeight;
+
+                yield delta;
+            }
         } catch (error) {
-            console.error('❌ OpenAI error:', error);
-            throw error;
+            if (error.name !== 'AbortError') {
+                console.error('❌ OpenAI error:', error);
+                answer.error = error;
+            }
         }
     }
 
+    /**
+     * Speak a streamed answer sentence by sentence
+     * Skip Audio (stopAudio) silences it without interrupting the text.
+     */
+    async speakAnswer(textToSpeech, tokens) {
+        this.stopAudio();
+
+        const controller = new AbortController();
+        this.speechAbortController = controller;
+
+        try {
+            await textToSpeech.textToSpeechStream(tokens, {
+                signal: controller.signal,
+                onAudio: (audio) => {
+                    this.audioElement = audio;
+                    this.elements.audioIndicator.style.display = 'flex';
+                    this.elements.chatbotFace?.classList.add('talking');
+                }
+            });
+        } catch (error) {
+            console.error('❌ Failed to speak answer:', error);
+        } finally {
+            if (this.speechAbortController === controller) {
+                this.speechAbortController = null;
+                this.audioElement = null;
+                this.elements.audioIndicator.style.display = 'none';
+                this.elements.chatbotFace?.classList.remove('talking');
+            }
+        }
+    }
+
+    /**
+     * Stop the answer currently streaming in (and its speech), if any
+     */
+    cancelChatResponse() {
+        if (!this.chatAbortController) return;
+
+        console.log('⏹️ Chat answer cancelled');
+        this.chatAbortController.abort();
+        this.chatAbortController = null;
+        this.setChatStreaming(false);
+        this.stopAudio();
+    }
+
+    /**
+     * Lock the input and turn the send button into a stop button while streaming
+     */
+    setChatStreaming(streaming) {
+        this.elements.chatInput.disabled = streaming;
+        this.elements.chatSend.disabled = false;
+        this.elements.chatSend.classList.toggle('stop', streaming);
+        this.elements.chatSend.title = streaming ? 'Stop answer' : 'Send (Enter)';
+        this.elements.chatSend.querySelector('.send-icon').textContent = streaming ? '■' : '➤';
+    }
+
     /**
      * Add message to chat
      */
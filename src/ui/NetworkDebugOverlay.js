@@ -0,0 +1,114 @@
+/**
+ * NetworkDebugOverlay - Snapshot buffer health of every remote ship
+ * Round trip, clock sync and, per ship, how many states are buffered, how far
+ * ahead of the render time they reach (negative = starving), whether the ship
+ * is interpolated or dead-reckoned, its update rate (lower for distant ships)
+ * and delay, jitter and late packets. Opened with B.
+ */
+
+const REFRESH_MS = 250;
+
+const MODE_LABELS = {
+    interpolating: '● interp',
+    extrapolating: '◐ extrap',
+    holding: '○ holding',
+    empty: '· empty'
+};
+
+export class NetworkDebugOverlay {
+    /**
+     * @param {Function} getManager - Returns the current MultiplayerManager (or null)
+     */
+    constructor(getManager) {
+        this.getManager = getManager;
+        this.timer = null;
+
+        this.createUI();
+        this.attachEventListeners();
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'network-debug-overlay';
+        this.container.className = 'ui-panel network-debug-overlay closed';
+
+        this.container.innerHTML = `
+            <div class="tour-header">📡 Network Buffer</div>
+            <div class="network-debug-summary" id="network-debug-summary"></div>
+            <table class="network-debug-table">
+                <thead>
+                    <tr><th>Ship</th><th>Mode</th><th>Rate</th><th>Delay</th><th>Buf</th><th>Ahead</th><th>Extrap</th><th>Jitter</th><th>Late</th></tr>
+                </thead>
+                <tbody id="network-debug-rows"></tbody>
+            </table>
+        `;
+
+        document.body.appendChild(this.container);
+
+        this.elements = {
+            summary: this.container.querySelector('#network-debug-summary'),
+            rows: this.container.querySelector('#network-debug-rows')
+        };
+    }
+
+    attachEventListeners() {
+        // Keep clicks on the panel away from the canvas picking handler
+        this.container.addEventListener('click', (e) => e.stopPropagation());
+    }
+
+    toggle() {
+        const closed = this.container.classList.toggle('closed');
+        clearInterval(this.timer);
+        this.timer = closed ? null : setInterval(() => this.render(), REFRESH_MS);
+        this.render();
+    }
+
+    render() {
+        if (this.container.classList.contains('closed')) return;
+        const { summary, rows } = this.elements;
+        const manager = this.getManager();
+
+        if (!manager?.connected) {
+            summary.textContent = 'Not connected to multiplayer';
+            rows.replaceChildren();
+            return;
+        }
+
+        const stats = manager.getNetworkStats();
+        const rtt = stats.rtt === null ? '-' : `${Math.round(stats.rtt)} ms`;
+        summary.textContent = `RTT ${rtt} · clock ${stats.clockSynced ? 'synced' : 'estimated'} · render delay ${stats.renderDelay} ms`;
+
+        rows.replaceChildren(...stats.players.map(player => {
+            const row = document.createElement('tr');
+            row.className = `network-debug-${player.mode}`;
+            const lateShare = player.received > 0 ? Math.round((player.late / player.received) * 100) : 0;
+            [
+                player.nickname,
+                MODE_LABELS[player.mode] || player.mode,
+                player.intervalMs ? `${(1000 / player.intervalMs).toFixed(1)} Hz` : '-',
+                `${player.delayMs} ms`,
+                player.snapshots,
+                `${player.bufferedMs} ms`,
+                `${player.extrapolatedMs} ms`,
+                `${player.jitterMs} ms`,
+                `${player.late} (${lateShare}%)`
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            return row;
+        }));
+
+        if (stats.players.length === 0) {
+            summary.textContent += ' · no other ships in the room';
+        }
+    }
+
+    dispose() {
+        clearInterval(this.timer);
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
@@ -3,21 +3,65 @@
  *
  * A modular dialog component that displays rich planet information with:
  * - Basic planet data and characteristics
- * - AI-generated descriptions (OpenAI)
+ * - AI-generated descriptions grounded in the NASA references (PlanetFactSheet)
  * - Text-to-speech narration (Eleven Labs)
  * - Tabbed interface for organized information
  *
+ * - Chat assistant that can query the catalogue and teleport (PlanetAssistant)
+ * - Push-to-talk questions with spoken replies (PushToTalk)
+ *
  * Extension Points:
- * - Add Q&A functionality
  * - Add audio tours
  * - Add planet comparison mode
  * - Add bookmark/favorites
  */
 
+import { PlanetFactSheet } from '../ai/PlanetFactSheet.js';
+import { PushToTalk } from './PushToTalk.js';
+import { CONFIG } from '../config/config.js';
+import { createAudioPlayer } from '../ai/tts/speechPlayback.js';
+
+/**
+ * Async iterable fed with push() - hands streamed answer text to the speech queue
+ */
+function createTextChannel() {
+    const queue = [];
+    let closed = false;
+    let wake = null;
+
+    return {
+        push(text) {
+            queue.push(text);
+            wake?.();
+        },
+        close() {
+            closed = true;
+            wake?.();
+        },
+        async *[Symbol.asyncIterator]() {
+            while (true) {
+                if (queue.length > 0) {
+                    yield queue.shift();
+                } else if (closed) {
+                    return;
+                } else {
+                    await new Promise(resolve => { wake = resolve; });
+                    wake = null;
+                }
+            }
+        }
+    };
+}
+
 export class PlanetExplorationDialog {
-    constructor(openAIService = null, elevenLabsService = null, app = null) {
+    /**
+     * @param {OpenAIService|null} openAIService
+     * @param {TextToSpeechService|ElevenLabsService|null} textToSpeech - Speech engine(s) for audio and spoken replies
+     * @param {App|null} app - Main App instance
+     */
+    constructor(openAIService = null, textToSpeech = null, app = null) {
         this.openAIService = openAIService;
-        this.elevenLabsService = elevenLabsService;
+        this.textToSpeech = textToSpeech;
         this.app = app; // Reference to main App instance
         this.currentPlanet = null;
         this.currentTab = 'overview';
@@ -27,9 +71,13 @@ export class PlanetExplorationDialog {
         this.isInsightsAudioPlaying = false;
         this.cachedDescriptions = new Map();
         this.cachedInsights = new Map();
-        this.cachedAudio = new Map();
+        this.cachedAudio = new Map(); // planetName -> audio Blob or browser speech clip
         this.cachedInsightsAudio = new Map();
         this.chatHistory = []; // Store chat messages
+        this.chatAbortController = null; // Set while an answer is streaming in
+        this.assistant = null; // PlanetAssistant (catalogue + teleport tools), see setAssistant()
+        this.pushToTalk = null; // Voice questions, see setSpeechInput()
+        this.speechAbortController = null; // Set while a reply is being spoken
 
         this.init();
     }
@@ -72,6 +120,7 @@ export class PlanetExplorationDialog {
                 <div class="exploration-tabs">
                     <button class="exploration-tab active" data-tab="overview">Overview</button>
                     <button class="exploration-tab" data-tab="characteristics">Characteristics</button>
+                    <button class="exploration-tab" data-tab="system">☀ System</button>
                     <button class="exploration-tab" data-tab="ai-description">💬 AI Chat</button>
                 </div>
                 
@@ -81,6 +130,17 @@ export class PlanetExplorationDialog {
                         <div class="overview-grid" id="overview-grid">
                             <!-- Populated dynamically -->
                         </div>
+
+                        <div class="ai-insights-section">
+                            <div class="ai-insights-header">
+                                <h3>📚 Sourced Description</h3>
+                                <button class="ai-insights-btn" id="generate-description-btn">
+                                    <span class="btn-icon">✨</span>
+                                    <span class="btn-text">Generate</span>
+                                </button>
+                            </div>
+                            <div class="ai-description-container" id="ai-description-container"></div>
+                        </div>
                     </div>
                     
                     <!-- Characteristics Tab -->
@@ -90,6 +150,13 @@ export class PlanetExplorationDialog {
                         </div>
                     </div>
                     
+                    <!-- System Tab -->
+                    <div class="exploration-tab-panel" id="panel-system">
+                        <div id="system-content">
+                            <!-- Populated dynamically -->
+                        </div>
+                    </div>
+                    
                     <!-- AI Chat Tab -->
                     <div class="exploration-tab-panel" id="panel-ai-description">
                         <div class="ai-chat-section">
@@ -109,6 +176,7 @@ export class PlanetExplorationDialog {
                                     placeholder="💬 Ask a question..."
                                     maxlength="200"
                                 />
+                                <button class="ai-chat-mic-btn" id="ai-chat-mic-btn" hidden>🎤</button>
                                 <button class="ai-chat-send-btn" id="ai-chat-send-btn">
                                     <span class="btn-icon">🚀</span>
                                     <span class="btn-text">Send</span>
@@ -120,6 +188,7 @@ export class PlanetExplorationDialog {
             </div>
             
             <div class="exploration-dialog-footer">
+                <button class="exploration-btn primary" id="exploration-fleet-btn" title="Open this planet for everyone following you" hidden>🛸 Show Fleet</button>
                 <button class="exploration-btn" id="exploration-close-btn">Close</button>
             </div>
         `;
@@ -133,10 +202,15 @@ export class PlanetExplorationDialog {
             title: this.dialog.querySelector('#exploration-title'),
             subtitle: this.dialog.querySelector('#exploration-subtitle'),
             overviewGrid: this.dialog.querySelector('#overview-grid'),
+            aiDescriptionContainer: this.dialog.querySelector('#ai-description-container'),
+            descriptionBtn: this.dialog.querySelector('#generate-description-btn'),
             characteristicsContent: this.dialog.querySelector('#characteristics-content'),
+            systemContent: this.dialog.querySelector('#system-content'),
             chatMessages: this.dialog.querySelector('#ai-chat-messages'),
             chatInput: this.dialog.querySelector('#ai-chat-input'),
             chatSendBtn: this.dialog.querySelector('#ai-chat-send-btn'),
+            chatMicBtn: this.dialog.querySelector('#ai-chat-mic-btn'),
+            fleetBtn: this.dialog.querySelector('#exploration-fleet-btn'),
             tabs: this.dialog.querySelectorAll('.exploration-tab'),
             tabPanels: this.dialog.querySelectorAll('.exploration-tab-panel'),
             heroContainer: document.getElementById('exploration-hero')
@@ -202,6 +276,28 @@ export class PlanetExplorationDialog {
             console.error('❌ No tabs found for event listeners');
         }
 
+        // Sourced description button
+        if (this.elements.descriptionBtn) {
+            this.elements.descriptionBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.elements.descriptionBtn.blur();
+                if (!this.currentPlanet) return;
+
+                // Second click regenerates
+                this.cachedDescriptions.delete(this.currentPlanet.pl_name);
+                this.loadAIDescription(this.currentPlanet);
+            });
+        }
+
+        // Fleet leaders open the planet for their followers too
+        if (this.elements.fleetBtn) {
+            this.elements.fleetBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.elements.fleetBtn.blur();
+                this.shareWithFleet();
+            });
+        }
+
         // Chat send button
         if (this.elements.chatSendBtn) {
             this.elements.chatSendBtn.addEventListener('click', (e) => {
@@ -276,17 +372,43 @@ export class PlanetExplorationDialog {
 
         // Populate characteristics tab
         this.populateCharacteristics(planetData);
+
+        // Populate system tab (host star + sibling planets)
+        this.populateSystem(planetData);
+
         // Initialize chat for this planet (clears previous chat)
         this.initializeChatForPlanet(planetData);
 
         // Reset to overview tab
         this.switchTab('overview');
 
+        // Leading a multiplayer fleet: offer to show it the same planet
+        if (this.elements.fleetBtn) {
+            this.elements.fleetBtn.hidden = !this.app?.multiplayerManager?.fleet.isLeading();
+        }
+
         // Show dialog
         this.overlay.classList.add('visible');
         this.dialog.classList.add('visible');
     }
 
+    /**
+     * Open the current planet's dialog for everyone following us (multiplayer fleet)
+     */
+    async shareWithFleet() {
+        const manager = this.app?.multiplayerManager;
+        const planet = this.currentPlanet;
+        if (!manager || !planet) return;
+
+        try {
+            const { followers } = await manager.shareFleetPlanet(planet.pl_name);
+            manager.showNotification(`Showing ${planet.pl_name} to ${followers} ${followers === 1 ? 'follower' : 'followers'}`, 'info');
+        } catch (error) {
+            console.warn('⚠️ Could not share with the fleet:', error.message);
+            manager.showNotification(error.message, 'error');
+        }
+    }
+
     /**
      * Clear all content from previous planet
      */
@@ -295,13 +417,21 @@ export class PlanetExplorationDialog {
         if (this.elements.overviewGrid) {
             this.elements.overviewGrid.innerHTML = '';
         }
+        this.resetAIDescription();
 
         // Clear characteristics
         if (this.elements.characteristicsContent) {
             this.elements.characteristicsContent.innerHTML = '<div class="loading">Loading characteristics...</div>';
         }
 
+        // Clear system
+        if (this.elements.systemContent) {
+            this.elements.systemContent.innerHTML = '';
+        }
+
         // Clear chat
+        this.cancelChatResponse();
+        this.pushToTalk?.cancel();
         if (this.elements.chatMessages) {
             this.elements.chatMessages.innerHTML = '';
         }
@@ -323,6 +453,8 @@ export class PlanetExplorationDialog {
         this.stopInsightsAudio();
 
         // Clear chat state
+        this.cancelChatResponse();
+        this.pushToTalk?.cancel();
         this.chatHistory = [];
         if (this.elements.chatMessages) {
             this.elements.chatMessages.innerHTML = '';
@@ -353,6 +485,12 @@ export class PlanetExplorationDialog {
             return;
         }
 
+        // While an answer is streaming the send button acts as a stop button
+        if (this.chatAbortController) {
+            this.cancelChatResponse();
+            return;
+        }
+
         const message = this.elements.chatInput.value.trim();
 
         if (!message) {
@@ -397,12 +535,14 @@ export class PlanetExplorationDialog {
             if (this.openAIService) {
                 this.elements.chatInput.disabled = false;
                 this.elements.chatSendBtn.disabled = false;
-                this.elements.chatInput.placeholder = `💬 Ask about ${planetData.pl_name}...`;
+                this.elements.chatMicBtn.disabled = false;
+                this.setChatPlaceholder(`💬 Ask about ${planetData.pl_name}...`);
                 console.log('✅ Chat interface enabled');
             } else {
                 this.elements.chatInput.disabled = true;
                 this.elements.chatSendBtn.disabled = true;
-                this.elements.chatInput.placeholder = 'AI not configured';
+                this.elements.chatMicBtn.disabled = true;
+                this.setChatPlaceholder('AI not configured');
 
                 // Show error message
                 this.elements.chatMessages.innerHTML += `
@@ -418,6 +558,14 @@ export class PlanetExplorationDialog {
         }
     }
 
+    setChatPlaceholder(placeholder) {
+        if (this.pushToTalk) {
+            this.pushToTalk.setPlaceholder(placeholder);
+        } else {
+            this.elements.chatInput.placeholder = placeholder;
+        }
+    }
+
     /**
      * Update hero image based on planet
      */
@@ -639,10 +787,84 @@ export class PlanetExplorationDialog {
     }
 
     /**
-     * Load AI-generated description
+     * Populate system tab - host star, habitable zone and sibling planets
+     * Clicking a sibling opens it in the dialog
+     */
+    populateSystem(planetData) {
+        if (!this.elements.systemContent) return;
+
+        const system = this.app?.planetDataService?.getSystemForPlanet(planetData);
+        if (!system) {
+            this.elements.systemContent.innerHTML = '<div class="loading">No host star data for this planet</div>';
+            return;
+        }
+
+        const hz = system.habitableZone;
+        const starItems = [
+            { label: 'Host Star', value: system.name },
+            { label: 'Spectral Class', value: `${system.spectralClass}-type` },
+            { label: 'Temperature', value: `${Math.round(system.temperature)} K` },
+            { label: 'Radius', value: `${system.stellarRadius.toFixed(2)} R☉` },
+            { label: 'Luminosity', value: `${system.luminosity.toPrecision(3)} L☉` },
+            { label: 'Habitable Zone', value: `${hz.inner.toFixed(2)} – ${hz.outer.toFixed(2)} AU` }
+        ];
+
+        const planets = system.planets.map(planet => {
+            const isCurrent = planet.pl_name === planetData.pl_name;
+            const orbit = planet.pl_orbsmax ? `${planet.pl_orbsmax.toFixed(3)} AU` : 'Unknown orbit';
+            const radius = planet.pl_rade ? ` · ${planet.pl_rade.toFixed(2)} R⊕` : '';
+            const hzBadge = system.isInHabitableZone(planet) ? '<span class="system-hz-badge">HZ</span>' : '';
+
+            return `
+                <div class="system-planet-item${isCurrent ? ' current' : ''}" data-planet-name="${planet.pl_name}">
+                    <div class="system-planet-name">${planet.pl_name} ${hzBadge}</div>
+                    <div class="system-planet-meta">${orbit}${radius}${isCurrent ? ' · viewing' : ''}</div>
+                </div>
+            `;
+        }).join('');
+
+        const known = system.reportedPlanetCount && system.reportedPlanetCount > system.planets.length
+            ? ` (${system.reportedPlanetCount} known)`
+            : '';
+
+        this.elements.systemContent.innerHTML = `
+            <div class="characteristics-section">
+                <h3 class="characteristics-title">Host Star</h3>
+                <div class="characteristics-grid">
+                    ${starItems.map(item => `
+                        <div class="characteristic-item">
+                            <div class="characteristic-label">${item.label}</div>
+                            <div class="characteristic-value">${item.value}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="characteristics-section">
+                <h3 class="characteristics-title">Planets${known}</h3>
+                <div class="system-planet-list">${planets}</div>
+            </div>
+        `;
+
+        this.elements.systemContent.querySelectorAll('.system-planet-item:not(.current)').forEach(item => {
+            item.addEventListener('click', () => {
+                const sibling = system.planets.find(p => p.pl_name === item.dataset.planetName);
+                if (sibling) {
+                    this.show(sibling);
+                    this.switchTab('system');
+                }
+            });
+        });
+    }
+
+    /**
+     * Load a description grounded in the planet's NASA fact sheet
      */
     async loadAIDescription(planetData) {
         const planetName = planetData.pl_name;
+        const container = this.elements.aiDescriptionContainer;
+        const btn = this.elements.descriptionBtn;
+
+        if (!container || !btn) return;
 
         // Check cache
         if (this.cachedDescriptions.has(planetName)) {
@@ -650,66 +872,130 @@ export class PlanetExplorationDialog {
             return;
         }
 
-        // Show loading state
-        this.elements.aiDescriptionContainer.innerHTML = `
+        btn.disabled = true;
+        btn.innerHTML = `
+            <span class="btn-icon">⏳</span>
+            <span class="btn-text">Generating...</span>
+        `;
+
+        container.innerHTML = `
             <div class="ai-description-loading">
                 <div class="ai-spinner"></div>
-                <p>Generating questions...</p>
+                <p>Checking the NASA references...</p>
             </div>
         `;
 
         try {
-            // Generate description using OpenAI
-            const description = await this.openAIService.generatePlanetDescription(planetData);
+            const result = await this.openAIService.generateGroundedDescription(planetData);
+            this.cachedDescriptions.set(planetName, result);
 
-            // Cache it
-            this.cachedDescriptions.set(planetName, description);
-
-            // Display it
-            this.displayAIDescription(description);
-
-            // Load audio if Eleven Labs is available
-            if (this.elevenLabsService) {
-                this.loadAudio(description, planetName);
-            }
+            // The user may have moved on to another planet meanwhile
+            if (this.currentPlanet !== planetData) return;
+            this.displayAIDescription(result);
         } catch (error) {
             console.error('Error generating AI description:', error);
-            this.elements.aiDescriptionContainer.innerHTML = `
+            if (this.currentPlanet !== planetData) return;
+
+            container.innerHTML = `
                 <div class="ai-description-error">
-                    <p>Failed to generate description. Please try again.</p>
-                    <div class="ai-description-actions">
-                        <button class="ai-regenerate-btn" onclick="window.planetExplorationDialog.loadAIDescription(window.planetExplorationDialog.currentPlanet)">
-                            Retry
-                        </button>
-                    </div>
+                    <p>❌ Failed to generate description. Please try again.</p>
                 </div>
             `;
+        } finally {
+            if (this.currentPlanet === planetData) {
+                btn.disabled = false;
+                btn.innerHTML = `
+                    <span class="btn-icon">🔄</span>
+                    <span class="btn-text">Regenerate</span>
+                `;
+            }
         }
     }
 
     /**
-     * Display AI description
+     * Display a grounded description: [n] markers link to the references,
+     * numbers that contradict the fact sheet are highlighted
+     * @param {Object} result - { text, sheet, check } from generateGroundedDescription()
      */
-    displayAIDescription(description) {
-        this.elements.aiDescriptionContainer.innerHTML = `
-            <div class="ai-description-text">${description}</div>
-            <div class="ai-description-actions">
-                <button class="ai-regenerate-btn" id="regenerate-description">
-                    Regenerate Description
-                </button>
-            </div>
-        `;
+    displayAIDescription({ text, sheet, check }) {
+        const container = this.elements.aiDescriptionContainer;
+        if (!container) return;
 
-        // Add regenerate handler
-        document.getElementById('regenerate-description').addEventListener('click', () => {
-            if (this.currentPlanet) {
-                // Clear cache
-                this.cachedDescriptions.delete(this.currentPlanet.pl_name);
-                this.cachedAudio.delete(this.currentPlanet.pl_name);
-                // Reload
-                this.loadAIDescription(this.currentPlanet);
+        // Model output is inserted as text nodes, never as HTML
+        const textEl = document.createElement('div');
+        textEl.className = 'ai-description-text';
+
+        for (const part of sheet.annotate(text, check)) {
+            if (part.type === 'cite') {
+                const sup = document.createElement('sup');
+                sup.className = 'ai-citation';
+                part.references.forEach((ref, i) => {
+                    if (i > 0) sup.append(',');
+                    sup.append(this.createReferenceLink(ref, `[${ref.number}]`));
+                });
+                textEl.append(sup);
+            } else if (part.type === 'claim') {
+                const mark = document.createElement('mark');
+                mark.className = 'ai-claim-contradicted';
+                mark.textContent = part.text;
+                mark.title = `NASA: ${PlanetFactSheet.formatFact(part.claim.fact)}`;
+                textEl.append(mark);
+            } else {
+                textEl.append(part.text);
             }
-        });
+        }
+
+        const checkEl = document.createElement('div');
+        const checked = check.claims.filter(claim => claim.status !== 'unverified').length;
+        const contradicted = check.contradictions.length;
+        checkEl.className = `ai-description-check ${contradicted > 0 ? 'warning' : 'highlight'}`;
+        checkEl.textContent = contradicted > 0
+            ? `⚠️ ${contradicted} of ${checked} numbers differ from the NASA data (highlighted)`
+            : `✓ ${checked} number${checked === 1 ? '' : 's'} checked against the NASA data`;
+
+        container.replaceChildren(textEl, checkEl);
+
+        if (sheet.references.length > 0) {
+            const list = document.createElement('ol');
+            list.className = 'ai-description-references';
+            for (const ref of sheet.references) {
+                const item = document.createElement('li');
+                item.append(ref.url ? this.createReferenceLink(ref, ref.label) : ref.label);
+                list.append(item);
+            }
+            container.append(list);
+        }
+    }
+
+    createReferenceLink(ref, label) {
+        if (!ref.url) return label;
+
+        const link = document.createElement('a');
+        link.href = ref.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.title = ref.label;
+        link.textContent = label;
+        link.addEventListener('click', (e) => e.stopPropagation());
+        return link;
+    }
+
+    /**
+     * Empty description area with the generate button ready
+     */
+    resetAIDescription() {
+        if (this.elements.aiDescriptionContainer) {
+            this.elements.aiDescriptionContainer.innerHTML = `
+                <p class="ai-insights-placeholder">Generate a description whose numbers are checked against the NASA Exoplanet Archive, with links to the papers.</p>
+            `;
+        }
+        if (this.elements.descriptionBtn) {
+            this.elements.descriptionBtn.disabled = !this.openAIService?.enabled;
+            this.elements.descriptionBtn.innerHTML = `
+                <span class="btn-icon">✨</span>
+                <span class="btn-text">Generate</span>
+            `;
+        }
     }
 
     /**
@@ -796,6 +1082,7 @@ export class PlanetExplorationDialog {
 
     /**
      * Load audio narration
+     * Falls back across the speech engines (ElevenLabs, local engine, browser)
      */
     async loadAudio(text, planetName) {
         // Check cache
@@ -804,21 +1091,22 @@ export class PlanetExplorationDialog {
             return;
         }
 
+        if (!this.textToSpeech) {
+            document.getElementById('audio-status').textContent = 'Audio unavailable';
+            return;
+        }
+
         try {
             document.getElementById('audio-status').textContent = 'Generating audio...';
 
-            // Generate audio - returns ArrayBuffer
-            const audioArrayBuffer = await this.elevenLabsService.textToSpeech(text);
-
-            // Convert ArrayBuffer to Blob
-            const audioBlob = new Blob([audioArrayBuffer], { type: 'audio/mpeg' });
-            const audioUrl = URL.createObjectURL(audioBlob);
+            // Audio Blob, or a clip the browser speaks
+            const audio = await this.textToSpeech.textToSpeech(text, true, planetName);
 
             // Cache it
-            this.cachedAudio.set(planetName, audioUrl);
+            this.cachedAudio.set(planetName, audio);
 
             // Setup player
-            this.setupAudioPlayer(audioUrl);
+            this.setupAudioPlayer(audio);
         } catch (error) {
             console.error('Error generating audio:', error);
             document.getElementById('audio-status').textContent = 'Audio generation failed';
@@ -827,11 +1115,13 @@ export class PlanetExplorationDialog {
 
     /**
      * Setup audio player
+     * @param {Blob|Object} audio - Audio Blob or browser speech clip
      */
-    setupAudioPlayer(audioUrl) {
-        this.audioElement = new Audio(audioUrl);
+    setupAudioPlayer(audio) {
+        this.releaseAudioElement(this.audioElement);
+        this.audioElement = createAudioPlayer(audio);
         this.elements.audioPlayer.style.display = 'block';
-        document.getElementById('audio-status').textContent = 'Ready to play';
+        document.getElementById('audio-status').textContent = audio instanceof Blob ? 'Ready to play' : 'Ready to play (browser voice)';
 
         // Audio event listeners
         this.audioElement.addEventListener('ended', () => {
@@ -882,6 +1172,16 @@ export class PlanetExplorationDialog {
         }
     }
 
+    /**
+     * Silence a player that is being replaced and free its object URL
+     */
+    releaseAudioElement(player) {
+        if (!player) return;
+        player.pause();
+        player.currentTime = 0;
+        if (player.src) URL.revokeObjectURL(player.src);
+    }
+
     /**
      * Load audio narration for insights
      */
@@ -898,21 +1198,18 @@ export class PlanetExplorationDialog {
         }
 
         try {
-            console.log('Calling ElevenLabs textToSpeech...');
-            // Generate audio - returns ArrayBuffer
-            const audioArrayBuffer = await this.elevenLabsService.textToSpeech(text);
-            console.log('Audio ArrayBuffer received:', audioArrayBuffer);
+            if (!this.textToSpeech) throw new Error('No speech engine available');
 
-            // Convert ArrayBuffer to Blob
-            const audioBlob = new Blob([audioArrayBuffer], { type: 'audio/mpeg' });
-            const audioUrl = URL.createObjectURL(audioBlob);
-            console.log('Audio URL created:', audioUrl);
+            console.log('Calling textToSpeech...');
+            // Audio Blob, or a clip the browser speaks
+            const audio = await this.textToSpeech.textToSpeech(text, true, planetName);
+            console.log('Audio received:', audio);
 
             // Cache it
-            this.cachedInsightsAudio.set(cacheKey, audioUrl);
+            this.cachedInsightsAudio.set(cacheKey, audio);
 
             // Setup player
-            this.setupInsightsAudioPlayer(audioUrl);
+            this.setupInsightsAudioPlayer(audio);
         } catch (error) {
             console.error('Error generating insights audio:', error);
 
@@ -931,9 +1228,10 @@ export class PlanetExplorationDialog {
     /**
      * Setup insights audio player
      */
-    setupInsightsAudioPlayer(audioUrl) {
-        console.log('setupInsightsAudioPlayer called with URL:', audioUrl);
-        this.insightsAudioElement = new Audio(audioUrl);
+    setupInsightsAudioPlayer(audio) {
+        console.log('setupInsightsAudioPlayer called with:', audio);
+        this.releaseAudioElement(this.insightsAudioElement);
+        this.insightsAudioElement = createAudioPlayer(audio);
 
         // Hide loading bar
         const loadingBarContainer = document.getElementById('audio-loading-bar-container');
@@ -1013,10 +1311,53 @@ export class PlanetExplorationDialog {
         }
     }
 
+    /**
+     * Use a tool-calling assistant for the chat (null for plain Q&A)
+     * @param {PlanetAssistant|null} assistant
+     */
+    setAssistant(assistant) {
+        this.assistant = assistant;
+    }
+
+    /**
+     * Enable push-to-talk questions (hold 🎤 or the shortcut key while open)
+     * Spoken questions get spoken replies (CONFIG.speech.autoSpeak), and
+     * speaking again interrupts the current reply.
+     * @param {SpeechToTextProvider|null} provider - null turns voice input off
+     */
+    setSpeechInput(provider) {
+        this.pushToTalk?.dispose();
+        this.pushToTalk = null;
+        if (!this.elements.chatMicBtn) return;
+
+        this.elements.chatMicBtn.hidden = true;
+        if (!provider) return;
+
+        this.pushToTalk = new PushToTalk({
+            button: this.elements.chatMicBtn,
+            input: this.elements.chatInput,
+            provider,
+            isActive: () => this.isVisible() && !!this.currentPlanet,
+            onStart: () => {
+                this.cancelChatResponse();
+                this.switchTab('ai-description');
+            },
+            onTranscript: (text) => {
+                if (!this.currentPlanet) return;
+                this.sendChatMessage(text, this.currentPlanet, { spoken: true });
+            }
+        });
+    }
+
     /**
      * Send a chat message to AI
+     * The answer is rendered token by token; it can be stopped mid-answer and
+     * whatever arrived before a failure is kept. Assistant tool calls and
+     * their results are shown in the transcript as they happen.
+     * @param {Object} options
+     * @param {boolean} options.spoken - Asked by voice: speak the reply as it streams in
      */
-    async sendChatMessage(message, planetData) {
+    async sendChatMessage(message, planetData, { spoken = false } = {}) {
         if (!this.elements.chatMessages) {
             console.error('Chat messages container not found!');
             return;
@@ -1025,42 +1366,239 @@ export class PlanetExplorationDialog {
         console.log('📤 Sending:', message);
 
         // Add user message
-        this.addChatMessage('user', message);
+        const userEl = document.getElementById(this.addChatMessage('user', message));
+
+        // Loading message, kept below tool activity until the answer text starts
+        let loadingEl = document.getElementById(this.addChatMessage('loading', 'Thinking...'));
+        let answerEl = null;
+        const toolMessages = new Map();
+
+        const controller = new AbortController();
+        this.chatAbortController = controller;
+        this.setChatStreaming(true);
 
-        // Add loading message
-        const loadingId = this.addChatMessage('loading', 'Thinking...');
+        let response = ''; // The whole answer (history and speech)
+        let bubbleText = ''; // What the current answer bubble shows (a new one after each tool call)
+        let failure = null;
 
-        // Disable input while processing
-        if (this.elements.chatInput) this.elements.chatInput.disabled = true;
-        if (this.elements.chatSendBtn) this.elements.chatSendBtn.disabled = true;
+        const speech = spoken && CONFIG.speech.autoSpeak && this.textToSpeech ? createTextChannel() : null;
+        if (speech) this.speakReply(speech);
 
         try {
-            // Call AI
-            const response = await this.openAIService.chatAboutPlanet(
-                message,
-                planetData,
-                this.chatHistory
-            );
+            for await (const event of this.chatEvents(message, planetData, controller.signal)) {
+                if (event.type === 'text') {
+                    if (!answerEl) {
+                        loadingEl?.remove();
+                        loadingEl = null;
+                        answerEl = document.getElementById(this.addChatMessage('ai', ''));
+                        answerEl.classList.add('streaming');
+                    }
+                    response += event.text;
+                    bubbleText += event.text;
+                    speech?.push(event.text);
+                    answerEl.querySelector('.message-content').textContent = bubbleText;
+                } else if (event.type === 'tool_call') {
+                    answerEl?.classList.remove('streaming');
+                    answerEl = null;
+                    bubbleText = '';
+                    toolMessages.set(event.id, this.addToolCallMessage(event));
+                } else if (event.type === 'tool_result') {
+                    this.showToolResult(toolMessages.get(event.id), event);
+                } else if (event.type === 'teleport_offer' && event.planet) {
+                    this.addTeleportOffer(event.planet);
+                }
+
+                // Keep the thinking indicator last while tools run
+                if (event.type !== 'text') {
+                    if (!loadingEl) loadingEl = document.getElementById(this.addChatMessage('loading', 'Thinking...'));
+                    this.elements.chatMessages.appendChild(loadingEl);
+                }
+                this.elements.chatMessages.scrollTop = this.elements.chatMessages.scrollHeight;
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Chat error:', error);
+                failure = error;
+            }
+        } finally {
+            speech?.close();
+            if (this.chatAbortController === controller) {
+                this.chatAbortController = null;
+                this.setChatStreaming(false);
+            }
+        }
+
+        // Chat was cleared (dialog closed / planet changed) while streaming
+        if (!userEl.isConnected) return;
+
+        loadingEl?.remove();
+        answerEl?.classList.remove('streaming');
+        response = response.trim();
+
+        if (!response) {
+            answerEl?.remove();
+            if (failure) {
+                this.addChatMessage('error', `Sorry, I couldn't process that. ${failure.message}`);
+            }
+            return;
+        }
+
+        // Keep partial answers in the history so follow-up questions make sense
+        this.chatHistory.push({ role: 'user', content: message });
+        this.chatHistory.push({ role: 'assistant', content: response });
+
+        if (failure) {
+            this.addChatMessage('error', `Answer interrupted. ${failure.message}`);
+        } else if (controller.signal.aborted && answerEl) {
+            const note = document.createElement('span');
+            note.className = 'message-note';
+            note.textContent = ' (stopped)';
+            answerEl.querySelector('.message-content').appendChild(note);
+        }
+    }
+
+    /**
+     * Chat turn as a stream of events: the tool-calling assistant when one is
+     * set, otherwise the plain streamed answer as 'text' events
+     */
+    chatEvents(message, planetData, signal) {
+        if (this.assistant) {
+            return this.assistant.run(message, { planetData, history: this.chatHistory, signal });
+        }
+        return this.textEvents(
+            this.openAIService.streamChatAboutPlanet(message, planetData, this.chatHistory, { signal })
+        );
+    }
+
+    async *textEvents(stream) {
+        for await (const text of stream) {
+            yield { type: 'text', text };
+        }
+    }
+
+    /**
+     * Transcript entry for an assistant tool call (result is added later)
+     * @returns {HTMLElement} The message element
+     */
+    addToolCallMessage(event) {
+        const messageEl = document.getElementById(this.addChatMessage('tool', ''));
+        const contentEl = messageEl.querySelector('.message-content');
+
+        const nameEl = document.createElement('code');
+        nameEl.className = 'tool-name';
+        nameEl.textContent = event.name;
+
+        const argsEl = document.createElement('span');
+        argsEl.className = 'tool-args';
+        argsEl.textContent = Object.entries(event.arguments || {})
+            .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+            .join(', ');
+
+        contentEl.append(nameEl, argsEl);
+        return messageEl;
+    }
+
+    /**
+     * Attach a tool result (one-line summary, full JSON when expanded)
+     */
+    showToolResult(messageEl, event) {
+        if (!messageEl) return;
+
+        const { result } = event;
+        const details = document.createElement('details');
+        details.className = 'tool-result';
+
+        const summary = document.createElement('summary');
+        summary.textContent = result.error ? `⚠️ ${result.error}` :
+            result.planets ? `${result.count} planet${result.count === 1 ? '' : 's'} found` :
+                result.offered ? `Teleport ready: ${result.planet.name}` :
+                    result.totalPlanets !== undefined ? `${result.totalPlanets} planets loaded` : 'Done';
+
+        const body = document.createElement('pre');
+        body.textContent = JSON.stringify(result, null, 2);
+
+        details.append(summary, body);
+        messageEl.querySelector('.message-content').appendChild(details);
+    }
+
+    /**
+     * Button confirming a teleport the assistant offered
+     */
+    addTeleportOffer(planet) {
+        const messageEl = document.getElementById(this.addChatMessage('action', ''));
+        const button = document.createElement('button');
+        button.className = 'ai-chat-teleport-btn';
+        button.textContent = `🚀 Teleport to ${planet.pl_name}`;
+
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            button.blur();
+
+            if (this.assistant?.teleport(planet)) {
+                this.hide();
+            }
+        });
 
-            // Update history
-            this.chatHistory.push({ role: 'user', content: message });
-            this.chatHistory.push({ role: 'assistant', content: response });
+        messageEl.querySelector('.message-content').appendChild(button);
+    }
+
+    /**
+     * Speak a streamed reply sentence by sentence (first speech engine that answers)
+     * @param {AsyncIterable<string>} textStream - Answer text as it arrives
+     */
+    async speakReply(textStream) {
+        this.stopReplyAudio();
 
-            // Remove loading, add AI response
-            this.removeChatMessage(loadingId);
-            this.addChatMessage('ai', response);
+        const controller = new AbortController();
+        this.speechAbortController = controller;
 
+        try {
+            await this.textToSpeech.textToSpeechStream(textStream, { signal: controller.signal });
         } catch (error) {
-            console.error('Chat error:', error);
-            this.removeChatMessage(loadingId);
-            this.addChatMessage('error', `Sorry, I couldn't process that. ${error.message}`);
+            console.error('❌ Failed to speak reply:', error);
         } finally {
-            // Re-enable input
-            if (this.elements.chatInput) this.elements.chatInput.disabled = false;
-            if (this.elements.chatSendBtn) this.elements.chatSendBtn.disabled = false;
+            if (this.speechAbortController === controller) this.speechAbortController = null;
         }
     }
 
+    /**
+     * Silence the spoken reply, if any (the text keeps streaming)
+     */
+    stopReplyAudio() {
+        if (!this.speechAbortController) return;
+
+        this.speechAbortController.abort();
+        this.speechAbortController = null;
+    }
+
+    /**
+     * Stop the answer currently streaming in (and its speech), if any
+     */
+    cancelChatResponse() {
+        this.stopReplyAudio();
+        if (!this.chatAbortController) return;
+
+        console.log('⏹️ Chat answer cancelled');
+        this.chatAbortController.abort();
+        this.chatAbortController = null;
+        this.setChatStreaming(false);
+    }
+
+    /**
+     * Lock the input and turn the send button into a stop button while streaming
+     */
+    setChatStreaming(streaming) {
+        const { chatInput, chatSendBtn } = this.elements;
+
+        if (chatInput) chatInput.disabled = streaming;
+        if (!chatSendBtn) return;
+
+        chatSendBtn.disabled = false;
+        chatSendBtn.classList.toggle('stop', streaming);
+        chatSendBtn.querySelector('.btn-icon').textContent = streaming ? '⏹️' : '🚀';
+        chatSendBtn.querySelector('.btn-text').textContent = streaming ? 'Stop' : 'Send';
+    }
+
     /**
      * Add message to chat UI
      * @returns {string} Message ID for removal
@@ -1075,7 +1613,9 @@ export class PlanetExplorationDialog {
 
         const avatar = type === 'user' ? '👤' :
             type === 'ai' ? '🤖' :
-                type === 'loading' ? '⏳' : '⚠️';
+                type === 'loading' ? '⏳' :
+                    type === 'tool' ? '🔧' :
+                        type === 'action' ? '🧭' : '⚠️';
 
         messageEl.innerHTML = `
             <div class="message-avatar">${avatar}</div>
@@ -1108,6 +1648,8 @@ export class PlanetExplorationDialog {
      */
     destroy() {
         this.stopAudio();
+        this.stopReplyAudio();
+        this.pushToTalk?.dispose();
         if (this.overlay && this.overlay.parentNode) {
             this.overlay.parentNode.removeChild(this.overlay);
         }
@@ -1117,8 +1659,10 @@ export class PlanetExplorationDialog {
 
         // Clear caches
         this.cachedDescriptions.clear();
-        this.cachedAudio.forEach(url => URL.revokeObjectURL(url));
+        this.releaseAudioElement(this.audioElement);
+        this.releaseAudioElement(this.insightsAudioElement);
         this.cachedAudio.clear();
+        this.cachedInsightsAudio.clear();
     }
 }
 
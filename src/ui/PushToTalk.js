@@ -0,0 +1,211 @@
+/**
+ * PushToTalk - Hold-to-speak control for a chat input
+ * Holding the 🎤 button (or CONFIG.speech.pushToTalkKey while the owner is
+ * active) listens through a SpeechToTextProvider; the transcript fills the
+ * input as it arrives and is handed to onTranscript on release.
+ * Only one PushToTalk listens at a time, so stacked dialogs don't both answer.
+ */
+
+import { CONFIG } from '../config/config.js';
+
+let activeSession = null; // The PushToTalk currently listening
+
+const ERROR_HINTS = {
+    'not-allowed': '🎤 Microphone blocked - allow it in the browser',
+    unsupported: '🎤 Voice input is not supported here',
+    network: '🎤 Speech service unreachable'
+};
+
+export class PushToTalk {
+    /**
+     * @param {Object} options
+     * @param {HTMLButtonElement} options.button - Hold-to-talk button
+     * @param {HTMLInputElement} options.input - Chat input showing the live transcript
+     * @param {SpeechToTextProvider} options.provider
+     * @param {Function} options.isActive - Whether the key shortcut applies (dialog open)
+     * @param {Function} options.onStart - Called when listening starts (stop speech, cancel answers)
+     * @param {Function} options.onTranscript - Called with the final, non-empty transcript
+     * @param {string} options.key - KeyboardEvent.code to hold (default CONFIG.speech.pushToTalkKey)
+     */
+    constructor({ button, input, provider, isActive = () => true, onStart = null, onTranscript, key = CONFIG.speech.pushToTalkKey }) {
+        this.button = button;
+        this.input = input;
+        this.provider = provider;
+        this.isActive = isActive;
+        this.onStart = onStart;
+        this.onTranscript = onTranscript;
+        this.key = key;
+
+        this.starting = null; // start() promise - release may come before the mic is ready
+        this.placeholder = input.placeholder;
+        this.hintTimeout = null;
+
+        this.button.hidden = !provider.isSupported();
+        this.setListening(false);
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        this.onPointerDown = (e) => {
+            e.preventDefault(); // Keep focus where it is
+            e.stopPropagation();
+            this.button.setPointerCapture?.(e.pointerId);
+            this.start();
+        };
+        this.onPointerUp = (e) => {
+            e.stopPropagation();
+            this.button.blur();
+            this.finish();
+        };
+        this.onClick = (e) => e.stopPropagation();
+
+        this.onKeyDown = (e) => {
+            if (e.code !== this.key || e.repeat || !this.isActive() || PushToTalk.isTyping()) return;
+            e.preventDefault();
+            this.start();
+        };
+        this.onKeyUp = (e) => {
+            if (e.code === this.key) this.finish();
+        };
+
+        this.button.addEventListener('pointerdown', this.onPointerDown);
+        this.button.addEventListener('pointerup', this.onPointerUp);
+        this.button.addEventListener('pointercancel', this.onPointerUp);
+        this.button.addEventListener('click', this.onClick);
+        document.addEventListener('keydown', this.onKeyDown);
+        document.addEventListener('keyup', this.onKeyUp);
+    }
+
+    /**
+     * Typing in any text field (the shortcut key is a letter)
+     */
+    static isTyping() {
+        const element = document.activeElement;
+        return !!element && (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.isContentEditable);
+    }
+
+    isListening() {
+        return activeSession === this;
+    }
+
+    async start() {
+        if (activeSession || this.button.disabled || this.button.hidden) return;
+        activeSession = this;
+
+        this.onStart?.();
+        this.setListening(true);
+        this.input.value = '';
+
+        this.starting = this.provider.start({
+            onPartial: (text) => {
+                if (this.isListening()) this.input.value = text;
+            }
+        });
+
+        try {
+            await this.starting;
+            console.log(`🎤 Listening (${this.provider.name})...`);
+        } catch (error) {
+            this.fail(error);
+        }
+    }
+
+    async finish() {
+        if (!this.isListening()) return;
+
+        try {
+            await this.starting;
+        } catch {
+            return; // start() failed and already reset
+        }
+
+        this.input.placeholder = '🎤 Transcribing...';
+
+        let text = '';
+        try {
+            text = (await this.provider.stop()).trim();
+        } catch (error) {
+            this.fail(error);
+            return;
+        }
+
+        this.reset();
+        this.input.value = '';
+
+        if (!text) {
+            this.showHint('🎤 Didn\'t catch that - hold and speak');
+            return;
+        }
+
+        console.log(`🎤 Heard: "${text}"`);
+        this.onTranscript(text);
+    }
+
+    /**
+     * Drop the current session (dialog closed, planet changed)
+     */
+    cancel() {
+        if (!this.isListening()) return;
+        this.provider.cancel();
+        this.reset();
+        this.input.value = '';
+    }
+
+    fail(error) {
+        console.warn('⚠️ Voice input failed:', error.message);
+        this.provider.cancel();
+        this.reset();
+        this.input.value = '';
+        this.showHint(ERROR_HINTS[error.code] || '🎤 Voice input failed - try again');
+
+        // A blocked microphone stays blocked until the user changes the site settings
+        if (error.code === 'not-allowed' || error.code === 'unsupported') {
+            this.button.disabled = true;
+        }
+    }
+
+    reset() {
+        if (activeSession === this) activeSession = null;
+        this.starting = null;
+        this.setListening(false);
+    }
+
+    setListening(listening) {
+        clearTimeout(this.hintTimeout);
+        this.button.classList.toggle('listening', listening);
+        this.button.title = listening ? 'Release to send' : `Hold to talk (${this.key.replace(/^(Key|Digit)/, '')})`;
+        this.input.placeholder = listening ? '🎤 Listening...' : this.placeholder;
+    }
+
+    /**
+     * Show a short message in the input placeholder
+     */
+    showHint(hint) {
+        clearTimeout(this.hintTimeout);
+        this.input.placeholder = hint;
+        this.hintTimeout = setTimeout(() => {
+            this.input.placeholder = this.placeholder;
+        }, 3000);
+    }
+
+    /**
+     * The owner changed the input's placeholder (e.g. per planet)
+     */
+    setPlaceholder(placeholder) {
+        this.placeholder = placeholder;
+        if (!this.isListening()) this.input.placeholder = placeholder;
+    }
+
+    dispose() {
+        this.cancel();
+        clearTimeout(this.hintTimeout);
+        this.button.removeEventListener('pointerdown', this.onPointerDown);
+        this.button.removeEventListener('pointerup', this.onPointerUp);
+        this.button.removeEventListener('pointercancel', this.onPointerUp);
+        this.button.removeEventListener('click', this.onClick);
+        document.removeEventListener('keydown', this.onKeyDown);
+        document.removeEventListener('keyup', this.onKeyUp);
+    }
+}
+
+export default PushToTalk;
@@ -0,0 +1,147 @@
+/**
+ * TimeControlsHUD - Simulation clock widget in the flight HUD
+ * Shows the simulated date, J2000 day and warp factor, with buttons for
+ * reverse, pause, warp and scrub. Keyboard bindings live in main.js and call
+ * the same clock methods, so the widget just re-reads the clock each frame.
+ */
+import { CONFIG } from '../config/config.js';
+
+export class TimeControlsHUD {
+    /**
+     * @param {SimulationClock} simulationClock
+     * @param {HTMLElement} parent - Container (defaults to #flight-hud, then body)
+     */
+    constructor(simulationClock, parent = null) {
+        this.clock = simulationClock;
+        this.parent = parent || document.getElementById('flight-hud') || document.body;
+        this.lastRender = 0;
+        this.renderInterval = 100; // ms - the date does not need 60fps updates
+
+        this.createUI();
+        this.attachEventListeners();
+        this.render();
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'time-controls';
+        this.container.className = 'hud-section time-controls';
+
+        this.container.innerHTML = `
+            <div class="hud-label">Simulation Time</div>
+            <div class="hud-value time-date" id="time-date">--</div>
+            <div class="time-meta">
+                <span id="time-j2000">J2000 +0.0 d</span>
+                <span id="time-warp" class="time-warp">1x</span>
+            </div>
+            <div class="time-buttons">
+                <button class="time-btn" data-action="scrub-back" title="Back one step ( [ )">⏮</button>
+                <button class="time-btn" data-action="reverse" title="Reverse ( R )">⇆</button>
+                <button class="time-btn" data-action="warp-down" title="Slower ( , )">«</button>
+                <button class="time-btn" data-action="pause" title="Pause ( P )">⏸</button>
+                <button class="time-btn" data-action="warp-up" title="Faster ( . )">»</button>
+                <button class="time-btn" data-action="scrub-forward" title="Forward one step ( ] )">⏭</button>
+                <button class="time-btn" data-action="now" title="Jump to now">NOW</button>
+            </div>
+        `;
+
+        this.parent.appendChild(this.container);
+
+        this.elements = {
+            date: this.container.querySelector('#time-date'),
+            j2000: this.container.querySelector('#time-j2000'),
+            warp: this.container.querySelector('#time-warp'),
+            pause: this.container.querySelector('[data-action="pause"]'),
+            reverse: this.container.querySelector('[data-action="reverse"]')
+        };
+    }
+
+    attachEventListeners() {
+        this.container.querySelectorAll('.time-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                btn.blur(); // Keep Space/keys for flight controls
+                this.handleAction(btn.dataset.action);
+            });
+        });
+    }
+
+    /**
+     * Apply a time control action (shared by buttons and keyboard bindings)
+     * @param {string} action - pause | reverse | warp-up | warp-down | scrub-back | scrub-forward | now
+     */
+    handleAction(action) {
+        const scrubStep = CONFIG.simulation?.scrubStep || 86400;
+
+        switch (action) {
+            case 'pause':
+                this.clock.togglePause();
+                break;
+            case 'reverse':
+                this.clock.toggleReverse();
+                break;
+            case 'warp-up':
+                this.clock.warpUp();
+                break;
+            case 'warp-down':
+                this.clock.warpDown();
+                break;
+            case 'scrub-back':
+                this.clock.scrub(-scrubStep);
+                break;
+            case 'scrub-forward':
+                this.clock.scrub(scrubStep);
+                break;
+            case 'now':
+                this.clock.resetToNow();
+                break;
+            default:
+                return;
+        }
+
+        this.render();
+    }
+
+    /**
+     * Refresh the display (throttled) - call once per frame
+     */
+    update() {
+        const now = performance.now();
+        if (now - this.lastRender < this.renderInterval) return;
+        this.render();
+    }
+
+    render() {
+        this.lastRender = performance.now();
+
+        const date = this.clock.getDate();
+        const days = this.clock.getDaysSinceJ2000();
+
+        // Dates outside the JS Date range (±273,790 years) can't be formatted
+        this.elements.date.textContent = Number.isNaN(date.getTime())
+            ? 'Out of range'
+            : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+        this.elements.j2000.textContent = `J2000 ${days >= 0 ? '+' : ''}${days.toFixed(1)} d`;
+        this.elements.warp.textContent = this.clock.paused
+            ? 'PAUSED'
+            : `${this.clock.isReversed() ? '−' : ''}${TimeControlsHUD.formatWarp(this.clock.getWarp())}`;
+
+        this.elements.pause.textContent = this.clock.paused ? '▶' : '⏸';
+        this.elements.pause.classList.toggle('active', this.clock.paused);
+        this.elements.reverse.classList.toggle('active', this.clock.isReversed());
+        this.elements.warp.classList.toggle('reversed', this.clock.isReversed());
+    }
+
+    /**
+     * 1x, 10x ... 1e7x
+     */
+    static formatWarp(warp) {
+        return warp >= 1e5 ? `${warp.toExponential(0).replace('+', '')}x` : `${Math.round(warp).toLocaleString('en-US')}x`;
+    }
+
+    dispose() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
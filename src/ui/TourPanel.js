@@ -0,0 +1,218 @@
+/**
+ * TourPanel - Guided tour picker and playback controls for the TourService
+ * Lists the built-in tours plus any imported tour files, and offers
+ * previous / pause-resume / next / stop while a tour is running.
+ */
+import { TourService } from '../services/TourService.js';
+
+export class TourPanel {
+    /**
+     * @param {TourService} tourService
+     */
+    constructor(tourService) {
+        this.tours = tourService;
+        this.definitions = [...tourService.getBuiltInTours()];
+        this.lastRender = 0;
+
+        this.createUI();
+        this.attachEventListeners();
+        this.render();
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'tour-panel';
+        this.container.className = 'ui-panel tour-panel closed'; // Opened with G (H still hides it with the rest of the UI)
+
+        this.container.innerHTML = `
+            <div class="tour-header">🧭 Guided Tours</div>
+            <div class="tour-row" id="tour-picker">
+                <select class="tour-select" id="tour-select" title="Choose a tour"></select>
+                <button class="tour-btn primary" id="tour-start" title="Start tour">▶ Start</button>
+                <button class="tour-btn" id="tour-import" title="Load a tour file (JSON)">⬆</button>
+                <input type="file" id="tour-file" accept=".json,application/json" hidden />
+            </div>
+            <div class="tour-description" id="tour-description"></div>
+            <div class="tour-playback" id="tour-playback">
+                <div class="tour-title" id="tour-title"></div>
+                <div class="tour-stop" id="tour-stop"></div>
+                <div class="tour-row">
+                    <button class="tour-btn" id="tour-prev" title="Previous stop">⏮</button>
+                    <button class="tour-btn" id="tour-pause" title="Pause / resume">⏸</button>
+                    <button class="tour-btn" id="tour-next" title="Next stop">⏭</button>
+                    <button class="tour-btn" id="tour-stop-btn" title="End tour">⏹</button>
+                </div>
+            </div>
+            <div class="tour-status" id="tour-status"></div>
+        `;
+
+        document.body.appendChild(this.container);
+
+        this.elements = {
+            picker: this.container.querySelector('#tour-picker'),
+            select: this.container.querySelector('#tour-select'),
+            start: this.container.querySelector('#tour-start'),
+            importBtn: this.container.querySelector('#tour-import'),
+            file: this.container.querySelector('#tour-file'),
+            description: this.container.querySelector('#tour-description'),
+            playback: this.container.querySelector('#tour-playback'),
+            title: this.container.querySelector('#tour-title'),
+            stop: this.container.querySelector('#tour-stop'),
+            prev: this.container.querySelector('#tour-prev'),
+            pause: this.container.querySelector('#tour-pause'),
+            next: this.container.querySelector('#tour-next'),
+            stopBtn: this.container.querySelector('#tour-stop-btn'),
+            status: this.container.querySelector('#tour-status')
+        };
+
+        this.renderOptions();
+    }
+
+    renderOptions() {
+        const { select } = this.elements;
+        select.innerHTML = '';
+        this.definitions.forEach((tour, i) => {
+            const option = document.createElement('option');
+            option.value = String(i);
+            option.textContent = tour.title; // Imported files are untrusted - no innerHTML
+            select.appendChild(option);
+        });
+        this.renderDescription();
+    }
+
+    renderDescription() {
+        const tour = this.definitions[this.elements.select.value];
+        this.elements.description.textContent = tour?.description || '';
+    }
+
+    attachEventListeners() {
+        const { select, start, importBtn, file, prev, pause, next, stopBtn } = this.elements;
+
+        // Buttons must not keep focus (Space/arrows are flight controls)
+        const onClick = (element, handler) => {
+            element.addEventListener('click', (e) => {
+                e.stopPropagation();
+                element.blur();
+                handler();
+                this.render();
+            });
+        };
+
+        onClick(start, () => this.startSelected());
+        onClick(importBtn, () => file.click());
+        onClick(prev, () => this.tours.previous());
+        onClick(pause, () => this.tours.togglePause());
+        onClick(next, () => this.tours.next());
+        onClick(stopBtn, () => this.tours.stop());
+
+        select.addEventListener('change', () => {
+            this.renderDescription();
+            select.blur();
+        });
+
+        file.addEventListener('change', () => {
+            const selected = file.files[0];
+            file.value = '';
+            if (selected) this.importTour(selected);
+        });
+
+        // Keep clicks on the panel away from the canvas picking handler
+        this.container.addEventListener('click', (e) => e.stopPropagation());
+    }
+
+    startSelected() {
+        const tour = this.definitions[this.elements.select.value];
+        if (!tour) return;
+
+        try {
+            if (!this.tours.start(tour)) {
+                this.setStatus('⚠️ No planets for this tour are loaded yet');
+            }
+        } catch (error) {
+            console.error('❌ Failed to start tour:', error);
+            this.setStatus(`❌ ${error.message}`);
+        }
+    }
+
+    async importTour(file) {
+        try {
+            const tour = TourService.parse(await file.text());
+            this.definitions.push(tour);
+            this.renderOptions();
+            this.elements.select.value = String(this.definitions.length - 1);
+            this.renderDescription();
+            this.setStatus(`📂 Loaded "${tour.title}"`);
+        } catch (error) {
+            console.error('❌ Failed to import tour:', error);
+            this.setStatus(`❌ ${error.message}`);
+        }
+    }
+
+    setStatus(text) {
+        this.statusOverride = text;
+        this.statusUntil = performance.now() + 4000;
+        this.render();
+    }
+
+    toggle() {
+        this.container.classList.toggle('closed');
+    }
+
+    show() {
+        this.container.classList.remove('closed');
+    }
+
+    /**
+     * Refresh the countdown (throttled) - call once per frame
+     */
+    update() {
+        if (performance.now() - this.lastRender < 250) return;
+        this.render();
+    }
+
+    render() {
+        this.lastRender = performance.now();
+        const tours = this.tours;
+        const { picker, description, playback, title, stop, prev, pause, next, status } = this.elements;
+        const active = tours.isActive();
+
+        // Stay clickable above the exploration dialog overlay during a tour
+        this.container.classList.toggle('active', active);
+        picker.style.display = active ? 'none' : '';
+        description.style.display = active ? 'none' : '';
+        playback.style.display = active ? '' : 'none';
+
+        if (active) {
+            const current = tours.getCurrentStop();
+            const count = tours.tour.stops.length;
+            title.textContent = tours.tour.title;
+            stop.textContent = `${tours.index + 1}/${count} · ${current.planetData.pl_name}`;
+            prev.disabled = tours.index === 0;
+            next.textContent = tours.index === count - 1 ? '🏁' : '⏭';
+            pause.textContent = tours.paused ? '▶' : '⏸';
+            pause.classList.toggle('active', tours.paused);
+        }
+
+        if (this.statusOverride && performance.now() < this.statusUntil) {
+            status.textContent = this.statusOverride;
+        } else if (!active) {
+            status.textContent = 'Pick a tour and press Start';
+        } else if (tours.paused) {
+            status.textContent = '⏸️ Tour paused';
+        } else if (tours.phase === 'arriving') {
+            status.textContent = '🚀 Travelling...';
+        } else if (tours.phase === 'narrating') {
+            status.textContent = '🎙️ SpAIce is preparing the narration...';
+        } else if (tours.narratorDialog?.isSpeaking()) {
+            status.textContent = '🎙️ Narrating';
+        } else {
+            status.textContent = `Next stop in ${Math.max(0, Math.ceil(tours.dwellRemaining))} s`;
+        }
+    }
+
+    dispose() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
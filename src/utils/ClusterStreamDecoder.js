@@ -0,0 +1,164 @@
+/**
+ * ClusterStreamDecoder - Incremental decoder for binary EXOC cluster files
+ * Bytes can be pushed as they arrive from the network; every complete chunk
+ * is decoded into plain planet objects (same shape as the JSON clusters).
+ *
+ * The format is written by pipelines/data_processing/06_pack_binary_clusters.py
+ */
+
+const MAGIC = 'EXOC';
+const FORMAT_VERSION = 1;
+const PREAMBLE_SIZE = 12;     // magic + version + reserved + header length
+const CHUNK_HEADER_SIZE = 8;  // row count + payload length
+const NULL_LENGTH = 0xFFFFFFFF;
+const ABSENT_LENGTH = 0xFFFFFFFE;
+
+export class ClusterStreamDecoder {
+    constructor() {
+        this.buffer = new Uint8Array(0);
+        this.header = null;
+        this.done = false;
+        this.decodedCount = 0;
+        this.textDecoder = new TextDecoder('utf-8');
+    }
+
+    /**
+     * Check whether a buffer starts with the EXOC magic bytes
+     */
+    static isBinaryCluster(bytes) {
+        if (!bytes || bytes.length < 4) return false;
+        return String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === MAGIC;
+    }
+
+    /**
+     * Append received bytes and decode any chunks that are now complete
+     * @param {Uint8Array} bytes - Next slice of the file
+     * @returns {Array<Array<Object>>} Decoded planet batches (may be empty)
+     */
+    push(bytes) {
+        if (this.done) return [];
+        this.append(bytes);
+
+        const batches = [];
+
+        if (!this.header && !this.readHeader()) {
+            return batches;
+        }
+
+        while (!this.done && this.buffer.length >= CHUNK_HEADER_SIZE) {
+            const view = new DataView(this.buffer.buffer, this.buffer.byteOffset, CHUNK_HEADER_SIZE);
+            const rowCount = view.getUint32(0, true);
+            const byteLength = view.getUint32(4, true);
+
+            if (rowCount === 0) {
+                this.done = true;
+                this.buffer = new Uint8Array(0);
+                break;
+            }
+
+            if (this.buffer.length < CHUNK_HEADER_SIZE + byteLength) break;
+
+            const payload = this.buffer.subarray(CHUNK_HEADER_SIZE, CHUNK_HEADER_SIZE + byteLength);
+            batches.push(this.decodeChunk(payload, rowCount));
+            this.buffer = this.buffer.subarray(CHUNK_HEADER_SIZE + byteLength);
+        }
+
+        return batches;
+    }
+
+    /**
+     * Verify the stream ended cleanly
+     * @throws {Error} If the file was truncated
+     */
+    finish() {
+        if (!this.done) {
+            throw new Error(`Binary cluster truncated after ${this.decodedCount} planets`);
+        }
+        if (this.header && this.decodedCount !== this.header.planet_count) {
+            console.warn(`⚠️ Binary cluster ${this.header.cluster}: expected ${this.header.planet_count} planets, decoded ${this.decodedCount}`);
+        }
+    }
+
+    append(bytes) {
+        if (!bytes || bytes.length === 0) return;
+        if (this.buffer.length === 0) {
+            this.buffer = bytes;
+            return;
+        }
+        const merged = new Uint8Array(this.buffer.length + bytes.length);
+        merged.set(this.buffer, 0);
+        merged.set(bytes, this.buffer.length);
+        this.buffer = merged;
+    }
+
+    readHeader() {
+        if (this.buffer.length < PREAMBLE_SIZE) return false;
+
+        if (!ClusterStreamDecoder.isBinaryCluster(this.buffer)) {
+            throw new Error('Not a binary cluster file (bad magic)');
+        }
+
+        const view = new DataView(this.buffer.buffer, this.buffer.byteOffset, PREAMBLE_SIZE);
+        const version = view.getUint16(4, true);
+        const headerLength = view.getUint32(8, true);
+
+        if (version !== FORMAT_VERSION) {
+            throw new Error(`Unsupported binary cluster version: ${version}`);
+        }
+
+        if (this.buffer.length < PREAMBLE_SIZE + headerLength) return false;
+
+        const headerBytes = this.buffer.subarray(PREAMBLE_SIZE, PREAMBLE_SIZE + headerLength);
+        this.header = JSON.parse(this.textDecoder.decode(headerBytes));
+        this.buffer = this.buffer.subarray(PREAMBLE_SIZE + headerLength);
+        return true;
+    }
+
+    /**
+     * Decode one columnar chunk into row objects
+     */
+    decodeChunk(payload, rowCount) {
+        const rows = new Array(rowCount);
+        for (let i = 0; i < rowCount; i++) rows[i] = {};
+
+        const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+        let offset = 0;
+
+        for (const [name, type] of this.header.columns) {
+            if (type === 'f64') {
+                for (let i = 0; i < rowCount; i++) {
+                    const value = view.getFloat64(offset, true);
+                    rows[i][name] = Number.isNaN(value) ? null : value;
+                    offset += 8;
+                }
+                continue;
+            }
+
+            // 'str' and 'json': length table followed by UTF-8 bytes
+            const lengths = new Array(rowCount);
+            for (let i = 0; i < rowCount; i++) {
+                lengths[i] = view.getUint32(offset, true);
+                offset += 4;
+            }
+
+            for (let i = 0; i < rowCount; i++) {
+                const length = lengths[i];
+                if (length === ABSENT_LENGTH) continue;
+                if (length === NULL_LENGTH) {
+                    rows[i][name] = null;
+                    continue;
+                }
+                const text = this.textDecoder.decode(payload.subarray(offset, offset + length));
+                rows[i][name] = type === 'json' ? JSON.parse(text) : text;
+                offset += length;
+            }
+        }
+
+        if (offset !== payload.byteLength) {
+            throw new Error(`Binary cluster chunk size mismatch (${offset} of ${payload.byteLength} bytes read)`);
+        }
+
+        this.decodedCount += rowCount;
+        return rows;
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * KeplerOrbit - Two-body Keplerian orbit propagator
+ * Elements follow the NASA Exoplanet Archive columns (pl_orbper, pl_orbsmax,
+ * pl_orbeccen, pl_orbincl, pl_orblper, pl_orbtper). Missing elements fall back
+ * to a circular orbit so every planet can be animated.
+ *
+ * Positions are in AU, in the sky frame of the host star: X/Y span the plane
+ * of the sky and Z points from the star towards the observer (Earth), so
+ * i = 90° is an edge-on (transiting) orbit.
+ */
+import * as THREE from 'three';
+
+const DAYS_PER_YEAR = 365.25;
+const DEG_TO_RAD = Math.PI / 180;
+const TWO_PI = Math.PI * 2;
+
+const isValid = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export class KeplerOrbit {
+    /**
+     * @param {Object} elements
+     * @param {number} elements.period - Orbital period (days)
+     * @param {number} elements.semiMajorAxis - Semi-major axis (AU)
+     * @param {number} elements.eccentricity
+     * @param {number} elements.inclination - Radians
+     * @param {number} elements.argumentOfPeriapsis - Radians
+     * @param {number} elements.longitudeOfNode - Radians
+     * @param {number} elements.periapsisTime - Julian Date of periapsis passage
+     */
+    constructor(elements) {
+        this.period = elements.period;
+        this.semiMajorAxis = elements.semiMajorAxis;
+        this.eccentricity = elements.eccentricity || 0;
+        this.inclination = elements.inclination || 0;
+        this.argumentOfPeriapsis = elements.argumentOfPeriapsis || 0;
+        this.longitudeOfNode = elements.longitudeOfNode || 0;
+        this.periapsisTime = elements.periapsisTime || 0;
+        this.isFallback = !!elements.isFallback; // True when elements were estimated
+    }
+
+    /**
+     * Build an orbit from NASA archive columns, estimating whatever is missing
+     * @param {Object} planet - Planet data
+     * @returns {KeplerOrbit}
+     */
+    static fromPlanet(planet) {
+        const starMass = isValid(planet.st_mass) && planet.st_mass > 0 ? planet.st_mass : 1.0;
+        let period = isValid(planet.pl_orbper) && planet.pl_orbper > 0 ? planet.pl_orbper : null;
+        let semiMajorAxis = isValid(planet.pl_orbsmax) && planet.pl_orbsmax > 0 ? planet.pl_orbsmax : null;
+        let isFallback = false;
+
+        // Kepler's third law: a^3 = M * P^2 (AU, solar masses, years)
+        if (!period && semiMajorAxis) {
+            period = Math.sqrt(semiMajorAxis ** 3 / starMass) * DAYS_PER_YEAR;
+        } else if (period && !semiMajorAxis) {
+            semiMajorAxis = Math.cbrt(starMass * (period / DAYS_PER_YEAR) ** 2);
+        } else if (!period && !semiMajorAxis) {
+            semiMajorAxis = 1.0;
+            period = Math.sqrt(1.0 / starMass) * DAYS_PER_YEAR;
+            isFallback = true;
+        }
+
+        // Eccentric orbits need both e and the argument of periapsis
+        let eccentricity = 0;
+        let argumentOfPeriapsis = 0;
+        if (isValid(planet.pl_orbeccen) && planet.pl_orbeccen > 0 && planet.pl_orbeccen < 1 && isValid(planet.pl_orblper)) {
+            eccentricity = planet.pl_orbeccen;
+            argumentOfPeriapsis = planet.pl_orblper * DEG_TO_RAD;
+        } else {
+            isFallback = isFallback || !isValid(planet.pl_orbeccen);
+        }
+
+        // Most catalogue planets were found by transit, so default to edge-on
+        const inclination = (isValid(planet.pl_orbincl) ? planet.pl_orbincl : 90) * DEG_TO_RAD;
+
+        const orbit = new KeplerOrbit({
+            period,
+            semiMajorAxis,
+            eccentricity,
+            inclination,
+            argumentOfPeriapsis,
+            longitudeOfNode: 0, // Not measurable for most exoplanets
+            isFallback
+        });
+
+        // Orbital phase: periapsis time, transit mid-time, or a stable per-planet phase
+        if (isValid(planet.pl_orbtper) && eccentricity > 0) {
+            orbit.periapsisTime = planet.pl_orbtper;
+        } else if (isValid(planet.pl_tranmid)) {
+            orbit.periapsisTime = orbit.periapsisTimeFromTransit(planet.pl_tranmid);
+        } else {
+            orbit.periapsisTime = KeplerOrbit.hashPhase(planet.pl_name || '') * period;
+        }
+
+        return orbit;
+    }
+
+    /**
+     * Deterministic phase in [0, 1) from a name, so every client agrees
+     */
+    static hashPhase(name) {
+        let hash = 2166136261;
+        for (let i = 0; i < name.length; i++) {
+            hash ^= name.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return (hash >>> 0) / 4294967296;
+    }
+
+    /**
+     * Solve Kepler's equation M = E - e sin E for the eccentric anomaly
+     */
+    static solveKepler(meanAnomaly, eccentricity) {
+        if (eccentricity === 0) return meanAnomaly;
+
+        let E = eccentricity > 0.8 ? Math.PI : meanAnomaly;
+        for (let i = 0; i < 20; i++) {
+            const delta = (E - eccentricity * Math.sin(E) - meanAnomaly) / (1 - eccentricity * Math.cos(E));
+            E -= delta;
+            if (Math.abs(delta) < 1e-10) break;
+        }
+        return E;
+    }
+
+    /**
+     * Periapsis time such that the planet transits (crosses in front of the star) at `transitTime`
+     */
+    periapsisTimeFromTransit(transitTime) {
+        const e = this.eccentricity;
+        const trueAnomaly = Math.PI / 2 - this.argumentOfPeriapsis;
+        const E = 2 * Math.atan(Math.sqrt((1 - e) / (1 + e)) * Math.tan(trueAnomaly / 2));
+        const meanAnomaly = E - e * Math.sin(E);
+        return transitTime - (meanAnomaly / TWO_PI) * this.period;
+    }
+
+    /**
+     * Mean anomaly (radians, 0..2π) at a Julian Date
+     */
+    getMeanAnomaly(julianDate) {
+        const phase = ((julianDate - this.periapsisTime) / this.period) % 1;
+        return (phase < 0 ? phase + 1 : phase) * TWO_PI;
+    }
+
+    /**
+     * Position relative to the host star at a Julian Date
+     * @param {number} julianDate
+     * @param {THREE.Vector3} target
+     * @returns {THREE.Vector3} Offset in AU (sky frame, see class comment)
+     */
+    getPosition(julianDate, target = new THREE.Vector3()) {
+        const e = this.eccentricity;
+        const E = KeplerOrbit.solveKepler(this.getMeanAnomaly(julianDate), e);
+
+        const trueAnomaly = 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2));
+        const r = this.semiMajorAxis * (1 - e * Math.cos(E));
+
+        const u = this.argumentOfPeriapsis + trueAnomaly; // Argument of latitude
+        const cosU = Math.cos(u), sinU = Math.sin(u);
+        const cosO = Math.cos(this.longitudeOfNode), sinO = Math.sin(this.longitudeOfNode);
+        const cosI = Math.cos(this.inclination), sinI = Math.sin(this.inclination);
+
+        return target.set(
+            r * (cosO * cosU - sinO * sinU * cosI),
+            r * (sinO * cosU + cosO * sinU * cosI),
+            r * sinU * sinI
+        );
+    }
+}
@@ -4,10 +4,11 @@
  */
 import * as THREE from 'three';
 export class PlanetHoverInfo {
-    constructor(camera, planets, planetDataService) {
+    constructor(camera, planets, planetDataService, exoplanetField = null) {
         this.camera = camera;
         this.planets = planets;
         this.dataService = planetDataService;
+        this.exoplanetField = exoplanetField; // Unified planet meshes + instanced exoplanets
         this.raycaster = null;
         this.mouse = { x: 0, y: 0 };
         this.hoveredPlanet = null;
@@ -64,6 +65,22 @@ export class PlanetHoverInfo {
 
         this.raycaster.setFromCamera(this.mouse, this.camera);
 
+        // Unified system: exoplanet meshes and instanced batches (per-instance picking)
+        if (this.exoplanetField) {
+            const intersects = this.raycaster.intersectObjects(this.exoplanetField.meshGroup.children, true);
+            let resolved = null;
+            for (const intersect of intersects) {
+                resolved = this.exoplanetField.resolveIntersection(intersect);
+                if (resolved) break;
+            }
+
+            if (resolved) {
+                this.showEnrichedInfo(resolved.planetData);
+                this.hoveredPlanet = resolved.planetData;
+                return;
+            }
+        }
+
         // Get all planet meshes
         const planetMeshes = this.planets.map(p => p.mesh);
         const intersects = this.raycaster.intersectObjects(planetMeshes, true);
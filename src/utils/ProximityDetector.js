@@ -1,6 +1,8 @@
 /**
  * ProximityDetector - Detects closest planet to spacecraft
  * Handles scaled coordinate system (x10000)
+ * Uses the PlanetDataService spatial index instead of scanning every planet
+ * Distances use live orbital positions from ExoplanetField (the index lags slightly)
  */
 import * as THREE from 'three';
 
@@ -12,6 +14,8 @@ export class ProximityDetector {
         this.updateThrottle = 500; // ms between updates
         this.lastUpdateTime = 0;
         this.searchRadius = 5000000; // Search within 5M units (scaled)
+        this.queryPoint = new THREE.Vector3();
+        this.candidateCount = 8; // Index candidates re-ranked by live position
     }
 
     /**
@@ -29,98 +33,54 @@ export class ProximityDetector {
         
         this.lastUpdateTime = now;
 
-        const allPlanets = this.dataService.getAllPlanets();
-        
-        if (!allPlanets || allPlanets.length === 0) {
+        const spatialIndex = this.dataService.spatialIndex;
+
+        if (!spatialIndex || spatialIndex.size === 0) {
             return null;
         }
 
-        let closestPlanet = null;
-        let closestDistance = Infinity;
-        let closestWorldPos = null;
-        let closestMesh = null;
-
+        // Spatial index works in light-years: world = ly * sceneScale(10) * globalScale
         const globalScale = 10000;
+        const worldPerLightYear = 10 * globalScale;
 
-        for (const planet of allPlanets) {
-            // Get planet position in world coordinates
-            let planetWorldPos;
-            
-            // TRY BOTH COORDINATE SYSTEMS with logging
-            const isSolarPlanet = planet.hostname === 'Sun';
-            
-            if (planet.characteristics?.coordinates_3d) {
-                // NEW UNIFIED SYSTEM: All enriched planets have this
-                const coords = planet.characteristics.coordinates_3d;
-                planetWorldPos = new THREE.Vector3(
-                    coords.x_light_years * 10 * globalScale,
-                    coords.y_light_years * 10 * globalScale,
-                    coords.z_light_years * 10 * globalScale
-                );
-                console.log(`📍 ${planet.pl_name} using coordinates_3d:`, coords.x_light_years, coords.y_light_years, coords.z_light_years);
-            } else if (isSolarPlanet && planet.position) {
-                // FALLBACK FOR SOLAR SYSTEM: Old position system
-                planetWorldPos = new THREE.Vector3(
-                    planet.position.x * 10 * globalScale,
-                    planet.position.y * 10 * globalScale,
-                    planet.position.z * 10 * globalScale
-                );
-                console.log(`📍 ${planet.pl_name} using position (fallback):`, planet.position.x, planet.position.y, planet.position.z);
-            } else {
-                // No valid coordinates at all
-                console.warn('⚠️ Planet missing both coordinates_3d AND position:', planet.pl_name);
-                continue;
-            }
-
-            const distance = position.distanceTo(planetWorldPos);
+        this.queryPoint.copy(position).divideScalar(worldPerLightYear);
+        const candidates = spatialIndex.nearest(this.queryPoint, this.candidateCount, this.searchRadius / worldPerLightYear);
 
-            // Only consider planets within search radius
-            if (distance < this.searchRadius && distance < closestDistance) {
+        // Re-rank by where the planets are now (they move along their orbits)
+        let closestPlanet = null;
+        let closestDistance = Infinity;
+        let closestWorldPos = null;
+        for (const candidate of candidates) {
+            const worldPos = this.exoplanetField?.getPlanetWorldPosition(candidate.item) ||
+                new THREE.Vector3(candidate.x, candidate.y, candidate.z).multiplyScalar(worldPerLightYear);
+            const distance = worldPos.distanceTo(position);
+            if (distance < closestDistance && distance <= this.searchRadius) {
+                closestPlanet = candidate.item;
                 closestDistance = distance;
-                closestPlanet = planet;
-                closestWorldPos = planetWorldPos;
-                
-                // Reset mesh for each new closest planet
-                let foundMesh = null;
-                
-                // Try to find the mesh for this planet in the exoplanet field
-                if (this.exoplanetField && this.exoplanetField.meshGroup) {
-                    // Search through ALL meshes in the group (includes Solar System)
-                    this.exoplanetField.meshGroup.traverse((child) => {
-                        if (child.isMesh && child.userData && child.userData.planetData) {
-                            const childPlanetName = child.userData.planetData.pl_name;
-                            if (childPlanetName === planet.pl_name) {
-                                foundMesh = child;
-                            }
-                        }
-                    });
-                    
-                    if (foundMesh) {
-                        console.log(`✅ Found mesh for ${planet.pl_name}`);
-                    } else {
-                        console.warn(`❌ Mesh NOT found for ${planet.pl_name}`);
-                    }
-                }
-                
-                closestMesh = foundMesh;
+                closestWorldPos = worldPos;
             }
         }
 
-        if (closestPlanet) {
+        if (!closestPlanet) {
+            this.lastClosestPlanet = null;
+            return null;
+        }
+
+        // Mesh lookup via the field (dedicated mesh, or proxy for instanced planets)
+        const closestMesh = this.exoplanetField?.getPlanetObject(closestPlanet.pl_name) || null;
+
+        if (this.lastClosestPlanet?.planet !== closestPlanet) {
             console.log(`🎯 Closest planet: ${closestPlanet.pl_name} (${(closestDistance / 10000).toFixed(2)} scaled units) - hasMesh: ${!!closestMesh}`);
-            
-            this.lastClosestPlanet = {
-                planet: closestPlanet,
-                distance: closestDistance,
-                worldPosition: closestWorldPos,
-                mesh: closestMesh
-            };
-            
-            return this.lastClosestPlanet;
         }
 
-        this.lastClosestPlanet = null;
-        return null;
+        this.lastClosestPlanet = {
+            planet: closestPlanet,
+            distance: closestDistance,
+            worldPosition: closestWorldPos,
+            mesh: closestMesh
+        };
+
+        return this.lastClosestPlanet;
     }
 
     /**
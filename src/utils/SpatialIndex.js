@@ -0,0 +1,291 @@
+/**
+ * SpatialIndex - Dynamic point octree for fast planet lookups
+ * Items can be inserted incrementally (e.g. as clusters stream in); the root
+ * grows automatically to fit points outside the current bounds.
+ *
+ * Supports k-nearest, radius and frustum queries. Positions are plain
+ * {x, y, z} objects (THREE.Vector3 works) in whatever unit the owner uses.
+ */
+import * as THREE from 'three';
+
+export class SpatialIndex {
+    /**
+     * @param {Object} options
+     * @param {number} options.capacity - Max items per leaf before it splits
+     * @param {number} options.minNodeSize - Leaves smaller than this never split
+     *                                       (planets of one system share a position)
+     */
+    constructor(options = {}) {
+        this.capacity = options.capacity || 16;
+        this.minNodeSize = options.minNodeSize || 1e-6;
+        this.root = null;
+        this.entries = new Map(); // item -> { item, x, y, z, node }
+
+        // Scratch objects for frustum tests
+        this.tempBox = new THREE.Box3();
+        this.tempPoint = new THREE.Vector3();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(item) {
+        return this.entries.has(item);
+    }
+
+    /**
+     * Insert an item at a position (re-inserts if the item is already indexed)
+     */
+    insert(item, position) {
+        if (this.entries.has(item)) this.remove(item);
+
+        const entry = { item, x: position.x, y: position.y, z: position.z, node: null };
+        if (!Number.isFinite(entry.x) || !Number.isFinite(entry.y) || !Number.isFinite(entry.z)) {
+            return false;
+        }
+
+        if (!this.root) {
+            this.root = this.createNode(entry.x, entry.y, entry.z, 1);
+        }
+        while (!this.contains(this.root, entry)) {
+            this.growRoot(entry);
+        }
+
+        this.insertIntoNode(this.root, entry);
+        this.entries.set(item, entry);
+        return true;
+    }
+
+    /**
+     * Remove an item from the index
+     */
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return false;
+
+        const list = entry.node.items;
+        const index = list.indexOf(entry);
+        if (index !== -1) list.splice(index, 1);
+
+        this.entries.delete(item);
+        return true;
+    }
+
+    /**
+     * Move an already indexed item
+     */
+    update(item, position) {
+        const entry = this.entries.get(item);
+        if (entry && this.contains(entry.node, position)) {
+            entry.x = position.x;
+            entry.y = position.y;
+            entry.z = position.z;
+            return true;
+        }
+        return this.insert(item, position);
+    }
+
+    clear() {
+        this.root = null;
+        this.entries.clear();
+    }
+
+    /**
+     * Get the current position of an indexed item
+     * @returns {{x:number, y:number, z:number}|null}
+     */
+    getPosition(item) {
+        const entry = this.entries.get(item);
+        return entry ? { x: entry.x, y: entry.y, z: entry.z } : null;
+    }
+
+    /**
+     * k-nearest neighbour query
+     * @param {{x,y,z}} position - Query point
+     * @param {number} k - Number of results
+     * @param {number} maxDistance - Ignore items further than this
+     * @param {Function} filter - Optional (item) => boolean
+     * @returns {Array<{item, distance, x, y, z}>} Sorted closest first
+     */
+    nearest(position, k = 1, maxDistance = Infinity, filter = null) {
+        const results = [];
+        if (!this.root || k <= 0) return results;
+
+        const maxDistanceSq = maxDistance * maxDistance;
+        const px = position.x, py = position.y, pz = position.z;
+
+        const bound = () => (results.length < k ? maxDistanceSq : Math.min(maxDistanceSq, results[results.length - 1].distanceSq));
+
+        const visit = (node) => {
+            if (this.boxDistanceSq(node, px, py, pz) > bound()) return;
+
+            for (const entry of node.items) {
+                const dx = entry.x - px, dy = entry.y - py, dz = entry.z - pz;
+                const distanceSq = dx * dx + dy * dy + dz * dz;
+                if (distanceSq > bound()) continue;
+                if (filter && !filter(entry.item)) continue;
+
+                // Insert sorted, keep at most k
+                let i = results.length;
+                while (i > 0 && results[i - 1].distanceSq > distanceSq) i--;
+                results.splice(i, 0, { entry, distanceSq });
+                if (results.length > k) results.pop();
+            }
+
+            if (node.children) {
+                const children = node.children
+                    .filter(Boolean)
+                    .map(child => ({ child, d: this.boxDistanceSq(child, px, py, pz) }))
+                    .sort((a, b) => a.d - b.d);
+                for (const { child } of children) visit(child);
+            }
+        };
+
+        visit(this.root);
+        return results.map(({ entry, distanceSq }) => this.toResult(entry, distanceSq));
+    }
+
+    /**
+     * All items within a radius
+     * @returns {Array<{item, distance, x, y, z}>} Sorted closest first
+     */
+    withinRadius(position, radius, filter = null) {
+        const results = [];
+        if (!this.root) return results;
+
+        const radiusSq = radius * radius;
+        const px = position.x, py = position.y, pz = position.z;
+
+        const visit = (node) => {
+            if (this.boxDistanceSq(node, px, py, pz) > radiusSq) return;
+
+            for (const entry of node.items) {
+                const dx = entry.x - px, dy = entry.y - py, dz = entry.z - pz;
+                const distanceSq = dx * dx + dy * dy + dz * dz;
+                if (distanceSq <= radiusSq && (!filter || filter(entry.item))) {
+                    results.push(this.toResult(entry, distanceSq));
+                }
+            }
+
+            if (node.children) {
+                for (const child of node.children) {
+                    if (child) visit(child);
+                }
+            }
+        };
+
+        visit(this.root);
+        return results.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * All items inside a view frustum (expressed in the index's units)
+     * @param {THREE.Frustum} frustum
+     * @returns {Array<Object>} Items
+     */
+    inFrustum(frustum, filter = null) {
+        const results = [];
+        if (!this.root) return results;
+
+        const visit = (node) => {
+            const h = node.half;
+            this.tempBox.min.set(node.cx - h, node.cy - h, node.cz - h);
+            this.tempBox.max.set(node.cx + h, node.cy + h, node.cz + h);
+            if (!frustum.intersectsBox(this.tempBox)) return;
+
+            for (const entry of node.items) {
+                this.tempPoint.set(entry.x, entry.y, entry.z);
+                if (frustum.containsPoint(this.tempPoint) && (!filter || filter(entry.item))) {
+                    results.push(entry.item);
+                }
+            }
+
+            if (node.children) {
+                for (const child of node.children) {
+                    if (child) visit(child);
+                }
+            }
+        };
+
+        visit(this.root);
+        return results;
+    }
+
+    // --- Internal octree helpers ---
+
+    createNode(cx, cy, cz, half) {
+        return { cx, cy, cz, half, items: [], children: null };
+    }
+
+    contains(node, p) {
+        const h = node.half;
+        return p.x >= node.cx - h && p.x <= node.cx + h &&
+            p.y >= node.cy - h && p.y <= node.cy + h &&
+            p.z >= node.cz - h && p.z <= node.cz + h;
+    }
+
+    /**
+     * Double the root towards a point outside the current bounds
+     */
+    growRoot(p) {
+        const old = this.root;
+        const dx = p.x >= old.cx ? 1 : -1;
+        const dy = p.y >= old.cy ? 1 : -1;
+        const dz = p.z >= old.cz ? 1 : -1;
+
+        const root = this.createNode(old.cx + dx * old.half, old.cy + dy * old.half, old.cz + dz * old.half, old.half * 2);
+        root.children = new Array(8).fill(null);
+        root.children[this.octant(root, old.cx, old.cy, old.cz)] = old;
+        this.root = root;
+    }
+
+    octant(node, x, y, z) {
+        return (x >= node.cx ? 1 : 0) | (y >= node.cy ? 2 : 0) | (z >= node.cz ? 4 : 0);
+    }
+
+    childFor(node, entry) {
+        const index = this.octant(node, entry.x, entry.y, entry.z);
+        if (!node.children[index]) {
+            const q = node.half / 2;
+            node.children[index] = this.createNode(
+                node.cx + (index & 1 ? q : -q),
+                node.cy + (index & 2 ? q : -q),
+                node.cz + (index & 4 ? q : -q),
+                q
+            );
+        }
+        return node.children[index];
+    }
+
+    insertIntoNode(node, entry) {
+        while (node.children) {
+            node = this.childFor(node, entry);
+        }
+
+        node.items.push(entry);
+        entry.node = node;
+
+        // Split full leaves (unless they are already tiny)
+        if (node.items.length > this.capacity && node.half > this.minNodeSize) {
+            const items = node.items;
+            node.items = [];
+            node.children = new Array(8).fill(null);
+            for (const item of items) {
+                this.insertIntoNode(node, item);
+            }
+        }
+    }
+
+    boxDistanceSq(node, px, py, pz) {
+        const h = node.half;
+        const dx = Math.max(Math.abs(px - node.cx) - h, 0);
+        const dy = Math.max(Math.abs(py - node.cy) - h, 0);
+        const dz = Math.max(Math.abs(pz - node.cz) - h, 0);
+        return dx * dx + dy * dy + dz * dz;
+    }
+
+    toResult(entry, distanceSq) {
+        return { item: entry.item, distance: Math.sqrt(distanceSq), x: entry.x, y: entry.y, z: entry.z };
+    }
+}
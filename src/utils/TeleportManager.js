@@ -2,21 +2,32 @@ import * as THREE from 'three';
 
 /**
  * TeleportManager - Handles instant teleportation to planet coordinates
+ * With an ExoplanetField, planets are targeted at their live orbital position
+ * and the autopilot keeps following them (see update()).
  */
 export class TeleportManager {
-    constructor(spacecraft, camera) {
+    constructor(spacecraft, camera, exoplanetField = null) {
         this.spacecraft = spacecraft;
         this.camera = camera;
+        this.exoplanetField = exoplanetField;
         this.teleportOffset = 100; // Distance from planet to position spacecraft
+        this.onTeleport = null; // (arrivalPosition, name, facing) after every jump - multiplayer announces it
+
+        // Moving target followed by the autopilot
+        this.trackedPlanet = null;
+        this.trackedTarget = new THREE.Vector3();
     }
 
     /**
-     * Instantly teleport to a planet using its coordinates_3d
+     * Instantly teleport to a planet using its current orbital position (or coordinates_3d)
+     * @param {Object} planetData
+     * @param {number} offset - Arrival distance from the planet (world units)
      */
-    teleportToPlanet(planetData) {
+    teleportToPlanet(planetData, offset = this.teleportOffset) {
         if (!planetData) return false;
 
         console.log('🌍 TeleportManager.teleportToPlanet called with:', planetData);
+        this.trackedPlanet = null;
 
         let targetPosition;
         let planetName = planetData.pl_name || planetData.name || 'Unknown Planet';
@@ -24,6 +35,14 @@ export class TeleportManager {
         // Check if this is a solar system planet
         const isSolarPlanet = planetData.hostname === 'Sun';
 
+        // Case 0: Live position from the rendered field (follows the orbit)
+        const livePosition = this.exoplanetField?.getPlanetWorldPosition(planetData, this.trackedTarget);
+        if (livePosition) {
+            console.log('📍 Orbiting planet - using live position:', livePosition);
+            this.trackedPlanet = planetData;
+            return this.executeTeleport(livePosition, planetName, offset);
+        }
+
         // Case 1: Solar system planet with position field (in AU)
         if (isSolarPlanet && planetData.position) {
             console.log('📍 Solar system planet - using position field:', planetData.position);
@@ -62,7 +81,7 @@ export class TeleportManager {
             return false;
         }
 
-        return this.executeTeleport(targetPosition, planetName);
+        return this.executeTeleport(targetPosition, planetName, offset);
     }
 
     /**
@@ -71,6 +90,8 @@ export class TeleportManager {
     teleportToObject(object, name = 'Target') {
         let targetPosition = new THREE.Vector3();
 
+        this.trackedPlanet = null;
+
         if (object instanceof THREE.Vector3) {
             targetPosition.copy(object);
         } else if (object.getWorldPosition) {
@@ -88,20 +109,21 @@ export class TeleportManager {
     /**
      * Internal teleport execution logic
      */
-    executeTeleport(targetPosition, planetName) {
+    executeTeleport(targetPosition, planetName, offset = this.teleportOffset) {
         console.log(`Teleporting to ${planetName} at ${targetPosition.x}, ${targetPosition.y}, ${targetPosition.z}`);
 
         // Calculate offset position (approach from a distance)
         // Direction FROM origin TO target
         const directionFromOrigin = targetPosition.clone().normalize();
         const approachPosition = targetPosition.clone().sub(
-            directionFromOrigin.multiplyScalar(this.teleportOffset)
+            directionFromOrigin.multiplyScalar(offset)
         );
 
         console.log('Approach position:', approachPosition);
 
         // Instantly set spacecraft position
         this.spacecraft.group.position.copy(approachPosition);
+        this.onTeleport?.(approachPosition, planetName, targetPosition.clone().sub(approachPosition).normalize());
 
         // Reset velocity to zero
         if (this.spacecraft.velocity) {
@@ -130,18 +152,39 @@ export class TeleportManager {
         return true;
     }
 
+    /**
+     * Keep the autopilot target on the tracked (orbiting) planet - call once per frame
+     */
+    update() {
+        if (!this.trackedPlanet || !this.exoplanetField) return;
+
+        // Stop tracking once the autopilot is no longer flying to our target
+        if (this.spacecraft.autopilot?.target && this.spacecraft.autopilot.target !== this.trackedTarget) {
+            this.trackedPlanet = null;
+            return;
+        }
+
+        this.exoplanetField.getPlanetWorldPosition(this.trackedPlanet, this.trackedTarget);
+    }
+
     /**
      * Teleport to specific 3D coordinates
      */
     teleportToCoordinates(x, y, z) {
+        this.trackedPlanet = null;
         const position = new THREE.Vector3(x, y, z);
         return this.executeTeleport(position, 'Coordinates');
     }
 
     /**
      * Teleport with visual effect (flash)
+     * @param {Object|THREE.Object3D|THREE.Vector3} planetOrObject
+     * @param {Function} onComplete - Called after a successful teleport
+     * @param {Object} options
+     * @param {number} options.offset - Arrival distance for planets (world units)
+     * @param {Function} options.onFail - Called when there was nowhere to teleport to (no position or mesh)
      */
-    teleportWithEffect(planetOrObject, onComplete) {
+    teleportWithEffect(planetOrObject, onComplete, options = {}) {
         // Create flash effect
         const flash = document.createElement('div');
         flash.id = 'teleport-flash';
@@ -201,11 +244,13 @@ export class TeleportManager {
             if (planetOrObject instanceof THREE.Object3D || planetOrObject instanceof THREE.Vector3) {
                 success = this.teleportToObject(planetOrObject);
             } else {
-                success = this.teleportToPlanet(planetOrObject);
+                success = this.teleportToPlanet(planetOrObject, options.offset ?? this.teleportOffset);
             }
 
-            if (success && onComplete) {
-                onComplete();
+            if (success) {
+                if (onComplete) onComplete();
+            } else if (options.onFail) {
+                options.onFail();
             }
         }, 200);
 
@@ -26,6 +26,8 @@ export default defineConfig({
                         'nasa_data/clusters/veryfar_quad2.json',
                         'nasa_data/clusters/veryfar_quad3.json',
                         'nasa_data/clusters/veryfar_quad4.json',
+                        // Compact binary clusters (all sizes fit, see 06_pack_binary_clusters.py)
+                        'nasa_data/clusters/*.bin',
                     ],
                     dest: 'nasa_data/clusters'
                 },
@@ -36,6 +38,12 @@ export default defineConfig({
             ]
         })
     ],
+    server: {
+        // AI requests go to the key-holding proxy (npm run ai-proxy)
+        proxy: {
+            '/api/ai': `http://localhost:${process.env.AI_PROXY_PORT || 3001}`
+        }
+    },
     build: {
         chunkSizeWarningLimit: 1000,
         rollupOptions: {